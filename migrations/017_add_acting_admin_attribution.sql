@@ -0,0 +1,71 @@
+-- Migration 017: Attribute admin writes made while impersonating a customer
+-- Date: 2025-11-10
+-- Service: Portal
+-- Tables: service_requests, customer_messages
+--
+-- Purpose:
+-- When an admin impersonates a customer in "act as customer" mode, service
+-- requests and messages are written against the customer's account. Record
+-- which admin actually made the write so it is shown as "admin on behalf
+-- of customer" rather than as the customer's own action.
+--
+-- Impact:
+-- - New nullable acting_admin_id column (NULL = written by the customer)
+-- - Existing rows are unaffected
+-- - Read-only impersonation is enforced client-side and writes nothing
+-- - Migration 019 checks the column server-side (enforce_acting_admin())
+
+-- =============================================================================
+-- ADD ATTRIBUTION COLUMNS
+-- =============================================================================
+
+ALTER TABLE service_requests
+ADD COLUMN IF NOT EXISTS acting_admin_id UUID
+REFERENCES customer_accounts(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN service_requests.acting_admin_id IS
+'Admin account that submitted this request on behalf of the customer (NULL if submitted by the customer)';
+
+ALTER TABLE customer_messages
+ADD COLUMN IF NOT EXISTS acting_admin_id UUID
+REFERENCES customer_accounts(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN customer_messages.acting_admin_id IS
+'Admin account that sent this message on behalf of the customer (NULL if sent by the customer)';
+
+-- =============================================================================
+-- INDEXES
+-- =============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_service_requests_acting_admin
+ON service_requests(acting_admin_id)
+WHERE acting_admin_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_customer_messages_acting_admin
+ON customer_messages(acting_admin_id)
+WHERE acting_admin_id IS NOT NULL;
+
+-- =============================================================================
+-- VERIFICATION
+-- =============================================================================
+
+DO $$
+DECLARE
+  v_missing INT;
+BEGIN
+  SELECT 2 - COUNT(*) INTO v_missing
+  FROM information_schema.columns
+  WHERE column_name = 'acting_admin_id'
+  AND table_name IN ('service_requests', 'customer_messages');
+
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'Migration 017 Verification';
+  RAISE NOTICE '========================================';
+  IF v_missing > 0 THEN
+    RAISE EXCEPTION '❌ acting_admin_id missing on % table(s)', v_missing;
+  ELSE
+    RAISE NOTICE '✅ acting_admin_id added to service_requests';
+    RAISE NOTICE '✅ acting_admin_id added to customer_messages';
+  END IF;
+  RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,176 @@
+-- Migration 018: Impersonation audit trail
+-- Date: 2025-11-10
+-- Service: Portal
+-- Tables: impersonation_sessions, impersonation_events
+--
+-- Purpose:
+-- Record every time an admin views the portal as a customer: when the
+-- session started and ended, which pages were viewed and which changes
+-- were attempted, so customer privacy questions can be answered.
+--
+-- Impact:
+-- - Two new tables, readable and writable by admins only
+-- - Sessions left open (tab closed without exiting) keep last_seen_at,
+--   which bounds how long the admin was actually active
+-- - Sessions are append-only apart from last_seen_at and ended_at, which
+--   are stamped with the database's clock
+-- - Migration 019 switches the admin checks to public.is_admin()
+
+-- =============================================================================
+-- SESSIONS
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS impersonation_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  admin_account_id UUID NOT NULL REFERENCES customer_accounts(id) ON DELETE CASCADE,
+  customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+  -- Mode the session started in; later switches are recorded as mode_change events
+  mode TEXT NOT NULL DEFAULT 'read-only' CHECK (mode IN ('read-only', 'act-as')),
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ended_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_impersonation_sessions_admin
+ON impersonation_sessions(admin_account_id, started_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_impersonation_sessions_customer
+ON impersonation_sessions(customer_id, started_at DESC);
+
+-- An admin updates their own session to mark activity and to close it.
+-- Everything else (customer, mode, start) is fixed once recorded, the times
+-- come from the database rather than the browser, and a closed session
+-- stays closed.
+CREATE OR REPLACE FUNCTION public.guard_impersonation_session_update()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.id IS DISTINCT FROM OLD.id
+     OR NEW.admin_account_id IS DISTINCT FROM OLD.admin_account_id
+     OR NEW.customer_id IS DISTINCT FROM OLD.customer_id
+     OR NEW.mode IS DISTINCT FROM OLD.mode
+     OR NEW.started_at IS DISTINCT FROM OLD.started_at THEN
+    RAISE EXCEPTION 'Only last_seen_at and ended_at can change on an impersonation session'
+      USING ERRCODE = '42501';
+  END IF;
+
+  IF OLD.ended_at IS NOT NULL THEN
+    RAISE EXCEPTION 'This impersonation session has ended' USING ERRCODE = '42501';
+  END IF;
+
+  NEW.last_seen_at := NOW();
+  IF NEW.ended_at IS NOT NULL THEN
+    NEW.ended_at := NOW();
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS guard_impersonation_session_update ON impersonation_sessions;
+CREATE TRIGGER guard_impersonation_session_update
+BEFORE UPDATE ON impersonation_sessions
+FOR EACH ROW EXECUTE FUNCTION public.guard_impersonation_session_update();
+
+-- =============================================================================
+-- EVENTS
+-- =============================================================================
+
+-- event_type:
+--   page_view   - details: { path }
+--   mutation    - details: { operation, succeeded, error }
+--   mode_change - details: { mode }
+CREATE TABLE IF NOT EXISTS impersonation_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  session_id UUID NOT NULL REFERENCES impersonation_sessions(id) ON DELETE CASCADE,
+  event_type TEXT NOT NULL CHECK (event_type IN ('page_view', 'mutation', 'mode_change')),
+  details JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_impersonation_events_session
+ON impersonation_events(session_id, created_at);
+
+-- =============================================================================
+-- ROW LEVEL SECURITY
+-- =============================================================================
+
+ALTER TABLE impersonation_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE impersonation_events ENABLE ROW LEVEL SECURITY;
+
+-- Any admin can read the full audit trail
+DROP POLICY IF EXISTS "Admins can view impersonation sessions" ON impersonation_sessions;
+CREATE POLICY "Admins can view impersonation sessions"
+ON impersonation_sessions FOR SELECT
+USING (
+  EXISTS (SELECT 1 FROM customer_accounts WHERE id = auth.uid() AND is_admin = true)
+);
+
+-- Admins can only open and close their own sessions
+DROP POLICY IF EXISTS "Admins can record their own sessions" ON impersonation_sessions;
+CREATE POLICY "Admins can record their own sessions"
+ON impersonation_sessions FOR INSERT
+WITH CHECK (
+  admin_account_id = auth.uid()
+  AND EXISTS (SELECT 1 FROM customer_accounts WHERE id = auth.uid() AND is_admin = true)
+);
+
+DROP POLICY IF EXISTS "Admins can update their own sessions" ON impersonation_sessions;
+CREATE POLICY "Admins can update their own sessions"
+ON impersonation_sessions FOR UPDATE
+USING (admin_account_id = auth.uid())
+WITH CHECK (admin_account_id = auth.uid());
+
+DROP POLICY IF EXISTS "Admins can view impersonation events" ON impersonation_events;
+CREATE POLICY "Admins can view impersonation events"
+ON impersonation_events FOR SELECT
+USING (
+  EXISTS (SELECT 1 FROM customer_accounts WHERE id = auth.uid() AND is_admin = true)
+);
+
+-- Events are append-only and only for the admin's own sessions
+DROP POLICY IF EXISTS "Admins can record events for their own sessions" ON impersonation_events;
+CREATE POLICY "Admins can record events for their own sessions"
+ON impersonation_events FOR INSERT
+WITH CHECK (
+  EXISTS (
+    SELECT 1 FROM impersonation_sessions
+    WHERE impersonation_sessions.id = impersonation_events.session_id
+    AND impersonation_sessions.admin_account_id = auth.uid()
+  )
+);
+
+-- =============================================================================
+-- VERIFICATION
+-- =============================================================================
+
+DO $$
+DECLARE
+  v_table_count INT;
+  v_policy_count INT;
+BEGIN
+  SELECT COUNT(*) INTO v_table_count
+  FROM information_schema.tables
+  WHERE table_name IN ('impersonation_sessions', 'impersonation_events');
+
+  SELECT COUNT(*) INTO v_policy_count
+  FROM pg_policies
+  WHERE tablename IN ('impersonation_sessions', 'impersonation_events');
+
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'Migration 018 Verification';
+  RAISE NOTICE '========================================';
+  IF v_table_count < 2 THEN
+    RAISE EXCEPTION '❌ Expected 2 audit tables, found %', v_table_count;
+  END IF;
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_trigger WHERE tgname = 'guard_impersonation_session_update'
+  ) THEN
+    RAISE EXCEPTION '❌ Session update guard trigger not created';
+  END IF;
+  RAISE NOTICE '✅ impersonation_sessions and impersonation_events created';
+  RAISE NOTICE '✅ Sessions can only be touched or closed once recorded';
+  RAISE NOTICE '✅ % RLS policies in place', v_policy_count;
+  RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,395 @@
+-- Migration 019: Enforce admin access on the server
+-- Date: 2025-11-11
+-- Service: Portal
+-- Tables: customer_accounts, customers, boats, impersonation_sessions, impersonation_events
+--
+-- Purpose:
+-- Admin features (customer list, all-boats view, impersonated reads) were
+-- gated only in the browser by reading customer_accounts.is_admin. Anyone
+-- calling the Supabase client directly could read other customers' boats.
+-- This migration moves the checks into the database:
+-- - is_admin() helper evaluated for auth.uid(), never for a client-supplied ID
+-- - RLS on boats and customers so non-admins only see their own rows
+-- - SECURITY DEFINER RPCs for the admin-only data paths
+-- - claim_boat_by_slug() for signup with ?boat=slug, which could otherwise
+--   no longer find the boat once boats has RLS
+-- - Trigger preventing users from granting themselves is_admin
+-- - Trigger checking acting_admin_id on service requests and messages
+-- - The impersonation audit policies (migration 018) use is_admin() too
+--
+-- Impact:
+-- - Non-admin reads of boats/customers are limited to granted boats
+-- - Admin reads go through admin_* RPCs (raise 42501 for non-admins)
+-- - Any other permissive SELECT policy on boats/customers defeats this;
+--   the verification block lists them so they can be dropped
+
+-- =============================================================================
+-- ADMIN CHECK
+-- =============================================================================
+
+-- SECURITY DEFINER so the lookup is not itself subject to RLS on customer_accounts
+CREATE OR REPLACE FUNCTION public.is_admin()
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT COALESCE(
+    (SELECT is_admin FROM customer_accounts WHERE id = auth.uid()),
+    false
+  );
+$$;
+
+GRANT EXECUTE ON FUNCTION public.is_admin() TO authenticated;
+
+-- Raise insufficient_privilege unless the caller is an admin
+CREATE OR REPLACE FUNCTION public.assert_admin()
+RETURNS VOID
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Admin access required' USING ERRCODE = '42501';
+  END IF;
+END;
+$$;
+
+-- =============================================================================
+-- PREVENT SELF-PROMOTION
+-- =============================================================================
+
+CREATE OR REPLACE FUNCTION public.protect_is_admin()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  -- Service role (auth.uid() IS NULL) and existing admins may change the flag
+  IF NEW.is_admin IS DISTINCT FROM OLD.is_admin
+     AND auth.uid() IS NOT NULL
+     AND NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Only admins can change admin status' USING ERRCODE = '42501';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS protect_is_admin ON customer_accounts;
+CREATE TRIGGER protect_is_admin
+BEFORE UPDATE ON customer_accounts
+FOR EACH ROW EXECUTE FUNCTION public.protect_is_admin();
+
+-- =============================================================================
+-- ADMIN ATTRIBUTION
+-- =============================================================================
+
+-- acting_admin_id (migration 017) was only set by the browser. Only the
+-- signed-in admin can be named, and an admin writing on a customer's behalf
+-- is always named. TG_ARGV[0] is the column holding the account the row is
+-- written as.
+CREATE OR REPLACE FUNCTION public.enforce_acting_admin()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_written_as UUID := (to_jsonb(NEW) ->> TG_ARGV[0])::UUID;
+BEGIN
+  -- Service role (auth.uid() IS NULL) writes are trusted as sent
+  IF auth.uid() IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF NEW.acting_admin_id IS NOT NULL
+     AND (NEW.acting_admin_id <> auth.uid() OR NOT public.is_admin()) THEN
+    RAISE EXCEPTION 'acting_admin_id must be the signed-in admin' USING ERRCODE = '42501';
+  END IF;
+
+  IF NEW.acting_admin_id IS NULL
+     AND v_written_as IS DISTINCT FROM auth.uid()
+     AND public.is_admin() THEN
+    NEW.acting_admin_id := auth.uid();
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS enforce_acting_admin ON service_requests;
+CREATE TRIGGER enforce_acting_admin
+BEFORE INSERT OR UPDATE OF acting_admin_id ON service_requests
+FOR EACH ROW EXECUTE FUNCTION public.enforce_acting_admin('customer_account_id');
+
+DROP TRIGGER IF EXISTS enforce_acting_admin ON customer_messages;
+CREATE TRIGGER enforce_acting_admin
+BEFORE INSERT OR UPDATE OF acting_admin_id ON customer_messages
+FOR EACH ROW EXECUTE FUNCTION public.enforce_acting_admin('sender_account_id');
+
+-- =============================================================================
+-- ROW LEVEL SECURITY
+-- =============================================================================
+
+ALTER TABLE boats ENABLE ROW LEVEL SECURITY;
+ALTER TABLE customers ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view boats they have access to" ON boats;
+CREATE POLICY "Users can view boats they have access to"
+ON boats FOR SELECT
+USING (
+  public.is_admin()
+  OR EXISTS (
+    SELECT 1 FROM customer_boat_access
+    WHERE customer_boat_access.boat_id = boats.id
+    AND customer_boat_access.customer_account_id = auth.uid()
+  )
+);
+
+DROP POLICY IF EXISTS "Users can view customers of their boats" ON customers;
+CREATE POLICY "Users can view customers of their boats"
+ON customers FOR SELECT
+USING (
+  public.is_admin()
+  OR email = auth.jwt() ->> 'email'
+  OR EXISTS (
+    SELECT 1 FROM boats
+    JOIN customer_boat_access ON customer_boat_access.boat_id = boats.id
+    WHERE boats.customer_id = customers.id
+    AND customer_boat_access.customer_account_id = auth.uid()
+  )
+);
+
+-- =============================================================================
+-- ADMIN RPCS
+-- =============================================================================
+
+-- All customers with boat counts (admin customer selector)
+CREATE OR REPLACE FUNCTION public.admin_list_customers()
+RETURNS TABLE (id UUID, name TEXT, email TEXT, boat_count BIGINT)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM public.assert_admin();
+
+  RETURN QUERY
+  SELECT c.id, c.name::TEXT, c.email::TEXT, COUNT(b.id)
+  FROM customers c
+  LEFT JOIN boats b ON b.customer_id = c.id
+  GROUP BY c.id, c.name, c.email
+  ORDER BY c.name;
+END;
+$$;
+
+-- All boats (admin boat selector)
+CREATE OR REPLACE FUNCTION public.admin_list_boats()
+RETURNS SETOF boats
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM public.assert_admin();
+
+  RETURN QUERY SELECT * FROM boats ORDER BY name;
+END;
+$$;
+
+-- Impersonated customer record
+CREATE OR REPLACE FUNCTION public.admin_get_customer(p_customer_id UUID)
+RETURNS SETOF customers
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM public.assert_admin();
+
+  RETURN QUERY SELECT * FROM customers WHERE id = p_customer_id;
+END;
+$$;
+
+-- Impersonated customer's boats
+CREATE OR REPLACE FUNCTION public.admin_get_customer_boats(p_customer_id UUID)
+RETURNS SETOF boats
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM public.assert_admin();
+
+  RETURN QUERY SELECT * FROM boats WHERE customer_id = p_customer_id ORDER BY name;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.admin_list_customers() FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION public.admin_list_boats() FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION public.admin_get_customer(UUID) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION public.admin_get_customer_boats(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.admin_list_customers() TO authenticated;
+GRANT EXECUTE ON FUNCTION public.admin_list_boats() TO authenticated;
+GRANT EXECUTE ON FUNCTION public.admin_get_customer(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.admin_get_customer_boats(UUID) TO authenticated;
+
+-- =============================================================================
+-- IMPERSONATION AUDIT
+-- =============================================================================
+
+-- Same policies as migration 018, with the shared admin check (which
+-- migration 023 extends to require two-factor)
+DROP POLICY IF EXISTS "Admins can view impersonation sessions" ON impersonation_sessions;
+CREATE POLICY "Admins can view impersonation sessions"
+ON impersonation_sessions FOR SELECT
+USING (public.is_admin());
+
+DROP POLICY IF EXISTS "Admins can record their own sessions" ON impersonation_sessions;
+CREATE POLICY "Admins can record their own sessions"
+ON impersonation_sessions FOR INSERT
+WITH CHECK (admin_account_id = auth.uid() AND public.is_admin());
+
+DROP POLICY IF EXISTS "Admins can update their own sessions" ON impersonation_sessions;
+CREATE POLICY "Admins can update their own sessions"
+ON impersonation_sessions FOR UPDATE
+USING (admin_account_id = auth.uid() AND public.is_admin())
+WITH CHECK (admin_account_id = auth.uid());
+
+DROP POLICY IF EXISTS "Admins can view impersonation events" ON impersonation_events;
+CREATE POLICY "Admins can view impersonation events"
+ON impersonation_events FOR SELECT
+USING (public.is_admin());
+
+DROP POLICY IF EXISTS "Admins can record events for their own sessions" ON impersonation_events;
+CREATE POLICY "Admins can record events for their own sessions"
+ON impersonation_events FOR INSERT
+WITH CHECK (
+  public.is_admin()
+  AND EXISTS (
+    SELECT 1 FROM impersonation_sessions
+    WHERE impersonation_sessions.id = impersonation_events.session_id
+    AND impersonation_sessions.admin_account_id = auth.uid()
+  )
+);
+
+-- =============================================================================
+-- SIGNUP BOAT CLAIM
+-- =============================================================================
+
+-- Signup with ?boat=slug: the new account has no access yet, so it can't
+-- read the boat through RLS. Only a boat billed to the caller's customer
+-- record (matched by email) that nobody has access to yet can be claimed.
+CREATE OR REPLACE FUNCTION public.claim_boat_by_slug(p_slug TEXT)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_boat_id UUID;
+  v_customer_id UUID;
+BEGIN
+  SELECT id, customer_id INTO v_boat_id, v_customer_id
+  FROM boats WHERE slug = p_slug;
+
+  IF v_boat_id IS NULL THEN
+    RAISE EXCEPTION 'Boat not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM customer_boat_access WHERE boat_id = v_boat_id) THEN
+    RAISE EXCEPTION 'This boat already has an owner - ask them to invite you'
+      USING ERRCODE = '42501';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM customers
+    WHERE id = v_customer_id
+    AND lower(email) = lower(auth.jwt() ->> 'email')
+  ) THEN
+    RAISE EXCEPTION 'This boat is registered to a different customer'
+      USING ERRCODE = '42501';
+  END IF;
+
+  -- is_primary marks the account's default boat, so only for its first one
+  INSERT INTO customer_boat_access (customer_account_id, boat_id, is_primary)
+  VALUES (
+    auth.uid(),
+    v_boat_id,
+    NOT EXISTS (
+      SELECT 1 FROM customer_boat_access
+      WHERE customer_account_id = auth.uid() AND is_primary = true
+    )
+  );
+
+  RETURN v_boat_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.claim_boat_by_slug(TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.claim_boat_by_slug(TEXT) TO authenticated;
+
+-- =============================================================================
+-- VERIFICATION
+-- =============================================================================
+
+DO $$
+DECLARE
+  v_function_count INT;
+  v_policy RECORD;
+  v_extra_policies INT := 0;
+BEGIN
+  SELECT COUNT(*) INTO v_function_count
+  FROM pg_proc
+  WHERE proname IN (
+    'is_admin', 'assert_admin', 'admin_list_customers',
+    'admin_list_boats', 'admin_get_customer', 'admin_get_customer_boats',
+    'claim_boat_by_slug'
+  );
+
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'Migration 019 Verification';
+  RAISE NOTICE '========================================';
+  IF v_function_count < 7 THEN
+    RAISE EXCEPTION '❌ Expected 7 functions, found %', v_function_count;
+  END IF;
+  RAISE NOTICE '✅ is_admin(), admin RPCs and claim_boat_by_slug() created';
+  RAISE NOTICE '✅ is_admin self-promotion trigger installed';
+  IF (
+    SELECT COUNT(*) FROM pg_trigger WHERE tgname = 'enforce_acting_admin'
+  ) < 2 THEN
+    RAISE EXCEPTION '❌ acting_admin_id triggers not installed';
+  END IF;
+  RAISE NOTICE '✅ acting_admin_id checked on service requests and messages';
+
+  -- Permissive policies are OR-ed together, so any other SELECT policy
+  -- on these tables could re-open cross-customer reads
+  FOR v_policy IN
+    SELECT tablename, policyname
+    FROM pg_policies
+    WHERE tablename IN ('boats', 'customers')
+    AND cmd IN ('SELECT', 'ALL')
+    AND permissive = 'PERMISSIVE'
+    AND policyname NOT IN (
+      'Users can view boats they have access to',
+      'Users can view customers of their boats'
+    )
+  LOOP
+    v_extra_policies := v_extra_policies + 1;
+    RAISE WARNING '⚠️  Review policy "%" on % - it may bypass admin enforcement',
+      v_policy.policyname, v_policy.tablename;
+  END LOOP;
+
+  IF v_extra_policies = 0 THEN
+    RAISE NOTICE '✅ No other SELECT policies on boats/customers';
+  END IF;
+  RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,348 @@
+-- Migration 020: Boat sharing and invitations
+-- Date: 2025-11-12
+-- Service: Portal
+-- Tables: customer_boat_access, boat_invitations
+--
+-- Purpose:
+-- Let a boat's owner invite partners and crew by email with a role
+-- (co-owner, view-only, billing-only), see pending invitations and revoke
+-- access. Ownership comes from the boat's customer: customer_boat_access.is_primary
+-- only marks an account's default boat (scripts/grant-all-boat-access.sql),
+-- so it says nothing about who owns the boat.
+--
+-- Impact:
+-- - customer_boat_access gains a role column: 'owner' for every account
+--   linked (by email) to the boat's customer, 'co-owner' for the rest
+-- - New boat_invitations table
+-- - Membership changes go through SECURITY DEFINER RPCs that check the
+--   caller has the owner role; client INSERT/UPDATE on customer_boat_access
+--   is removed (policies dropped, privileges revoked)
+-- - claim_boat_by_slug() (migration 019) now grants the owner role
+
+-- =============================================================================
+-- ROLES ON BOAT ACCESS
+-- =============================================================================
+
+ALTER TABLE customer_boat_access
+ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'co-owner'
+CHECK (role IN ('owner', 'co-owner', 'view-only', 'billing-only'));
+
+UPDATE customer_boat_access a
+SET role = 'owner'
+FROM boats b
+JOIN customers c ON c.id = b.customer_id
+JOIN customer_accounts ca ON lower(ca.email) = lower(c.email)
+WHERE a.boat_id = b.id
+AND a.customer_account_id = ca.id;
+
+COMMENT ON COLUMN customer_boat_access.role IS
+'owner = account of the boat''s customer (manages sharing); co-owner, view-only, billing-only are granted by invitation';
+
+-- One access row per account per boat (accept_boat_invitation upserts on it)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_customer_boat_access_account_boat
+ON customer_boat_access(customer_account_id, boat_id);
+
+-- The role decides who manages sharing (and, from migration 021, what each
+-- account can do), so the browser can no longer write access rows. The
+-- old direct insert from signup is claim_boat_by_slug() now, and every
+-- other write goes through the RPCs below.
+DO $$
+DECLARE
+  v_policy RECORD;
+BEGIN
+  FOR v_policy IN
+    SELECT policyname FROM pg_policies
+    WHERE tablename = 'customer_boat_access'
+    AND cmd IN ('INSERT', 'UPDATE')
+  LOOP
+    EXECUTE format('DROP POLICY %I ON customer_boat_access', v_policy.policyname);
+    RAISE NOTICE 'Dropped client write policy "%" on customer_boat_access', v_policy.policyname;
+  END LOOP;
+END $$;
+
+REVOKE INSERT, UPDATE ON customer_boat_access FROM anon, authenticated;
+
+-- Caller has the owner role on the boat
+CREATE OR REPLACE FUNCTION public.is_boat_owner(p_boat_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM customer_boat_access
+    WHERE boat_id = p_boat_id
+    AND customer_account_id = auth.uid()
+    AND role = 'owner'
+  );
+$$;
+
+-- =============================================================================
+-- INVITATIONS
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS boat_invitations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  boat_id UUID NOT NULL REFERENCES boats(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('co-owner', 'view-only', 'billing-only')),
+  token UUID NOT NULL UNIQUE DEFAULT gen_random_uuid(),
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'revoked')),
+  invited_by UUID NOT NULL REFERENCES customer_accounts(id) ON DELETE CASCADE,
+  acting_admin_id UUID REFERENCES customer_accounts(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL DEFAULT NOW() + INTERVAL '14 days',
+  accepted_at TIMESTAMPTZ,
+  accepted_by UUID REFERENCES customer_accounts(id) ON DELETE SET NULL
+);
+
+-- Invitations sent while acting as a customer name the admin (migration 019)
+DROP TRIGGER IF EXISTS enforce_acting_admin ON boat_invitations;
+CREATE TRIGGER enforce_acting_admin
+BEFORE INSERT OR UPDATE OF acting_admin_id ON boat_invitations
+FOR EACH ROW EXECUTE FUNCTION public.enforce_acting_admin('invited_by');
+
+-- One open invitation per email per boat
+CREATE UNIQUE INDEX IF NOT EXISTS idx_boat_invitations_pending
+ON boat_invitations(boat_id, lower(email))
+WHERE status = 'pending';
+
+ALTER TABLE boat_invitations ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Owners manage their boat invitations" ON boat_invitations;
+CREATE POLICY "Owners manage their boat invitations"
+ON boat_invitations FOR ALL
+USING (public.is_boat_owner(boat_id) OR public.is_admin())
+WITH CHECK (public.is_boat_owner(boat_id) OR public.is_admin());
+
+DROP POLICY IF EXISTS "Invitees can view their invitations" ON boat_invitations;
+CREATE POLICY "Invitees can view their invitations"
+ON boat_invitations FOR SELECT
+USING (lower(email) = lower(auth.jwt() ->> 'email'));
+
+-- =============================================================================
+-- RPCS
+-- =============================================================================
+
+-- People with access to a boat (owner only; other accounts' emails are not
+-- readable through customer_accounts RLS)
+CREATE OR REPLACE FUNCTION public.list_boat_members(p_boat_id UUID)
+RETURNS TABLE (
+  customer_account_id UUID,
+  email TEXT,
+  role TEXT,
+  is_primary BOOLEAN,
+  granted_at TIMESTAMPTZ
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NOT (public.is_boat_owner(p_boat_id) OR public.is_admin()) THEN
+    RAISE EXCEPTION 'Only the boat owner can manage sharing' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN QUERY
+  SELECT a.customer_account_id, ca.email::TEXT, a.role, a.is_primary, a.granted_at
+  FROM customer_boat_access a
+  JOIN customer_accounts ca ON ca.id = a.customer_account_id
+  WHERE a.boat_id = p_boat_id
+  ORDER BY (a.role = 'owner') DESC, a.granted_at;
+END;
+$$;
+
+-- Remove someone's access (owners cannot be removed this way)
+CREATE OR REPLACE FUNCTION public.revoke_boat_access(p_boat_id UUID, p_account_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NOT (public.is_boat_owner(p_boat_id) OR public.is_admin()) THEN
+    RAISE EXCEPTION 'Only the boat owner can manage sharing' USING ERRCODE = '42501';
+  END IF;
+
+  DELETE FROM customer_boat_access
+  WHERE boat_id = p_boat_id
+  AND customer_account_id = p_account_id
+  AND role <> 'owner';
+END;
+$$;
+
+-- Invitation details for the invitee (boat name is not readable through
+-- boats RLS until the invitation is accepted)
+CREATE OR REPLACE FUNCTION public.get_boat_invitation(p_token UUID)
+RETURNS TABLE (
+  id UUID,
+  boat_name TEXT,
+  role TEXT,
+  status TEXT,
+  expires_at TIMESTAMPTZ,
+  invited_by_email TEXT
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT i.id, b.name::TEXT, i.role, i.status, i.expires_at, ca.email::TEXT
+  FROM boat_invitations i
+  JOIN boats b ON b.id = i.boat_id
+  JOIN customer_accounts ca ON ca.id = i.invited_by
+  WHERE i.token = p_token
+  AND lower(i.email) = lower(auth.jwt() ->> 'email');
+END;
+$$;
+
+-- Accept an invitation for the signed-in user
+CREATE OR REPLACE FUNCTION public.accept_boat_invitation(p_token UUID)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_invitation boat_invitations%ROWTYPE;
+BEGIN
+  SELECT * INTO v_invitation
+  FROM boat_invitations
+  WHERE token = p_token
+  FOR UPDATE;
+
+  IF NOT FOUND OR v_invitation.status <> 'pending' THEN
+    RAISE EXCEPTION 'Invitation not found or no longer valid' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_invitation.expires_at < NOW() THEN
+    RAISE EXCEPTION 'This invitation has expired' USING ERRCODE = '22023';
+  END IF;
+
+  IF lower(v_invitation.email) <> lower(auth.jwt() ->> 'email') THEN
+    RAISE EXCEPTION 'This invitation was sent to a different email address' USING ERRCODE = '42501';
+  END IF;
+
+  INSERT INTO customer_boat_access (customer_account_id, boat_id, is_primary, role)
+  VALUES (auth.uid(), v_invitation.boat_id, false, v_invitation.role)
+  ON CONFLICT (customer_account_id, boat_id)
+  DO UPDATE SET role = EXCLUDED.role
+  WHERE customer_boat_access.role <> 'owner';
+
+  UPDATE boat_invitations
+  SET status = 'accepted', accepted_at = NOW(), accepted_by = auth.uid()
+  WHERE id = v_invitation.id;
+
+  RETURN v_invitation.boat_id;
+END;
+$$;
+
+-- Signup with ?boat=slug (migration 019), now granting the owner role.
+-- Refused when anyone already has access to the boat or it is registered
+-- to a different customer.
+CREATE OR REPLACE FUNCTION public.claim_boat_by_slug(p_slug TEXT)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_boat_id UUID;
+  v_customer_id UUID;
+BEGIN
+  SELECT id, customer_id INTO v_boat_id, v_customer_id
+  FROM boats WHERE slug = p_slug;
+
+  IF v_boat_id IS NULL THEN
+    RAISE EXCEPTION 'Boat not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM customer_boat_access WHERE boat_id = v_boat_id) THEN
+    RAISE EXCEPTION 'This boat already has an owner - ask them to invite you'
+      USING ERRCODE = '42501';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM customers
+    WHERE id = v_customer_id
+    AND lower(email) = lower(auth.jwt() ->> 'email')
+  ) THEN
+    RAISE EXCEPTION 'This boat is registered to a different customer'
+      USING ERRCODE = '42501';
+  END IF;
+
+  INSERT INTO customer_boat_access (customer_account_id, boat_id, is_primary, role)
+  VALUES (
+    auth.uid(),
+    v_boat_id,
+    NOT EXISTS (
+      SELECT 1 FROM customer_boat_access
+      WHERE customer_account_id = auth.uid() AND is_primary = true
+    ),
+    'owner'
+  );
+
+  RETURN v_boat_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.is_boat_owner(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.list_boat_members(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.revoke_boat_access(UUID, UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.get_boat_invitation(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.accept_boat_invitation(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.claim_boat_by_slug(TEXT) TO authenticated;
+
+-- =============================================================================
+-- VERIFICATION
+-- =============================================================================
+
+DO $$
+DECLARE
+  v_role_exists BOOLEAN;
+  v_owner_count INT;
+  v_policy RECORD;
+  v_write_policies INT := 0;
+BEGIN
+  SELECT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'customer_boat_access' AND column_name = 'role'
+  ) INTO v_role_exists;
+
+  SELECT COUNT(*) INTO v_owner_count
+  FROM customer_boat_access WHERE role = 'owner';
+
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'Migration 020 Verification';
+  RAISE NOTICE '========================================';
+  IF NOT v_role_exists THEN
+    RAISE EXCEPTION '❌ role column missing on customer_boat_access';
+  END IF;
+  RAISE NOTICE '✅ role column added (% owner rows)', v_owner_count;
+
+  -- Any policy that lets the browser write an access row lets it pick its
+  -- own role
+  FOR v_policy IN
+    SELECT policyname, cmd
+    FROM pg_policies
+    WHERE tablename = 'customer_boat_access'
+    AND cmd IN ('INSERT', 'UPDATE', 'ALL')
+  LOOP
+    v_write_policies := v_write_policies + 1;
+    RAISE WARNING '⚠️  % policy "%" on customer_boat_access', v_policy.cmd, v_policy.policyname;
+  END LOOP;
+
+  IF v_write_policies > 0
+     OR has_table_privilege('authenticated', 'customer_boat_access', 'INSERT')
+     OR has_table_privilege('authenticated', 'customer_boat_access', 'UPDATE') THEN
+    RAISE EXCEPTION '❌ Clients can still write customer_boat_access';
+  END IF;
+  RAISE NOTICE '✅ customer_boat_access writes only through RPCs';
+  RAISE NOTICE '✅ boat_invitations table created';
+  RAISE NOTICE '✅ Sharing RPCs created';
+  RAISE NOTICE '========================================';
+END $$;
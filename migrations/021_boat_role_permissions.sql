@@ -0,0 +1,144 @@
+-- Migration 021: Enforce per-boat role permissions
+-- Date: 2025-11-13
+-- Service: Portal
+-- Tables: service_logs, service_requests, customer_messages, invoices
+--
+-- Purpose:
+-- Migration 020 added customer_boat_access.role, but anyone with a row in
+-- customer_boat_access could still read invoices, messages and service
+-- requests for the boat. This migration maps each role to the permissions
+-- it grants (mirrors src/lib/boat-roles.js) and adds RESTRICTIVE policies so
+-- the database refuses what the portal hides:
+-- - view-only:    service history and videos
+-- - billing-only: invoices and payment setup
+-- - co-owner:     everything except managing sharing
+-- - owner:        everything
+--
+-- Impact:
+-- - Restrictive policies are AND-ed with the existing permissive ones, so
+--   they only narrow access; admins are always allowed
+-- - Tables without RLS enabled ignore policies; the verification block
+--   warns about them
+
+-- =============================================================================
+-- PERMISSION HELPERS
+-- =============================================================================
+
+CREATE OR REPLACE FUNCTION public.boat_role_permissions(p_role TEXT)
+RETURNS TEXT[]
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE p_role
+    WHEN 'owner' THEN ARRAY[
+      'view_services', 'view_invoices', 'manage_payment',
+      'messages', 'request_service', 'manage_sharing'
+    ]
+    WHEN 'co-owner' THEN ARRAY[
+      'view_services', 'view_invoices', 'manage_payment',
+      'messages', 'request_service'
+    ]
+    WHEN 'view-only' THEN ARRAY['view_services']
+    WHEN 'billing-only' THEN ARRAY['view_invoices', 'manage_payment']
+    ELSE ARRAY[]::TEXT[]
+  END;
+$$;
+
+-- Caller's role on the boat grants the permission
+CREATE OR REPLACE FUNCTION public.has_boat_permission(p_boat_id UUID, p_permission TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT public.is_admin() OR EXISTS (
+    SELECT 1 FROM customer_boat_access
+    WHERE boat_id = p_boat_id
+    AND customer_account_id = auth.uid()
+    AND p_permission = ANY(public.boat_role_permissions(role))
+  );
+$$;
+
+-- Caller holds the permission on any boat billed to this Stripe customer
+-- (invoices are keyed by Stripe customer ID, not boat)
+CREATE OR REPLACE FUNCTION public.has_billing_permission(p_stripe_customer_id TEXT, p_permission TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT public.is_admin() OR EXISTS (
+    SELECT 1 FROM customers c
+    JOIN boats b ON b.customer_id = c.id
+    JOIN customer_boat_access a ON a.boat_id = b.id
+    WHERE c.stripe_customer_id = p_stripe_customer_id
+    AND a.customer_account_id = auth.uid()
+    AND p_permission = ANY(public.boat_role_permissions(a.role))
+  );
+$$;
+
+GRANT EXECUTE ON FUNCTION public.boat_role_permissions(TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.has_boat_permission(UUID, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.has_billing_permission(TEXT, TEXT) TO authenticated;
+
+-- =============================================================================
+-- RESTRICTIVE POLICIES
+-- =============================================================================
+
+DROP POLICY IF EXISTS "Boat role allows service history" ON service_logs;
+CREATE POLICY "Boat role allows service history"
+ON service_logs AS RESTRICTIVE FOR SELECT
+USING (public.has_boat_permission(boat_id, 'view_services'));
+
+DROP POLICY IF EXISTS "Boat role allows service requests" ON service_requests;
+CREATE POLICY "Boat role allows service requests"
+ON service_requests AS RESTRICTIVE FOR ALL
+USING (public.has_boat_permission(boat_id, 'request_service'))
+WITH CHECK (public.has_boat_permission(boat_id, 'request_service'));
+
+DROP POLICY IF EXISTS "Boat role allows messages" ON customer_messages;
+CREATE POLICY "Boat role allows messages"
+ON customer_messages AS RESTRICTIVE FOR ALL
+USING (public.has_boat_permission(boat_id, 'messages'))
+WITH CHECK (public.has_boat_permission(boat_id, 'messages'));
+
+DROP POLICY IF EXISTS "Boat role allows invoices" ON invoices;
+CREATE POLICY "Boat role allows invoices"
+ON invoices AS RESTRICTIVE FOR SELECT
+USING (public.has_billing_permission(customer_id, 'view_invoices'));
+
+-- =============================================================================
+-- VERIFICATION
+-- =============================================================================
+
+DO $$
+DECLARE
+  v_table RECORD;
+BEGIN
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'Migration 021 Verification';
+  RAISE NOTICE '========================================';
+
+  IF NOT ('view_services' = ANY(public.boat_role_permissions('view-only')))
+     OR 'view_invoices' = ANY(public.boat_role_permissions('view-only')) THEN
+    RAISE EXCEPTION '❌ view-only permissions are wrong';
+  END IF;
+  RAISE NOTICE '✅ Role permission map created';
+
+  FOR v_table IN
+    SELECT c.relname, c.relrowsecurity
+    FROM pg_class c
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE n.nspname = 'public'
+    AND c.relname IN ('service_logs', 'service_requests', 'customer_messages', 'invoices')
+  LOOP
+    IF v_table.relrowsecurity THEN
+      RAISE NOTICE '✅ Role policy active on %', v_table.relname;
+    ELSE
+      RAISE WARNING '⚠️  RLS is disabled on % - role policy has no effect', v_table.relname;
+    END IF;
+  END LOOP;
+  RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,239 @@
+-- Migration 022: Self-service account deletion with a grace period
+-- Date: 2025-11-14
+-- Service: Portal
+-- Tables: customer_accounts, account_deletions, customer_messages, service_requests
+--
+-- Purpose:
+-- deleteAccount() only signed the user out and left deletion to an admin.
+-- Customers can now request deletion themselves. The account stays usable
+-- (and the request can be cancelled) for a 30-day grace period, after which
+-- process_account_deletions():
+-- - revokes all boat access and open invitations
+-- - anonymizes the customer's messages and strips message/request attachments
+-- - deletes the portal account and auth user
+-- Invoices and the billing customer record are kept for accounting.
+--
+-- Impact:
+-- - customer_accounts gains deletion_requested_at / deletion_scheduled_for
+-- - New account_deletions log (admin-readable) recording each completed deletion
+-- - Customer-authored rows keep their history but lose the account link
+--   (foreign keys switched to ON DELETE SET NULL)
+-- - process_account_deletions() is scheduled daily when pg_cron is available
+
+-- =============================================================================
+-- DELETION REQUEST COLUMNS
+-- =============================================================================
+
+ALTER TABLE customer_accounts
+ADD COLUMN IF NOT EXISTS deletion_requested_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS deletion_scheduled_for TIMESTAMPTZ;
+
+COMMENT ON COLUMN customer_accounts.deletion_scheduled_for IS
+'When set, the account is deleted by process_account_deletions() after this time unless cancelled';
+
+CREATE INDEX IF NOT EXISTS idx_customer_accounts_deletion_scheduled
+ON customer_accounts(deletion_scheduled_for)
+WHERE deletion_scheduled_for IS NOT NULL;
+
+-- =============================================================================
+-- KEEP HISTORY WHEN AN ACCOUNT IS DELETED
+-- =============================================================================
+
+ALTER TABLE customer_messages
+DROP CONSTRAINT IF EXISTS customer_messages_sender_account_id_fkey;
+ALTER TABLE customer_messages
+ADD CONSTRAINT customer_messages_sender_account_id_fkey
+FOREIGN KEY (sender_account_id) REFERENCES customer_accounts(id) ON DELETE SET NULL;
+
+ALTER TABLE service_requests
+DROP CONSTRAINT IF EXISTS service_requests_customer_account_id_fkey;
+ALTER TABLE service_requests
+ADD CONSTRAINT service_requests_customer_account_id_fkey
+FOREIGN KEY (customer_account_id) REFERENCES customer_accounts(id) ON DELETE SET NULL;
+
+-- =============================================================================
+-- DELETION LOG
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS account_deletions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  account_id UUID NOT NULL,
+  requested_at TIMESTAMPTZ NOT NULL,
+  completed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  messages_anonymized INT NOT NULL DEFAULT 0,
+  -- Storage paths that could not be removed automatically (clean up via Storage API)
+  pending_attachment_paths TEXT[] NOT NULL DEFAULT '{}'
+);
+
+ALTER TABLE account_deletions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins can view account deletions" ON account_deletions;
+CREATE POLICY "Admins can view account deletions"
+ON account_deletions FOR SELECT
+USING (public.is_admin());
+
+-- =============================================================================
+-- CUSTOMER RPCS
+-- =============================================================================
+
+-- Schedule deletion of the caller's account
+CREATE OR REPLACE FUNCTION public.request_account_deletion()
+RETURNS TIMESTAMPTZ
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_scheduled TIMESTAMPTZ;
+BEGIN
+  UPDATE customer_accounts
+  SET deletion_requested_at = COALESCE(deletion_requested_at, NOW()),
+      deletion_scheduled_for = COALESCE(deletion_scheduled_for, NOW() + INTERVAL '30 days')
+  WHERE id = auth.uid()
+  RETURNING deletion_scheduled_for INTO v_scheduled;
+
+  IF v_scheduled IS NULL THEN
+    RAISE EXCEPTION 'Account not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  RETURN v_scheduled;
+END;
+$$;
+
+-- Cancel a pending deletion during the grace period
+CREATE OR REPLACE FUNCTION public.cancel_account_deletion()
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE customer_accounts
+  SET deletion_requested_at = NULL,
+      deletion_scheduled_for = NULL
+  WHERE id = auth.uid();
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.request_account_deletion() TO authenticated;
+GRANT EXECUTE ON FUNCTION public.cancel_account_deletion() TO authenticated;
+
+-- =============================================================================
+-- DELETION JOB
+-- =============================================================================
+
+-- Delete every account whose grace period has passed; returns the number deleted
+CREATE OR REPLACE FUNCTION public.process_account_deletions()
+RETURNS INT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_account RECORD;
+  v_paths TEXT[];
+  v_messages INT;
+  v_count INT := 0;
+BEGIN
+  FOR v_account IN
+    SELECT id, email, deletion_requested_at
+    FROM customer_accounts
+    WHERE deletion_scheduled_for IS NOT NULL
+    AND deletion_scheduled_for <= NOW()
+    FOR UPDATE SKIP LOCKED
+  LOOP
+    -- Attachment files referenced by the customer's messages and requests
+    SELECT COALESCE(array_agg(DISTINCT path), '{}') INTO v_paths
+    FROM (
+      SELECT substring(att ->> 'url' FROM '/customer-attachments/(.+)$') AS path
+      FROM customer_messages m, jsonb_array_elements(m.attachments) att
+      WHERE m.sender_account_id = v_account.id
+      UNION ALL
+      SELECT substring(att ->> 'url' FROM '/customer-attachments/(.+)$')
+      FROM service_requests r, jsonb_array_elements(r.attachments) att
+      WHERE r.customer_account_id = v_account.id
+    ) paths
+    WHERE path IS NOT NULL;
+
+    UPDATE customer_messages
+    SET message_text = '[Message removed at customer request]',
+        attachments = '[]'::jsonb
+    WHERE sender_account_id = v_account.id;
+    GET DIAGNOSTICS v_messages = ROW_COUNT;
+
+    UPDATE service_requests
+    SET attachments = '[]'::jsonb
+    WHERE customer_account_id = v_account.id;
+
+    DELETE FROM customer_boat_access WHERE customer_account_id = v_account.id;
+
+    UPDATE boat_invitations
+    SET status = 'revoked'
+    WHERE status = 'pending'
+    AND (invited_by = v_account.id OR lower(email) = lower(v_account.email));
+
+    -- Direct deletes from storage.objects are refused on some projects;
+    -- keep the paths in the log so they can be removed via the Storage API
+    BEGIN
+      DELETE FROM storage.objects
+      WHERE bucket_id = 'customer-attachments'
+      AND name = ANY(v_paths);
+      v_paths := '{}';
+    EXCEPTION WHEN OTHERS THEN
+      RAISE WARNING 'Could not delete attachments for account %: %', v_account.id, SQLERRM;
+    END;
+
+    INSERT INTO account_deletions (account_id, requested_at, messages_anonymized, pending_attachment_paths)
+    VALUES (v_account.id, v_account.deletion_requested_at, v_messages, v_paths);
+
+    DELETE FROM customer_accounts WHERE id = v_account.id;
+    DELETE FROM auth.users WHERE id = v_account.id;
+
+    v_count := v_count + 1;
+  END LOOP;
+
+  RETURN v_count;
+END;
+$$;
+
+-- Service role / scheduler only
+REVOKE EXECUTE ON FUNCTION public.process_account_deletions() FROM PUBLIC, anon, authenticated;
+
+-- Run daily when pg_cron is installed
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron') THEN
+    PERFORM cron.schedule(
+      'process-account-deletions',
+      '15 3 * * *',
+      'SELECT public.process_account_deletions()'
+    );
+  ELSE
+    RAISE WARNING '⚠️  pg_cron not installed - schedule SELECT public.process_account_deletions() daily';
+  END IF;
+END $$;
+
+-- =============================================================================
+-- VERIFICATION
+-- =============================================================================
+
+DO $$
+DECLARE
+  v_column_exists BOOLEAN;
+BEGIN
+  SELECT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'customer_accounts' AND column_name = 'deletion_scheduled_for'
+  ) INTO v_column_exists;
+
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'Migration 022 Verification';
+  RAISE NOTICE '========================================';
+  IF NOT v_column_exists THEN
+    RAISE EXCEPTION '❌ deletion_scheduled_for column missing on customer_accounts';
+  END IF;
+  RAISE NOTICE '✅ Deletion request columns added';
+  RAISE NOTICE '✅ account_deletions log created';
+  RAISE NOTICE '✅ Deletion RPCs and job created';
+  RAISE NOTICE '========================================';
+END $$;
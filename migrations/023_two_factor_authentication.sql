@@ -0,0 +1,263 @@
+-- Migration 023: Two-factor authentication
+-- Date: 2025-11-15
+-- Service: Portal
+-- Tables: mfa_recovery_codes, impersonation_sessions
+--
+-- Purpose:
+-- Customers can enroll a TOTP authenticator (Supabase MFA) from Account
+-- Settings. Supabase MFA has no recovery codes, so this migration stores
+-- hashed one-time codes that let a user who lost their device remove the
+-- factor and enroll again. Admins must be signed in at AAL2 (password +
+-- authenticator code) before any admin access applies.
+--
+-- Impact:
+-- - is_admin() is true only at AAL2, so every admin RLS branch and
+--   admin_* RPC (migrations 019-022) refuses an admin who hasn't passed
+--   the second factor; is_admin_account() reports the flag alone
+-- - New mfa_recovery_codes table (no direct access; RPCs only)
+-- - impersonation_sessions inserts require an AAL2 session, so
+--   setImpersonation() fails closed without 2FA
+-- - admin_get_customer / admin_get_customer_boats (impersonated reads)
+--   require AAL2
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA extensions;
+
+-- =============================================================================
+-- AAL CHECK
+-- =============================================================================
+
+-- Current session completed a second factor
+CREATE OR REPLACE FUNCTION public.is_mfa_verified()
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT COALESCE(auth.jwt() ->> 'aal', 'aal1') = 'aal2';
+$$;
+
+GRANT EXECUTE ON FUNCTION public.is_mfa_verified() TO authenticated;
+
+-- =============================================================================
+-- ADMIN ACCESS REQUIRES AAL2
+-- =============================================================================
+
+-- The customer_accounts.is_admin flag alone (for the UI to ask admins
+-- without two-factor to set it up)
+CREATE OR REPLACE FUNCTION public.is_admin_account()
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT COALESCE(
+    (SELECT is_admin FROM customer_accounts WHERE id = auth.uid()),
+    false
+  );
+$$;
+
+GRANT EXECUTE ON FUNCTION public.is_admin_account() TO authenticated;
+
+-- Replaces 019's is_admin(): the policies and RPCs that call it now all
+-- require the second factor
+CREATE OR REPLACE FUNCTION public.is_admin()
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT public.is_admin_account() AND public.is_mfa_verified();
+$$;
+
+CREATE OR REPLACE FUNCTION public.assert_admin()
+RETURNS VOID
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NOT public.is_admin_account() THEN
+    RAISE EXCEPTION 'Admin access required' USING ERRCODE = '42501';
+  END IF;
+
+  IF NOT public.is_mfa_verified() THEN
+    RAISE EXCEPTION 'Two-factor authentication required' USING ERRCODE = '42501';
+  END IF;
+END;
+$$;
+
+-- Kept for the impersonation RPCs below; assert_admin() now checks AAL2 too
+CREATE OR REPLACE FUNCTION public.assert_admin_mfa()
+RETURNS VOID
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM public.assert_admin();
+END;
+$$;
+
+-- =============================================================================
+-- RECOVERY CODES
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  account_id UUID NOT NULL REFERENCES customer_accounts(id) ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  used_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_account
+ON mfa_recovery_codes(account_id)
+WHERE used_at IS NULL;
+
+-- RLS with no policies: only the SECURITY DEFINER functions below touch it
+ALTER TABLE mfa_recovery_codes ENABLE ROW LEVEL SECURITY;
+
+-- Replace the caller's recovery codes; returns the plain codes once
+CREATE OR REPLACE FUNCTION public.generate_mfa_recovery_codes()
+RETURNS TEXT[]
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  v_codes TEXT[] := '{}';
+  v_code TEXT;
+BEGIN
+  IF NOT public.is_mfa_verified() THEN
+    RAISE EXCEPTION 'Verify your authenticator code first' USING ERRCODE = '42501';
+  END IF;
+
+  DELETE FROM mfa_recovery_codes WHERE account_id = auth.uid();
+
+  FOR i IN 1..10 LOOP
+    -- 10 hex characters shown as xxxxx-xxxxx
+    v_code := encode(gen_random_bytes(5), 'hex');
+    v_code := substr(v_code, 1, 5) || '-' || substr(v_code, 6, 5);
+    v_codes := array_append(v_codes, v_code);
+
+    INSERT INTO mfa_recovery_codes (account_id, code_hash)
+    VALUES (auth.uid(), crypt(v_code, gen_salt('bf')));
+  END LOOP;
+
+  RETURN v_codes;
+END;
+$$;
+
+-- Number of unused recovery codes the caller has left
+CREATE OR REPLACE FUNCTION public.count_mfa_recovery_codes()
+RETURNS INT
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT COUNT(*)::INT FROM mfa_recovery_codes
+  WHERE account_id = auth.uid() AND used_at IS NULL;
+$$;
+
+-- Spend a recovery code: removes the caller's authenticator factors so they
+-- can sign in with their password and enroll a new device
+CREATE OR REPLACE FUNCTION public.redeem_mfa_recovery_code(p_code TEXT)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  v_code_id UUID;
+BEGIN
+  SELECT id INTO v_code_id
+  FROM mfa_recovery_codes
+  WHERE account_id = auth.uid()
+  AND used_at IS NULL
+  AND code_hash = crypt(lower(trim(p_code)), code_hash)
+  LIMIT 1
+  FOR UPDATE;
+
+  IF v_code_id IS NULL THEN
+    RAISE EXCEPTION 'Invalid or already used recovery code' USING ERRCODE = '22023';
+  END IF;
+
+  UPDATE mfa_recovery_codes SET used_at = NOW() WHERE id = v_code_id;
+  DELETE FROM auth.mfa_factors WHERE user_id = auth.uid();
+
+  RETURN true;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.generate_mfa_recovery_codes() TO authenticated;
+GRANT EXECUTE ON FUNCTION public.count_mfa_recovery_codes() TO authenticated;
+GRANT EXECUTE ON FUNCTION public.redeem_mfa_recovery_code(TEXT) TO authenticated;
+
+-- =============================================================================
+-- ADMIN IMPERSONATION REQUIRES AAL2
+-- =============================================================================
+
+DROP POLICY IF EXISTS "Impersonation requires two-factor authentication" ON impersonation_sessions;
+CREATE POLICY "Impersonation requires two-factor authentication"
+ON impersonation_sessions AS RESTRICTIVE FOR INSERT
+WITH CHECK (public.is_mfa_verified());
+
+-- Impersonated reads (bodies unchanged from 019 apart from the MFA check)
+CREATE OR REPLACE FUNCTION public.admin_get_customer(p_customer_id UUID)
+RETURNS SETOF customers
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM public.assert_admin_mfa();
+
+  RETURN QUERY SELECT * FROM customers WHERE id = p_customer_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.admin_get_customer_boats(p_customer_id UUID)
+RETURNS SETOF boats
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM public.assert_admin_mfa();
+
+  RETURN QUERY SELECT * FROM boats WHERE customer_id = p_customer_id ORDER BY name;
+END;
+$$;
+
+-- =============================================================================
+-- VERIFICATION
+-- =============================================================================
+
+DO $$
+DECLARE
+  v_function_count INT;
+BEGIN
+  SELECT COUNT(*) INTO v_function_count
+  FROM pg_proc
+  WHERE proname IN (
+    'is_mfa_verified', 'is_admin_account', 'assert_admin_mfa',
+    'generate_mfa_recovery_codes', 'count_mfa_recovery_codes',
+    'redeem_mfa_recovery_code'
+  );
+
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'Migration 023 Verification';
+  RAISE NOTICE '========================================';
+  IF v_function_count < 6 THEN
+    RAISE EXCEPTION '❌ Expected 6 functions, found %', v_function_count;
+  END IF;
+  RAISE NOTICE '✅ MFA helpers and recovery code RPCs created';
+  RAISE NOTICE '✅ is_admin() and impersonation require AAL2';
+  RAISE NOTICE '========================================';
+END $$;
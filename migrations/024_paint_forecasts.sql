@@ -0,0 +1,174 @@
+-- Migration 024: Repaint forecasts for the dashboard and service reminders
+-- Date: 2025-11-16
+-- Service: Portal
+-- Tables: paint_forecasts
+--
+-- Purpose:
+-- The portal now projects when a boat's bottom paint will reach "poor" by
+-- fitting its severity progression across service_logs (src/lib/paint-forecast.js).
+-- The dashboard records each boat's latest forecast here so the reminder job,
+-- which sends "Upcoming Service" emails, can include the projected repaint
+-- month without reimplementing the fit.
+--
+-- Impact:
+-- - New paint_forecasts table, one row per boat, readable by boat members
+-- - record_paint_forecast() RPC, callable by the boat's owner and co-owners
+--   (the people the reminders go to) and admins; every argument is checked
+--   before it is stored
+-- - repaint_reminder_candidates view (service role only) listing owners to remind
+--   when a repaint is due or projected within 6 months
+
+-- =============================================================================
+-- FORECASTS
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS paint_forecasts (
+  boat_id UUID PRIMARY KEY REFERENCES boats(id) ON DELETE CASCADE,
+  status TEXT NOT NULL CHECK (status IN ('due', 'projected', 'stable', 'insufficient-data')),
+  repaint_month DATE,
+  earliest_month DATE,
+  latest_month DATE,
+  confidence TEXT CHECK (confidence IN ('low', 'medium', 'high')),
+  inspections INT NOT NULL DEFAULT 0,
+  computed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON COLUMN paint_forecasts.repaint_month IS
+'First day of the month the overall paint condition is projected to reach poor';
+
+ALTER TABLE paint_forecasts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Boat members can view paint forecasts" ON paint_forecasts;
+CREATE POLICY "Boat members can view paint forecasts"
+ON paint_forecasts FOR SELECT
+USING (public.has_boat_permission(boat_id, 'view_services'));
+
+-- =============================================================================
+-- RPCS
+-- =============================================================================
+
+-- Months arrive as YYYY-MM from the client. View-only and billing-only
+-- members can read the forecast but not replace it, since it decides the
+-- owners' reminder emails.
+CREATE OR REPLACE FUNCTION public.record_paint_forecast(
+  p_boat_id UUID,
+  p_status TEXT,
+  p_repaint_month TEXT,
+  p_earliest_month TEXT,
+  p_latest_month TEXT,
+  p_confidence TEXT,
+  p_inspections INT
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NOT (
+    public.is_admin() OR EXISTS (
+      SELECT 1 FROM customer_boat_access
+      WHERE boat_id = p_boat_id
+      AND customer_account_id = auth.uid()
+      AND role IN ('owner', 'co-owner')
+    )
+  ) THEN
+    RAISE EXCEPTION 'Only the boat''s owners can record its forecast' USING ERRCODE = '42501';
+  END IF;
+
+  IF p_status IS NULL OR p_status NOT IN ('due', 'projected', 'stable', 'insufficient-data') THEN
+    RAISE EXCEPTION 'Invalid forecast status' USING ERRCODE = '22023';
+  END IF;
+
+  IF p_confidence IS NOT NULL AND p_confidence NOT IN ('low', 'medium', 'high') THEN
+    RAISE EXCEPTION 'Invalid forecast confidence' USING ERRCODE = '22023';
+  END IF;
+
+  IF p_repaint_month !~ '^\d{4}-(0[1-9]|1[0-2])$'
+     OR p_earliest_month !~ '^\d{4}-(0[1-9]|1[0-2])$'
+     OR p_latest_month !~ '^\d{4}-(0[1-9]|1[0-2])$' THEN
+    RAISE EXCEPTION 'Invalid forecast month' USING ERRCODE = '22023';
+  END IF;
+
+  IF p_status IN ('due', 'projected') AND p_repaint_month IS NULL THEN
+    RAISE EXCEPTION 'A due or projected forecast needs a repaint month' USING ERRCODE = '22023';
+  END IF;
+
+  IF p_inspections < 0 THEN
+    RAISE EXCEPTION 'Invalid inspection count' USING ERRCODE = '22023';
+  END IF;
+
+  INSERT INTO paint_forecasts (
+    boat_id, status, repaint_month, earliest_month, latest_month,
+    confidence, inspections, computed_at
+  )
+  VALUES (
+    p_boat_id,
+    p_status,
+    (p_repaint_month || '-01')::DATE,
+    (p_earliest_month || '-01')::DATE,
+    (p_latest_month || '-01')::DATE,
+    p_confidence,
+    COALESCE(p_inspections, 0),
+    NOW()
+  )
+  ON CONFLICT (boat_id) DO UPDATE SET
+    status = EXCLUDED.status,
+    repaint_month = EXCLUDED.repaint_month,
+    earliest_month = EXCLUDED.earliest_month,
+    latest_month = EXCLUDED.latest_month,
+    confidence = EXCLUDED.confidence,
+    inspections = EXCLUDED.inspections,
+    computed_at = EXCLUDED.computed_at;
+END;
+$$;
+
+-- =============================================================================
+-- REMINDERS
+-- =============================================================================
+
+-- Owners who haven't turned off "Upcoming Service" reminders, for boats that
+-- are due or projected to need a repaint within 6 months
+CREATE OR REPLACE VIEW repaint_reminder_candidates AS
+SELECT
+  f.boat_id,
+  b.name AS boat_name,
+  a.customer_account_id,
+  ca.email,
+  f.status,
+  f.repaint_month,
+  f.confidence,
+  f.computed_at
+FROM paint_forecasts f
+JOIN boats b ON b.id = f.boat_id
+JOIN customer_boat_access a ON a.boat_id = f.boat_id AND a.role IN ('owner', 'co-owner')
+JOIN customer_accounts ca ON ca.id = a.customer_account_id
+WHERE (
+  f.status = 'due'
+  OR (f.status = 'projected' AND f.repaint_month < date_trunc('month', NOW()) + INTERVAL '6 months')
+)
+AND COALESCE((ca.notification_preferences ->> 'upcoming_service')::BOOLEAN, TRUE);
+
+REVOKE ALL ON repaint_reminder_candidates FROM anon, authenticated;
+
+-- =============================================================================
+-- VERIFICATION
+-- =============================================================================
+
+DO $$
+BEGIN
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'Migration 024 Verification';
+  RAISE NOTICE '========================================';
+  IF NOT EXISTS (SELECT 1 FROM pg_proc WHERE proname = 'record_paint_forecast') THEN
+    RAISE EXCEPTION '❌ record_paint_forecast() not created';
+  END IF;
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_views WHERE viewname = 'repaint_reminder_candidates'
+  ) THEN
+    RAISE EXCEPTION '❌ repaint_reminder_candidates view not created';
+  END IF;
+  RAISE NOTICE '✅ paint_forecasts table and RPC created';
+  RAISE NOTICE '✅ Reminder view restricted to the service role';
+  RAISE NOTICE '========================================';
+END $$;
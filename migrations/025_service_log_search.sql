@@ -0,0 +1,249 @@
+-- Migration 025: Full-text search and filter fields for service history
+-- Date: 2025-11-17
+-- Service: Portal
+-- Tables: service_logs
+--
+-- Purpose:
+-- Service History searches notes and filters by paint condition, anode
+-- replacements and videos. These are computed fields on service_logs
+-- (functions taking the row), which PostgREST exposes for filtering
+-- without adding them to `select *` or storing anything new. The timeline
+-- pages with keyset cursors, so the filtering has to happen here rather
+-- than in the browser.
+--
+-- Impact:
+-- - search_vector(service_logs): notes, thru-hull notes, propeller notes and technician
+-- - paint_severity(service_logs): overall paint condition on the portal's 1-8 scale
+--   scored from condition_terms(), generated from src/lib/conditions.js
+-- - anodes_replaced(service_logs), has_video(service_logs): booleans for the filters
+-- - Read-only; service_logs RLS still decides which rows a customer sees.
+--   Not indexed: searches are always scoped to one boat's logs.
+
+-- =============================================================================
+-- HELPERS
+-- =============================================================================
+
+-- Number of items in a JSON list column, stored either as JSONB or as JSON
+-- text, and either a bare array or wrapped ({"anodes": [...]})
+CREATE OR REPLACE FUNCTION public.json_list_length(p_value TEXT)
+RETURNS INT
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+  v_json JSONB;
+  v_length INT;
+BEGIN
+  IF p_value IS NULL OR btrim(p_value) = '' THEN
+    RETURN 0;
+  END IF;
+
+  v_json := p_value::JSONB;
+
+  IF jsonb_typeof(v_json) = 'array' THEN
+    RETURN jsonb_array_length(v_json);
+  END IF;
+
+  IF jsonb_typeof(v_json) = 'object' THEN
+    SELECT jsonb_array_length(value) INTO v_length
+    FROM jsonb_each(v_json)
+    WHERE jsonb_typeof(value) = 'array'
+    LIMIT 1;
+    RETURN COALESCE(v_length, 0);
+  END IF;
+
+  RETURN 0;
+EXCEPTION WHEN others THEN
+  RETURN 0; -- Not JSON
+END;
+$$;
+
+-- Condition vocabulary (CONDITIONS in src/lib/conditions.js), so both sides
+-- score from the same table. Regenerate the rows with
+-- `node scripts/generate-condition-terms-sql.mjs`; tests/condition-severity-sql.spec.js
+-- checks they match.
+CREATE OR REPLACE FUNCTION public.condition_terms()
+RETURNS TABLE (term TEXT, severity INT)
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  -- GENERATED: scripts/generate-condition-terms-sql.mjs
+  VALUES
+    ('not-inspected', 0),
+    ('excellent', 1),
+    ('excellent-good', 2),
+    ('good', 3),
+    ('good-fair', 4),
+    ('fair', 5),
+    ('fair-poor', 6),
+    ('poor', 7),
+    ('very-poor', 8),
+    ('critical', 8),
+    ('minimal', 1),
+    ('minimal-moderate', 3),
+    ('moderate', 5),
+    ('moderate-heavy', 6),
+    ('heavy', 7),
+    ('sound', 3),
+    ('inspected', 3),
+    ('installed', 3),
+    ('replaced', 3),
+    ('needs-replacement', 7),
+    ('missing', 7);
+  -- END GENERATED
+$$;
+
+-- Lowercase and hyphenate one term, as toKey() in src/lib/conditions.js
+CREATE OR REPLACE FUNCTION public.condition_key(p_term TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT regexp_replace(
+    regexp_replace(lower(p_term), '^\s+|\s+$', '', 'g'),
+    '[\s_-]+', '-', 'g'
+  );
+$$;
+
+-- Severity of a raw condition, step for step as getConditionSeverity() in
+-- src/lib/conditions.js: normalize ranges ("Fair, Poor", "fair-good") to a
+-- key ordered better term first, look the key up, and otherwise take the
+-- worst known term it contains. NULL when not inspected or unrecognized.
+CREATE OR REPLACE FUNCTION public.condition_severity(p_condition TEXT)
+RETURNS INT
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+  v_parts TEXT[];
+  v_key TEXT;
+  v_severity INT;
+BEGIN
+  IF p_condition IS NULL OR p_condition ~ '^\s*$' THEN
+    RETURN NULL;
+  END IF;
+
+  -- splitRange(): comma-separated parts, or a hyphenated pair of known terms
+  SELECT array_agg(key ORDER BY ord) INTO v_parts
+  FROM (
+    SELECT public.condition_key(part) AS key, ord
+    FROM unnest(string_to_array(p_condition, ',')) WITH ORDINALITY AS t(part, ord)
+  ) keys
+  WHERE key <> '';
+
+  IF COALESCE(array_length(v_parts, 1), 0) <= 1 THEN
+    IF v_parts IS NOT NULL
+       AND NOT EXISTS (SELECT 1 FROM public.condition_terms() c WHERE c.term = v_parts[1]) THEN
+      v_parts := string_to_array(v_parts[1], '-');
+      IF array_length(v_parts, 1) < 2 OR EXISTS (
+        SELECT 1 FROM unnest(v_parts) AS part
+        WHERE part NOT IN (SELECT c.term FROM public.condition_terms() c)
+      ) THEN
+        v_parts := NULL;
+      END IF;
+    ELSE
+      v_parts := NULL;
+    END IF;
+  END IF;
+
+  -- normalizeCondition()
+  IF v_parts IS NULL THEN
+    v_key := public.condition_key(p_condition);
+  ELSIF 'missing' = ANY(v_parts) THEN
+    v_key := 'poor';
+  ELSE
+    SELECT string_agg(part, '-' ORDER BY COALESCE(c.severity, 99), first_ord)
+    INTO v_key
+    FROM (
+      SELECT part, MIN(ord) AS first_ord
+      FROM unnest(v_parts) WITH ORDINALITY AS t(part, ord)
+      GROUP BY part
+    ) parts
+    LEFT JOIN public.condition_terms() c ON c.term = parts.part;
+  END IF;
+
+  -- resolveSeverity()
+  SELECT c.severity INTO v_severity
+  FROM public.condition_terms() c
+  WHERE c.term = v_key;
+
+  IF NOT FOUND THEN
+    SELECT MAX(c.severity) INTO v_severity
+    FROM public.condition_terms() c
+    WHERE v_key ~ ('(^|-)' || c.term || '(-|$)');
+  END IF;
+
+  RETURN NULLIF(v_severity, 0);
+END;
+$$;
+
+-- =============================================================================
+-- COMPUTED FIELDS
+-- =============================================================================
+
+CREATE OR REPLACE FUNCTION public.search_vector(service_logs)
+RETURNS TSVECTOR
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT to_tsvector(
+    'english',
+    COALESCE($1.notes, '') || ' ' ||
+    COALESCE($1.thru_hull_notes, '') || ' ' ||
+    COALESCE($1.propeller_notes, '') || ' ' ||
+    COALESCE($1.technician, '')
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION public.paint_severity(service_logs)
+RETURNS INT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT public.condition_severity($1.paint_condition_overall);
+$$;
+
+CREATE OR REPLACE FUNCTION public.anodes_replaced(service_logs)
+RETURNS BOOLEAN
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT public.json_list_length($1.anodes_installed::TEXT) > 0;
+$$;
+
+-- Videos attached to the log itself; playlist videos are matched to
+-- services by date in the browser
+CREATE OR REPLACE FUNCTION public.has_video(service_logs)
+RETURNS BOOLEAN
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT public.json_list_length($1.service_videos::TEXT) > 0;
+$$;
+
+-- =============================================================================
+-- VERIFICATION
+-- =============================================================================
+
+DO $$
+BEGIN
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'Migration 025 Verification';
+  RAISE NOTICE '========================================';
+  IF public.condition_severity('Fair, Poor') <> 6
+    OR public.condition_severity('fair-good') <> 4
+    OR public.condition_severity('Good, Missing') <> 7
+    OR public.condition_severity('not_inspected') IS NOT NULL THEN
+    RAISE EXCEPTION '❌ condition_severity() does not match the portal vocabulary';
+  END IF;
+  IF public.json_list_length('{"anodes": [{}, {}]}') <> 2
+    OR public.json_list_length('not json') <> 0 THEN
+    RAISE EXCEPTION '❌ json_list_length() returned unexpected results';
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_proc WHERE proname = 'search_vector') THEN
+    RAISE EXCEPTION '❌ search_vector() not created';
+  END IF;
+  RAISE NOTICE '✅ Condition severity matches the portal vocabulary';
+  RAISE NOTICE '✅ Search and filter fields created on service_logs';
+  RAISE NOTICE '========================================';
+END $$;
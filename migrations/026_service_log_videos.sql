@@ -0,0 +1,56 @@
+-- Migration 026: Explicit links between service logs and playlist videos
+-- Date: 2025-11-18
+-- Service: Portal
+-- Tables: service_logs
+--
+-- Purpose:
+-- The portal matched a boat's YouTube playlist videos to services by upload
+-- date alone, so a video uploaded late, or two services close together,
+-- put dive videos under the wrong service. Operations can now record which
+-- playlist videos were filmed on a service; the portal shows exactly those
+-- and only falls back to upload dates for services without links
+-- (src/lib/service-videos.js).
+--
+-- Impact:
+-- - New service_logs.youtube_video_ids column (YouTube video IDs, playlist order)
+-- - has_video(service_logs) also counts linked videos for the "Has video" filter
+-- - No data changes; existing logs keep the upload-date matching
+
+-- =============================================================================
+-- VIDEO LINKS
+-- =============================================================================
+
+ALTER TABLE service_logs
+  ADD COLUMN IF NOT EXISTS youtube_video_ids TEXT[];
+
+COMMENT ON COLUMN service_logs.youtube_video_ids IS
+  'YouTube video IDs (from the boat''s playlist) filmed on this service. NULL = match by upload date.';
+
+CREATE OR REPLACE FUNCTION public.has_video(service_logs)
+RETURNS BOOLEAN
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT public.json_list_length($1.service_videos::TEXT) > 0
+    OR COALESCE(cardinality($1.youtube_video_ids), 0) > 0;
+$$;
+
+-- =============================================================================
+-- VERIFICATION
+-- =============================================================================
+
+DO $$
+BEGIN
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'Migration 026 Verification';
+  RAISE NOTICE '========================================';
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'service_logs' AND column_name = 'youtube_video_ids'
+  ) THEN
+    RAISE EXCEPTION '❌ service_logs.youtube_video_ids not created';
+  END IF;
+  RAISE NOTICE '✅ service_logs.youtube_video_ids created';
+  RAISE NOTICE '✅ has_video() counts linked videos';
+  RAISE NOTICE '========================================';
+END $$;
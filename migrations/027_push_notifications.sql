@@ -0,0 +1,109 @@
+-- Migration 027: Web push subscriptions
+-- Date: 2025-11-19
+-- Service: Portal
+-- Tables: push_subscriptions
+--
+-- Purpose:
+-- customer_accounts.notification_preferences has service_completion,
+-- new_message and new_invoice toggles, but nothing delivers them. This is
+-- the subscription half of browser push: customers can turn it on from
+-- Account Settings, which stores the device's push subscription here.
+--
+-- Not included yet:
+-- Nothing sends push notifications. The queue, the triggers on service_logs,
+-- customer_messages and invoices, and the sender that signs with the VAPID
+-- keys will be added together in a later migration, so no rows pile up
+-- without a sender to drain them. Leave VITE_VAPID_PUBLIC_KEY unset until
+-- then, which keeps the Account Settings toggle hidden.
+--
+-- Impact:
+-- - New push_subscriptions table, one row per browser, owned by the account
+--   that subscribed it; save_push_subscription() RPC for subscribing
+-- - No triggers: writes to existing tables are unaffected
+
+-- =============================================================================
+-- SUBSCRIPTIONS
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_account_id UUID NOT NULL REFERENCES customer_accounts(id) ON DELETE CASCADE,
+  endpoint TEXT NOT NULL UNIQUE,
+  p256dh TEXT NOT NULL,
+  auth TEXT NOT NULL,
+  user_agent TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_sent_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_account
+ON push_subscriptions(customer_account_id);
+
+ALTER TABLE push_subscriptions ENABLE ROW LEVEL SECURITY;
+
+-- Inserts go through save_push_subscription() so a browser that was
+-- subscribed under another account is handed over rather than rejected
+DROP POLICY IF EXISTS "Users can view their push subscriptions" ON push_subscriptions;
+CREATE POLICY "Users can view their push subscriptions"
+ON push_subscriptions FOR SELECT
+USING (customer_account_id = auth.uid());
+
+DROP POLICY IF EXISTS "Users can remove their push subscriptions" ON push_subscriptions;
+CREATE POLICY "Users can remove their push subscriptions"
+ON push_subscriptions FOR DELETE
+USING (customer_account_id = auth.uid());
+
+-- Store (or take over) this browser's subscription for the caller
+CREATE OR REPLACE FUNCTION public.save_push_subscription(
+  p_endpoint TEXT,
+  p_p256dh TEXT,
+  p_auth TEXT,
+  p_user_agent TEXT DEFAULT NULL
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_id UUID;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not signed in' USING ERRCODE = '42501';
+  END IF;
+
+  IF p_endpoint !~ '^https://' THEN
+    RAISE EXCEPTION 'Invalid push endpoint' USING ERRCODE = '22023';
+  END IF;
+
+  INSERT INTO push_subscriptions (customer_account_id, endpoint, p256dh, auth, user_agent)
+  VALUES (auth.uid(), p_endpoint, p_p256dh, p_auth, p_user_agent)
+  ON CONFLICT (endpoint) DO UPDATE SET
+    customer_account_id = EXCLUDED.customer_account_id,
+    p256dh = EXCLUDED.p256dh,
+    auth = EXCLUDED.auth,
+    user_agent = EXCLUDED.user_agent,
+    created_at = NOW()
+  RETURNING id INTO v_id;
+
+  RETURN v_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.save_push_subscription(TEXT, TEXT, TEXT, TEXT) TO authenticated;
+
+-- =============================================================================
+-- VERIFICATION
+-- =============================================================================
+
+DO $$
+BEGIN
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'Migration 027 Verification';
+  RAISE NOTICE '========================================';
+  IF NOT EXISTS (SELECT 1 FROM pg_proc WHERE proname = 'save_push_subscription') THEN
+    RAISE EXCEPTION '❌ save_push_subscription() not created';
+  END IF;
+  RAISE NOTICE '✅ push_subscriptions table and RPC created';
+  RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,70 @@
+-- Migration 028: Client request IDs for retried writes
+-- Date: 2025-11-20
+-- Service: Portal
+-- Tables: service_requests, customer_messages
+--
+-- Purpose:
+-- Messages and service requests written offline are queued in the browser
+-- and sent again until the portal gets an answer (src/lib/outbox.js). When
+-- an insert reaches the database but the response is lost, the retry would
+-- store it a second time. The portal now generates an ID for each message
+-- or request before the first attempt and sends it with every retry; a
+-- retry that hits the unique index gets the row already stored instead.
+--
+-- Impact:
+-- - New nullable client_request_id column (NULL for rows written elsewhere)
+-- - Unique per table; several NULLs are still allowed
+-- - Existing rows are unaffected
+
+-- =============================================================================
+-- ADD CLIENT REQUEST ID COLUMNS
+-- =============================================================================
+
+ALTER TABLE service_requests
+ADD COLUMN IF NOT EXISTS client_request_id UUID;
+
+COMMENT ON COLUMN service_requests.client_request_id IS
+'ID generated by the portal before the first submit attempt, so a retried submit is not stored twice';
+
+ALTER TABLE customer_messages
+ADD COLUMN IF NOT EXISTS client_request_id UUID;
+
+COMMENT ON COLUMN customer_messages.client_request_id IS
+'ID generated by the portal before the first send attempt, so a retried send is not stored twice';
+
+-- =============================================================================
+-- INDEXES
+-- =============================================================================
+
+CREATE UNIQUE INDEX IF NOT EXISTS service_requests_client_request_id_key
+ON service_requests(client_request_id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS customer_messages_client_request_id_key
+ON customer_messages(client_request_id);
+
+-- =============================================================================
+-- VERIFICATION
+-- =============================================================================
+
+DO $$
+DECLARE
+  v_missing INT;
+BEGIN
+  SELECT 2 - COUNT(*) INTO v_missing
+  FROM pg_indexes
+  WHERE indexname IN (
+    'service_requests_client_request_id_key',
+    'customer_messages_client_request_id_key'
+  );
+
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'Migration 028 Verification';
+  RAISE NOTICE '========================================';
+  IF v_missing > 0 THEN
+    RAISE EXCEPTION '❌ client_request_id index missing on % table(s)', v_missing;
+  ELSE
+    RAISE NOTICE '✅ client_request_id added to service_requests';
+    RAISE NOTICE '✅ client_request_id added to customer_messages';
+  END IF;
+  RAISE NOTICE '========================================';
+END $$;
@@ -47,8 +47,16 @@ export default defineConfig({
 
   // Configure projects for different browsers (optional - remove if only testing Chrome)
   projects: [
+    // Logic specs in tests/unit import src/ modules directly and never open
+    // a page: `npx playwright test --project=unit`
+    {
+      name: "unit",
+      testDir: "./tests/unit",
+    },
+
     {
       name: "chromium",
+      testIgnore: "unit/**",
       use: { ...devices["Desktop Chrome"] },
     },
 
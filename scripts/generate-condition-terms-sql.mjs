@@ -0,0 +1,18 @@
+/**
+ * Print the body of condition_terms() (migration 025) from the portal's
+ * condition vocabulary in src/lib/conditions.js, so the database scores
+ * conditions from the same table as the browser.
+ *
+ * Usage: node scripts/generate-condition-terms-sql.mjs
+ * Paste the output between the GENERATED markers of condition_terms() (in a
+ * new migration once 025 has been applied); tests/condition-severity-sql.spec.js
+ * fails while the two differ.
+ */
+
+import { CONDITIONS } from '../src/lib/conditions.js';
+
+const rows = Object.entries(CONDITIONS).map(
+  ([term, { severity }]) => `    ('${term}', ${severity})`
+);
+
+console.log(`  VALUES\n${rows.join(',\n')}`);
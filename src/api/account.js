@@ -4,198 +4,600 @@
  */
 
 import { createSupabaseClient } from "../lib/supabase.js";
+import { execute, createApiError, ERROR_CODES } from "../lib/repository.js";
+import { BOAT_ROLES, INVITABLE_ROLES } from "../lib/boat-roles.js";
 
 // createSupabaseClient is the configured client instance, not a factory function
 const supabase = createSupabaseClient;
 
 /**
  * Get current account information
- * @returns {Promise<{account, error}>}
+ * @returns {Promise<ApiResult<Object|null>>}
  */
 export async function getAccountInfo() {
-  try {
-    const {
-      data: { user },
-    } = await supabase.auth.getUser();
+  return execute(
+    "account.get",
+    async ({ accountId }) => {
+      const { data, error } = await supabase
+        .from("customer_accounts")
+        .select("*")
+        .eq("id", accountId)
+        .single();
 
-    if (!user) {
-      throw new Error("Not authenticated");
-    }
-
-    const { data, error } = await supabase
-      .from("customer_accounts")
-      .select("*")
-      .eq("id", user.id)
-      .single();
-
-    if (error) throw error;
+      if (error) throw error;
 
-    return { account: data, error: null };
-  } catch (error) {
-    console.error("Get account info error:", error);
-    return { account: null, error: error.message };
-  }
+      return data;
+    },
+    { requireAccount: true },
+  );
 }
 
 /**
  * Update email address (requires verification)
  * @param {string} newEmail - New email address
- * @returns {Promise<{success, error}>}
+ * @returns {Promise<ApiResult<{requiresVerification: boolean}|null>>}
  */
 export async function updateEmail(newEmail) {
-  try {
-    const { data, error } = await supabase.auth.updateUser({
-      email: newEmail,
-    });
+  return execute(
+    "account.updateEmail",
+    async () => {
+      const { error } = await supabase.auth.updateUser({
+        email: newEmail,
+      });
 
-    if (error) throw error;
+      if (error) throw error;
 
-    // Note: User will receive a verification email at the new address
-    // Email won't be updated until they confirm
+      // Note: User will receive a verification email at the new address
+      // Email won't be updated until they confirm
 
-    return { success: true, error: null, requiresVerification: true };
-  } catch (error) {
-    console.error("Update email error:", error);
-    return { success: false, error: error.message };
-  }
+      return { requiresVerification: true };
+    },
+    { selfOnly: true },
+  );
 }
 
 /**
  * Update phone number
  * @param {string} newPhone - New phone number
- * @returns {Promise<{success, error}>}
+ * @returns {Promise<ApiResult<boolean>>}
  */
 export async function updatePhone(newPhone) {
-  try {
-    const {
-      data: { user },
-    } = await supabase.auth.getUser();
-
-    if (!user) {
-      throw new Error("Not authenticated");
-    }
-
-    // Update phone in customer_accounts if we add that field
-    // For now, we'll update it in the customers table via the linked customer
-    const { data: boats } = await supabase
-      .from("customer_boat_access")
-      .select("boat:boats(customer_id)")
-      .eq("customer_account_id", user.id)
-      .limit(1)
-      .single();
-
-    if (boats?.boat?.customer_id) {
-      const { error } = await supabase
-        .from("customers")
-        .update({ phone: newPhone })
-        .eq("id", boats.boat.customer_id);
-
-      if (error) throw error;
-    }
-
-    return { success: true, error: null };
-  } catch (error) {
-    console.error("Update phone error:", error);
-    return { success: false, error: error.message };
-  }
+  return execute(
+    "account.updatePhone",
+    async (ctx) => {
+      // Update phone in customer_accounts if we add that field
+      // For now, we'll update it in the customers table via the linked customer
+      const customerId = await resolveCustomerId(ctx);
+
+      if (customerId) {
+        const { error } = await supabase
+          .from("customers")
+          .update({ phone: newPhone })
+          .eq("id", customerId);
+
+        if (error) throw error;
+      }
+
+      return true;
+    },
+    { mutation: true, fallback: false },
+  );
 }
 
 /**
  * Change password
  * @param {string} newPassword - New password
- * @returns {Promise<{success, error}>}
+ * @returns {Promise<ApiResult<boolean>>}
  */
 export async function changePassword(newPassword) {
-  try {
-    const { data, error } = await supabase.auth.updateUser({
-      password: newPassword,
-    });
+  return execute(
+    "account.changePassword",
+    async () => {
+      const { error } = await supabase.auth.updateUser({
+        password: newPassword,
+      });
 
-    if (error) throw error;
+      if (error) throw error;
 
-    return { success: true, error: null };
-  } catch (error) {
-    console.error("Change password error:", error);
-    return { success: false, error: error.message };
-  }
+      return true;
+    },
+    { selfOnly: true, fallback: false },
+  );
 }
 
 /**
- * Get notification preferences
- * @returns {Promise<{preferences, error}>}
+ * Start enrolling a TOTP authenticator
+ * Leftover unverified factors from abandoned attempts are removed first.
+ * @returns {Promise<ApiResult<{factorId: string, qrCode: string, secret: string, uri: string}|null>>}
  */
-export async function getNotificationPreferences() {
-  try {
-    const {
-      data: { user },
-    } = await supabase.auth.getUser();
+export async function enrollTotp() {
+  return execute(
+    "account.enrollTotp",
+    async () => {
+      const { data: factors, error: listError } =
+        await supabase.auth.mfa.listFactors();
+
+      if (listError) throw listError;
+
+      for (const factor of factors.all) {
+        if (factor.factor_type === "totp" && factor.status !== "verified") {
+          await supabase.auth.mfa.unenroll({ factorId: factor.id });
+        }
+      }
+
+      const { data, error } = await supabase.auth.mfa.enroll({
+        factorType: "totp",
+        friendlyName: "Authenticator app",
+      });
 
-    if (!user) {
-      throw new Error("Not authenticated");
-    }
+      if (error) throw error;
 
-    const { data, error } = await supabase
-      .from("customer_accounts")
-      .select("notification_preferences")
-      .eq("id", user.id)
-      .single();
+      return {
+        factorId: data.id,
+        qrCode: data.totp.qr_code,
+        secret: data.totp.secret,
+        uri: data.totp.uri,
+      };
+    },
+    { selfOnly: true },
+  );
+}
 
-    if (error) throw error;
+/**
+ * Confirm a new authenticator with its first code
+ * Verifying also upgrades the current session to AAL2.
+ * @param {string} factorId - Factor returned by enrollTotp()
+ * @param {string} code - 6-digit code from the authenticator app
+ * @returns {Promise<ApiResult<boolean>>}
+ */
+export async function confirmTotpEnrollment(factorId, code) {
+  return execute(
+    "account.confirmTotp",
+    async () => {
+      if (!/^\d{6}$/.test(code.replace(/\s/g, ""))) {
+        throw createApiError(
+          ERROR_CODES.VALIDATION,
+          "Enter the 6-digit code from your authenticator app",
+        );
+      }
+
+      const { error } = await supabase.auth.mfa.challengeAndVerify({
+        factorId,
+        code: code.replace(/\s/g, ""),
+      });
 
-    return { preferences: data.notification_preferences, error: null };
-  } catch (error) {
-    console.error("Get notification preferences error:", error);
-    return { preferences: null, error: error.message };
-  }
+      if (error) throw error;
+
+      return true;
+    },
+    { selfOnly: true, fallback: false },
+  );
+}
+
+/**
+ * Remove an authenticator (requires an AAL2 session)
+ * @param {string} factorId - Factor to remove
+ * @returns {Promise<ApiResult<boolean>>}
+ */
+export async function disableTotp(factorId) {
+  return execute(
+    "account.disableTotp",
+    async () => {
+      const { error } = await supabase.auth.mfa.unenroll({ factorId });
+
+      if (error) throw error;
+
+      // Drop the session back to AAL1 now the factor is gone
+      await supabase.auth.refreshSession();
+
+      return true;
+    },
+    { selfOnly: true, fallback: false },
+  );
+}
+
+/**
+ * Replace the user's recovery codes (requires an AAL2 session)
+ * The plain codes are only available in this response.
+ * @returns {Promise<ApiResult<Array<string>|null>>}
+ */
+export async function generateRecoveryCodes() {
+  return execute(
+    "account.generateRecoveryCodes",
+    async () => {
+      const { data, error } = await supabase.rpc("generate_mfa_recovery_codes");
+
+      if (error) throw error;
+
+      return data;
+    },
+    { selfOnly: true },
+  );
+}
+
+/**
+ * Count the user's unused recovery codes
+ * @returns {Promise<ApiResult<number>>}
+ */
+export async function getRecoveryCodeCount() {
+  return execute(
+    "account.countRecoveryCodes",
+    async () => {
+      const { data, error } = await supabase.rpc("count_mfa_recovery_codes");
+
+      if (error) throw error;
+
+      return data || 0;
+    },
+    { selfOnly: true, fallback: 0 },
+  );
+}
+
+/**
+ * Get notification preferences
+ * @returns {Promise<ApiResult<Object|null>>}
+ */
+export async function getNotificationPreferences() {
+  return execute(
+    "account.getNotificationPreferences",
+    async ({ accountId }) => {
+      const { data, error } = await supabase
+        .from("customer_accounts")
+        .select("notification_preferences")
+        .eq("id", accountId)
+        .single();
+
+      if (error) throw error;
+
+      return data.notification_preferences;
+    },
+    { requireAccount: true },
+  );
 }
 
 /**
  * Update notification preferences
  * @param {object} preferences - Notification preferences object
- * @returns {Promise<{success, error}>}
+ * @returns {Promise<ApiResult<boolean>>}
  */
 export async function updateNotificationPreferences(preferences) {
-  try {
-    const {
-      data: { user },
-    } = await supabase.auth.getUser();
+  return execute(
+    "account.updateNotificationPreferences",
+    async ({ accountId }) => {
+      const { error } = await supabase
+        .from("customer_accounts")
+        .update({ notification_preferences: preferences })
+        .eq("id", accountId);
 
-    if (!user) {
-      throw new Error("Not authenticated");
-    }
+      if (error) throw error;
 
-    const { error } = await supabase
-      .from("customer_accounts")
-      .update({ notification_preferences: preferences })
-      .eq("id", user.id);
+      return true;
+    },
+    { mutation: true, requireAccount: true, fallback: false },
+  );
+}
 
-    if (error) throw error;
+/**
+ * Save this browser's push subscription for the signed-in user
+ * A browser last subscribed under another account is moved to this one.
+ * @param {{endpoint: string, p256dh: string, auth: string}} subscription - See toPushSubscriptionRecord()
+ * @returns {Promise<ApiResult<boolean>>}
+ */
+export async function savePushSubscription(subscription) {
+  return execute(
+    "account.savePushSubscription",
+    async () => {
+      const { error } = await supabase.rpc("save_push_subscription", {
+        p_endpoint: subscription.endpoint,
+        p_p256dh: subscription.p256dh,
+        p_auth: subscription.auth,
+        p_user_agent: navigator.userAgent,
+      });
 
-    return { success: true, error: null };
-  } catch (error) {
-    console.error("Update notification preferences error:", error);
-    return { success: false, error: error.message };
-  }
+      if (error) throw error;
+
+      return true;
+    },
+    { selfOnly: true, fallback: false },
+  );
+}
+
+/**
+ * Stop sending push notifications to a browser
+ * @param {string} endpoint - Push subscription endpoint
+ * @returns {Promise<ApiResult<boolean>>}
+ */
+export async function deletePushSubscription(endpoint) {
+  return execute(
+    "account.deletePushSubscription",
+    async () => {
+      const { error } = await supabase
+        .from("push_subscriptions")
+        .delete()
+        .eq("endpoint", endpoint);
+
+      if (error) throw error;
+
+      return true;
+    },
+    { selfOnly: true, fallback: false },
+  );
 }
 
 /**
  * Get user's accessible boats
- * @returns {Promise<{boats, error}>}
+ * @returns {Promise<ApiResult<Array>>}
  */
 export async function getAccessibleBoats() {
-  try {
-    const {
-      data: { user },
-    } = await supabase.auth.getUser();
+  return execute(
+    "account.getAccessibleBoats",
+    (ctx) => loadAccessibleBoats(ctx),
+    { requireUser: true, fallback: [] },
+  );
+}
+
+/**
+ * Switch current boat
+ * @param {string} boatId - Boat ID to switch to
+ * @returns {Promise<ApiResult<boolean>>}
+ */
+export async function switchCurrentBoat(boatId) {
+  return execute(
+    "account.switchBoat",
+    async (ctx) => {
+      // Verify user has access to this boat
+      const boats = await loadAccessibleBoats(ctx);
+
+      if (!boats.some((access) => access.boat_id === boatId)) {
+        throw createApiError(
+          ERROR_CODES.FORBIDDEN,
+          "You do not have access to this boat",
+        );
+      }
+
+      // Store in localStorage
+      localStorage.setItem("currentBoatId", boatId);
+
+      return true;
+    },
+    { requireUser: true, fallback: false },
+  );
+}
+
+/**
+ * Get everyone with access to a boat (boat owner only)
+ * @param {string} boatId - Boat ID
+ * @returns {Promise<ApiResult<Array>>}
+ */
+export async function getBoatMembers(boatId) {
+  return execute(
+    "account.getBoatMembers",
+    async () => {
+      const { data, error } = await supabase.rpc("list_boat_members", {
+        p_boat_id: boatId,
+      });
+
+      if (error) throw error;
 
-    if (!user) {
-      throw new Error("Not authenticated");
-    }
+      return data || [];
+    },
+    { requireUser: true, fallback: [] },
+  );
+}
+
+/**
+ * Get open invitations for a boat (boat owner only)
+ * @param {string} boatId - Boat ID
+ * @returns {Promise<ApiResult<Array>>}
+ */
+export async function getPendingInvitations(boatId) {
+  return execute(
+    "account.getPendingInvitations",
+    async () => {
+      const { data, error } = await supabase
+        .from("boat_invitations")
+        .select("id, email, role, token, created_at, expires_at")
+        .eq("boat_id", boatId)
+        .eq("status", "pending")
+        .gt("expires_at", new Date().toISOString())
+        .order("created_at", { ascending: false });
+
+      if (error) throw error;
+
+      return (data || []).map((invitation) => ({
+        ...invitation,
+        inviteUrl: getInvitationUrl(invitation.token),
+      }));
+    },
+    { requireUser: true, fallback: [] },
+  );
+}
+
+/**
+ * Invite someone to a boat by email
+ * @param {string} boatId - Boat ID
+ * @param {string} email - Invitee email address
+ * @param {string} role - One of INVITABLE_ROLES
+ * @returns {Promise<ApiResult<Object|null>>} Invitation including inviteUrl
+ */
+export async function inviteToBoat(boatId, email, role) {
+  return execute(
+    "account.inviteToBoat",
+    async ({ accountId, attribution }) => {
+      const normalizedEmail = (email || "").trim().toLowerCase();
+
+      if (!isValidEmail(normalizedEmail)) {
+        throw createApiError(
+          ERROR_CODES.VALIDATION,
+          "Please enter a valid email address",
+        );
+      }
+
+      if (!INVITABLE_ROLES.includes(role)) {
+        throw createApiError(ERROR_CODES.VALIDATION, "Please choose a role");
+      }
+
+      const { data, error } = await supabase
+        .from("boat_invitations")
+        .insert({
+          ...attribution,
+          boat_id: boatId,
+          email: normalizedEmail,
+          role,
+          invited_by: accountId,
+        })
+        .select("id, email, role, token, created_at, expires_at")
+        .single();
+
+      if (error?.code === "23505") {
+        throw createApiError(
+          ERROR_CODES.CONFLICT,
+          `${normalizedEmail} already has a pending invitation for this boat`,
+        );
+      }
+      if (error) throw error;
+
+      return { ...data, inviteUrl: getInvitationUrl(data.token) };
+    },
+    { mutation: true, requireAccount: true },
+  );
+}
+
+/**
+ * Revoke a pending invitation
+ * @param {string} invitationId - Invitation ID
+ * @returns {Promise<ApiResult<boolean>>}
+ */
+export async function revokeInvitation(invitationId) {
+  return execute(
+    "account.revokeInvitation",
+    async () => {
+      const { error } = await supabase
+        .from("boat_invitations")
+        .update({ status: "revoked" })
+        .eq("id", invitationId)
+        .eq("status", "pending");
+
+      if (error) throw error;
+
+      return true;
+    },
+    { mutation: true, fallback: false },
+  );
+}
+
+/**
+ * Remove another account's access to a boat
+ * @param {string} boatId - Boat ID
+ * @param {string} accountId - customer_accounts ID to remove
+ * @returns {Promise<ApiResult<boolean>>}
+ */
+export async function revokeBoatAccess(boatId, accountId) {
+  return execute(
+    "account.revokeBoatAccess",
+    async () => {
+      const { error } = await supabase.rpc("revoke_boat_access", {
+        p_boat_id: boatId,
+        p_account_id: accountId,
+      });
+
+      if (error) throw error;
+
+      return true;
+    },
+    { mutation: true, fallback: false },
+  );
+}
+
+/**
+ * Look up an invitation addressed to the signed-in user
+ * @param {string} token - Invitation token from the invite link
+ * @returns {Promise<ApiResult<Object|null>>}
+ */
+export async function getInvitation(token) {
+  return execute(
+    "account.getInvitation",
+    async () => {
+      const { data, error } = await supabase
+        .rpc("get_boat_invitation", { p_token: token })
+        .maybeSingle();
+
+      if (error) throw error;
+
+      if (!data) {
+        throw createApiError(
+          ERROR_CODES.NOT_FOUND,
+          "This invitation was not found or was sent to a different email address",
+        );
+      }
+
+      return data;
+    },
+    { selfOnly: true },
+  );
+}
+
+/**
+ * Accept an invitation and gain access to the boat
+ * @param {string} token - Invitation token from the invite link
+ * @returns {Promise<ApiResult<string|null>>} Boat ID
+ */
+export async function acceptBoatInvitation(token) {
+  return execute(
+    "account.acceptInvitation",
+    async () => {
+      const { data, error } = await supabase.rpc("accept_boat_invitation", {
+        p_token: token,
+      });
+
+      if (error) throw error;
+
+      return data;
+    },
+    { selfOnly: true },
+  );
+}
+
+/**
+ * Build the link an invitee opens to accept an invitation
+ * @param {string} token - Invitation token
+ * @returns {string}
+ */
+export function getInvitationUrl(token) {
+  return `${window.location.origin}/portal-account.html?invite=${token}`;
+}
 
+/**
+ * Load boat access rows for the effective user
+ * Impersonated customers without a portal account fall back to the boats
+ * they own, shaped like access rows
+ * @param {RepositoryContext} ctx - Resolved repository context
+ * @returns {Promise<Array>}
+ */
+async function loadAccessibleBoats({ user, isImpersonated, accountId }) {
+  if (!accountId && isImpersonated) {
     const { data, error } = await supabase
-      .from("customer_boat_access")
-      .select(
-        `
+      .from("boats")
+      .select("id, name, slug, make, model, year")
+      .eq("customer_id", user.id)
+      .order("name", { ascending: true });
+
+    if (error) throw error;
+
+    return (data || []).map((boat) => ({
+      boat_id: boat.id,
+      customer_account_id: null,
+      is_primary: false,
+      role: BOAT_ROLES.OWNER,
+      granted_at: null,
+      boat,
+    }));
+  }
+
+  const { data, error } = await supabase
+    .from("customer_boat_access")
+    .select(
+      `
         *,
         boat:boats(
           id,
@@ -206,129 +608,186 @@ export async function getAccessibleBoats() {
           year
         )
       `,
-      )
-      .eq("customer_account_id", user.id)
-      .order("is_primary", { ascending: false });
+    )
+    .eq("customer_account_id", accountId)
+    .order("is_primary", { ascending: false });
 
-    if (error) throw error;
+  if (error) throw error;
 
-    return { boats: data || [], error: null };
-  } catch (error) {
-    console.error("Get accessible boats error:", error);
-    return { boats: [], error: error.message };
-  }
+  return data || [];
 }
 
 /**
- * Switch current boat
- * @param {string} boatId - Boat ID to switch to
- * @returns {Promise<{success, error}>}
+ * Resolve the customers row ID for the effective user
+ * @param {RepositoryContext} ctx - Resolved repository context
+ * @returns {Promise<string|null>}
  */
-export async function switchCurrentBoat(boatId) {
-  try {
-    const {
-      data: { user },
-    } = await supabase.auth.getUser();
-
-    if (!user) {
-      throw new Error("Not authenticated");
-    }
-
-    // Verify user has access to this boat
-    const { data, error } = await supabase
-      .from("customer_boat_access")
-      .select("boat_id")
-      .eq("customer_account_id", user.id)
-      .eq("boat_id", boatId)
-      .single();
-
-    if (error || !data) {
-      throw new Error("You do not have access to this boat");
-    }
-
-    // Store in localStorage
-    localStorage.setItem("currentBoatId", boatId);
-
-    return { success: true, error: null };
-  } catch (error) {
-    console.error("Switch boat error:", error);
-    return { success: false, error: error.message };
-  }
+async function resolveCustomerId({ user, isImpersonated, accountId }) {
+  // Impersonated users are already customers rows
+  if (isImpersonated) return user.id;
+
+  const { data: access } = await supabase
+    .from("customer_boat_access")
+    .select("boat:boats(customer_id)")
+    .eq("customer_account_id", accountId)
+    .limit(1)
+    .maybeSingle();
+
+  return access?.boat?.customer_id || null;
 }
 
 /**
  * Get customer information (for profile display)
- * @returns {Promise<{customer, error}>}
+ * @returns {Promise<ApiResult<Object|null>>}
  */
 export async function getCustomerInfo() {
-  try {
-    const {
-      data: { user },
-    } = await supabase.auth.getUser();
-
-    if (!user) {
-      throw new Error("Not authenticated");
-    }
-
-    // Get customer info from first boat access
-    const { data: boatAccess } = await supabase
-      .from("customer_boat_access")
-      .select(
-        `
-        boat:boats(
-          customer:customers(
-            id,
-            name,
-            email,
-            phone,
-            billing_address
-          )
-        )
-      `,
-      )
-      .eq("customer_account_id", user.id)
-      .limit(1)
-      .single();
+  return execute(
+    "account.getCustomerInfo",
+    async (ctx) => {
+      const customerId = await resolveCustomerId(ctx);
+      if (!customerId) return null;
 
-    const customer = boatAccess?.boat?.customer;
+      const { data, error } = await supabase
+        .from("customers")
+        .select("id, name, email, phone, billing_address")
+        .eq("id", customerId)
+        .maybeSingle();
 
-    return { customer: customer || null, error: null };
-  } catch (error) {
-    console.error("Get customer info error:", error);
-    return { customer: null, error: error.message };
-  }
+      if (error) throw error;
+
+      return data;
+    },
+    { requireUser: true },
+  );
 }
 
 /**
- * Delete account (soft delete / deactivate)
- * @returns {Promise<{success, error}>}
+ * Request deletion of the signed-in user's account
+ * The account is deleted after a grace period (see migration 022) and can be
+ * kept with cancelAccountDeletion() until then. Invoices are retained.
+ * @returns {Promise<ApiResult<{scheduledFor: string}|null>>}
  */
 export async function deleteAccount() {
-  try {
-    const {
-      data: { user },
-    } = await supabase.auth.getUser();
+  return execute(
+    "account.delete",
+    async () => {
+      const { data, error } = await supabase.rpc("request_account_deletion");
 
-    if (!user) {
-      throw new Error("Not authenticated");
-    }
+      if (error) throw error;
 
-    // In production, you might want to:
-    // 1. Mark account as deleted/deactivated instead of hard delete
-    // 2. Remove access to boats
-    // 3. Keep data for legal/accounting purposes
-    // 4. Send confirmation email
+      return { scheduledFor: data };
+    },
+    { selfOnly: true },
+  );
+}
 
-    // For now, we'll just sign out and let admin handle deletion
-    const { error } = await supabase.auth.signOut();
+/**
+ * Cancel a pending account deletion
+ * @returns {Promise<ApiResult<boolean>>}
+ */
+export async function cancelAccountDeletion() {
+  return execute(
+    "account.cancelDeletion",
+    async () => {
+      const { error } = await supabase.rpc("cancel_account_deletion");
 
-    if (error) throw error;
+      if (error) throw error;
 
-    return { success: true, error: null };
-  } catch (error) {
-    console.error("Delete account error:", error);
-    return { success: false, error: error.message };
-  }
+      return true;
+    },
+    { selfOnly: true, fallback: false },
+  );
+}
+
+/**
+ * Collect everything the portal stores about the effective user
+ * (account, boats, service logs, messages, requests and invoices)
+ * @returns {Promise<ApiResult<Object|null>>}
+ */
+export async function getAccountDataExport() {
+  return execute(
+    "account.export",
+    async (ctx) => {
+      const { accountId } = ctx;
+      const access = await loadAccessibleBoats(ctx);
+      const boatIds = access.map((row) => row.boat_id);
+      const customerId = await resolveCustomerId(ctx);
+
+      const [account, customer, serviceLogs, messages, requests] =
+        await Promise.all([
+          selectRows(
+            supabase.from("customer_accounts").select("*").eq("id", accountId),
+          ),
+          customerId
+            ? selectRows(
+                supabase.from("customers").select("*").eq("id", customerId),
+              )
+            : [],
+          selectRows(
+            supabase
+              .from("service_logs")
+              .select("*")
+              .in("boat_id", boatIds)
+              .order("service_date", { ascending: false }),
+          ),
+          selectRows(
+            supabase
+              .from("customer_messages")
+              .select("*")
+              .in("boat_id", boatIds)
+              .order("created_at", { ascending: true }),
+          ),
+          selectRows(
+            supabase
+              .from("service_requests")
+              .select("*")
+              .eq("customer_account_id", accountId)
+              .order("created_at", { ascending: false }),
+          ),
+        ]);
+
+      const stripeCustomerId = customer[0]?.stripe_customer_id;
+      const invoices = stripeCustomerId
+        ? await selectRows(
+            supabase
+              .from("invoices")
+              .select("*")
+              .eq("customer_id", stripeCustomerId)
+              .order("issued_at", { ascending: false }),
+          )
+        : [];
+
+      return {
+        exported_at: new Date().toISOString(),
+        account: account[0] || null,
+        customer: customer[0] || null,
+        boats: access.map((row) => ({
+          ...row.boat,
+          role: row.role,
+          is_primary: row.is_primary,
+          granted_at: row.granted_at,
+        })),
+        service_logs: serviceLogs,
+        messages,
+        service_requests: requests,
+        invoices,
+      };
+    },
+    { requireAccount: true },
+  );
+}
+
+/**
+ * Await a select query and return its rows
+ * @param {PromiseLike} query - Supabase query builder
+ * @returns {Promise<Array>}
+ */
+async function selectRows(query) {
+  const { data, error } = await query;
+
+  if (error) throw error;
+
+  return data || [];
 }
 
 /**
@@ -4,18 +4,40 @@
  */
 
 import { createSupabaseClient } from "../lib/supabase.js";
+import { execute } from "../lib/repository.js";
+import {
+  FORECAST_STATUS,
+  HAUL_OUT_LEAD_MONTHS,
+  formatForecastMonth,
+} from "../lib/paint-forecast.js";
+import { buildAnodeHistory, analyzeAnodeWear } from "../lib/anode-wear.js";
+import { recommendCleaningInterval } from "../lib/cleaning-interval.js";
+import { buildPhotoGallery } from "../lib/photo-gallery.js";
+import { matchServiceVideos } from "../lib/service-videos.js";
+import { createCache } from "../lib/cache.js";
+import { createIdbStore } from "../lib/idb-store.js";
+import { normalizeCondition, getConditionSeverity } from "../lib/conditions.js";
 
 // createSupabaseClient is the configured client instance, not a factory function
 const supabase = createSupabaseClient;
 
+// Playlist videos change when a service is uploaded, a few times a month, and
+// each edge function call spends YouTube API quota. Cached per playlist: used
+// without asking for an hour, shown while refreshing for a week, and shown
+// whatever its age if YouTube can't be reached.
+const PLAYLIST_CACHE_SIZE = 50;
+const playlistVideoCache = createCache(createIdbStore("playlist-videos"), {
+  freshMs: 60 * 60 * 1000,
+  maxAgeMs: 7 * 24 * 60 * 60 * 1000,
+});
+
 /**
  * Get latest service log for a boat
  * @param {string} boatId - Boat UUID
- * @returns {Promise<{serviceLog: Object|null, error: any}>}
+ * @returns {Promise<ApiResult<Object|null>>}
  */
 export async function getLatestServiceLog(boatId) {
-  try {
-    console.log("[DEBUG] Fetching latest service log for boat:", boatId);
+  return execute("boatData.latestServiceLog", async () => {
     const { data, error } = await supabase
       .from("service_logs")
       .select("*")
@@ -24,74 +46,11 @@ export async function getLatestServiceLog(boatId) {
       .limit(1)
       .maybeSingle(); // Use maybeSingle() to return null if no rows exist
 
-    if (error) {
-      console.error("Error fetching latest service log:", error);
-      return { serviceLog: null, error };
-    }
+    if (error) throw error;
 
     // data will be null if no service logs exist - this is OK
-    console.log(
-      "[DEBUG] Latest service log result:",
-      data ? "Found service log" : "No service logs found",
-    );
-    return { serviceLog: data, error: null };
-  } catch (err) {
-    console.error("Exception in getLatestServiceLog:", err);
-    return { serviceLog: null, error: err };
-  }
-}
-
-/**
- * Normalize condition from Notion import format to standard format
- * Converts "Fair, Poor" → "fair-poor", "Fair, Good" → "good-fair"
- * Always orders from better condition to worse condition
- * @param {string} condition - Raw condition from database
- * @returns {string} Normalized condition
- */
-function normalizeCondition(condition) {
-  if (!condition) return "not-inspected";
-
-  const raw = condition.trim();
-
-  // Handle comma-separated ranges (e.g., "Fair, Poor" means fair-to-poor range)
-  if (raw.includes(",")) {
-    const parts = raw.split(",").map((p) => p.trim().toLowerCase());
-
-    // Handle special cases
-    if (parts.includes("missing")) {
-      // "Good, Missing" or "Fair, Missing" → treat as "poor"
-      return "poor";
-    }
-
-    // Severity ranking (lower number = better condition)
-    const severityMap = {
-      "not inspected": 0,
-      "not-inspected": 0,
-      excellent: 1,
-      "excellent-good": 2,
-      good: 3,
-      "good-fair": 4,
-      fair: 5,
-      "fair-poor": 6,
-      poor: 7,
-      heavy: 7, // growth level
-      moderate: 4, // growth level
-      minimal: 2, // growth level
-      "very-poor": 8,
-    };
-
-    // Sort parts by severity (better condition first)
-    parts.sort((a, b) => {
-      const sevA = severityMap[a] || 99;
-      const sevB = severityMap[b] || 99;
-      return sevA - sevB;
-    });
-
-    // Join with hyphen for range: "good-fair", "excellent-good", etc.
-    return parts.join("-");
-  }
-
-  return raw.toLowerCase();
+    return data;
+  });
 }
 
 /**
@@ -99,10 +58,10 @@ function normalizeCondition(condition) {
  * Returns the latest service that included paint inspection
  * (not necessarily the most recent service overall)
  * @param {string} boatId - Boat UUID
- * @returns {Promise<{paintData: Object|null, error: any}>}
+ * @returns {Promise<ApiResult<Object|null>>}
  */
 export async function getPaintCondition(boatId) {
-  try {
+  return execute("boatData.paintCondition", async () => {
     // Query for latest service that has paint condition data
     // (not just latest service overall, which might be anode-only, etc.)
     // Also exclude "not_inspected" values to find the last actual inspection
@@ -116,19 +75,16 @@ export async function getPaintCondition(boatId) {
       .order("service_date", { ascending: false })
       .limit(1);
 
-    if (error) {
-      console.error("Error fetching paint condition:", error);
-      return { paintData: null, error };
-    }
+    if (error) throw error;
 
     if (!data || data.length === 0) {
       // No paint inspection data found
-      return { paintData: null, error: null };
+      return null;
     }
 
     const serviceLog = data[0];
 
-    const paintData = {
+    return {
       overall: normalizeCondition(serviceLog.paint_condition_overall),
       keel: serviceLog.paint_detail_keel,
       waterline: serviceLog.paint_detail_waterline,
@@ -136,21 +92,138 @@ export async function getPaintCondition(boatId) {
       serviceDate: serviceLog.service_date,
       growthLevel: normalizeCondition(serviceLog.growth_level),
     };
+  });
+}
 
-    return { paintData, error: null };
-  } catch (err) {
-    console.error("Exception in getPaintCondition:", err);
-    return { paintData: null, error: err };
-  }
+/**
+ * Get paint condition for every inspected service log of a boat
+ * Oldest first, for charting how the bottom paint degrades over time.
+ * @param {string} boatId - Boat UUID
+ * @returns {Promise<ApiResult<Array<{serviceDate: string, overall: Object, keel: Object, waterline: Object, bootStripe: Object}>>>}
+ *   Each area is `{condition, severity}`; severity is null where the area wasn't inspected
+ */
+export async function getPaintConditionHistory(boatId) {
+  return execute(
+    "boatData.paintConditionHistory",
+    async () => {
+      const { data, error } = await supabase
+        .from("service_logs")
+        .select(
+          "service_date, paint_condition_overall, paint_detail_keel, paint_detail_waterline, paint_detail_boot_stripe",
+        )
+        .eq("boat_id", boatId)
+        .order("service_date", { ascending: true });
+
+      if (error) throw error;
+
+      const area = (condition) => ({
+        condition: normalizeCondition(condition),
+        severity: getConditionSeverity(condition),
+      });
+
+      return (data || [])
+        .map((log) => ({
+          serviceDate: log.service_date,
+          overall: area(log.paint_condition_overall),
+          keel: area(log.paint_detail_keel),
+          waterline: area(log.paint_detail_waterline),
+          bootStripe: area(log.paint_detail_boot_stripe),
+        }))
+        .filter((entry) =>
+          [entry.overall, entry.keel, entry.waterline, entry.bootStripe].some(
+            (a) => a.severity !== null,
+          ),
+        );
+    },
+    { fallback: [] },
+  );
+}
+
+/**
+ * Get wear history and replacement predictions for each of a boat's anodes
+ * Covers every service log, independent of any paging in the history view.
+ * @param {string} boatId - Boat UUID
+ * @returns {Promise<ApiResult<Array>>} One entry per anode location/position (see analyzeAnodeWear)
+ */
+export async function getAnodeWear(boatId) {
+  return execute(
+    "boatData.anodeWear",
+    async () => {
+      const { data, error } = await supabase
+        .from("service_logs")
+        .select("service_date, anode_conditions, anodes_installed")
+        .eq("boat_id", boatId)
+        .order("service_date", { ascending: true });
+
+      if (error) throw error;
+
+      return analyzeAnodeWear(buildAnodeHistory(data || []));
+    },
+    { fallback: [] },
+  );
+}
+
+/**
+ * Get a recommended hull cleaning interval for a boat
+ * Based on the growth found at each cleaning against the days since the
+ * previous one and the season.
+ * @param {string} boatId - Boat UUID
+ * @returns {Promise<ApiResult<Object>>} See recommendCleaningInterval
+ */
+export async function getCleaningRecommendation(boatId) {
+  return execute("boatData.cleaningRecommendation", async () => {
+    const { data, error } = await supabase
+      .from("service_logs")
+      .select("service_date, growth_level")
+      .eq("boat_id", boatId)
+      .not("growth_level", "is", null)
+      .order("service_date", { ascending: true });
+
+    if (error) throw error;
+
+    return recommendCleaningInterval(data || []);
+  });
+}
+
+/**
+ * Record a boat's repaint forecast
+ * Service reminders are sent server-side and can't run the forecast
+ * themselves, so the dashboard stores the latest one for them. Only owners
+ * and co-owners may (see migration 024); it's a write, so refused in
+ * read-only customer view and audited when acting as a customer.
+ * @param {string} boatId - Boat UUID
+ * @param {Object} forecast - Result of forecastRepaint()
+ * @returns {Promise<ApiResult<boolean>>}
+ */
+export async function recordPaintForecast(boatId, forecast) {
+  return execute(
+    "boatData.recordPaintForecast",
+    async () => {
+      const { error } = await supabase.rpc("record_paint_forecast", {
+        p_boat_id: boatId,
+        p_status: forecast.status,
+        p_repaint_month: forecast.repaintMonth,
+        p_earliest_month: forecast.earliestMonth,
+        p_latest_month: forecast.latestMonth,
+        p_confidence: forecast.confidence,
+        p_inspections: forecast.inspections,
+      });
+
+      if (error) throw error;
+
+      return true;
+    },
+    { mutation: true, fallback: false },
+  );
 }
 
 /**
  * Get YouTube playlist for a boat
  * @param {string} boatId - Boat UUID
- * @returns {Promise<{playlist: Object|null, error: any}>}
+ * @returns {Promise<ApiResult<Object|null>>}
  */
 export async function getBoatPlaylist(boatId) {
-  try {
+  return execute("boatData.playlist", async () => {
     const { data, error } = await supabase
       .from("youtube_playlists")
       .select("*")
@@ -158,17 +231,11 @@ export async function getBoatPlaylist(boatId) {
       .eq("is_public", true)
       .maybeSingle(); // Use maybeSingle() to return null if no playlist exists
 
-    if (error) {
-      console.error("Error fetching playlist:", error);
-      return { playlist: null, error };
-    }
+    if (error) throw error;
 
     // data will be null if no playlist exists - this is OK
-    return { playlist: data, error: null };
-  } catch (err) {
-    console.error("Exception in getBoatPlaylist:", err);
-    return { playlist: null, error: err };
-  }
+    return data;
+  });
 }
 
 /**
@@ -202,112 +269,140 @@ function extractPlaylistId(url) {
 
 /**
  * Fetch videos from YouTube playlist via Supabase Edge Function
+ * Without a service date, the most recent videos come from the playlist
+ * cache (IndexedDB) when it has them.
  * @param {string} playlistId - YouTube playlist ID
  * @param {string} serviceDate - Optional service date to filter videos (ISO format)
- * @param {number} maxResults - Maximum number of videos to fetch (default: 4)
- * @returns {Promise<{videos: Array, error: any}>}
+ * @param {number} maxResults - Maximum number of videos to fetch (default: 4, at most 50 from the cache)
+ * @returns {Promise<ApiResult<Array>>}
  */
 export async function getPlaylistVideos(
   playlistId,
   serviceDate = null,
   maxResults = 4,
 ) {
-  try {
-    const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
-    const functionUrl = `${supabaseUrl}/functions/v1/get-playlist-videos`;
-
-    const params = new URLSearchParams({
-      playlistId,
-      maxResults: maxResults.toString(),
-    });
-    if (serviceDate) {
-      params.append("serviceDate", serviceDate);
-    }
-
-    const response = await fetch(`${functionUrl}?${params.toString()}`, {
-      headers: {
-        Authorization: `Bearer ${import.meta.env.VITE_SUPABASE_ANON_KEY}`,
-      },
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.error || "Failed to fetch playlist videos");
-    }
+  return execute(
+    "boatData.playlistVideos",
+    async ({ callFunction }) => {
+      const fetchVideos = async (count) => {
+        const data = await callFunction("get-playlist-videos", {
+          query: { playlistId, maxResults: count, serviceDate },
+        });
+        return data.videos || [];
+      };
+
+      if (serviceDate || maxResults > PLAYLIST_CACHE_SIZE) {
+        return fetchVideos(maxResults);
+      }
+
+      const { value: videos } = await playlistVideoCache.read(playlistId, () =>
+        fetchVideos(PLAYLIST_CACHE_SIZE),
+      );
+      return videos.slice(0, maxResults);
+    },
+    { fallback: [] },
+  );
+}
 
-    const data = await response.json();
-    return { videos: data.videos || [], error: null };
-  } catch (err) {
-    console.error("Exception in getPlaylistVideos:", err);
-    return { videos: [], error: err };
-  }
+/**
+ * Get the boat's playlist videos, matched to the services they were filmed on
+ * @param {string} boatId - Boat UUID
+ * @param {number} [maxResults] - Most recent playlist videos to match (default: 50)
+ * @returns {Promise<ApiResult<{playlist: Object|null, byLog: Map<string, Array<Object>>}>>}
+ *   byLog holds the videos for each service log ID (see lib/service-videos.js)
+ */
+export async function getServiceVideos(boatId, maxResults = 50) {
+  return execute(
+    "boatData.serviceVideos",
+    async () => {
+      const { data: playlist, error: playlistError } =
+        await getBoatPlaylist(boatId);
+
+      if (playlistError) throw playlistError;
+
+      const playlistId =
+        playlist?.playlist_id || extractPlaylistId(playlist?.playlist_url);
+
+      if (!playlistId) {
+        return { playlist, byLog: new Map() };
+      }
+
+      const [videosResult, logsResult] = await Promise.all([
+        getPlaylistVideos(playlistId, null, maxResults),
+        supabase
+          .from("service_logs")
+          .select("id, service_date, youtube_video_ids")
+          .eq("boat_id", boatId),
+      ]);
+
+      if (videosResult.error) throw videosResult.error;
+      if (logsResult.error) throw logsResult.error;
+
+      return {
+        playlist,
+        byLog: matchServiceVideos(logsResult.data || [], videosResult.data),
+      };
+    },
+    { fallback: { playlist: null, byLog: new Map() } },
+  );
 }
 
 /**
  * Get service photos/videos for a boat's latest service
  * @param {string} boatId - Boat UUID
- * @returns {Promise<{media: Array, error: any}>}
+ * @returns {Promise<ApiResult<Array>>}
  */
 export async function getServiceMedia(boatId) {
-  try {
-    const { serviceLog, error: serviceError } =
-      await getLatestServiceLog(boatId);
-
-    if (serviceError) {
-      console.error("Error loading service log:", serviceError);
-      return { media: [], error: serviceError };
-    }
-
-    // Get photos from service log
-    const photos = serviceLog?.photos || [];
-
-    // Get YouTube playlist videos
-    const { playlist, error: playlistError } = await getBoatPlaylist(boatId);
-
-    if (playlistError) {
-      console.warn("Error loading playlist (may not exist):", playlistError);
-      // Not a critical error - just return photos
-      return { media: photos, error: null };
-    }
-
-    if (!playlist) {
-      // No playlist found - return photos only
-      return { media: photos, error: null };
-    }
-
-    // Extract playlist ID from URL
-    const playlistId =
-      playlist.playlist_id || extractPlaylistId(playlist.playlist_url);
-
-    if (!playlistId) {
-      console.warn(
-        "Could not extract playlist ID from URL:",
-        playlist.playlist_url,
-      );
-      return { media: photos, error: null };
-    }
-
-    // Fetch videos from playlist (most recent 4 videos, not filtered by service date)
-    const { videos, error: videosError } = await getPlaylistVideos(
-      playlistId,
-      null,
-      4,
-    );
-
-    if (videosError) {
-      console.error("Error fetching playlist videos:", videosError);
-      // Return photos even if videos fail
-      return { media: photos, error: null };
-    }
-
-    // Combine photos and videos
-    const media = [...photos, ...videos];
+  return execute(
+    "boatData.serviceMedia",
+    async () => {
+      const { data: serviceLog, error: serviceError } =
+        await getLatestServiceLog(boatId);
+
+      if (serviceError) throw serviceError;
+      if (!serviceLog) return [];
+
+      // Get photos from service log
+      const photos = serviceLog.photos || [];
+
+      const { data: videos, error: videosError } =
+        await getServiceVideos(boatId);
+
+      if (videosError) {
+        console.warn("Error loading service videos:", videosError);
+        // Not a critical error - just return photos
+        return photos;
+      }
+
+      // Combine photos and the videos filmed on this service
+      return [...photos, ...(videos.byLog.get(serviceLog.id) || [])];
+    },
+    { fallback: [] },
+  );
+}
 
-    return { media, error: null };
-  } catch (err) {
-    console.error("Exception in getServiceMedia:", err);
-    return { media: [], error: err };
-  }
+/**
+ * Get photos from all of a boat's service logs, for the photo gallery
+ * @param {string} boatId - Boat UUID
+ * @returns {Promise<ApiResult<Object>>} Result of buildPhotoGallery()
+ */
+export async function getBoatPhotos(boatId) {
+  return execute(
+    "boatData.photos",
+    async () => {
+      const { data, error } = await supabase
+        .from("service_logs")
+        .select("service_date, service_name, photos")
+        .eq("boat_id", boatId)
+        .not("photos", "is", null)
+        .order("service_date", { ascending: false });
+
+      if (error) throw error;
+
+      return buildPhotoGallery(data || []);
+    },
+    { fallback: { services: [], areas: [] } },
+  );
 }
 
 /**
@@ -328,18 +423,6 @@ export function daysSinceService(serviceDate) {
   return Math.max(0, diffDays); // Return 0 for today, not negative for future dates
 }
 
-/**
- * Convert anode percentage to condition label
- * @param {number} percent - Anode condition percentage
- * @returns {string} Condition label (excellent, good, fair, poor)
- */
-export function convertAnodePercentToCondition(percent) {
-  if (percent >= 90) return "excellent";
-  if (percent >= 80) return "good";
-  if (percent >= 60) return "fair";
-  return "poor";
-}
-
 /**
  * Check if anode was recently replaced
  * @param {string} checkedDate - ISO date string
@@ -358,11 +441,15 @@ export function isAnodeReplaced(checkedDate, serviceDate) {
 
 /**
  * Determine if paint is due for repainting based on condition and time
+ * A projection from forecastRepaint() takes precedence over the fixed
+ * condition/age thresholds, which remain the fallback for boats without
+ * enough inspections to forecast.
  * @param {string} paintCondition - Paint condition value
  * @param {number} daysSince - Days since last service
+ * @param {Object} [forecast] - Result of forecastRepaint()
  * @returns {Object} Status object with isDue, status, message
  */
-export function getPaintStatus(paintCondition, daysSince) {
+export function getPaintStatus(paintCondition, daysSince, forecast = null) {
   // Normalize condition to severity score (0 = best, 8 = worst)
   const severityMap = {
     excellent: 0,
@@ -388,6 +475,26 @@ export function getPaintStatus(paintCondition, daysSince) {
     };
   }
 
+  if (forecast?.status === FORECAST_STATUS.PROJECTED) {
+    const month = formatForecastMonth(forecast.repaintMonth);
+
+    if (forecast.monthsAway <= HAUL_OUT_LEAD_MONTHS) {
+      return {
+        isDue: true,
+        status: "due-soon",
+        message: `⚠️ Plan haul-out - Repaint projected for ${month}`,
+        urgency: "medium",
+      };
+    }
+
+    return {
+      isDue: false,
+      status: "good",
+      message: `✓ Monitor condition - Repaint projected for ${month}`,
+      urgency: "low",
+    };
+  }
+
   // Urgency based on condition + time
   if (severity <= 1 && daysSince < 180) {
     return {
@@ -4,58 +4,40 @@
  */
 
 import { createSupabaseClient } from "../lib/supabase.js";
-import { getCurrentUser, isAdmin } from "../auth/auth.js";
+import { execute } from "../lib/repository.js";
 
 // createSupabaseClient is the configured client instance, not a factory function
 const supabase = createSupabaseClient;
 
 /**
  * Get all customers for admin selector
- * @returns {Object} { customers: Array, error }
+ * Admin status is enforced server-side by the admin_list_customers RPC,
+ * which fails with insufficient_privilege (forbidden) for everyone else
+ * @returns {Promise<ApiResult<Array>>}
  */
 export async function getAllCustomers() {
-  // Verify admin access
-  const { user } = await getCurrentUser();
-  if (!user) {
-    return { customers: [], error: "Not authenticated" };
-  }
-
-  const adminStatus = await isAdmin(user.id);
-  if (!adminStatus) {
-    console.error("Non-admin attempted to fetch all customers");
-    return { customers: [], error: "Unauthorized" };
-  }
-
-  // Fetch all customers with boat count
-  const { data: customers, error } = await supabase
-    .from("customers")
-    .select(
-      `
-      id,
-      name,
-      email,
-      boats:boats(count)
-    `,
-    )
-    .order("name");
-
-  if (error) {
-    console.error("Error fetching customers:", error);
-    return { customers: [], error };
-  }
-
-  // Format for display: "Name (email) - X boat(s)"
-  const formatted = customers.map((c) => {
-    const boatCount = c.boats?.[0]?.count || 0;
-    const name = c.name || c.email; // Fallback to email if no name
-    return {
-      id: c.id,
-      name: c.name,
-      email: c.email,
-      boatCount,
-      displayText: `${name} (${c.email}) - ${boatCount} boat${boatCount !== 1 ? "s" : ""}`,
-    };
-  });
-
-  return { customers: formatted, error: null };
+  return execute(
+    "customers.list",
+    async () => {
+      const { data: customers, error } = await supabase.rpc(
+        "admin_list_customers",
+      );
+
+      if (error) throw error;
+
+      // Format for display: "Name (email) - X boat(s)"
+      return customers.map((c) => {
+        const boatCount = Number(c.boat_count) || 0;
+        const name = c.name || c.email; // Fallback to email if no name
+        return {
+          id: c.id,
+          name: c.name,
+          email: c.email,
+          boatCount,
+          displayText: `${name} (${c.email}) - ${boatCount} boat${boatCount !== 1 ? "s" : ""}`,
+        };
+      });
+    },
+    { requireUser: true, fallback: [] },
+  );
 }
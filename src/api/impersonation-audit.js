@@ -0,0 +1,111 @@
+/**
+ * Impersonation Audit API
+ * Admin-only access to the impersonation audit trail
+ */
+
+import { createSupabaseClient } from "../lib/supabase.js";
+import { isAdmin } from "../auth/auth.js";
+import { execute, createApiError, ERROR_CODES } from "../lib/repository.js";
+
+// createSupabaseClient is the configured client instance, not a factory function
+const supabase = createSupabaseClient;
+
+/**
+ * Verify the signed-in user is an admin
+ * @param {RepositoryContext} ctx - Resolved repository context
+ * @throws {ApiError} forbidden for non-admins
+ */
+async function assertAdmin({ actor }) {
+  const adminStatus = await isAdmin(actor.id);
+  if (!adminStatus) {
+    throw createApiError(ERROR_CODES.FORBIDDEN, "Unauthorized");
+  }
+}
+
+/**
+ * Load impersonation sessions, most recent first
+ * @param {object} filters - Optional filters (customerId, adminId, since, limit)
+ * @returns {Promise<ApiResult<Array>>}
+ */
+export async function loadImpersonationSessions(filters = {}) {
+  return execute(
+    "impersonationAudit.sessions",
+    async (ctx) => {
+      await assertAdmin(ctx);
+
+      let query = supabase
+        .from("impersonation_sessions")
+        .select(
+          `
+        *,
+        admin:customer_accounts!admin_account_id(id, email),
+        customer:customers(id, name, email),
+        events:impersonation_events(count)
+      `,
+        )
+        .order("started_at", { ascending: false })
+        .limit(filters.limit || 100);
+
+      // Apply filters
+      if (filters.customerId) {
+        query = query.eq("customer_id", filters.customerId);
+      }
+      if (filters.adminId) {
+        query = query.eq("admin_account_id", filters.adminId);
+      }
+      if (filters.since) {
+        query = query.gte("started_at", filters.since);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+
+      return (data || []).map((session) => ({
+        ...session,
+        eventCount: session.events?.[0]?.count || 0,
+      }));
+    },
+    { requireUser: true, fallback: [] },
+  );
+}
+
+/**
+ * Load the events recorded during one impersonation session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<ApiResult<Array>>}
+ */
+export async function loadImpersonationEvents(sessionId) {
+  return execute(
+    "impersonationAudit.events",
+    async (ctx) => {
+      await assertAdmin(ctx);
+
+      const { data, error } = await supabase
+        .from("impersonation_events")
+        .select("*")
+        .eq("session_id", sessionId)
+        .order("created_at", { ascending: true });
+
+      if (error) throw error;
+
+      return data || [];
+    },
+    { requireUser: true, fallback: [] },
+  );
+}
+
+/**
+ * Format a session's duration for display
+ * Open sessions are measured up to the last recorded activity
+ * @param {object} session - Session row
+ * @returns {string} e.g. "12 min" or "1 h 5 min"
+ */
+export function formatSessionDuration(session) {
+  const start = new Date(session.started_at);
+  const end = new Date(session.ended_at || session.last_seen_at);
+  const minutes = Math.max(0, Math.round((end - start) / 60000));
+
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
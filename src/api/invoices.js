@@ -4,57 +4,80 @@
  */
 
 import { createSupabaseClient } from "../lib/supabase.js";
+import { execute } from "../lib/repository.js";
 
 // createSupabaseClient is the configured client instance, not a factory function
 const supabase = createSupabaseClient;
 
+/**
+ * Get the Stripe customer ID that invoices are stored under
+ * @param {string} customerId - Portal customer ID (boats.customer_id)
+ * @returns {Promise<ApiResult<string|null>>}
+ */
+export async function getStripeCustomerId(customerId) {
+  return execute("invoices.stripeCustomer", async () => {
+    if (!customerId) return null;
+
+    const { data, error } = await supabase
+      .from("customers")
+      .select("stripe_customer_id")
+      .eq("id", customerId)
+      .single();
+
+    if (error) throw error;
+
+    return data?.stripe_customer_id || null;
+  });
+}
+
 /**
  * Load invoices for a boat
  * @param {string} boatId - Boat ID (optional, kept for backward compatibility)
  * @param {string} customerId - Customer ID
  * @param {object} filters - Optional filters (status, dateRange)
- * @returns {Promise<{invoices, error}>}
+ * @returns {Promise<ApiResult<Array>>}
  */
 export async function loadInvoices(boatId, customerId, filters = {}) {
-  try {
-    // Query by customer_id to get all invoices (both boat-specific and customer-level)
-    let query = supabase
-      .from("invoices")
-      .select(`*`)
-      .eq("customer_id", customerId)
-      .order("issued_at", { ascending: false });
-
-    // Apply filters
-    if (filters.status) {
-      query = query.eq("status", filters.status);
-    }
-
-    if (filters.startDate) {
-      query = query.gte("issued_at", filters.startDate);
-    }
-
-    if (filters.endDate) {
-      query = query.lte("issued_at", filters.endDate);
-    }
-
-    const { data, error } = await query;
-
-    if (error) throw error;
-
-    return { invoices: data || [], error: null };
-  } catch (error) {
-    console.error("Load invoices error:", error);
-    return { invoices: [], error: error.message };
-  }
+  return execute(
+    "invoices.load",
+    async () => {
+      // Query by customer_id to get all invoices (both boat-specific and customer-level)
+      let query = supabase
+        .from("invoices")
+        .select(`*`)
+        .eq("customer_id", customerId)
+        .order("issued_at", { ascending: false });
+
+      // Apply filters
+      if (filters.status) {
+        query = query.eq("status", filters.status);
+      }
+
+      if (filters.startDate) {
+        query = query.gte("issued_at", filters.startDate);
+      }
+
+      if (filters.endDate) {
+        query = query.lte("issued_at", filters.endDate);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+
+      return data || [];
+    },
+    { fallback: [] },
+  );
 }
 
 /**
  * Get single invoice with line items
  * @param {string} invoiceId - Invoice ID
- * @returns {Promise<{invoice, error}>}
+ * @returns {Promise<ApiResult<Object|null>>}
  */
 export async function getInvoice(invoiceId) {
-  try {
+  return execute("invoices.get", async () => {
     const { data, error } = await supabase
       .from("invoices")
       .select(
@@ -68,21 +91,18 @@ export async function getInvoice(invoiceId) {
 
     if (error) throw error;
 
-    return { invoice: data, error: null };
-  } catch (error) {
-    console.error("Get invoice error:", error);
-    return { invoice: null, error: error.message };
-  }
+    return data;
+  });
 }
 
 /**
  * Get invoice statistics for a boat
  * @param {string} boatId - Boat ID (optional, kept for backward compatibility)
  * @param {string} customerId - Customer ID
- * @returns {Promise<{stats, error}>}
+ * @returns {Promise<ApiResult<Object|null>>}
  */
 export async function getInvoiceStats(boatId, customerId) {
-  try {
+  return execute("invoices.stats", async () => {
     const { data: invoices, error } = await supabase
       .from("invoices")
       .select("amount, status")
@@ -90,7 +110,7 @@ export async function getInvoiceStats(boatId, customerId) {
 
     if (error) throw error;
 
-    const stats = {
+    return {
       total: invoices.length,
       paid: invoices.filter((i) => i.status === "paid").length,
       pending: invoices.filter((i) => i.status === "pending").length,
@@ -106,12 +126,7 @@ export async function getInvoiceStats(boatId, customerId) {
         .filter((i) => i.status !== "paid")
         .reduce((sum, i) => sum + parseFloat(i.amount || 0), 0),
     };
-
-    return { stats, error: null };
-  } catch (error) {
-    console.error("Get invoice stats error:", error);
-    return { stats: null, error: error.message };
-  }
+  });
 }
 
 /**
@@ -119,24 +134,25 @@ export async function getInvoiceStats(boatId, customerId) {
  * @param {string} boatId - Boat ID (optional, kept for backward compatibility)
  * @param {string} customerId - Customer ID
  * @param {number} limit - Number of invoices to return
- * @returns {Promise<{invoices, error}>}
+ * @returns {Promise<ApiResult<Array>>}
  */
 export async function getRecentInvoices(boatId, customerId, limit = 3) {
-  try {
-    const { data, error } = await supabase
-      .from("invoices")
-      .select("*")
-      .eq("customer_id", customerId)
-      .order("issued_at", { ascending: false })
-      .limit(limit);
-
-    if (error) throw error;
-
-    return { invoices: data || [], error: null };
-  } catch (error) {
-    console.error("Get recent invoices error:", error);
-    return { invoices: [], error: error.message };
-  }
+  return execute(
+    "invoices.recent",
+    async () => {
+      const { data, error } = await supabase
+        .from("invoices")
+        .select("*")
+        .eq("customer_id", customerId)
+        .order("issued_at", { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+
+      return data || [];
+    },
+    { fallback: [] },
+  );
 }
 
 /**
@@ -4,62 +4,158 @@
  */
 
 import { createSupabaseClient } from "../lib/supabase.js";
+import { execute } from "../lib/repository.js";
+import { cursorFilter, splitPage } from "../lib/pagination.js";
 
 // createSupabaseClient is the configured client instance, not a factory function
 const supabase = createSupabaseClient;
 
+// Timeline page size; boats serviced monthly get about two years per page
+export const SERVICE_LOG_PAGE_SIZE = 24;
+
 /**
- * Load service logs for a boat
+ * Load a page of service logs for a boat, newest first
+ * Search and filters use the computed fields from migration 025.
  * @param {string} boatId - Boat ID
- * @param {object} filters - Optional filters (status, dateRange)
- * @returns {Promise<{serviceLogs, error}>}
+ * @param {object} options - Optional cursor, limit, search and filters
+ * @param {object} [options.cursor] - nextCursor from the previous page
+ * @param {number} [options.limit] - Page size
+ * @param {string} [options.search] - Words to find in notes and technician
+ * @param {string} [options.serviceType] - service_name
+ * @param {string} [options.technician] - Technician name
+ * @param {number} [options.paintMin] - Lowest overall paint severity (1-8)
+ * @param {number} [options.paintMax] - Highest overall paint severity (1-8)
+ * @param {boolean} [options.anodesReplaced] - Only services that replaced anodes
+ * @param {boolean} [options.hasVideo] - Only services with videos
+ * @param {string[]} [options.videoServiceLogIds] - Logs with playlist videos, counted as having video
+ * @param {string} [options.startDate] - Earliest service date
+ * @param {string} [options.endDate] - Latest service date
+ * @returns {Promise<ApiResult<{logs: Array, nextCursor: Object|null, total: number|null}>>}
+ *   nextCursor is null once the oldest log has been loaded; total (logs
+ *   matching the filters) is only counted for the first page
  */
-export async function loadServiceLogs(boatId, filters = {}) {
-  try {
-    console.log(
-      "[DEBUG] Loading service logs for boat:",
-      boatId,
-      "with filters:",
-      filters,
-    );
-    let query = supabase
-      .from("service_logs")
-      .select("*")
-      .eq("boat_id", boatId)
-      .order("service_date", { ascending: false });
+export async function loadServiceLogs(
+  boatId,
+  { cursor = null, limit = SERVICE_LOG_PAGE_SIZE, ...filters } = {},
+) {
+  return execute(
+    "serviceLogs.load",
+    async () => {
+      let query = supabase
+        .from("service_logs")
+        .select("*", cursor ? {} : { count: "exact" })
+        .eq("boat_id", boatId)
+        // Logs without a date go last, matching cursorFilter()
+        .order("service_date", { ascending: false, nullsFirst: false })
+        .order("id", { ascending: false })
+        .limit(limit + 1); // One extra row tells us whether there's another page
 
-    // Apply filters
-    if (filters.startDate) {
-      query = query.gte("service_date", filters.startDate);
-    }
+      if (cursor) {
+        query = query.or(cursorFilter(cursor, "service_date"));
+      }
 
-    if (filters.endDate) {
-      query = query.lte("service_date", filters.endDate);
-    }
+      // Apply filters
+      if (filters.search) {
+        query = query.textSearch("search_vector", filters.search, {
+          type: "websearch",
+          config: "english",
+        });
+      }
 
-    const { data, error } = await query;
+      if (filters.serviceType) {
+        query = query.eq("service_name", filters.serviceType);
+      }
 
-    if (error) throw error;
+      if (filters.technician) {
+        query = query.eq("technician", filters.technician);
+      }
+
+      if (filters.paintMin) {
+        query = query.gte("paint_severity", filters.paintMin);
+      }
+
+      if (filters.paintMax) {
+        query = query.lte("paint_severity", filters.paintMax);
+      }
+
+      if (filters.anodesReplaced) {
+        query = query.eq("anodes_replaced", true);
+      }
+
+      if (filters.hasVideo) {
+        const ids = filters.videoServiceLogIds || [];
+        query = ids.length
+          ? query.or(`has_video.is.true,id.in.(${ids.join(",")})`)
+          : query.eq("has_video", true);
+      }
 
-    console.log(
-      "[DEBUG] Service logs loaded:",
-      data?.length || 0,
-      "logs found",
-    );
-    return { serviceLogs: data || [], error: null };
-  } catch (error) {
-    console.error("Load service logs error:", error);
-    return { serviceLogs: [], error: error.message };
-  }
+      if (filters.startDate) {
+        query = query.gte("service_date", filters.startDate);
+      }
+
+      if (filters.endDate) {
+        query = query.lte("service_date", filters.endDate);
+      }
+
+      const { data, count, error } = await query;
+
+      if (error) throw error;
+
+      const { items, nextCursor } = splitPage(
+        data || [],
+        limit,
+        "service_date",
+      );
+      return { logs: items, nextCursor, total: count ?? null };
+    },
+    { fallback: { logs: [], nextCursor: null, total: null } },
+  );
+}
+
+/**
+ * Get the values a boat's service history can be filtered by
+ * @param {string} boatId - Boat ID
+ * @returns {Promise<ApiResult<{serviceTypes: Array<{value: string, count: number}>, technicians: Array<{value: string, count: number}>}>>}
+ *   Facet values are sorted by count, most common first
+ */
+export async function getServiceLogFacets(boatId) {
+  return execute(
+    "serviceLogs.facets",
+    async () => {
+      const { data, error } = await supabase
+        .from("service_logs")
+        .select("service_name, technician")
+        .eq("boat_id", boatId);
+
+      if (error) throw error;
+
+      const countValues = (column) => {
+        const counts = new Map();
+        (data || []).forEach((log) => {
+          const value = log[column];
+          if (value) counts.set(value, (counts.get(value) || 0) + 1);
+        });
+        return [...counts.entries()]
+          .map(([value, count]) => ({ value, count }))
+          .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+      };
+
+      return {
+        serviceTypes: countValues("service_name"),
+        technicians: countValues("technician"),
+      };
+    },
+    { fallback: { serviceTypes: [], technicians: [] } },
+  );
 }
 
 /**
  * Get single service log
  * @param {string} logId - Service log ID
- * @returns {Promise<{serviceLog, error}>}
+ * @returns {Promise<ApiResult<Object|null>>}
  */
 export async function getServiceLog(logId) {
-  try {
+  return execute("serviceLogs.get", async () => {
     const { data, error } = await supabase
       .from("service_logs")
       .select(
@@ -73,20 +169,17 @@ export async function getServiceLog(logId) {
 
     if (error) throw error;
 
-    return { serviceLog: data, error: null };
-  } catch (error) {
-    console.error("Get service log error:", error);
-    return { serviceLog: null, error: error.message };
-  }
+    return data;
+  });
 }
 
 /**
  * Get service log statistics for a boat
  * @param {string} boatId - Boat ID
- * @returns {Promise<{stats, error}>}
+ * @returns {Promise<ApiResult<Object|null>>}
  */
 export async function getServiceStats(boatId) {
-  try {
+  return execute("serviceLogs.stats", async () => {
     const { data: logs, error } = await supabase
       .from("service_logs")
       .select("service_date, service_name")
@@ -108,42 +201,38 @@ export async function getServiceStats(boatId) {
       return logYear === currentYear;
     }).length;
 
-    const stats = {
+    return {
       total: totalServices,
       lastServiceDate: lastService ? lastService.service_date : null,
       lastServiceName: lastService ? lastService.service_name : null,
       thisYear: servicesThisYear,
     };
-
-    return { stats, error: null };
-  } catch (error) {
-    console.error("Get service stats error:", error);
-    return { stats: null, error: error.message };
-  }
+  });
 }
 
 /**
  * Get recent service logs for a boat
  * @param {string} boatId - Boat ID
  * @param {number} limit - Number of logs to return
- * @returns {Promise<{serviceLogs, error}>}
+ * @returns {Promise<ApiResult<Array>>}
  */
 export async function getRecentServiceLogs(boatId, limit = 5) {
-  try {
-    const { data, error } = await supabase
-      .from("service_logs")
-      .select("*")
-      .eq("boat_id", boatId)
-      .order("service_date", { ascending: false })
-      .limit(limit);
+  return execute(
+    "serviceLogs.recent",
+    async () => {
+      const { data, error } = await supabase
+        .from("service_logs")
+        .select("*")
+        .eq("boat_id", boatId)
+        .order("service_date", { ascending: false })
+        .limit(limit);
 
-    if (error) throw error;
+      if (error) throw error;
 
-    return { serviceLogs: data || [], error: null };
-  } catch (error) {
-    console.error("Get recent service logs error:", error);
-    return { serviceLogs: [], error: error.message };
-  }
+      return data || [];
+    },
+    { fallback: [] },
+  );
 }
 
 /**
@@ -174,99 +263,6 @@ export function formatShortDate(dateString) {
   });
 }
 
-/**
- * Get condition badge class
- * @param {string} condition - Condition value
- * @returns {string}
- */
-export function getConditionClass(condition) {
-  if (!condition) return "condition-default";
-
-  const conditionLower = condition.toLowerCase().trim();
-
-  // Full condition mappings matching billing slider
-  const conditionMap = {
-    "not inspected": "condition-not-inspected",
-    "not-inspected": "condition-not-inspected",
-    not_inspected: "condition-not-inspected", // Handle underscore variant
-    excellent: "condition-excellent",
-    "excellent-good": "condition-excellent-good",
-    "excellent good": "condition-excellent-good",
-    good: "condition-good",
-    "good-fair": "condition-good-fair",
-    "good fair": "condition-good-fair",
-    fair: "condition-fair",
-    "fair-poor": "condition-fair-poor",
-    "fair poor": "condition-fair-poor",
-    poor: "condition-poor",
-    "very poor": "condition-very-poor",
-    "very-poor": "condition-very-poor",
-    critical: "condition-critical", // Legacy alias for very poor
-    sound: "condition-good", // Through-hull specific condition (sound = good)
-    inspected: "condition-good", // General inspected status (inspected = good)
-    // Growth levels
-    minimal: "condition-excellent",
-    "minimal-moderate": "condition-good",
-    moderate: "condition-fair",
-    "moderate-heavy": "condition-fair-poor",
-    heavy: "condition-poor",
-  };
-
-  // Anode-specific status mappings
-  if (
-    conditionLower.includes("needs replacement") ||
-    conditionLower.includes("missing")
-  ) {
-    return "condition-poor";
-  }
-  if (
-    conditionLower.includes("installed") ||
-    conditionLower.includes("replaced")
-  ) {
-    return "condition-good";
-  }
-
-  // Check for exact match first
-  if (conditionMap[conditionLower]) {
-    return conditionMap[conditionLower];
-  }
-
-  // Check for comma-separated conditions (e.g., "Good, Fair")
-  // Use the worst condition mentioned
-  if (
-    conditionLower.includes("very poor") ||
-    conditionLower.includes("critical")
-  ) {
-    return "condition-very-poor";
-  }
-  if (conditionLower.includes("poor")) {
-    return "condition-poor";
-  }
-  if (conditionLower.includes("fair-poor")) {
-    return "condition-fair-poor";
-  }
-  if (conditionLower.includes("fair")) {
-    return "condition-fair";
-  }
-  if (conditionLower.includes("good-fair")) {
-    return "condition-good-fair";
-  }
-  if (conditionLower.includes("good")) {
-    return "condition-good";
-  }
-  if (conditionLower.includes("excellent-good")) {
-    return "condition-excellent-good";
-  }
-  if (conditionLower.includes("excellent")) {
-    return "condition-excellent";
-  }
-  if (conditionLower.includes("not inspected")) {
-    return "condition-not-inspected";
-  }
-
-  return "condition-default";
-}
-
 /**
  * Format hours
  * @param {number} hours - Hours value
@@ -4,6 +4,7 @@
  */
 
 import { createSupabaseClient } from "../lib/supabase.js";
+import { execute, insertOnce } from "../lib/repository.js";
 
 // createSupabaseClient is the configured client instance, not a factory function
 const supabase = createSupabaseClient;
@@ -11,62 +12,43 @@ const supabase = createSupabaseClient;
 /**
  * Submit a service inquiry
  * @param {string} boatId - Boat ID
- * @param {object} data - Inquiry data
- * @returns {Promise<{request, error}>}
+ * @param {object} data - Inquiry data (clientRequestId is kept across retries)
+ * @returns {Promise<ApiResult<Object|null>>}
  */
 export async function submitInquiry(boatId, data) {
-  try {
-    const {
-      data: { user },
-    } = await supabase.auth.getUser();
-
-    if (!user) {
-      throw new Error("Not authenticated");
-    }
-
-    const { data: request, error } = await supabase
-      .from("service_requests")
-      .insert({
+  return execute(
+    "serviceRequests.submitInquiry",
+    async ({ accountId, attribution }) => {
+      return insertOnce("service_requests", {
+        ...attribution,
         boat_id: boatId,
-        customer_account_id: user.id,
+        customer_account_id: accountId,
         request_type: "inquiry",
         service_type: data.serviceType,
         priority: data.priority || "normal",
         notes: data.notes,
         attachments: data.attachments || [],
-      })
-      .select()
-      .single();
-
-    if (error) throw error;
-    return { request, error: null };
-  } catch (error) {
-    console.error("Submit inquiry error:", error);
-    return { request: null, error: error.message };
-  }
+        client_request_id: data.clientRequestId || null,
+      });
+    },
+    { mutation: true, requireAccount: true },
+  );
 }
 
 /**
  * Submit a booking request with preferred date/time
  * @param {string} boatId - Boat ID
- * @param {object} data - Booking data
- * @returns {Promise<{request, error}>}
+ * @param {object} data - Booking data (clientRequestId is kept across retries)
+ * @returns {Promise<ApiResult<Object|null>>}
  */
 export async function submitBooking(boatId, data) {
-  try {
-    const {
-      data: { user },
-    } = await supabase.auth.getUser();
-
-    if (!user) {
-      throw new Error("Not authenticated");
-    }
-
-    const { data: request, error } = await supabase
-      .from("service_requests")
-      .insert({
+  return execute(
+    "serviceRequests.submitBooking",
+    async ({ accountId, attribution }) => {
+      return insertOnce("service_requests", {
+        ...attribution,
         boat_id: boatId,
-        customer_account_id: user.id,
+        customer_account_id: accountId,
         request_type: "booking",
         service_type: data.serviceType,
         priority: data.priority || "normal",
@@ -74,55 +56,51 @@ export async function submitBooking(boatId, data) {
         preferred_time: data.preferredTime,
         notes: data.notes,
         attachments: data.attachments || [],
-      })
-      .select()
-      .single();
-
-    if (error) throw error;
-    return { request, error: null };
-  } catch (error) {
-    console.error("Submit booking error:", error);
-    return { request: null, error: error.message };
-  }
+        client_request_id: data.clientRequestId || null,
+      });
+    },
+    { mutation: true, requireAccount: true },
+  );
 }
 
 /**
  * Load service requests for a boat
  * @param {string} boatId - Boat ID
  * @param {object} filters - Optional filters (status)
- * @returns {Promise<{requests, error}>}
+ * @returns {Promise<ApiResult<Array>>}
  */
 export async function loadServiceRequests(boatId, filters = {}) {
-  try {
-    let query = supabase
-      .from("service_requests")
-      .select("*")
-      .eq("boat_id", boatId)
-      .order("created_at", { ascending: false });
-
-    // Apply filters
-    if (filters.status) {
-      query = query.eq("status", filters.status);
-    }
-
-    const { data, error } = await query;
-
-    if (error) throw error;
-
-    return { requests: data || [], error: null };
-  } catch (error) {
-    console.error("Load service requests error:", error);
-    return { requests: [], error: error.message };
-  }
+  return execute(
+    "serviceRequests.load",
+    async () => {
+      let query = supabase
+        .from("service_requests")
+        .select("*")
+        .eq("boat_id", boatId)
+        .order("created_at", { ascending: false });
+
+      // Apply filters
+      if (filters.status) {
+        query = query.eq("status", filters.status);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+
+      return data || [];
+    },
+    { fallback: [] },
+  );
 }
 
 /**
  * Get single service request details
  * @param {string} requestId - Request ID
- * @returns {Promise<{request, error}>}
+ * @returns {Promise<ApiResult<Object|null>>}
  */
 export async function getRequestDetails(requestId) {
-  try {
+  return execute("serviceRequests.get", async () => {
     const { data, error } = await supabase
       .from("service_requests")
       .select(
@@ -137,66 +115,55 @@ export async function getRequestDetails(requestId) {
 
     if (error) throw error;
 
-    return { request: data, error: null };
-  } catch (error) {
-    console.error("Get request details error:", error);
-    return { request: null, error: error.message };
-  }
+    return data;
+  });
 }
 
 /**
  * Upload photo attachment for service request
  * @param {File} file - File to upload
  * @param {string} boatId - Boat ID
- * @returns {Promise<{url, error}>}
+ * @returns {Promise<ApiResult<Object|null>>} data: { url, filename, size, type }
  */
 export async function uploadRequestPhoto(file, boatId) {
-  try {
-    const {
-      data: { user },
-    } = await supabase.auth.getUser();
-
-    if (!user) {
-      throw new Error("Not authenticated");
-    }
-
-    // Generate unique filename
-    const timestamp = Date.now();
-    const fileExt = file.name.split(".").pop();
-    const fileName = `${boatId}/${timestamp}.${fileExt}`;
-
-    // Upload to storage
-    const { data, error: uploadError } = await supabase.storage
-      .from("customer-attachments")
-      .upload(fileName, file);
-
-    if (uploadError) throw uploadError;
-
-    // Get public URL
-    const {
-      data: { publicUrl },
-    } = supabase.storage.from("customer-attachments").getPublicUrl(fileName);
-
-    return {
-      url: publicUrl,
-      filename: file.name,
-      size: file.size,
-      type: file.type,
-      error: null,
-    };
-  } catch (error) {
-    console.error("Upload photo error:", error);
-    return { url: null, error: error.message };
-  }
+  return execute(
+    "serviceRequests.uploadPhoto",
+    async () => {
+      // Generate unique filename
+      const timestamp = Date.now();
+      const fileExt = file.name.split(".").pop();
+      const fileName = `${boatId}/${timestamp}.${fileExt}`;
+
+      // Upload to storage
+      const { error: uploadError } = await supabase.storage
+        .from("customer-attachments")
+        .upload(fileName, file);
+
+      if (uploadError) throw uploadError;
+
+      // Get public URL
+      const {
+        data: { publicUrl },
+      } = supabase.storage.from("customer-attachments").getPublicUrl(fileName);
+
+      return {
+        url: publicUrl,
+        filename: file.name,
+        size: file.size,
+        type: file.type,
+      };
+    },
+    { mutation: true },
+  );
 }
 
 /**
  * Get service request statistics for a boat
  * @param {string} boatId - Boat ID
- * @returns {Promise<{stats, error}>}
+ * @returns {Promise<ApiResult<Object|null>>}
  */
 export async function getRequestStats(boatId) {
-  try {
+  return execute("serviceRequests.stats", async () => {
     const { data: requests, error } = await supabase
       .from("service_requests")
       .select("status, priority, created_at")
@@ -204,7 +171,7 @@ export async function getRequestStats(boatId) {
 
     if (error) throw error;
 
-    const stats = {
+    return {
       total: requests.length,
       pending: requests.filter((r) => r.status === "pending").length,
       scheduled: requests.filter((r) => r.status === "scheduled").length,
@@ -214,12 +181,7 @@ export async function getRequestStats(boatId) {
         (r) => r.priority === "urgent" && r.status === "pending",
       ).length,
     };
-
-    return { stats, error: null };
-  } catch (error) {
-    console.error("Get request stats error:", error);
-    return { stats: null, error: error.message };
-  }
+  });
 }
 
 /**
@@ -0,0 +1,207 @@
+/**
+ * Auth Callback Handling
+ * Resolves the session for a page load in one place: PKCE `?code=`
+ * callbacks, `#access_token` hand-offs from the SSO login service, auth
+ * errors in the URL, and the `redirect` parameter. Waits on Supabase's
+ * INITIAL_SESSION event instead of fixed delays, then strips the callback
+ * parameters so reloads and login redirects never replay stale tokens.
+ *
+ * Kept free of the configured client so the URL handling can be tested
+ * without a browser; auth.js passes its client to bootstrapAuth().
+ */
+
+// Query parameters set by an auth callback (PKCE code or redirect error)
+const QUERY_AUTH_PARAMS = ["code", "error", "error_code", "error_description"];
+
+// Any of these in the hash marks it as an implicit-flow callback
+const HASH_AUTH_PARAMS = [
+  "access_token",
+  "refresh_token",
+  "error",
+  "error_description",
+];
+
+/**
+ * Auth callback types found in a URL
+ */
+export const AUTH_CALLBACK_TYPES = {
+  NONE: "none",
+  CODE: "code",
+  TOKENS: "tokens",
+  ERROR: "error",
+};
+
+/**
+ * Read the auth callback (if any) from a URL
+ * @param {string} href - Full page URL
+ * @returns {{type: string, code?: string, accessToken?: string, refreshToken?: string, expiresAt?: number|null, error?: string, redirect: string|null}}
+ */
+export function parseAuthCallback(href) {
+  const url = new URL(href);
+  const query = url.searchParams;
+  const hash = new URLSearchParams(url.hash.substring(1));
+  const get = (key) => query.get(key) ?? hash.get(key);
+  const redirect = query.get("redirect");
+
+  // Anyone can put text here with a crafted link: display it as text only
+  const error = get("error_description") || get("error");
+  if (error) {
+    return { type: AUTH_CALLBACK_TYPES.ERROR, error, redirect };
+  }
+
+  if (hash.get("access_token")) {
+    return {
+      type: AUTH_CALLBACK_TYPES.TOKENS,
+      accessToken: hash.get("access_token"),
+      refreshToken: hash.get("refresh_token") || "",
+      expiresAt: hash.has("expires_at") ? Number(hash.get("expires_at")) : null,
+      redirect,
+    };
+  }
+
+  if (query.get("code")) {
+    return {
+      type: AUTH_CALLBACK_TYPES.CODE,
+      code: query.get("code"),
+      redirect,
+    };
+  }
+
+  return { type: AUTH_CALLBACK_TYPES.NONE, redirect };
+}
+
+/**
+ * Check whether a token expiry (seconds since epoch) has passed
+ * @param {number|null} expiresAt - Expiry timestamp, null if unknown
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean}
+ */
+export function isTokenExpired(expiresAt, now = Date.now()) {
+  return expiresAt !== null && expiresAt * 1000 <= now;
+}
+
+/**
+ * Remove auth callback parameters from a URL
+ * @param {string} href - Full page URL
+ * @returns {string} Path, query and hash without callback parameters
+ */
+export function stripAuthParams(href) {
+  const url = new URL(href);
+  QUERY_AUTH_PARAMS.forEach((key) => url.searchParams.delete(key));
+
+  const hash = new URLSearchParams(url.hash.substring(1));
+  const hashHasAuth = HASH_AUTH_PARAMS.some((key) => hash.has(key));
+
+  return url.pathname + url.search + (hashHasAuth ? "" : url.hash);
+}
+
+/**
+ * Validate a `redirect` parameter
+ * Only same-origin destinations are allowed so the login page can't be used
+ * as an open redirect.
+ * @param {string|null} redirect - Requested destination (absolute or relative)
+ * @param {string} origin - Current page origin
+ * @returns {string|null} Same-origin path to redirect to, or null
+ */
+export function getSafeRedirect(redirect, origin) {
+  if (!redirect) return null;
+
+  try {
+    const url = new URL(redirect, origin);
+    if (url.origin !== origin) return null;
+    return stripAuthParams(url.href);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Wait for the client to finish initializing and report its session
+ * INITIAL_SESSION is emitted after Supabase has processed any PKCE code in
+ * the URL and restored (or refreshed) the stored session.
+ * @param {Object} client - Supabase client
+ * @returns {Promise<Object|null>} Session or null
+ */
+function waitForInitialSession(client) {
+  return new Promise((resolve) => {
+    let settled = false;
+    let subscription = null;
+
+    const { data } = client.auth.onAuthStateChange((event, session) => {
+      if (event !== "INITIAL_SESSION" || settled) return;
+      settled = true;
+      subscription?.unsubscribe();
+      resolve(session);
+    });
+
+    subscription = data.subscription;
+    if (settled) subscription.unsubscribe();
+  });
+}
+
+/**
+ * Resolve the session for the current page load
+ * @param {Object} client - Supabase client
+ * @param {Object} [env] - Browser objects (overridable for tests)
+ * @param {Location} [env.location] - Page location
+ * @param {History} [env.history] - Page history
+ * @param {number} [env.now] - Current time in milliseconds
+ * @returns {Promise<{session: Object|null, redirect: string|null, error: string|null}>}
+ */
+export async function bootstrapAuth(
+  client,
+  {
+    location = globalThis.location,
+    history = globalThis.history,
+    now = Date.now(),
+  } = {},
+) {
+  const callback = parseAuthCallback(location.href);
+  const redirect = getSafeRedirect(callback.redirect, location.origin);
+
+  let session = await waitForInitialSession(client);
+  let error = null;
+
+  switch (callback.type) {
+    case AUTH_CALLBACK_TYPES.ERROR:
+      error = callback.error;
+      break;
+
+    case AUTH_CALLBACK_TYPES.TOKENS: {
+      // Hand-off from the SSO login service. setSession refreshes an expired
+      // access token if the refresh token is still valid.
+      const { data, error: sessionError } = await client.auth.setSession({
+        access_token: callback.accessToken,
+        refresh_token: callback.refreshToken,
+      });
+
+      if (sessionError || !data?.session) {
+        console.error("Failed to set session from URL:", sessionError);
+        session = null;
+        error = isTokenExpired(callback.expiresAt, now)
+          ? "Your sign-in link has expired. Please sign in again."
+          : "Could not complete sign-in. Please sign in again.";
+      } else {
+        session = data.session;
+      }
+      break;
+    }
+
+    case AUTH_CALLBACK_TYPES.CODE:
+      // Supabase exchanges the code during initialization; no session means
+      // the code was already used, expired, or started in another browser
+      if (!session) {
+        error = "Could not complete sign-in. Please sign in again.";
+      }
+      break;
+
+    default:
+      break;
+  }
+
+  if (callback.type !== AUTH_CALLBACK_TYPES.NONE) {
+    history.replaceState(history.state, "", stripAuthParams(location.href));
+  }
+
+  return { session, redirect, error };
+}
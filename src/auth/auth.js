@@ -4,6 +4,10 @@
  */
 
 import { createClient } from "@supabase/supabase-js";
+import { BOAT_ROLES } from "../lib/boat-roles.js";
+import { bootstrapAuth } from "./auth-callback.js";
+import { getLoginUrl, getPortalUrl } from "../lib/config.js";
+import { clearFormDrafts } from "../lib/form-drafts.js";
 
 /**
  * Custom storage for Supabase using localStorage only
@@ -44,6 +48,27 @@ export const supabase = createClient(
   },
 );
 
+// Result of processing this page load's auth callback (see initAuth)
+let authBootstrap = null;
+
+// Set while logout() runs so the session manager doesn't treat it as expiry
+let signingOut = false;
+
+/**
+ * Process any auth callback in the URL and restore the session
+ * Runs once per page load; every caller gets the same result.
+ * @returns {Promise<{session, redirect, error}>}
+ */
+export function initAuth() {
+  if (!authBootstrap) {
+    authBootstrap = bootstrapAuth(supabase).catch((error) => {
+      console.error("Auth bootstrap error:", error);
+      return { session: null, redirect: null, error: error.message };
+    });
+  }
+  return authBootstrap;
+}
+
 /**
  * Login with email and password
  * @param {string} email - User email
@@ -81,7 +106,7 @@ export async function loginWithMagicLink(email) {
     const { error } = await supabase.auth.signInWithOtp({
       email,
       options: {
-        emailRedirectTo: "https://portal.sailorskills.com/portal",
+        emailRedirectTo: getPortalUrl("/portal"),
       },
     });
 
@@ -108,7 +133,7 @@ export async function signUp(email, password, boatSlug = null) {
       email,
       password,
       options: {
-        emailRedirectTo: `${window.location.origin}/portal`,
+        emailRedirectTo: getPortalUrl("/portal"),
       },
     });
 
@@ -148,7 +173,7 @@ export async function signUp(email, password, boatSlug = null) {
 export async function resetPassword(email) {
   try {
     const { error } = await supabase.auth.resetPasswordForEmail(email, {
-      redirectTo: `${window.location.origin}/reset-password`,
+      redirectTo: getPortalUrl("/reset-password"),
     });
 
     if (error) throw error;
@@ -180,6 +205,126 @@ export async function updatePassword(newPassword) {
   }
 }
 
+/**
+ * What a session still needs before admin features are available
+ * enroll: no authenticator is set up yet
+ * challenge: an authenticator is set up but this session hasn't entered a code
+ */
+export const MFA_REQUIREMENTS = {
+  ENROLL: "enroll",
+  CHALLENGE: "challenge",
+};
+
+/**
+ * Get the signed-in user's two-factor status
+ * @returns {Promise<{enrolled, factorId, currentLevel, nextLevel, error}>}
+ */
+export async function getMfaStatus() {
+  try {
+    const { data: factors, error: factorsError } =
+      await supabase.auth.mfa.listFactors();
+
+    if (factorsError) throw factorsError;
+
+    const { data: aal, error: aalError } =
+      await supabase.auth.mfa.getAuthenticatorAssuranceLevel();
+
+    if (aalError) throw aalError;
+
+    const factor = factors.totp[0] || null;
+
+    return {
+      enrolled: !!factor,
+      factorId: factor?.id || null,
+      currentLevel: aal.currentLevel,
+      nextLevel: aal.nextLevel,
+      error: null,
+    };
+  } catch (error) {
+    console.error("Get MFA status error:", error);
+    return {
+      enrolled: false,
+      factorId: null,
+      currentLevel: null,
+      nextLevel: null,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Check whether the session must enter an authenticator code to reach AAL2
+ * Read from the session itself (no network), and true when the level can't
+ * be read, so a broken session is challenged rather than let through.
+ * @returns {Promise<boolean>}
+ */
+export async function needsMfaChallenge() {
+  const { data, error } =
+    await supabase.auth.mfa.getAuthenticatorAssuranceLevel();
+
+  if (error) {
+    console.error("Get assurance level error:", error);
+    return true;
+  }
+
+  return data.currentLevel === "aal1" && data.nextLevel === "aal2";
+}
+
+/**
+ * Verify an authenticator code, upgrading the session to AAL2
+ * @param {string} code - 6-digit TOTP code
+ * @param {string} factorId - Factor to verify (defaults to the verified TOTP factor)
+ * @returns {Promise<{success, error}>}
+ */
+export async function verifyMfaCode(code, factorId = null) {
+  try {
+    let id = factorId;
+    if (!id) {
+      const { factorId: enrolledId, error } = await getMfaStatus();
+      if (error) throw new Error(error);
+      if (!enrolledId)
+        throw new Error("Two-factor authentication is not set up");
+      id = enrolledId;
+    }
+
+    const { error } = await supabase.auth.mfa.challengeAndVerify({
+      factorId: id,
+      code: code.replace(/\s/g, ""),
+    });
+
+    if (error) throw error;
+
+    return { success: true, error: null };
+  } catch (error) {
+    console.error("MFA verify error:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Use a recovery code when the authenticator device is lost
+ * Removes the user's authenticator so they can sign in and enroll a new one.
+ * @param {string} code - Recovery code (xxxxx-xxxxx)
+ * @returns {Promise<{success, error}>}
+ */
+export async function redeemRecoveryCode(code) {
+  try {
+    const { error } = await supabase.rpc("redeem_mfa_recovery_code", {
+      p_code: code,
+    });
+
+    if (error) throw error;
+
+    // Pick up the removed factor so nextLevel drops back to aal1
+    await supabase.auth.refreshSession();
+
+    return { success: true, error: null };
+  } catch (error) {
+    console.error("Recovery code error:", error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Get current authenticated user
  * @returns {Promise<{user, error}>}
@@ -227,9 +372,13 @@ export async function getCurrentSession() {
 export async function logout() {
   try {
     // Clear impersonation state on logout
-    clearImpersonation();
+    await clearImpersonation();
+
+    // Stop push notifications on this device (needs the session, so first)
+    await removePushSubscription();
 
     // Sign out from Supabase
+    signingOut = true;
     const { error } = await supabase.auth.signOut();
 
     if (error) throw error;
@@ -246,9 +395,17 @@ export async function logout() {
       }
     });
 
+    // Unsent form text (src/lib/form-drafts.js) stays on a shared device otherwise
+    clearFormDrafts(localStorage);
+
     // Clear session storage too
     sessionStorage.clear();
 
+    // Drop data the service worker kept for offline use (src/pwa/service-worker.js)
+    if ("caches" in window) {
+      await caches.delete("portal-data");
+    }
+
     // Clean up URL hash to remove any lingering tokens
     if (window.location.hash) {
       history.replaceState(
@@ -258,112 +415,298 @@ export async function logout() {
       );
     }
 
-    // Redirect to SSO login service
+    // Redirect to the login page (SSO service, or login.html in local mode)
     // IMPORTANT: Don't include current URL as redirect if it has hash tokens
-    window.location.href = "https://login.sailorskills.com/login.html";
+    window.location.href = getLoginUrl();
 
     return { success: true, error: null };
   } catch (error) {
+    signingOut = false;
     console.error("Logout error:", error);
     return { success: false, error: error.message };
   }
 }
 
+/**
+ * Unsubscribe this browser from push and forget its stored subscription
+ * (see src/ui/push.js), so the next person to use it doesn't get them
+ */
+async function removePushSubscription() {
+  try {
+    const registration = await navigator.serviceWorker?.getRegistration();
+    const subscription = await registration?.pushManager?.getSubscription();
+    if (!subscription) return;
+
+    await supabase
+      .from("push_subscriptions")
+      .delete()
+      .eq("endpoint", subscription.endpoint);
+    await subscription.unsubscribe();
+  } catch (error) {
+    console.warn("Could not remove push subscription:", error);
+  }
+}
+
+/**
+ * Check whether the user is signing out on purpose
+ * @returns {boolean}
+ */
+export function isSigningOut() {
+  return signingOut;
+}
+
+/**
+ * Refresh the current session
+ * @returns {Promise<{session, error}>}
+ */
+export async function refreshSession() {
+  try {
+    const { data, error } = await supabase.auth.refreshSession();
+
+    if (error) throw error;
+
+    return { session: data.session, error: null };
+  } catch (error) {
+    console.error("Refresh session error:", error);
+    return { session: null, error: error.message };
+  }
+}
+
 /**
  * Check if user is authenticated
  * @returns {Promise<boolean>}
  */
 export async function isAuthenticated() {
+  await initAuth();
   const { session } = await getCurrentSession();
   return !!session;
 }
 
 /**
  * Require authentication (middleware for protected routes)
- * Redirects to SSO login if not authenticated
+ * Processes auth callbacks first, then redirects to login if not authenticated.
+ * Sessions that skipped the portal's login page (SSO, magic links) must also
+ * pass the two-factor challenge when the account has an authenticator;
+ * cancelling it signs out.
  */
 export async function requireAuth() {
   const authenticated = await isAuthenticated();
 
   if (!authenticated) {
-    // Redirect to SSO login service (without hash tokens to prevent loops)
-    // Use pathname + search only, not the full href which may contain stale hash tokens
+    // Redirect to the login page. initAuth() has already stripped any
+    // callback tokens from the URL, so the login page can't bounce them back.
     const cleanUrl =
       window.location.origin +
       window.location.pathname +
       window.location.search;
-    const redirectUrl = encodeURIComponent(cleanUrl);
-    window.location.href = `https://login.sailorskills.com/login.html?redirect=${redirectUrl}`;
+    window.location.href = getLoginUrl(cleanUrl);
     return false;
   }
 
+  if (await needsMfaChallenge()) {
+    // Loaded on demand: the challenge UI imports this module
+    const { promptMfaChallenge } = await import("../ui/mfa-challenge.js");
+    const verified = await promptMfaChallenge({
+      message:
+        "Enter the 6-digit code from your authenticator app to open the portal.",
+    });
+
+    if (!verified) {
+      await logout();
+      return false;
+    }
+  }
+
   return true;
 }
 
 /**
- * Check if user is an admin
- * @param {string} userId - User ID (can be account ID or customer ID)
+ * Check if the signed-in user is an admin
+ * Evaluated server-side by the is_admin() RPC for the session's own user, so
+ * the result cannot be spoofed by passing a different ID. Admin data itself is
+ * protected by RLS and the admin_* RPCs; this check only drives the UI.
+ * False until the session has passed two-factor (migration 023).
+ * @param {string} userId - Kept for existing callers; the check always applies to the signed-in user
  * @returns {Promise<boolean>}
  */
 export async function isAdmin(userId) {
   try {
-    // If we're impersonating, userId might be a customer ID
-    // In that case, get the actual admin user's account ID
-    const impersonatedId = sessionStorage.getItem("impersonatedCustomerId");
-    let checkUserId = userId;
-
-    if (impersonatedId && userId === impersonatedId) {
-      // User ID is a customer ID, get the actual authenticated user
-      const { user } = await getCurrentUser();
-      if (!user) return false;
-      checkUserId = user.id;
-    }
-
-    const { data, error } = await supabase
-      .from("customer_accounts")
-      .select("is_admin")
-      .eq("id", checkUserId)
-      .single();
+    const { data, error } = await supabase.rpc("is_admin");
 
     if (error) {
       console.error("Error checking admin status:", error);
       return false;
     }
 
-    return data?.is_admin === true;
+    return data === true;
   } catch (error) {
     console.error("Error in isAdmin check:", error);
     return false;
   }
 }
 
+/**
+ * Check whether the signed-in account has the admin flag, whether or not the
+ * session has passed two-factor (isAdmin() is false until it has)
+ * @returns {Promise<boolean>}
+ */
+export async function isAdminAccount() {
+  const { data, error } = await supabase.rpc("is_admin_account");
+
+  if (error) {
+    console.error("Error checking admin account:", error);
+    return false;
+  }
+
+  return data === true;
+}
+
+/**
+ * Impersonation modes
+ * read-only: the admin sees the customer's portal but every write is refused
+ * act-as: writes are allowed and attributed to the admin acting on the customer's behalf
+ */
+export const IMPERSONATION_MODES = {
+  READ_ONLY: "read-only",
+  ACT_AS: "act-as",
+};
+
+/**
+ * Two-factor step an admin account still needs before using admin features
+ * @returns {Promise<string|null>} One of MFA_REQUIREMENTS, or null at AAL2
+ */
+export async function getAdminMfaRequirement() {
+  const mfa = await getMfaStatus();
+  if (mfa.currentLevel === "aal2") return null;
+  return mfa.enrolled ? MFA_REQUIREMENTS.CHALLENGE : MFA_REQUIREMENTS.ENROLL;
+}
+
 /**
  * Set impersonation mode (admin only)
+ * The admin's session must be at AAL2 (two-factor verified); the audit
+ * session insert and admin_get_* RPCs enforce the same rule server-side.
  * @param {string} customerId - Customer UUID to impersonate
- * @returns {Object} { success: boolean, error?: string }
+ * @param {string} mode - One of IMPERSONATION_MODES (defaults to read-only)
+ * @returns {Object} { success: boolean, error?: string, mfaRequired?: string }
  */
-export async function setImpersonation(customerId) {
-  // Verify current user is admin
+export async function setImpersonation(
+  customerId,
+  mode = IMPERSONATION_MODES.READ_ONLY,
+) {
+  // Verify current user is admin. The account flag comes first: isAdmin() is
+  // false until two-factor is passed, and that case gets the prompt below.
   const { user } = await getCurrentUser();
   if (!user) {
     return { success: false, error: "Not authenticated" };
   }
 
-  const adminStatus = await isAdmin(user.id);
-  if (!adminStatus) {
+  if (!(await isAdminAccount())) {
     console.error("Non-admin attempted impersonation");
     return { success: false, error: "Unauthorized" };
   }
 
+  const mfaRequired = await getAdminMfaRequirement();
+  if (mfaRequired) {
+    return {
+      success: false,
+      error: "Two-factor authentication is required to impersonate customers",
+      mfaRequired,
+    };
+  }
+
+  // Close the previous audit session when switching customers
+  await endImpersonationSession();
+
+  // Impersonation is only allowed when it can be audited
+  const { error } = await startImpersonationSession(user.id, customerId, mode);
+  if (error) {
+    await clearImpersonation();
+    return { success: false, error: "Could not start audit session" };
+  }
+
   sessionStorage.setItem("impersonatedCustomerId", customerId);
+  setImpersonationMode(mode);
   return { success: true };
 }
 
+/**
+ * Get the current impersonation mode
+ * Anything other than an explicit act-as is treated as read-only
+ * @returns {string} One of IMPERSONATION_MODES
+ */
+export function getImpersonationMode() {
+  return sessionStorage.getItem("impersonationMode") ===
+    IMPERSONATION_MODES.ACT_AS
+    ? IMPERSONATION_MODES.ACT_AS
+    : IMPERSONATION_MODES.READ_ONLY;
+}
+
+/**
+ * Switch the impersonation mode for the current session
+ * @param {string} mode - One of IMPERSONATION_MODES
+ */
+export function setImpersonationMode(mode) {
+  if (!Object.values(IMPERSONATION_MODES).includes(mode)) {
+    throw new Error(`Unknown impersonation mode: ${mode}`);
+  }
+  sessionStorage.setItem("impersonationMode", mode);
+}
+
 /**
  * Clear impersonation mode
+ * @returns {Promise<void>}
  */
-export function clearImpersonation() {
+export async function clearImpersonation() {
+  await endImpersonationSession();
   sessionStorage.removeItem("impersonatedCustomerId");
+  sessionStorage.removeItem("impersonationMode");
+}
+
+/**
+ * Open an impersonation audit session
+ * @param {string} adminId - Admin account ID
+ * @param {string} customerId - Impersonated customer ID
+ * @param {string} mode - Initial impersonation mode
+ * @returns {Promise<{error: any}>}
+ */
+async function startImpersonationSession(adminId, customerId, mode) {
+  const { data, error } = await supabase
+    .from("impersonation_sessions")
+    .insert({
+      admin_account_id: adminId,
+      customer_id: customerId,
+      mode,
+    })
+    .select("id")
+    .single();
+
+  if (error) {
+    console.error("Failed to start impersonation audit session:", error);
+    return { error };
+  }
+
+  sessionStorage.setItem("impersonationSessionId", data.id);
+  return { error: null };
+}
+
+/**
+ * Close the current impersonation audit session, if any
+ */
+async function endImpersonationSession() {
+  const sessionId = sessionStorage.getItem("impersonationSessionId");
+  if (!sessionId) return;
+
+  sessionStorage.removeItem("impersonationSessionId");
+
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from("impersonation_sessions")
+    .update({ ended_at: now, last_seen_at: now })
+    .eq("id", sessionId);
+
+  if (error) {
+    console.error("Failed to end impersonation audit session:", error);
+  }
 }
 
 /**
@@ -378,7 +721,7 @@ export async function getEffectiveUser() {
     // Verify current user is still admin
     const { user: actualUser } = await getCurrentUser();
     if (!actualUser) {
-      clearImpersonation();
+      await clearImpersonation();
       return { user: null, error: "Not authenticated" };
     }
 
@@ -386,20 +729,18 @@ export async function getEffectiveUser() {
     if (!adminStatus) {
       // Security: Non-admin shouldn't have impersonation state
       console.warn("Non-admin had impersonation state - clearing");
-      clearImpersonation();
+      await clearImpersonation();
       return { user: actualUser, error: null };
     }
 
-    // Fetch impersonated customer from customers table
+    // Fetch impersonated customer (admin-only RPC, verified server-side)
     const { data: customer, error } = await supabase
-      .from("customers")
-      .select("*")
-      .eq("id", impersonatedId)
+      .rpc("admin_get_customer", { p_customer_id: impersonatedId })
       .single();
 
     if (error) {
       console.error("Failed to load impersonated customer:", error);
-      clearImpersonation();
+      await clearImpersonation();
       return { user: actualUser, error: "Impersonation failed" };
     }
 
@@ -414,6 +755,7 @@ export async function getEffectiveUser() {
 /**
  * Get user's accessible boats
  * If user is admin, returns ALL boats. Otherwise returns only boats with granted access.
+ * Each boat carries the user's `role` on it (see lib/boat-roles.js).
  * @param {string} userId - User ID
  * @returns {Promise<{boats, error}>}
  */
@@ -423,19 +765,18 @@ export async function getUserBoats(userId) {
     const impersonatedId = sessionStorage.getItem("impersonatedCustomerId");
 
     if (impersonatedId && userId === impersonatedId) {
-      // Impersonating: userId is a customer_id, query boats directly
-      const { data, error } = await supabase
-        .from("boats")
-        .select("*")
-        .eq("customer_id", userId)
-        .order("name", { ascending: true });
+      // Impersonating: userId is a customer_id (admin-only RPC)
+      const { data, error } = await supabase.rpc("admin_get_customer_boats", {
+        p_customer_id: userId,
+      });
 
       if (error) throw error;
 
-      // Format boats for impersonated view
+      // Format boats for impersonated view (the customer owns these boats)
       const boats = data.map((boat) => ({
         ...boat,
         isPrimary: false,
+        role: BOAT_ROLES.OWNER,
         grantedAt: null,
         isAdminView: false,
       }));
@@ -447,11 +788,8 @@ export async function getUserBoats(userId) {
     const adminStatus = await isAdmin(userId);
 
     if (adminStatus) {
-      // Admin: return ALL boats
-      const { data, error } = await supabase
-        .from("boats")
-        .select("*")
-        .order("name", { ascending: true });
+      // Admin: return ALL boats (admin-only RPC)
+      const { data, error } = await supabase.rpc("admin_list_boats");
 
       if (error) throw error;
 
@@ -459,6 +797,7 @@ export async function getUserBoats(userId) {
       const boats = data.map((boat) => ({
         ...boat,
         isPrimary: false, // Admin doesn't have a primary boat
+        role: BOAT_ROLES.OWNER, // Admins have full access
         grantedAt: null,
         isAdminView: true, // Flag to indicate admin view
       }));
@@ -482,6 +821,7 @@ export async function getUserBoats(userId) {
     const boats = data.map((access) => ({
       ...access.boat,
       isPrimary: access.is_primary,
+      role: access.role,
       grantedAt: access.granted_at,
       isAdminView: false,
     }));
@@ -495,31 +835,18 @@ export async function getUserBoats(userId) {
 
 /**
  * Grant boat access to user by boat slug
- * @param {string} userId - User ID
+ * Only claims boats without an owner; shared boats are joined by invitation
+ * @param {string} userId - User ID (kept for existing callers; the RPC uses the session)
  * @param {string} boatSlug - Boat slug
  * @returns {Promise<{success, error}>}
  */
 export async function grantBoatAccessBySlug(userId, boatSlug) {
   try {
-    // Find boat by slug
-    const { data: boat, error: boatError } = await supabase
-      .from("boats")
-      .select("id")
-      .eq("slug", boatSlug)
-      .single();
-
-    if (boatError) throw new Error("Boat not found");
-
-    // Grant access
-    const { error: accessError } = await supabase
-      .from("customer_boat_access")
-      .insert({
-        customer_account_id: userId,
-        boat_id: boat.id,
-        is_primary: true,
-      });
+    const { error } = await supabase.rpc("claim_boat_by_slug", {
+      p_slug: boatSlug,
+    });
 
-    if (accessError) throw accessError;
+    if (error) throw error;
 
     return { success: true, error: null };
   } catch (error) {
@@ -1,71 +1,49 @@
 /**
  * Login Page Logic
- * Handles password and magic link authentication
+ * Handles password and magic link authentication when the portal runs in
+ * local auth mode; otherwise forwards to the SSO login service
  */
 
 import {
   loginWithEmail,
   loginWithMagicLink,
-  isAuthenticated,
+  initAuth,
+  needsMfaChallenge,
   supabase,
 } from "./auth.js";
+import { getSafeRedirect } from "./auth-callback.js";
+import { promptMfaChallenge } from "../ui/mfa-challenge.js";
+import {
+  config,
+  AUTH_MODES,
+  getLoginUrl,
+  getPortalUrl,
+} from "../lib/config.js";
+
+// Outside local mode, sign-in happens on the central login service
+if (config.authMode === AUTH_MODES.SSO) {
+  const redirect = getSafeRedirect(
+    new URLSearchParams(window.location.search).get("redirect"),
+    window.location.origin,
+  );
+  window.location.replace(
+    getLoginUrl(getPortalUrl(redirect || "/portal.html")),
+  );
+  throw new Error("Redirecting to SSO login");
+}
 
-// Check if already authenticated or handle magic link callback
+// Restore an existing session or finish a magic link callback
 (async () => {
-  try {
-    // Check for auth tokens in URL hash (magic link callback)
-    const hashParams = new URLSearchParams(window.location.hash.substring(1));
-    const hasAuthToken = hashParams.has("access_token");
-
-    // Get current session
-    const {
-      data: { session },
-      error,
-    } = await supabase.auth.getSession();
-
-    if (error) {
-      console.error("Session error:", error);
-    }
+  const { session, error } = await initAuth();
 
-    // Only redirect if we have a VALID session
-    if (session && session.user) {
-      // Verify the session is actually valid by checking expiry
-      const now = Math.floor(Date.now() / 1000);
-      if (session.expires_at && session.expires_at > now) {
-        console.log("Valid session found, redirecting to portal");
-        const redirect =
-          sessionStorage.getItem("redirectAfterLogin") || "/portal.html";
-        sessionStorage.removeItem("redirectAfterLogin");
-        window.location.href = redirect;
-        return;
-      } else {
-        console.log("Session expired, clearing");
-        await supabase.auth.signOut();
-      }
-    } else if (hasAuthToken) {
-      // Magic link callback with tokens, but session not established yet
-      // Wait a moment for Supabase to process the tokens
-      console.log("Auth tokens detected, waiting for session...");
-      await new Promise((resolve) => setTimeout(resolve, 1000));
-
-      // Check again
-      const {
-        data: { session: newSession },
-      } = await supabase.auth.getSession();
-      if (newSession && newSession.user) {
-        console.log("Session established after token processing");
-        window.location.href = "/portal.html";
-        return;
-      }
-    }
+  if (session) {
+    await completeLogin();
+    return;
+  }
 
-    // Check for error in URL hash (magic link expired, etc.)
-    const errorDescription = hashParams.get("error_description");
-    if (errorDescription) {
-      showAlert("error", `Authentication error: ${errorDescription}`);
-    }
-  } catch (err) {
-    console.error("Login initialization error:", err);
+  // Magic link expired, already used, etc.
+  if (error) {
+    showAlert("error", `Authentication error: ${error}`);
   }
 })();
 
@@ -114,11 +92,12 @@ passwordLoginForm.addEventListener("submit", async (e) => {
     return;
   }
 
-  // Success - redirect
-  const redirect =
-    sessionStorage.getItem("redirectAfterLogin") || "/portal.html";
-  sessionStorage.removeItem("redirectAfterLogin");
-  window.location.href = redirect;
+  // Success - verify second factor if enrolled, then redirect
+  const completed = await completeLogin();
+  if (!completed) {
+    passwordLoginBtn.disabled = false;
+    passwordLoginBtn.textContent = "Sign In";
+  }
 });
 
 // Magic link form
@@ -157,20 +136,49 @@ magicLinkForm.addEventListener("submit", async (e) => {
   magicLinkForm.reset();
 });
 
+/**
+ * Finish signing in: ask for the authenticator code when the account has
+ * two-factor enabled, then redirect to the `redirect` parameter (same-origin
+ * only), the page saved before login, or the portal
+ * @returns {Promise<boolean>} false if the user cancelled the challenge
+ */
+async function completeLogin() {
+  if (await needsMfaChallenge()) {
+    const verified = await promptMfaChallenge();
+    if (!verified) {
+      // Don't leave a half-authenticated session behind
+      await supabase.auth.signOut();
+      showAlert("error", "Two-factor verification is required to sign in.");
+      return false;
+    }
+  }
+
+  const redirect =
+    getSafeRedirect(
+      new URLSearchParams(window.location.search).get("redirect"),
+      window.location.origin,
+    ) ||
+    sessionStorage.getItem("redirectAfterLogin") ||
+    "/portal.html";
+  sessionStorage.removeItem("redirectAfterLogin");
+  window.location.href = redirect;
+  return true;
+}
+
 /**
  * Show alert message
+ * The message is set as text: it can come from the URL (error_description
+ * on an auth callback), so it must never be parsed as HTML.
  * @param {string} type - 'success' or 'error'
  * @param {string} message - Alert message
  */
 function showAlert(type, message) {
   const alertContainer = document.getElementById("alert-container");
-  const alertClass = type === "success" ? "alert-success" : "alert-error";
+  const alert = document.createElement("div");
+  alert.className = `alert ${type === "success" ? "alert-success" : "alert-error"}`;
+  alert.textContent = message;
 
-  alertContainer.innerHTML = `
-    <div class="alert ${alertClass}">
-      ${message}
-    </div>
-  `;
+  alertContainer.replaceChildren(alert);
 }
 
 /**
@@ -0,0 +1,282 @@
+/**
+ * Session Manager
+ * Keeps portal pages signed in while they're open. Refreshes the Supabase
+ * session shortly before it expires (Supabase's own auto-refresh pauses in
+ * background tabs), warns if that fails, and when the session is gone saves
+ * the page's unsaved form fields before sending the user to sign in again.
+ * The login `redirect` carries a marker so the page restores them on return.
+ */
+
+import {
+  getCurrentSession,
+  refreshSession,
+  onAuthStateChange,
+  isSigningOut,
+} from "./auth.js";
+import { getLoginUrl } from "../lib/config.js";
+import {
+  RESTORE_DRAFT_PARAM,
+  saveFormDraft,
+  takeFormDraft,
+  withRestoreMarker,
+  stripRestoreMarker,
+} from "../lib/form-drafts.js";
+
+// Try a silent refresh this long before the access token expires
+const REFRESH_LEAD_MS = 2 * 60 * 1000;
+
+// Field types that are never saved in a draft
+const UNSAVED_INPUT_TYPES = ["password", "file"];
+
+let started = false;
+let fieldIds = [];
+let getState = () => ({});
+let pendingDraft = null;
+let userId = null;
+let expiresAt = null;
+let refreshTimer = null;
+let expiryTimer = null;
+let bannerEl = null;
+
+/**
+ * Start watching the session on this page
+ * @param {Object} [options]
+ * @param {string[]} [options.fields] - IDs of form fields to preserve across a re-login
+ * @param {Function} [options.getState] - Returns view state to save with the fields
+ * @returns {Promise<void>} Resolves once any pending draft is loaded; await
+ * it before calling getDraftState() or restoreFormDraft()
+ */
+export async function startSessionManager({
+  fields = [],
+  getState: stateFn,
+} = {}) {
+  if (started) return;
+  started = true;
+  fieldIds = fields;
+  if (stateFn) getState = stateFn;
+
+  const { session } = await getCurrentSession();
+  userId = session?.user?.id ?? null;
+
+  loadPendingDraft();
+
+  // Every subscriber receives INITIAL_SESSION, which schedules the first refresh
+  onAuthStateChange((event, session) => {
+    if (event === "SIGNED_OUT") {
+      clearTimers();
+      if (!isSigningOut()) handleExpired();
+      return;
+    }
+
+    if (session) {
+      // Remembered past expiry, so the draft saved then names this user
+      userId = session.user.id;
+
+      // Keep the "changes restored" notice; clear expiry warnings
+      if (bannerEl?.dataset.type !== "info") hideBanner();
+      scheduleRefresh(session);
+    }
+  });
+
+  // Timers don't fire on time in sleeping or background tabs
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "visible") checkSession();
+  });
+}
+
+/**
+ * Restore fields saved before the last re-login
+ * Call once the page has rendered its forms and filled in loaded data.
+ * Fields not on the page yet stay pending for a later call.
+ * @returns {Object|null} Saved view state, or null if there was no draft
+ */
+export function restoreFormDraft() {
+  if (!pendingDraft) return null;
+
+  const { fields, state } = pendingDraft;
+  Object.entries(fields).forEach(([id, value]) => {
+    const field = document.getElementById(id);
+    if (!field) return;
+
+    field.value = value;
+    field.dispatchEvent(new Event("input", { bubbles: true }));
+    delete fields[id];
+  });
+
+  if (Object.keys(fields).length === 0) {
+    pendingDraft = null;
+  }
+
+  return state;
+}
+
+/**
+ * View state saved with the pending draft, without restoring it
+ * Lets a view pick what to render (e.g. which conversation) before the
+ * fields exist.
+ * @returns {Object|null}
+ */
+export function getDraftState() {
+  return pendingDraft?.state ?? null;
+}
+
+/**
+ * Load the draft saved for this page if we're returning from a re-login
+ */
+function loadPendingDraft() {
+  const params = new URLSearchParams(window.location.search);
+  if (!params.has(RESTORE_DRAFT_PARAM)) return;
+
+  pendingDraft = takeFormDraft(localStorage, window.location.pathname, userId);
+  history.replaceState(
+    history.state,
+    "",
+    stripRestoreMarker(window.location.href),
+  );
+
+  if (pendingDraft) {
+    showBanner(
+      "info",
+      "You're signed in again. We restored the changes you hadn't saved.",
+    );
+    setTimeout(() => {
+      if (bannerEl.dataset.type === "info") hideBanner();
+    }, 8000);
+  }
+}
+
+/**
+ * Save the current values of the page's preserved fields
+ */
+function saveDraft() {
+  const fields = {};
+
+  fieldIds.forEach((id) => {
+    const field = document.getElementById(id);
+    if (!field || UNSAVED_INPUT_TYPES.includes(field.type)) return;
+    fields[id] = field.value;
+  });
+
+  try {
+    saveFormDraft(localStorage, window.location.pathname, {
+      fields,
+      state: getState(),
+      userId,
+    });
+  } catch (error) {
+    console.error("Failed to save form draft:", error);
+  }
+}
+
+/**
+ * Schedule a silent refresh before the session expires
+ * @param {Object} session - Supabase session
+ */
+function scheduleRefresh(session) {
+  clearTimers();
+  if (!session.expires_at) return;
+
+  expiresAt = session.expires_at * 1000;
+  const remaining = expiresAt - Date.now();
+
+  refreshTimer = setTimeout(
+    tryRefresh,
+    Math.max(remaining - REFRESH_LEAD_MS, 0),
+  );
+  expiryTimer = setTimeout(checkSession, Math.max(remaining, 0));
+}
+
+function clearTimers() {
+  clearTimeout(refreshTimer);
+  clearTimeout(expiryTimer);
+}
+
+/**
+ * Refresh now if the session is close to (or past) expiry
+ */
+async function checkSession() {
+  if (expiresAt === null) return;
+
+  if (expiresAt - Date.now() <= REFRESH_LEAD_MS) {
+    await tryRefresh();
+  }
+}
+
+/**
+ * Refresh the session
+ * Success emits TOKEN_REFRESHED, which reschedules. A rejected refresh token
+ * signs the user out (SIGNED_OUT); other failures (e.g. offline) keep the
+ * session until it expires, with a warning the user can retry from.
+ */
+async function tryRefresh() {
+  const { session } = await refreshSession();
+  if (session) return;
+
+  const { session: current } = await getCurrentSession();
+  if (!current || expiresAt <= Date.now()) {
+    handleExpired();
+    return;
+  }
+
+  showBanner("warning", "Your session is about to expire.", {
+    label: "Stay signed in",
+    onClick: tryRefresh,
+  });
+}
+
+/**
+ * The session is gone: keep the user's work and offer to sign in again
+ */
+function handleExpired() {
+  saveDraft();
+
+  showBanner(
+    "danger",
+    "Your session has expired. Sign in again to continue - your unsaved changes will be kept.",
+    {
+      label: "Sign in again",
+      onClick: () => {
+        saveDraft();
+        window.location.href = getLoginUrl(
+          withRestoreMarker(window.location.href),
+        );
+      },
+    },
+  );
+}
+
+/**
+ * Show the session banner
+ * @param {string} type - info, warning or danger
+ * @param {string} message - Banner text
+ * @param {Object} [action] - Optional button
+ * @param {string} action.label - Button text
+ * @param {Function} action.onClick - Click handler
+ */
+function showBanner(type, message, action = null) {
+  if (!bannerEl) {
+    bannerEl = document.createElement("div");
+    bannerEl.className = "session-banner";
+    bannerEl.setAttribute("role", "status");
+    document.body.prepend(bannerEl);
+  }
+
+  bannerEl.dataset.type = type;
+  bannerEl.innerHTML = '<span class="session-banner-message"></span>';
+  bannerEl.querySelector(".session-banner-message").textContent = message;
+
+  if (action) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "session-banner-action";
+    button.textContent = action.label;
+    button.addEventListener("click", action.onClick);
+    bannerEl.appendChild(button);
+  }
+
+  bannerEl.hidden = false;
+}
+
+function hideBanner() {
+  if (bannerEl) bannerEl.hidden = true;
+}
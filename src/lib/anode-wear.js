@@ -0,0 +1,250 @@
+/**
+ * Anode Wear
+ * Tracks each anode (keyed by location and position) across service logs:
+ * wear rate from `condition_percent`, last replacement, predicted next
+ * replacement, and a flag when an anode wears unusually fast - usually a
+ * sign of stray current or a grounding problem in the marina.
+ *
+ * `condition_percent` is the material remaining (100 = new).
+ */
+
+import { DAY_MS, toTime, toDate, fitLine } from "./trend.js";
+
+// Anodes are replaced once this much material is left
+export const REPLACE_AT_PERCENT = 50;
+
+// Wear this fast is unusual on its own (half an anode in about four months)
+export const FAST_WEAR_PERCENT_PER_MONTH = 12;
+
+// Wear this many times the boat's other anodes, or this anode's own
+// earlier rate, is unusual
+export const FAST_WEAR_FACTOR = 2;
+
+// A reading this much higher than the previous one means the anode was
+// replaced even if the log didn't list it in anodes_installed
+const UNRECORDED_REPLACEMENT_JUMP = 25;
+
+const MONTH_DAYS = 30;
+
+/**
+ * Parse an anode list column (JSON string, array or `{anodes: [...]}`)
+ * @param {string|Array|Object|null} value - anode_conditions or anodes_installed
+ * @returns {Array<Object>}
+ */
+export function parseAnodeList(value) {
+  if (!value) return [];
+
+  let list = value;
+  if (typeof value === "string") {
+    try {
+      list = JSON.parse(value);
+    } catch (e) {
+      console.error("Error parsing anode list:", e);
+      return [];
+    }
+  }
+
+  if (!Array.isArray(list)) {
+    list = list?.anodes || [];
+  }
+
+  return Array.isArray(list) ? list : [];
+}
+
+/**
+ * Identify an anode across logs by location and position
+ * @param {Object} anode - Entry from anode_conditions or anodes_installed
+ * @returns {string}
+ */
+export function anodeKey(anode) {
+  const location = (anode.location || anode.type || "").trim().toLowerCase();
+  const position = (anode.position || "").trim().toLowerCase();
+  return `${location}|${position}`;
+}
+
+/**
+ * Display label for an anode ("Shaft (Forward)")
+ * @param {Object} anode - Anode with location/type and position
+ * @returns {string}
+ */
+export function anodeLabel(anode) {
+  const location = anode.location || anode.type || "";
+  const position = anode.position ? ` (${anode.position})` : "";
+  return location || position ? `${location}${position}`.trim() : "Anode";
+}
+
+/**
+ * Collect each anode's readings and replacements across service logs
+ * @param {Array<Object>} logs - Service logs with service_date, anode_conditions, anodes_installed
+ * @returns {Array<{key: string, location: string, position: string|null, readings: Array<{date: string, percent: number}>, replacements: string[]}>}
+ */
+export function buildAnodeHistory(logs) {
+  const anodes = new Map();
+
+  const getAnode = (anode) => {
+    const key = anodeKey(anode);
+    if (!anodes.has(key)) {
+      anodes.set(key, {
+        key,
+        location: anode.location || anode.type || "",
+        position: anode.position || null,
+        readings: [],
+        replacements: [],
+      });
+    }
+    return anodes.get(key);
+  };
+
+  [...logs]
+    .filter((log) => log.service_date)
+    .sort((a, b) => a.service_date.localeCompare(b.service_date))
+    .forEach((log) => {
+      parseAnodeList(log.anode_conditions).forEach((anode) => {
+        const percent = Number(anode.condition_percent);
+        if (anode.condition_percent == null || Number.isNaN(percent)) return;
+        getAnode(anode).readings.push({ date: log.service_date, percent });
+      });
+
+      parseAnodeList(log.anodes_installed).forEach((anode) => {
+        getAnode(anode).replacements.push(log.service_date);
+      });
+    });
+
+  return [...anodes.values()];
+}
+
+/**
+ * Split an anode's readings into one series per installed anode
+ * A reading taken at a replacement describes the old anode; the new one
+ * starts at 100% that day.
+ * @param {Object} anode - Entry from buildAnodeHistory()
+ * @returns {Array<Array<{date: string, percent: number}>>}
+ */
+function splitIntoCycles(anode) {
+  const events = [
+    ...anode.readings.map((reading) => ({ ...reading, replaced: false })),
+    ...anode.replacements.map((date) => ({ date, replaced: true })),
+  ].sort((a, b) => a.date.localeCompare(b.date) || a.replaced - b.replaced);
+
+  const cycles = [[]];
+
+  events.forEach(({ date, percent, replaced }) => {
+    if (replaced) {
+      cycles.push([{ date, percent: 100 }]);
+      return;
+    }
+
+    const current = cycles[cycles.length - 1];
+    const previous = current[current.length - 1];
+
+    if (previous && percent - previous.percent >= UNRECORDED_REPLACEMENT_JUMP) {
+      cycles.push([{ date, percent }]);
+    } else {
+      current.push({ date, percent });
+    }
+  });
+
+  return cycles.filter((cycle) => cycle.length > 0);
+}
+
+/**
+ * Wear rate of one installed anode
+ * @param {Array<{date: string, percent: number}>} cycle - Readings for one anode
+ * @returns {{perMonth: number, fit: Object, origin: number}|null}
+ */
+function cycleWear(cycle) {
+  const origin = toTime(cycle[0].date);
+  const fit = fitLine(
+    cycle.map((r) => ({ x: (toTime(r.date) - origin) / DAY_MS, y: r.percent })),
+  );
+  if (!fit) return null;
+
+  return { perMonth: -fit.slope * MONTH_DAYS, fit, origin };
+}
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values - Values
+ * @returns {number|null}
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Wear rate, replacement prediction and fast-wear flag for each anode
+ * @param {Array<Object>} history - Result of buildAnodeHistory()
+ * @param {Object} [options]
+ * @param {number} [options.now] - Current time in milliseconds
+ * @returns {Array<{key: string, label: string, location: string, position: string|null, readings: Array, currentPercent: number|null, lastReplaced: string|null, wearPerMonth: number|null, predictedReplacement: string|null, replacementDue: boolean, fastWear: boolean, fastWearReason: string|null}>}
+ */
+export function analyzeAnodeWear(history, { now = Date.now() } = {}) {
+  const analyzed = history.map((anode) => {
+    const cycles = splitIntoCycles(anode);
+    const current = cycles[cycles.length - 1] || [];
+    const latest = current[current.length - 1];
+    const wear = current.length > 1 ? cycleWear(current) : null;
+
+    const earlierRates = cycles
+      .slice(0, -1)
+      .map((cycle) => (cycle.length > 1 ? cycleWear(cycle) : null))
+      .filter((w) => w && w.perMonth > 0)
+      .map((w) => w.perMonth);
+
+    const currentPercent = latest ? latest.percent : null;
+    const replacementDue =
+      currentPercent !== null && currentPercent <= REPLACE_AT_PERCENT;
+
+    let predictedReplacement = null;
+    if (replacementDue) {
+      predictedReplacement = toDate(now);
+    } else if (wear && wear.perMonth > 0) {
+      const days = (REPLACE_AT_PERCENT - wear.fit.intercept) / wear.fit.slope;
+      predictedReplacement = toDate(Math.max(wear.origin + days * DAY_MS, now));
+    }
+
+    return {
+      key: anode.key,
+      label: anodeLabel(anode),
+      location: anode.location,
+      position: anode.position,
+      readings: anode.readings,
+      currentPercent,
+      lastReplaced: anode.replacements[anode.replacements.length - 1] || null,
+      wearPerMonth: wear ? wear.perMonth : null,
+      predictedReplacement,
+      replacementDue,
+      fastWear: false,
+      fastWearReason: null,
+      earlierRate: earlierRates.length
+        ? earlierRates.reduce((a, b) => a + b, 0) / earlierRates.length
+        : null,
+    };
+  });
+
+  // Compare each anode with the rest of the boat and with its own history
+  return analyzed.map(({ earlierRate, ...anode }) => {
+    const rate = anode.wearPerMonth;
+    if (rate === null || rate <= 0) return anode;
+
+    const others = median(
+      analyzed
+        .filter((a) => a.key !== anode.key && a.wearPerMonth > 0)
+        .map((a) => a.wearPerMonth),
+    );
+
+    let fastWearReason = null;
+    if (rate >= FAST_WEAR_PERCENT_PER_MONTH) {
+      fastWearReason = `Losing about ${Math.round(rate)}% a month`;
+    } else if (others && rate >= others * FAST_WEAR_FACTOR) {
+      fastWearReason = `Wearing ${(rate / others).toFixed(1)}x faster than the boat's other anodes`;
+    } else if (earlierRate && rate >= earlierRate * FAST_WEAR_FACTOR) {
+      fastWearReason = `Wearing ${(rate / earlierRate).toFixed(1)}x faster than previous anodes here`;
+    }
+
+    return { ...anode, fastWear: fastWearReason !== null, fastWearReason };
+  });
+}
@@ -0,0 +1,88 @@
+/**
+ * Boat Roles
+ * Roles an account can hold on a boat (customer_boat_access.role) and what
+ * each role is allowed to do. Mirrors boat_role_permissions() in migration 021,
+ * which enforces the same rules in the database.
+ */
+
+export const BOAT_ROLES = {
+  OWNER: "owner",
+  CO_OWNER: "co-owner",
+  VIEW_ONLY: "view-only",
+  BILLING_ONLY: "billing-only",
+};
+
+// Roles the owner can hand out through an invitation
+export const INVITABLE_ROLES = [
+  BOAT_ROLES.CO_OWNER,
+  BOAT_ROLES.VIEW_ONLY,
+  BOAT_ROLES.BILLING_ONLY,
+];
+
+export const BOAT_PERMISSIONS = {
+  VIEW_SERVICES: "view_services", // Dashboard, service history, videos
+  VIEW_INVOICES: "view_invoices",
+  MANAGE_PAYMENT: "manage_payment",
+  MESSAGES: "messages",
+  REQUEST_SERVICE: "request_service",
+  MANAGE_SHARING: "manage_sharing",
+};
+
+const ROLE_PERMISSIONS = {
+  [BOAT_ROLES.OWNER]: Object.values(BOAT_PERMISSIONS),
+  [BOAT_ROLES.CO_OWNER]: [
+    BOAT_PERMISSIONS.VIEW_SERVICES,
+    BOAT_PERMISSIONS.VIEW_INVOICES,
+    BOAT_PERMISSIONS.MANAGE_PAYMENT,
+    BOAT_PERMISSIONS.MESSAGES,
+    BOAT_PERMISSIONS.REQUEST_SERVICE,
+  ],
+  [BOAT_ROLES.VIEW_ONLY]: [BOAT_PERMISSIONS.VIEW_SERVICES],
+  [BOAT_ROLES.BILLING_ONLY]: [
+    BOAT_PERMISSIONS.VIEW_INVOICES,
+    BOAT_PERMISSIONS.MANAGE_PAYMENT,
+  ],
+};
+
+const ROLE_LABELS = {
+  [BOAT_ROLES.OWNER]: "Owner",
+  [BOAT_ROLES.CO_OWNER]: "Co-owner",
+  [BOAT_ROLES.VIEW_ONLY]: "View only",
+  [BOAT_ROLES.BILLING_ONLY]: "Billing only",
+};
+
+const ROLE_DESCRIPTIONS = {
+  [BOAT_ROLES.OWNER]: "Full access and manages who the boat is shared with",
+  [BOAT_ROLES.CO_OWNER]:
+    "Full access to service history, invoices, messages and requests",
+  [BOAT_ROLES.VIEW_ONLY]: "Can see service history and videos only",
+  [BOAT_ROLES.BILLING_ONLY]: "Can see invoices and manage payment only",
+};
+
+/**
+ * Get display label for a role
+ * @param {string} role - Role value
+ * @returns {string}
+ */
+export function getRoleLabel(role) {
+  return ROLE_LABELS[role] || role;
+}
+
+/**
+ * Get a one-line description of what a role can do
+ * @param {string} role - Role value
+ * @returns {string}
+ */
+export function getRoleDescription(role) {
+  return ROLE_DESCRIPTIONS[role] || "";
+}
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - Role value (unknown roles grant nothing)
+ * @param {string} permission - One of BOAT_PERMISSIONS
+ * @returns {boolean}
+ */
+export function hasBoatPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
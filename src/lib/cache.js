@@ -0,0 +1,106 @@
+/**
+ * Stale-While-Revalidate Cache
+ * Serves a cached value while it is fresh, serves it and refreshes it in the
+ * background once it is stale, and waits for the network only when it has
+ * expired or is missing. If the network fails, any cached value - however
+ * old - is better than nothing.
+ *
+ * Entries are stored as {value, cachedAt} in a key-value store with async
+ * get/set (lib/idb-store.js, or a Map-backed stand-in in tests).
+ */
+
+export const CACHE_STATE = {
+  FRESH: "fresh",
+  STALE: "stale",
+  EXPIRED: "expired",
+  MISSING: "missing",
+};
+
+/**
+ * How usable a cached entry is
+ * @param {{cachedAt: number}|undefined} entry - Stored entry
+ * @param {Object} policy
+ * @param {number} policy.freshMs - Served without a refresh until this old
+ * @param {number} policy.maxAgeMs - Served while refreshing until this old
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {string} One of CACHE_STATE
+ */
+export function getCacheState(entry, { freshMs, maxAgeMs }, now = Date.now()) {
+  if (!entry || typeof entry.cachedAt !== "number") return CACHE_STATE.MISSING;
+
+  const age = now - entry.cachedAt;
+  if (age < freshMs) return CACHE_STATE.FRESH;
+  if (age < maxAgeMs) return CACHE_STATE.STALE;
+  return CACHE_STATE.EXPIRED;
+}
+
+/**
+ * Create a cache over a key-value store
+ * @param {{get: Function, set: Function}} store - Async key-value store
+ * @param {Object} policy
+ * @param {number} policy.freshMs - Served without a refresh until this old
+ * @param {number} policy.maxAgeMs - Served while refreshing until this old
+ * @param {() => number} [policy.clock] - Current time (for tests)
+ * @returns {{read: (key: string, fetcher: () => Promise<any>) => Promise<{value: any, state: string, refresh: Promise<any>|null}>}}
+ *   read() resolves with the value, the state it was served in (FRESH after a
+ *   fetch) and, when a background refresh started, that refresh's promise.
+ *   It rejects only when the fetch fails and nothing is cached.
+ */
+export function createCache(store, { freshMs, maxAgeMs, clock = Date.now }) {
+  // One fetch per key at a time, however many callers ask
+  const inflight = new Map();
+
+  const safeGet = async (key) => {
+    try {
+      return await store.get(key);
+    } catch (error) {
+      console.warn("Cache unavailable:", error);
+      return undefined;
+    }
+  };
+
+  const fetchAndStore = (key, fetcher) => {
+    if (!inflight.has(key)) {
+      const request = fetcher()
+        .then(async (value) => {
+          try {
+            await store.set(key, { value, cachedAt: clock() });
+          } catch (error) {
+            console.warn("Could not cache:", key, error);
+          }
+          return value;
+        })
+        .finally(() => inflight.delete(key));
+      inflight.set(key, request);
+    }
+    return inflight.get(key);
+  };
+
+  return {
+    read: async (key, fetcher) => {
+      const entry = await safeGet(key);
+      const state = getCacheState(entry, { freshMs, maxAgeMs }, clock());
+
+      if (state === CACHE_STATE.FRESH) {
+        return { value: entry.value, state, refresh: null };
+      }
+
+      if (state === CACHE_STATE.STALE) {
+        const refresh = fetchAndStore(key, fetcher).catch((error) => {
+          console.warn("Background refresh failed:", key, error);
+          return entry.value;
+        });
+        return { value: entry.value, state, refresh };
+      }
+
+      try {
+        const value = await fetchAndStore(key, fetcher);
+        return { value, state: CACHE_STATE.FRESH, refresh: null };
+      } catch (error) {
+        if (!entry) throw error;
+        console.warn("Fetch failed, serving expired cache:", key, error);
+        return { value: entry.value, state, refresh: null };
+      }
+    },
+  };
+}
@@ -0,0 +1,235 @@
+/**
+ * Cleaning Interval
+ * Correlates the growth found at each hull cleaning with the days since the
+ * previous cleaning and the season, and recommends how often to clean a
+ * specific boat.
+ *
+ * Growth levels are the service log vocabulary (minimal, minimal-moderate,
+ * moderate, moderate-heavy, heavy). Season stands in for water temperature.
+ */
+
+import { DAY_MS, toTime, fitLine } from "./trend.js";
+import { normalizeCondition } from "./conditions.js";
+
+/**
+ * Growth level scores (higher = more growth)
+ */
+export const GROWTH_SCORE = {
+  minimal: 1,
+  "minimal-moderate": 1.5,
+  moderate: 2,
+  "moderate-heavy": 2.5,
+  heavy: 3,
+};
+
+// Clean before growth reaches this score (moderate)
+export const TARGET_GROWTH_SCORE = GROWTH_SCORE.moderate;
+
+/**
+ * Seasons by month, as a proxy for water temperature
+ */
+export const SEASONS = [
+  { key: "winter", label: "Winter", months: [12, 1, 2] },
+  { key: "spring", label: "Spring", months: [3, 4, 5] },
+  { key: "summer", label: "Summer", months: [6, 7, 8] },
+  { key: "fall", label: "Fall", months: [9, 10, 11] },
+];
+
+/**
+ * Recommendation outcomes
+ */
+export const INTERVAL_STATUS = {
+  RECOMMENDED: "recommended",
+  INSUFFICIENT_DATA: "insufficient-data",
+};
+
+// Recommendations stay within what a cleaning schedule can reasonably be
+export const MIN_INTERVAL_DAYS = 14;
+export const MAX_INTERVAL_DAYS = 90;
+
+// Gaps longer than this are lapses in service, not a cleaning interval
+const MAX_OBSERVED_INTERVAL_DAYS = 180;
+
+// Cleanings needed before recommending anything, overall and per season
+const MIN_INTERVALS = 3;
+const MIN_SEASON_INTERVALS = 2;
+
+/**
+ * Score a growth level
+ * Notion ranges ("Minimal, Moderate") score between their ends.
+ * @param {string} level - growth_level from a service log
+ * @returns {number|null} 1 (minimal) to 3 (heavy), null if unrecognized
+ */
+export function getGrowthScore(level) {
+  if (!level) return null;
+  return GROWTH_SCORE[normalizeCondition(level)] ?? null;
+}
+
+/**
+ * Season a date falls in
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Object} Entry from SEASONS
+ */
+export function getSeason(date) {
+  const month = Number(date.slice(5, 7));
+  return SEASONS.find((season) => season.months.includes(month));
+}
+
+/**
+ * Pair each cleaning with the days since the previous one
+ * Only logs that recorded growth count as cleanings. The season is taken
+ * from the middle of the interval, when the growth was accumulating.
+ * @param {Array<{service_date: string, growth_level: string}>} logs - Service logs
+ * @returns {Array<{date: string, days: number, growth: number, season: string}>}
+ */
+export function buildCleaningIntervals(logs) {
+  const cleanings = logs
+    .filter((log) => log.service_date && getGrowthScore(log.growth_level))
+    .sort((a, b) => a.service_date.localeCompare(b.service_date));
+
+  const intervals = [];
+  for (let i = 1; i < cleanings.length; i++) {
+    const start = toTime(cleanings[i - 1].service_date);
+    const end = toTime(cleanings[i].service_date);
+    const days = Math.round((end - start) / DAY_MS);
+    if (days <= 0 || days > MAX_OBSERVED_INTERVAL_DAYS) continue;
+
+    const middle = new Date((start + end) / 2).toISOString().slice(0, 10);
+    intervals.push({
+      date: cleanings[i].service_date,
+      days,
+      growth: getGrowthScore(cleanings[i].growth_level),
+      season: getSeason(middle).key,
+    });
+  }
+
+  return intervals;
+}
+
+/**
+ * Days until growth reaches the target, rounded to whole weeks
+ * Kept within the schedule limits and never longer than the longest
+ * interval actually observed.
+ * @param {number} baseline - Growth score just after a cleaning
+ * @param {number} rate - Growth score gained per day
+ * @param {number} longestObserved - Longest interval in the data, in days
+ * @returns {number}
+ */
+function intervalFor(baseline, rate, longestObserved) {
+  const limit = Math.min(MAX_INTERVAL_DAYS, longestObserved);
+  if (baseline >= TARGET_GROWTH_SCORE) return MIN_INTERVAL_DAYS;
+  if (rate <= 0) return Math.max(MIN_INTERVAL_DAYS, limit);
+
+  const days = (TARGET_GROWTH_SCORE - baseline) / rate;
+  const weeks = Math.round(days / 7) * 7;
+  return Math.min(
+    Math.max(weeks, MIN_INTERVAL_DAYS),
+    Math.max(limit, MIN_INTERVAL_DAYS),
+  );
+}
+
+/**
+ * Recommend a cleaning interval for a boat
+ * Growth is modelled as rising linearly with days since cleaning from a
+ * shared baseline (fitted across all intervals); each season with enough
+ * cleanings gets its own growth rate.
+ * @param {Array<Object>} logs - Service logs with service_date and growth_level
+ * @param {Object} [options]
+ * @param {number} [options.now] - Current time in milliseconds
+ * @returns {{status: string, recommendedDays: number|null, currentDays: number|null, season: string, seasons: Object<string, {recommendedDays: number, cleanings: number}>, cleanings: number, correlation: number|null}}
+ *   recommendedDays is for the current season; currentDays is the boat's
+ *   median interval so far; correlation is between interval length and growth
+ */
+export function recommendCleaningInterval(logs, { now = Date.now() } = {}) {
+  const intervals = buildCleaningIntervals(logs);
+  const season = getSeason(new Date(now).toISOString().slice(0, 10)).key;
+
+  const result = {
+    status: INTERVAL_STATUS.INSUFFICIENT_DATA,
+    recommendedDays: null,
+    currentDays: null,
+    season,
+    seasons: {},
+    cleanings: intervals.length,
+    correlation: null,
+  };
+
+  if (intervals.length < MIN_INTERVALS) return result;
+
+  const sortedDays = intervals.map((i) => i.days).sort((a, b) => a - b);
+  const mid = Math.floor(sortedDays.length / 2);
+  result.currentDays =
+    sortedDays.length % 2
+      ? sortedDays[mid]
+      : Math.round((sortedDays[mid - 1] + sortedDays[mid]) / 2);
+
+  // Growth just after a cleaning; without a rising trend (or enough spread
+  // in the intervals to fit one) assume the hull starts clean
+  const fit = fitLine(intervals.map((i) => ({ x: i.days, y: i.growth })));
+  const baseline =
+    fit && fit.slope > 0
+      ? Math.max(GROWTH_SCORE.minimal, fit.intercept)
+      : GROWTH_SCORE.minimal;
+  if (fit) {
+    result.correlation = Math.sign(fit.slope) * Math.sqrt(Math.max(fit.r2, 0));
+  }
+
+  // Growth per day implied by each interval above the baseline
+  const rateOf = (list) =>
+    list.reduce((sum, i) => sum + (i.growth - baseline) / i.days, 0) /
+    list.length;
+  const longest = (list) => Math.max(...list.map((i) => i.days));
+
+  const overall = intervalFor(baseline, rateOf(intervals), longest(intervals));
+
+  SEASONS.forEach(({ key }) => {
+    const inSeason = intervals.filter((i) => i.season === key);
+    result.seasons[key] = {
+      recommendedDays:
+        inSeason.length >= MIN_SEASON_INTERVALS
+          ? intervalFor(baseline, rateOf(inSeason), longest(inSeason))
+          : overall,
+      cleanings: inSeason.length,
+    };
+  });
+
+  return {
+    ...result,
+    status: INTERVAL_STATUS.RECOMMENDED,
+    recommendedDays: result.seasons[season].recommendedDays,
+  };
+}
+
+/**
+ * Format an interval in days as weeks ("4 weeks")
+ * @param {number} days - Interval
+ * @returns {string}
+ */
+export function formatInterval(days) {
+  const weeks = Math.round(days / 7);
+  return weeks === 1 ? "1 week" : `${weeks} weeks`;
+}
+
+/**
+ * Plain-language summary of a recommendation
+ * @param {Object} recommendation - Result of recommendCleaningInterval()
+ * @returns {string}
+ */
+export function describeCleaningInterval(recommendation) {
+  if (recommendation.status !== INTERVAL_STATUS.RECOMMENDED) {
+    return "More cleanings with recorded growth are needed to recommend an interval.";
+  }
+
+  const season = SEASONS.find((s) => s.key === recommendation.season);
+  const { recommendedDays, currentDays } = recommendation;
+  const usual = formatInterval(currentDays);
+
+  let comparison = "";
+  if (recommendedDays < currentDays - 7) {
+    comparison = ` - more often than your usual ${usual}, to keep growth below moderate`;
+  } else if (recommendedDays > currentDays + 7) {
+    comparison = ` - growth has stayed light, so cleanings can be spaced out from ${usual}`;
+  }
+
+  return `${season.label}: clean every ${formatInterval(recommendedDays)}${comparison}.`;
+}
@@ -0,0 +1,205 @@
+/**
+ * Condition Vocabulary
+ * Parses the condition values found in service logs - paint, growth,
+ * through-hulls, anodes and propellers, including the Notion import
+ * variants ("Fair, Poor", "not_inspected", "Excellent Good") - into one
+ * normalized key, with its severity, display label and badge CSS class.
+ *
+ * Severity runs from 1 (excellent) to 8 (very poor); 0 is not inspected.
+ */
+
+/**
+ * Known conditions by normalized key
+ * className defaults to the paint class for the term's severity.
+ */
+export const CONDITIONS = {
+  "not-inspected": { label: "Not Inspected", severity: 0 },
+  excellent: { label: "Excellent", severity: 1 },
+  "excellent-good": { label: "Excellent-Good", severity: 2 },
+  good: { label: "Good", severity: 3 },
+  "good-fair": { label: "Good-Fair", severity: 4 },
+  fair: { label: "Fair", severity: 5 },
+  "fair-poor": { label: "Fair-Poor", severity: 6 },
+  poor: { label: "Poor", severity: 7 },
+  "very-poor": { label: "Very Poor", severity: 8 },
+  // Legacy alias for very poor
+  critical: { label: "Critical", severity: 8, className: "condition-critical" },
+
+  // Growth levels
+  minimal: { label: "Minimal", severity: 1 },
+  "minimal-moderate": { label: "Minimal-Moderate", severity: 3 },
+  moderate: { label: "Moderate", severity: 5 },
+  "moderate-heavy": { label: "Moderate-Heavy", severity: 6 },
+  heavy: { label: "Heavy", severity: 7 },
+
+  // Through-hulls and propellers
+  sound: { label: "Sound", severity: 3 },
+  inspected: { label: "Inspected", severity: 3 },
+
+  // Anode statuses
+  installed: { label: "Installed", severity: 3 },
+  replaced: { label: "Replaced", severity: 3 },
+  "needs-replacement": { label: "Needs Replacement", severity: 7 },
+  missing: { label: "Missing", severity: 7 },
+};
+
+// Severity at which a paint area or anode needs attention
+export const POOR_SEVERITY = CONDITIONS.poor.severity;
+
+// Badge class for each severity
+const SEVERITY_CLASSES = [
+  "condition-not-inspected",
+  "condition-excellent",
+  "condition-excellent-good",
+  "condition-good",
+  "condition-good-fair",
+  "condition-fair",
+  "condition-fair-poor",
+  "condition-poor",
+  "condition-very-poor",
+];
+
+/**
+ * Lowercase and hyphenate one term ("Not Inspected" → "not-inspected")
+ */
+function toKey(term) {
+  return term
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_-]+/g, "-");
+}
+
+/**
+ * Split a condition into its range parts, if it is a range
+ * Ranges come from Notion as "Fair, Poor"; hyphenated ranges that aren't a
+ * known term ("fair-good") are accepted too.
+ * @param {string} raw - Raw condition
+ * @returns {string[]|null} Range parts as keys, or null if not a range
+ */
+function splitRange(raw) {
+  const parts = raw.split(",").map(toKey).filter(Boolean);
+  if (parts.length > 1) return parts;
+
+  const [key] = parts;
+  if (!key || CONDITIONS[key]) return null;
+
+  const hyphenated = key.split("-");
+  return hyphenated.length > 1 && hyphenated.every((part) => CONDITIONS[part])
+    ? hyphenated
+    : null;
+}
+
+/**
+ * Normalize a condition to its vocabulary key
+ * Ranges are ordered better condition first ("Fair, Good" → "good-fair");
+ * a range including "missing" counts as poor.
+ * @param {string} condition - Raw condition from the database
+ * @returns {string} Normalized key ("not-inspected" when empty); unknown
+ *   values are returned lowercased and hyphenated
+ */
+export function normalizeCondition(condition) {
+  if (!condition || !String(condition).trim()) return "not-inspected";
+
+  const raw = String(condition);
+  const parts = splitRange(raw);
+  if (!parts) return toKey(raw);
+
+  if (parts.includes("missing")) return "poor";
+
+  return [...new Set(parts)]
+    .sort(
+      (a, b) =>
+        (CONDITIONS[a]?.severity ?? 99) - (CONDITIONS[b]?.severity ?? 99),
+    )
+    .join("-");
+}
+
+/**
+ * Resolve a normalized key to a severity
+ * Unknown ranges ("excellent-fair") and free text ("poor - needs
+ * attention") take the worst known term they contain.
+ */
+function resolveSeverity(key) {
+  if (CONDITIONS[key]) return CONDITIONS[key].severity;
+
+  const matches = Object.keys(CONDITIONS).filter((term) =>
+    new RegExp(`(^|-)${term}(-|$)`).test(key),
+  );
+  if (matches.length === 0) return null;
+
+  return Math.max(...matches.map((term) => CONDITIONS[term].severity));
+}
+
+/**
+ * Severity of a condition
+ * @param {string} condition - Raw or normalized condition
+ * @returns {number|null} 1 (excellent) to 8 (very poor), null if not
+ *   inspected or unrecognized
+ */
+export function getConditionSeverity(condition) {
+  const severity = resolveSeverity(normalizeCondition(condition));
+  return severity ? severity : null;
+}
+
+/**
+ * Badge CSS class for a condition
+ * @param {string} condition - Raw or normalized condition
+ * @returns {string}
+ */
+export function getConditionClass(condition) {
+  if (!condition) return "condition-default";
+
+  const key = normalizeCondition(condition);
+  if (CONDITIONS[key]?.className) return CONDITIONS[key].className;
+
+  const severity = resolveSeverity(key);
+  return severity === null ? "condition-default" : SEVERITY_CLASSES[severity];
+}
+
+/**
+ * Display label for a condition ("fair_poor" → "Fair-Poor")
+ * @param {string} condition - Raw or normalized condition
+ * @returns {string} Label; unknown values are shown as entered, capitalized
+ */
+export function formatConditionText(condition) {
+  if (!condition) return "";
+
+  const key = normalizeCondition(condition);
+  if (CONDITIONS[key]) return CONDITIONS[key].label;
+
+  if (key.split("-").every((part) => CONDITIONS[part])) {
+    return key
+      .split("-")
+      .map((part) => CONDITIONS[part].label)
+      .join("-");
+  }
+
+  const raw = String(condition).trim();
+  return raw.charAt(0).toUpperCase() + raw.slice(1);
+}
+
+/**
+ * Convert an anode's remaining material to a condition
+ * @param {number} percent - condition_percent (100 = new)
+ * @returns {string} excellent, good, fair or poor
+ */
+export function convertAnodePercentToCondition(percent) {
+  if (percent >= 90) return "excellent";
+  if (percent >= 80) return "good";
+  if (percent >= 60) return "fair";
+  return "poor";
+}
+
+/**
+ * Condition of an anode entry from anode_conditions
+ * @param {Object} anode - Anode with condition_percent or a condition status
+ * @returns {string|null} Normalized condition, null if none was recorded
+ */
+export function getAnodeCondition(anode) {
+  if (anode.condition_percent != null && anode.condition_percent !== "") {
+    return convertAnodePercentToCondition(Number(anode.condition_percent));
+  }
+
+  const status = anode.condition || anode.overall_condition;
+  return status ? normalizeCondition(status) : null;
+}
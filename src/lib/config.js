@@ -0,0 +1,49 @@
+/**
+ * Environment Configuration
+ * Origins used for sign-in, redirects and Edge Functions, read from Vite
+ * env variables so staging and local runs don't touch production SSO.
+ *
+ * VITE_AUTH_MODE         sso (default) or local - local uses this portal's own login.html
+ * VITE_SSO_ORIGIN        Central login service (default https://login.sailorskills.com)
+ * VITE_PORTAL_ORIGIN     Portal origin for email links (default: the current page's origin)
+ * VITE_FUNCTIONS_URL     Edge Function base (default: VITE_SUPABASE_URL + /functions/v1)
+ * VITE_VAPID_PUBLIC_KEY  Web push application server key (push is off without it)
+ */
+
+import {
+  resolveConfig,
+  buildLoginUrl,
+  buildPortalUrl,
+  buildFunctionUrl,
+} from "./environment.js";
+
+export { AUTH_MODES } from "./environment.js";
+
+export const config = resolveConfig(import.meta.env, window.location.origin);
+
+/**
+ * URL of the login page (the SSO service, or login.html in local mode)
+ * @param {string} [redirect] - Absolute URL to return to after sign-in
+ * @returns {string}
+ */
+export function getLoginUrl(redirect) {
+  return buildLoginUrl(config, redirect);
+}
+
+/**
+ * Absolute URL of a portal page
+ * @param {string} [path] - Page path
+ * @returns {string}
+ */
+export function getPortalUrl(path = "/portal.html") {
+  return buildPortalUrl(config, path);
+}
+
+/**
+ * URL of a Supabase Edge Function
+ * @param {string} name - Function name
+ * @returns {string}
+ */
+export function getFunctionUrl(name) {
+  return buildFunctionUrl(config, name);
+}
@@ -0,0 +1,66 @@
+/**
+ * Data Export
+ * Packages the "Download my data" export as a zip of JSON and CSV files
+ */
+
+import { createZip } from "./zip.js";
+
+// Datasets written as CSV alongside the full JSON export
+const CSV_DATASETS = [
+  "boats",
+  "service_logs",
+  "messages",
+  "service_requests",
+  "invoices",
+];
+
+/**
+ * Quote a value for CSV (objects and arrays are written as JSON)
+ * @param {any} value - Cell value
+ * @returns {string}
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) return "";
+
+  const text =
+    typeof value === "object" ? JSON.stringify(value) : String(value);
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert rows to CSV using the union of their keys as columns
+ * @param {Array<Object>} rows - Rows to convert
+ * @returns {string}
+ */
+export function toCsv(rows) {
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  if (columns.length === 0) return "";
+
+  const lines = [
+    columns.map(toCsvCell).join(","),
+    ...rows.map((row) => columns.map((col) => toCsvCell(row[col])).join(",")),
+  ];
+
+  return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Build the export archive
+ * @param {Object} exportData - Result of getAccountDataExport()
+ * @returns {Blob} application/zip
+ */
+export function buildAccountExportZip(exportData) {
+  const files = [
+    {
+      name: "my-data.json",
+      content: JSON.stringify(exportData, null, 2),
+    },
+    ...CSV_DATASETS.map((key) => ({
+      name: `${key}.csv`,
+      content: toCsv(exportData[key] || []),
+    })),
+  ];
+
+  return new Blob([createZip(files)], { type: "application/zip" });
+}
@@ -0,0 +1,81 @@
+/**
+ * Environment URL Resolution
+ * Pure helpers behind config.js, kept free of import.meta so they can be
+ * tested outside Vite.
+ */
+
+export const AUTH_MODES = {
+  SSO: "sso",
+  LOCAL: "local",
+};
+
+const DEFAULT_SSO_ORIGIN = "https://login.sailorskills.com";
+const DEFAULT_PORTAL_ORIGIN = "https://portal.sailorskills.com";
+
+/**
+ * Drop trailing slashes so paths can be appended safely
+ * @param {string} url - Origin or base URL
+ * @returns {string}
+ */
+function trimSlash(url) {
+  return url.replace(/\/+$/, "");
+}
+
+/**
+ * Build the configuration from env variables
+ * @param {Object} env - import.meta.env (or a plain object in tests)
+ * @param {string} [currentOrigin] - Origin of the page being served
+ * @returns {{authMode: string, ssoOrigin: string, portalOrigin: string, functionsUrl: string, vapidPublicKey: string|null}}
+ */
+export function resolveConfig(env = {}, currentOrigin) {
+  const authMode =
+    env.VITE_AUTH_MODE === AUTH_MODES.LOCAL ? AUTH_MODES.LOCAL : AUTH_MODES.SSO;
+  const portalOrigin = trimSlash(
+    env.VITE_PORTAL_ORIGIN || currentOrigin || DEFAULT_PORTAL_ORIGIN,
+  );
+
+  return {
+    authMode,
+    ssoOrigin:
+      authMode === AUTH_MODES.LOCAL
+        ? portalOrigin
+        : trimSlash(env.VITE_SSO_ORIGIN || DEFAULT_SSO_ORIGIN),
+    portalOrigin,
+    functionsUrl: trimSlash(
+      env.VITE_FUNCTIONS_URL || `${env.VITE_SUPABASE_URL}/functions/v1`,
+    ),
+    vapidPublicKey: env.VITE_VAPID_PUBLIC_KEY || null,
+  };
+}
+
+/**
+ * URL of the login page (the SSO service, or login.html in local mode)
+ * @param {Object} cfg - Result of resolveConfig()
+ * @param {string} [redirect] - Absolute URL to return to after sign-in
+ * @returns {string}
+ */
+export function buildLoginUrl(cfg, redirect) {
+  const url = new URL("/login.html", cfg.ssoOrigin);
+  if (redirect) url.searchParams.set("redirect", redirect);
+  return url.toString();
+}
+
+/**
+ * Absolute URL of a portal page
+ * @param {Object} cfg - Result of resolveConfig()
+ * @param {string} path - Page path
+ * @returns {string}
+ */
+export function buildPortalUrl(cfg, path) {
+  return new URL(path, cfg.portalOrigin).toString();
+}
+
+/**
+ * URL of a Supabase Edge Function
+ * @param {Object} cfg - Result of resolveConfig()
+ * @param {string} name - Function name
+ * @returns {string}
+ */
+export function buildFunctionUrl(cfg, name) {
+  return `${cfg.functionsUrl}/${name}`;
+}
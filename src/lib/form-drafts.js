@@ -0,0 +1,117 @@
+/**
+ * Form Drafts
+ * Unsaved form values kept across a re-login. Stored in localStorage (a
+ * magic link may open in a new tab) under the page path, and dropped after
+ * DRAFT_TTL_MS so old text doesn't reappear days later. Each draft records
+ * the account that wrote it, so someone else signing in on a shared device
+ * never gets it.
+ */
+
+const DRAFT_KEY_PREFIX = "formDraft:";
+
+// How long a saved draft stays restorable
+export const DRAFT_TTL_MS = 60 * 60 * 1000;
+
+// Query parameter on the post-login redirect that asks the page to restore its draft
+export const RESTORE_DRAFT_PARAM = "restore_draft";
+
+/**
+ * Storage key for a page's draft
+ * @param {string} path - Page path
+ * @returns {string}
+ */
+function draftKey(path) {
+  return `${DRAFT_KEY_PREFIX}${path}`;
+}
+
+/**
+ * Save a page's unsaved form values
+ * Empty fields are skipped; nothing is stored if every field is empty.
+ * @param {Storage} storage - localStorage (or a stand-in in tests)
+ * @param {string} path - Page path
+ * @param {Object} draft
+ * @param {Object<string, string>} draft.fields - Field values keyed by element ID
+ * @param {Object} [draft.state] - View state needed to show the fields (e.g. a selected tab)
+ * @param {string} draft.userId - Signed-in user the values belong to
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean} Whether anything was saved
+ */
+export function saveFormDraft(
+  storage,
+  path,
+  { fields, state = {}, userId },
+  now = Date.now(),
+) {
+  const filled = Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value !== "" && value != null),
+  );
+
+  if (!userId || Object.keys(filled).length === 0) return false;
+
+  storage.setItem(
+    draftKey(path),
+    JSON.stringify({ savedAt: now, userId, fields: filled, state }),
+  );
+  return true;
+}
+
+/**
+ * Read and remove a page's draft
+ * A draft saved by another account is removed without being returned.
+ * @param {Storage} storage - localStorage (or a stand-in in tests)
+ * @param {string} path - Page path
+ * @param {string} userId - Signed-in user
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {{fields: Object<string, string>, state: Object}|null} Draft, or null if none, expired or someone else's
+ */
+export function takeFormDraft(storage, path, userId, now = Date.now()) {
+  const raw = storage.getItem(draftKey(path));
+  if (!raw) return null;
+
+  storage.removeItem(draftKey(path));
+
+  try {
+    const { savedAt, userId: savedBy, fields, state } = JSON.parse(raw);
+    if (!userId || savedBy !== userId) return null;
+    if (now - savedAt > DRAFT_TTL_MS) return null;
+    return { fields, state: state || {} };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remove every page's draft (on logout)
+ * @param {Storage} storage - localStorage (or a stand-in in tests)
+ */
+export function clearFormDrafts(storage) {
+  const keys = [];
+  for (let i = 0; i < storage.length; i++) {
+    const key = storage.key(i);
+    if (key?.startsWith(DRAFT_KEY_PREFIX)) keys.push(key);
+  }
+  keys.forEach((key) => storage.removeItem(key));
+}
+
+/**
+ * Add the restore marker to a page URL
+ * @param {string} href - Page URL
+ * @returns {string}
+ */
+export function withRestoreMarker(href) {
+  const url = new URL(href);
+  url.searchParams.set(RESTORE_DRAFT_PARAM, "1");
+  url.hash = "";
+  return url.toString();
+}
+
+/**
+ * Remove the restore marker from a page URL
+ * @param {string} href - Page URL
+ * @returns {string} Path, query and hash without the marker
+ */
+export function stripRestoreMarker(href) {
+  const url = new URL(href);
+  url.searchParams.delete(RESTORE_DRAFT_PARAM);
+  return url.pathname + url.search + url.hash;
+}
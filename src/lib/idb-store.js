@@ -0,0 +1,86 @@
+/**
+ * IndexedDB Key-Value Store
+ * Promise wrapper around a single IndexedDB object store. Each store lives in
+ * its own database, so adding a store never needs a version upgrade of
+ * another one.
+ *
+ * IndexedDB can be missing or refuse to open (some private browsing modes);
+ * the store then rejects, and callers treat that like an empty cache.
+ */
+
+const DB_PREFIX = "sailorskills-portal:";
+const OBJECT_STORE = "entries";
+
+/**
+ * Wait for an IndexedDB request
+ * @param {IDBRequest} request
+ * @returns {Promise<any>} The request's result
+ */
+function settle(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Create a key-value store
+ * @param {string} name - Store name, e.g. "playlist-videos"
+ * @returns {{
+ *   get: (key: string) => Promise<any>,
+ *   set: (key: string, value: any) => Promise<void>,
+ *   delete: (key: string) => Promise<void>,
+ *   entries: () => Promise<Array<[string, any]>>
+ * }}
+ *   get() resolves undefined for a missing key; entries() is in key order
+ */
+export function createIdbStore(name) {
+  let dbPromise = null;
+
+  const open = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === "undefined") {
+          reject(new Error("IndexedDB is not available"));
+          return;
+        }
+        const request = indexedDB.open(DB_PREFIX + name, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(OBJECT_STORE);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Let a later call try again instead of caching the failure
+      dbPromise.catch(() => (dbPromise = null));
+    }
+    return dbPromise;
+  };
+
+  // operation returns one request, or several to run in the same transaction
+  const run = async (mode, operation) => {
+    const db = await open();
+    const store = db.transaction(OBJECT_STORE, mode).objectStore(OBJECT_STORE);
+    const requests = operation(store);
+    return Array.isArray(requests)
+      ? Promise.all(requests.map(settle))
+      : settle(requests);
+  };
+
+  return {
+    get: (key) => run("readonly", (store) => store.get(key)),
+    set: async (key, value) => {
+      await run("readwrite", (store) => store.put(value, key));
+    },
+    delete: async (key) => {
+      await run("readwrite", (store) => store.delete(key));
+    },
+    entries: async () => {
+      const [keys, values] = await run("readonly", (store) => [
+        store.getAllKeys(),
+        store.getAll(),
+      ]);
+      return keys.map((key, i) => [key, values[i]]);
+    },
+  };
+}
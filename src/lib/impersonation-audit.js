@@ -0,0 +1,71 @@
+/**
+ * Impersonation Audit Trail
+ * Records what an admin does while viewing the portal as a customer
+ *
+ * Sessions are opened and closed by setImpersonation()/clearImpersonation()
+ * in auth.js; this module adds the events inside a session: page views,
+ * mode switches and every write attempted through the repository layer.
+ */
+
+import { supabase } from "../auth/auth.js";
+import { subscribeToTraces } from "./repository.js";
+
+let started = false;
+
+/**
+ * Record an event against the current impersonation session
+ * Does nothing when no audit session is open
+ * @param {string} eventType - page_view, mutation or mode_change
+ * @param {object} details - Event details stored as JSON
+ * @returns {Promise<void>}
+ */
+export async function recordImpersonationEvent(eventType, details = {}) {
+  const sessionId = sessionStorage.getItem("impersonationSessionId");
+  if (!sessionId) return;
+
+  const { error } = await supabase.from("impersonation_events").insert({
+    session_id: sessionId,
+    event_type: eventType,
+    details,
+  });
+
+  if (error) {
+    console.error("Failed to record impersonation event:", error);
+  }
+}
+
+/**
+ * Start auditing the current page
+ * Records the page view, refreshes the session's last_seen_at and logs
+ * every repository write made while impersonating. Safe to call more than once.
+ * @returns {Promise<void>}
+ */
+export async function startImpersonationAudit() {
+  const sessionId = sessionStorage.getItem("impersonationSessionId");
+  if (!sessionId || started) return;
+  started = true;
+
+  subscribeToTraces((trace) => {
+    if (!trace.mutation || !trace.impersonation) return;
+
+    recordImpersonationEvent("mutation", {
+      operation: trace.operation,
+      requestId: trace.requestId,
+      succeeded: !trace.error,
+      error: trace.error?.message || null,
+    });
+  });
+
+  await recordImpersonationEvent("page_view", {
+    path: window.location.pathname + window.location.search,
+  });
+
+  const { error } = await supabase
+    .from("impersonation_sessions")
+    .update({ last_seen_at: new Date().toISOString() })
+    .eq("id", sessionId);
+
+  if (error) {
+    console.error("Failed to update impersonation session:", error);
+  }
+}
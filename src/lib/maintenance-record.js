@@ -0,0 +1,454 @@
+/**
+ * Maintenance Record
+ * Whole-boat maintenance dossier for a surveyor or broker: every service in
+ * a date range, anode replacements, invoice totals per year and how each
+ * condition has trended. Downloads as a PDF or as a zip of CSV files.
+ */
+
+import { getConditionSeverity, formatConditionText } from "./conditions.js";
+import { parseAnodeList, anodeLabel } from "./anode-wear.js";
+import { fitPaintCycle } from "./paint-forecast.js";
+import { getServiceReport, getBoatFileSlug } from "./service-report.js";
+import { createPdf } from "./pdf.js";
+import { toCsv } from "./data-export.js";
+import { createZip } from "./zip.js";
+import {
+  createReportLayout,
+  MARGIN,
+  CONTENT_WIDTH,
+  MUTED_COLOR,
+} from "./report-layout.js";
+
+export const TREND = {
+  IMPROVING: "improving",
+  STEADY: "steady",
+  WORSENING: "worsening",
+};
+
+// Conditions summarized in the trend section
+const TREND_CONDITIONS = [
+  { label: "Paint", column: "paint_condition_overall" },
+  { label: "Keel", column: "paint_detail_keel" },
+  { label: "Waterline", column: "paint_detail_waterline" },
+  { label: "Boot Stripe", column: "paint_detail_boot_stripe" },
+  { label: "Growth", column: "growth_level" },
+  { label: "Through-Hulls", column: "thru_hull_condition" },
+];
+
+// Severity steps between adjacent condition levels (good → good-fair → fair)
+const SEVERITY_PER_LEVEL = 2;
+
+const YEAR_DAYS = 365.25;
+
+/**
+ * Whether a date (YYYY-MM-DD or timestamp) falls in the range
+ * @param {string} date - Date
+ * @param {string|null} startDate - First day (YYYY-MM-DD), or open
+ * @param {string|null} endDate - Last day (YYYY-MM-DD), or open
+ * @returns {boolean}
+ */
+function inRange(date, startDate, endDate) {
+  const day = (date || "").slice(0, 10);
+  if (!day) return false;
+  return (!startDate || day >= startDate) && (!endDate || day <= endDate);
+}
+
+/**
+ * Summarize how one condition changed over the range
+ * @param {Array<Object>} logs - Service logs, oldest first
+ * @param {{label: string, column: string}} condition - Condition to summarize
+ * @returns {{label: string, first: Object, latest: Object, worst: Object, trend: string, inspections: number}|null}
+ *   first/latest/worst are {date, value}; null when never recorded
+ */
+function summarizeTrend(logs, { label, column }) {
+  const readings = logs
+    .filter((log) => getConditionSeverity(log[column]) !== null)
+    .map((log) => ({
+      date: log.service_date,
+      value: log[column],
+      severity: getConditionSeverity(log[column]),
+    }));
+
+  if (readings.length === 0) return null;
+
+  const first = readings[0];
+  const latest = readings[readings.length - 1];
+  const worst = readings.reduce((a, b) => (b.severity > a.severity ? b : a));
+  const change = latest.severity - first.severity;
+
+  let trend = TREND.STEADY;
+  if (change >= SEVERITY_PER_LEVEL) trend = TREND.WORSENING;
+  if (change <= -SEVERITY_PER_LEVEL) trend = TREND.IMPROVING;
+
+  const reading = ({ date, value }) => ({ date, value });
+  return {
+    label,
+    first: reading(first),
+    latest: reading(latest),
+    worst: reading(worst),
+    trend,
+    inspections: readings.length,
+  };
+}
+
+/**
+ * Collect the dossier for a date range
+ * @param {Object} data
+ * @param {Array<Object>} data.logs - The boat's service logs (any order)
+ * @param {Array<Object>|null} data.invoices - The customer's invoices, or null
+ *   when the account can't see billing; only this boat's (and those not tied
+ *   to a boat) are counted
+ * @param {string} data.boatId - Boat ID
+ * @param {string|null} [data.startDate] - First day (YYYY-MM-DD)
+ * @param {string|null} [data.endDate] - Last day (YYYY-MM-DD)
+ * @returns {{
+ *   startDate: string|null,
+ *   endDate: string|null,
+ *   services: Array<Object>,
+ *   anodeReplacements: Array<{date: string, anode: string}>,
+ *   invoiceTotals: Array<{year: string, invoices: number, total: number, paid: number}>|null,
+ *   trends: Array<Object>,
+ *   paintRate: {levelsPerYear: number, since: string}|null
+ * }}
+ *   Services and replacements oldest first; paintRate is how fast the
+ *   overall paint condition has been degrading since it was last repainted
+ */
+export function buildMaintenanceRecord({
+  logs,
+  invoices,
+  boatId,
+  startDate = null,
+  endDate = null,
+}) {
+  const inRangeLogs = logs
+    .filter((log) => inRange(log.service_date, startDate, endDate))
+    .sort((a, b) => a.service_date.localeCompare(b.service_date));
+
+  const services = inRangeLogs.map((log) => ({
+    ...getServiceReport(log),
+    anodesReplaced: parseAnodeList(log.anodes_installed).map(anodeLabel),
+  }));
+
+  const anodeReplacements = services.flatMap((service) =>
+    service.anodesReplaced.map((anode) => ({
+      date: service.serviceDate,
+      anode,
+    })),
+  );
+
+  let invoiceTotals = null;
+  if (invoices) {
+    const years = new Map();
+    invoices
+      .filter((invoice) => !invoice.boat_id || invoice.boat_id === boatId)
+      .filter((invoice) => inRange(invoice.issued_at, startDate, endDate))
+      .forEach((invoice) => {
+        const year = invoice.issued_at.slice(0, 4);
+        const amount = parseFloat(invoice.amount || 0);
+        const totals = years.get(year) || {
+          year,
+          invoices: 0,
+          total: 0,
+          paid: 0,
+        };
+        totals.invoices += 1;
+        totals.total += amount;
+        if (invoice.status === "paid") totals.paid += amount;
+        years.set(year, totals);
+      });
+    invoiceTotals = [...years.values()].sort((a, b) =>
+      a.year.localeCompare(b.year),
+    );
+  }
+
+  const paintCycle = fitPaintCycle(
+    inRangeLogs.map((log) => ({
+      serviceDate: log.service_date,
+      overall: { severity: getConditionSeverity(log.paint_condition_overall) },
+    })),
+  );
+
+  return {
+    startDate,
+    endDate,
+    services,
+    anodeReplacements,
+    invoiceTotals,
+    trends: TREND_CONDITIONS.map((c) => summarizeTrend(inRangeLogs, c)).filter(
+      Boolean,
+    ),
+    paintRate:
+      paintCycle && paintCycle.slope > 0
+        ? {
+            levelsPerYear: (paintCycle.slope * YEAR_DAYS) / SEVERITY_PER_LEVEL,
+            since: paintCycle.since,
+          }
+        : null,
+  };
+}
+
+/**
+ * Describe the date range of a record
+ * @param {Object} record - Result of buildMaintenanceRecord()
+ * @param {function(string): string} formatDate - Date formatter
+ * @returns {string}
+ */
+function describeRange(record, formatDate) {
+  if (record.startDate && record.endDate) {
+    return `${formatDate(record.startDate)} to ${formatDate(record.endDate)}`;
+  }
+  if (record.startDate) return `Since ${formatDate(record.startDate)}`;
+  if (record.endDate) return `Through ${formatDate(record.endDate)}`;
+  return "All services";
+}
+
+/**
+ * Lay out the dossier as PDF pages
+ * @param {Object} record - Result of buildMaintenanceRecord()
+ * @param {Object} options
+ * @param {string} options.boatName - Boat name
+ * @param {function(string): string} options.formatDate - Date formatter (YYYY-MM-DD)
+ * @param {function(number): string} options.formatCurrency - Amount formatter
+ * @param {Date} [options.generatedAt] - Shown in the footer
+ * @returns {Array<Array<Object>>} Drawing operations for createPdf()
+ */
+export function layoutMaintenanceRecord(
+  record,
+  { boatName, formatDate, formatCurrency, generatedAt = new Date() },
+) {
+  const layout = createReportLayout("Maintenance Record");
+
+  layout.text(boatName || "Boat", MARGIN, 18, { bold: true });
+  layout.moveDown(20);
+  layout.text(describeRange(record, formatDate), MARGIN, 12);
+  layout.moveDown(16);
+  layout.text(
+    `${record.services.length} service${record.services.length !== 1 ? "s" : ""}, ${record.anodeReplacements.length} anode replacement${record.anodeReplacements.length !== 1 ? "s" : ""}`,
+    MARGIN,
+    10,
+    { color: MUTED_COLOR },
+  );
+  layout.moveDown(14);
+
+  if (record.trends.length > 0) {
+    layout.heading("Condition Trends");
+    record.trends.forEach((t) => {
+      const change =
+        t.inspections > 1
+          ? ` (${t.trend} since ${formatDate(t.first.date)}, from ${formatConditionText(t.first.value)})`
+          : "";
+      layout.conditionRow(t.label, t.latest.value, change);
+    });
+    if (record.paintRate) {
+      layout.moveDown(4);
+      layout.paragraph(
+        `Overall paint has degraded about ${record.paintRate.levelsPerYear.toFixed(1)} condition levels a year since ${formatDate(record.paintRate.since)}.`,
+      );
+    }
+  }
+
+  if (record.services.length > 0) {
+    layout.heading("Service Log");
+    const columns = [86, 110, 150, CONTENT_WIDTH - 346];
+    layout.tableRow(
+      ["Date", "Service", "Conditions", "Work and Notes"].map((text, i) => ({
+        text,
+        width: columns[i],
+        bold: true,
+      })),
+    );
+
+    record.services.forEach((service) => {
+      const conditions = [
+        ...service.conditions,
+        ...service.propellers.map((p) => ({
+          label: p.label ? `${p.label} propeller` : "Propeller",
+          value: p.condition,
+        })),
+      ]
+        .filter((c) => c.value)
+        .map((c) => `${c.label}: ${formatConditionText(c.value)}`)
+        .join("\n");
+
+      const work = [
+        service.anodesReplaced.length > 0
+          ? `Anodes replaced: ${service.anodesReplaced.join(", ")}`
+          : null,
+        service.notes,
+      ]
+        .filter(Boolean)
+        .join("\n");
+
+      layout.tableRow(
+        [
+          formatDate(service.serviceDate),
+          [service.serviceName, service.technician].filter(Boolean).join("\n"),
+          conditions,
+          work,
+        ].map((text, i) => ({ text, width: columns[i] })),
+      );
+    });
+  }
+
+  if (record.anodeReplacements.length > 0) {
+    layout.heading("Anode Replacements");
+    record.anodeReplacements.forEach((r) =>
+      layout.tableRow([
+        { text: formatDate(r.date), width: 120 },
+        { text: r.anode, width: CONTENT_WIDTH - 120 },
+      ]),
+    );
+  }
+
+  layout.heading("Invoice Totals");
+  if (!record.invoiceTotals) {
+    layout.paragraph(
+      "Not included - this account doesn't have billing access.",
+      {
+        color: MUTED_COLOR,
+      },
+    );
+  } else if (record.invoiceTotals.length === 0) {
+    layout.paragraph("No invoices in this period.", { color: MUTED_COLOR });
+  } else {
+    const columns = [80, 100, 140, 140];
+    layout.tableRow(
+      ["Year", "Invoices", "Total", "Paid"].map((text, i) => ({
+        text,
+        width: columns[i],
+        bold: true,
+      })),
+    );
+    record.invoiceTotals.forEach((year) =>
+      layout.tableRow(
+        [
+          year.year,
+          String(year.invoices),
+          formatCurrency(year.total),
+          formatCurrency(year.paid),
+        ].map((text, i) => ({ text, width: columns[i] })),
+      ),
+    );
+  }
+
+  return layout.finish(generatedAt);
+}
+
+/**
+ * Build the dossier PDF
+ * @param {Object} record - Result of buildMaintenanceRecord()
+ * @param {Object} options - See layoutMaintenanceRecord()
+ * @returns {Uint8Array} PDF bytes
+ */
+export function buildMaintenanceRecordPdf(record, options) {
+  return createPdf(layoutMaintenanceRecord(record, options), {
+    title: `${options.boatName || "Boat"} maintenance record`,
+    created: options.generatedAt,
+  });
+}
+
+/**
+ * Condition recorded on a service, as text
+ * @param {Object} service - Entry from record.services
+ * @param {string} label - Condition label (Paint, Growth, Through-Hulls)
+ * @returns {string}
+ */
+function conditionText(service, label) {
+  return formatConditionText(
+    service.conditions.find((c) => c.label === label)?.value,
+  );
+}
+
+/**
+ * Build the dossier as CSV files
+ * @param {Object} record - Result of buildMaintenanceRecord()
+ * @returns {Array<{name: string, content: string}>}
+ */
+export function toMaintenanceRecordCsvFiles(record) {
+  const files = [
+    {
+      name: "services.csv",
+      content: toCsv(
+        record.services.map((s) => ({
+          date: s.serviceDate,
+          service: s.serviceName,
+          technician: s.technician,
+          paint: conditionText(s, "Paint"),
+          growth: conditionText(s, "Growth"),
+          through_hulls: conditionText(s, "Through-Hulls"),
+          anodes_inspected: s.anodes.length,
+          anodes_replaced: s.anodesReplaced.join("; "),
+          propellers: s.propellers
+            .map((p) =>
+              [p.label, formatConditionText(p.condition)]
+                .filter(Boolean)
+                .join(": "),
+            )
+            .join("; "),
+          notes: s.notes,
+        })),
+      ),
+    },
+    {
+      name: "anode_replacements.csv",
+      content: toCsv(record.anodeReplacements),
+    },
+    {
+      name: "condition_trends.csv",
+      content: toCsv(
+        record.trends.map((t) => ({
+          condition: t.label,
+          trend: t.trend,
+          inspections: t.inspections,
+          first_date: t.first.date,
+          first: formatConditionText(t.first.value),
+          latest_date: t.latest.date,
+          latest: formatConditionText(t.latest.value),
+          worst_date: t.worst.date,
+          worst: formatConditionText(t.worst.value),
+        })),
+      ),
+    },
+  ];
+
+  if (record.invoiceTotals) {
+    files.push({
+      name: "invoice_totals.csv",
+      content: toCsv(
+        record.invoiceTotals.map((t) => ({
+          ...t,
+          total: t.total.toFixed(2),
+          paid: t.paid.toFixed(2),
+        })),
+      ),
+    });
+  }
+
+  return files;
+}
+
+/**
+ * Build the CSV download
+ * @param {Object} record - Result of buildMaintenanceRecord()
+ * @returns {Blob} application/zip
+ */
+export function buildMaintenanceRecordZip(record) {
+  return new Blob([createZip(toMaintenanceRecordCsvFiles(record))], {
+    type: "application/zip",
+  });
+}
+
+/**
+ * File name for a downloaded dossier
+ * @param {string} boatName - Boat name
+ * @param {string} extension - "pdf" or "zip"
+ * @param {Date} [date] - Export date
+ * @returns {string} e.g. "sea-breeze-maintenance-record-2025-11-18.pdf"
+ */
+export function getMaintenanceRecordFileName(
+  boatName,
+  extension,
+  date = new Date(),
+) {
+  return `${getBoatFileSlug(boatName)}-maintenance-record-${date.toISOString().slice(0, 10)}.${extension}`;
+}
@@ -0,0 +1,103 @@
+/**
+ * Outbox
+ * Messages and service requests written while offline, kept until they can
+ * be sent. Items are stored in a key-value store (lib/idb-store.js, or a
+ * Map-backed stand-in in tests) under keys that sort in the order they were
+ * queued, and are only ever sent for the user who wrote them.
+ *
+ * An item can reach the server more than once (a lost response looks just
+ * like being offline), so senders must be safe to repeat: the portal's pass
+ * a clientRequestId the database stores once (migration 028). Senders with
+ * several steps (uploads before the insert) save their progress on the item,
+ * so a retry picks up after the last completed step.
+ */
+
+/**
+ * Create an outbox
+ * @param {{get: Function, set: Function, delete: Function, entries: Function}} store - Async key-value store
+ * @param {Object<string, (payload: Object, save: (changes: Object) => Promise<void>) => Promise<ApiResult<any>>>} senders
+ *   Sends an item's payload, by item type; `save` merges changes into the
+ *   stored payload
+ * @param {Object} [options]
+ * @param {() => number} [options.clock] - Current time (for tests)
+ * @returns {{
+ *   add: (type: string, payload: Object, userId: string) => Promise<Object>,
+ *   list: (userId: string) => Promise<Array<Object>>,
+ *   flush: (userId: string) => Promise<{sent: Array<Object>, failed: Array<{item: Object, error: ApiError}>, pending: number}>
+ * }}
+ */
+export function createOutbox(store, senders, { clock = Date.now } = {}) {
+  let counter = 0;
+  // In-flight flush per user, so one user's flush never answers another's
+  const flushing = new Map();
+
+  const list = async (userId) =>
+    (await store.entries())
+      .map(([, item]) => item)
+      .filter((item) => item.userId === userId);
+
+  const flushItems = async (userId) => {
+    const sent = [];
+    const failed = [];
+    const items = await list(userId);
+
+    for (let i = 0; i < items.length; i += 1) {
+      const item = items[i];
+      const send = senders[item.type];
+      const save = async (changes) => {
+        item.payload = { ...item.payload, ...changes };
+        await store.set(item.id, item);
+      };
+      const { data, error } = send
+        ? await send(item.payload, save)
+        : { data: null, error: { message: `Unknown item type: ${item.type}` } };
+
+      if (error?.retryable) {
+        // Still offline (or the server is struggling): keep this and the rest
+        return { sent, failed, pending: items.length - i };
+      }
+
+      await store.delete(item.id);
+      if (error) {
+        failed.push({ item, error });
+      } else {
+        sent.push({ ...item, result: data });
+      }
+    }
+
+    return { sent, failed, pending: 0 };
+  };
+
+  return {
+    /**
+     * Queue an item
+     * @returns {Promise<Object>} The stored item ({id, type, payload, userId, queuedAt})
+     */
+    add: async (type, payload, userId) => {
+      const queuedAt = clock();
+      counter += 1;
+      const id = `${String(queuedAt).padStart(15, "0")}-${counter}-${Math.random().toString(36).slice(2, 8)}`;
+      const item = { id, type, payload, userId, queuedAt };
+      await store.set(id, item);
+      return item;
+    },
+
+    list,
+
+    /**
+     * Send a user's queued items, oldest first
+     * Items that fail for good (e.g. rejected by validation) are removed and
+     * reported; a retryable failure stops the flush and keeps what's left.
+     * Concurrent calls for the same user share one flush.
+     */
+    flush: (userId) => {
+      if (!flushing.has(userId)) {
+        flushing.set(
+          userId,
+          flushItems(userId).finally(() => flushing.delete(userId)),
+        );
+      }
+      return flushing.get(userId);
+    },
+  };
+}
@@ -0,0 +1,51 @@
+/**
+ * Keyset Pagination
+ * Cursor helpers for paging newest-first lists ordered by a date column,
+ * with the row id breaking ties between rows on the same date. Unlike
+ * offsets, cursors don't skip or repeat rows when new ones are added while
+ * a customer is scrolling. Rows with no date come after all dated rows, so
+ * the query must order the date column with `nullsFirst: false`.
+ */
+
+/**
+ * Cursor pointing just past a row
+ * @param {Object} row - Last row of a page
+ * @param {string} dateColumn - Column the list is ordered by
+ * @returns {{date: string|null, id: string}}
+ */
+export function getPageCursor(row, dateColumn) {
+  return { date: row[dateColumn], id: row.id };
+}
+
+/**
+ * PostgREST `or` filter selecting the rows after a cursor
+ * @param {{date: string|null, id: string}} cursor - Result of getPageCursor()
+ * @param {string} dateColumn - Column the list is ordered by
+ * @returns {string}
+ */
+export function cursorFilter(cursor, dateColumn) {
+  if (cursor.date == null) {
+    return `and(${dateColumn}.is.null,id.lt.${cursor.id})`;
+  }
+
+  return `${dateColumn}.lt.${cursor.date},and(${dateColumn}.eq.${cursor.date},id.lt.${cursor.id}),${dateColumn}.is.null`;
+}
+
+/**
+ * Split a query result fetched with one row more than the page size
+ * @param {Array<Object>} rows - Up to limit + 1 rows
+ * @param {number} limit - Page size
+ * @param {string} dateColumn - Column the list is ordered by
+ * @returns {{items: Array<Object>, nextCursor: {date: string|null, id: string}|null}}
+ *   nextCursor is null on the last page
+ */
+export function splitPage(rows, limit, dateColumn) {
+  const items = rows.slice(0, limit);
+  return {
+    items,
+    nextCursor:
+      rows.length > limit
+        ? getPageCursor(items[items.length - 1], dateColumn)
+        : null,
+  };
+}
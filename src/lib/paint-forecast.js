@@ -0,0 +1,218 @@
+/**
+ * Paint Forecast
+ * Projects when a boat's bottom paint will reach "poor" from how its
+ * severity has progressed across service logs since the last repaint.
+ *
+ * Works on the output of getPaintConditionHistory(); severity follows the
+ * condition vocabulary scale, 1 (excellent) to 8 (very poor). A repaint is
+ * needed at POOR_SEVERITY.
+ */
+
+import { DAY_MS, toTime, toDate, fitLine } from "./trend.js";
+import { POOR_SEVERITY } from "./conditions.js";
+
+/**
+ * Forecast outcomes
+ */
+export const FORECAST_STATUS = {
+  DUE: "due", // Already poor
+  PROJECTED: "projected", // Degrading, crossing date estimated
+  STABLE: "stable", // Not getting worse
+  INSUFFICIENT_DATA: "insufficient-data", // Fewer than two inspections since the last repaint
+};
+
+/**
+ * How much to trust a projection
+ */
+export const FORECAST_CONFIDENCE = {
+  LOW: "low",
+  MEDIUM: "medium",
+  HIGH: "high",
+};
+
+// Projections this close count as "plan a haul-out now"
+export const HAUL_OUT_LEAD_MONTHS = 6;
+
+// Improvement (in severity steps) that means the paint was redone
+const REPAINT_DROP = 2;
+
+const MONTH_DAYS = 30.44;
+
+/**
+ * Fit a line to a paint area's severity since it was last repainted
+ * An improvement of a full condition level between inspections marks a
+ * repaint (or touch-up), so only the inspections after the latest one are
+ * fitted. Smaller improvements are treated as inspection noise.
+ * @param {Array} history - Entries from getPaintConditionHistory(), oldest first
+ * @param {string} [key] - Paint area (overall, keel, waterline, bootStripe)
+ * @returns {{slope: number, slopeError: number|null, intercept: number, r2: number, since: string, inspections: number, latest: {date: string, severity: number}}|null}
+ *   Slope in severity steps per day from `since`; null with fewer than two
+ *   inspections on different dates
+ */
+export function fitPaintCycle(history, key = "overall") {
+  const points = history
+    .filter((entry) => entry[key]?.severity != null)
+    .map((entry) => ({ date: entry.serviceDate, y: entry[key].severity }));
+
+  let start = 0;
+  for (let i = 1; i < points.length; i++) {
+    if (points[i - 1].y - points[i].y >= REPAINT_DROP) start = i;
+  }
+
+  const cycle = points.slice(start);
+  if (cycle.length < 2) return null;
+
+  const origin = toTime(cycle[0].date);
+  const fit = fitLine(
+    cycle.map((p) => ({ x: (toTime(p.date) - origin) / DAY_MS, y: p.y })),
+  );
+  if (!fit) return null;
+
+  const latest = cycle[cycle.length - 1];
+
+  return {
+    slope: fit.slope,
+    slopeError: fit.slopeError,
+    intercept: fit.intercept,
+    r2: fit.r2,
+    since: cycle[0].date,
+    inspections: fit.n,
+    latest: { date: latest.date, severity: latest.y },
+  };
+}
+
+/**
+ * Rate confidence from the number of inspections and how well they fit
+ * @param {Object} fit - Result of fitPaintCycle()
+ * @returns {string} FORECAST_CONFIDENCE value
+ */
+function getConfidence(fit) {
+  if (fit.inspections >= 5 && fit.r2 >= 0.8) return FORECAST_CONFIDENCE.HIGH;
+  if (fit.inspections >= 3 && fit.r2 >= 0.5) return FORECAST_CONFIDENCE.MEDIUM;
+  return FORECAST_CONFIDENCE.LOW;
+}
+
+/**
+ * Forecast when the paint will need repainting
+ * @param {Array} history - Entries from getPaintConditionHistory(), oldest first
+ * @param {Object} [options]
+ * @param {number} [options.now] - Current time in milliseconds
+ * @returns {{status: string, repaintMonth: string|null, earliestMonth: string|null, latestMonth: string|null, confidence: string|null, monthsAway: number|null, inspections: number, since: string|null}}
+ *   Months are YYYY-MM; earliest/latest bound the likely month (latest is
+ *   null when the slower end of the range never reaches poor)
+ */
+export function forecastRepaint(history, { now = Date.now() } = {}) {
+  const forecast = {
+    status: FORECAST_STATUS.INSUFFICIENT_DATA,
+    repaintMonth: null,
+    earliestMonth: null,
+    latestMonth: null,
+    confidence: null,
+    monthsAway: null,
+    inspections: 0,
+    since: null,
+  };
+
+  const inspected = history.filter((entry) => entry.overall?.severity != null);
+  const latest = inspected[inspected.length - 1];
+
+  if (latest && latest.overall.severity >= POOR_SEVERITY) {
+    return {
+      ...forecast,
+      status: FORECAST_STATUS.DUE,
+      repaintMonth: toDate(now).slice(0, 7),
+      monthsAway: 0,
+      inspections: inspected.length,
+    };
+  }
+
+  const fit = fitPaintCycle(history);
+  if (!fit) return { ...forecast, inspections: inspected.length };
+
+  const base = {
+    ...forecast,
+    confidence: getConfidence(fit),
+    inspections: fit.inspections,
+    since: fit.since,
+  };
+
+  if (fit.slope <= 0) {
+    return { ...base, status: FORECAST_STATUS.STABLE };
+  }
+
+  // Day (from the start of the cycle) the line reaches poor at a given slope,
+  // never earlier than today: the latest inspection wasn't poor yet
+  const origin = toTime(fit.since);
+  const crossing = (slope) =>
+    Math.max(origin + ((POOR_SEVERITY - fit.intercept) / slope) * DAY_MS, now);
+
+  const projected = crossing(fit.slope);
+  const month = (time) => toDate(time).slice(0, 7);
+
+  let earliestMonth = null;
+  let latestMonth = null;
+  if (fit.slopeError !== null) {
+    earliestMonth = month(crossing(fit.slope + fit.slopeError));
+    latestMonth =
+      fit.slope - fit.slopeError > 0
+        ? month(crossing(fit.slope - fit.slopeError))
+        : null;
+  }
+
+  return {
+    ...base,
+    status: FORECAST_STATUS.PROJECTED,
+    repaintMonth: month(projected),
+    earliestMonth,
+    latestMonth,
+    monthsAway: Math.max(
+      0,
+      Math.round((projected - now) / DAY_MS / MONTH_DAYS),
+    ),
+  };
+}
+
+/**
+ * Format a YYYY-MM month as "Mar 2026"
+ * @param {string} month - Month
+ * @returns {string}
+ */
+export function formatForecastMonth(month) {
+  return new Date(`${month}-01T00:00:00Z`).toLocaleDateString("en-US", {
+    month: "short",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+/**
+ * Plain-language summary of a forecast
+ * @param {Object} forecast - Result of forecastRepaint()
+ * @returns {string}
+ */
+export function describeForecast(forecast) {
+  switch (forecast.status) {
+    case FORECAST_STATUS.DUE:
+      return "Paint has reached poor condition - plan a repaint now.";
+
+    case FORECAST_STATUS.PROJECTED: {
+      const month = formatForecastMonth(forecast.repaintMonth);
+      let range = "";
+      if (forecast.earliestMonth && forecast.latestMonth) {
+        range =
+          forecast.earliestMonth === forecast.latestMonth
+            ? ""
+            : `likely ${formatForecastMonth(forecast.earliestMonth)} - ${formatForecastMonth(forecast.latestMonth)}, `;
+      } else if (forecast.earliestMonth) {
+        range = `no earlier than ${formatForecastMonth(forecast.earliestMonth)}, `;
+      }
+      return `Repaint projected for ${month} (${range}${forecast.confidence} confidence).`;
+    }
+
+    case FORECAST_STATUS.STABLE:
+      return `No repaint projected - paint condition has held steady since ${formatForecastMonth(forecast.since.slice(0, 7))}.`;
+
+    default:
+      return "More inspections are needed to forecast a repaint.";
+  }
+}
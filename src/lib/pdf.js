@@ -0,0 +1,317 @@
+/**
+ * PDF Writer
+ * Minimal PDF 1.4 writer for client-side reports: text in the built-in
+ * Helvetica fonts, filled rectangles, lines and JPEG images. Like the zip
+ * writer, it keeps report downloads dependency-free.
+ *
+ * Coordinates are in points from the top-left corner of the page (the PDF
+ * origin is bottom-left; createPdf() flips them).
+ */
+
+// US Letter
+export const PAGE_WIDTH = 612;
+export const PAGE_HEIGHT = 792;
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126, from the Adobe AFM files
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584,
+  584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+  278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222,
+  500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500,
+  500, 334, 260, 334, 584,
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584,
+  584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333,
+  278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278,
+  556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556,
+  500, 389, 280, 389, 584,
+];
+
+// Width used for characters outside ASCII
+const DEFAULT_WIDTH = 556;
+
+// WinAnsiEncoding bytes for common punctuation outside Latin-1
+const WIN_ANSI = {
+  "€": 0x80,
+  "…": 0x85,
+  "‘": 0x91,
+  "’": 0x92,
+  "“": 0x93,
+  "”": 0x94,
+  "•": 0x95,
+  "–": 0x96,
+  "—": 0x97,
+};
+
+/**
+ * Map text to WinAnsi characters, replacing anything the fonts can't show
+ * @param {string} text - Text
+ * @returns {string} Characters with codes 0-255
+ */
+function toWinAnsi(text) {
+  return Array.from(String(text ?? ""), (char) => {
+    if (WIN_ANSI[char]) return String.fromCharCode(WIN_ANSI[char]);
+    const code = char.charCodeAt(0);
+    if (char === "\t") return " ";
+    if (code < 32) return "";
+    return code < 256 && !(code > 126 && code < 160) ? char : "?";
+  }).join("");
+}
+
+/**
+ * Measure text in Helvetica
+ * @param {string} text - Text
+ * @param {number} size - Font size in points
+ * @param {boolean} [bold] - Helvetica-Bold
+ * @returns {number} Width in points
+ */
+export function measureText(text, size, bold = false) {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let width = 0;
+  for (const char of toWinAnsi(text)) {
+    const code = char.charCodeAt(0);
+    width += code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH;
+  }
+  return (width * size) / 1000;
+}
+
+/**
+ * Break text into lines that fit a width
+ * Keeps the text's own line breaks; words too long for a line are split.
+ * @param {string} text - Text
+ * @param {number} maxWidth - Line width in points
+ * @param {number} size - Font size in points
+ * @param {boolean} [bold] - Helvetica-Bold
+ * @returns {string[]}
+ */
+export function wrapText(text, maxWidth, size, bold = false) {
+  const lines = [];
+
+  String(text ?? "")
+    .split(/\r?\n/)
+    .forEach((paragraph) => {
+      let line = "";
+
+      paragraph
+        .split(/\s+/)
+        .filter(Boolean)
+        .forEach((word) => {
+          const candidate = line ? `${line} ${word}` : word;
+          if (measureText(candidate, size, bold) <= maxWidth) {
+            line = candidate;
+            return;
+          }
+
+          if (line) lines.push(line);
+          line = "";
+
+          // Split a word wider than the whole line
+          let rest = word;
+          while (measureText(rest, size, bold) > maxWidth) {
+            let end = rest.length - 1;
+            while (
+              end > 1 &&
+              measureText(rest.slice(0, end), size, bold) > maxWidth
+            ) {
+              end--;
+            }
+            lines.push(rest.slice(0, end));
+            rest = rest.slice(end);
+          }
+          line = rest;
+        });
+
+      lines.push(line);
+    });
+
+  return lines;
+}
+
+/**
+ * Escape text for a PDF literal string
+ * @param {string} text - WinAnsi text
+ * @returns {string}
+ */
+function pdfString(text) {
+  return `(${text.replace(/[\\()]/g, "\\$&")})`;
+}
+
+/**
+ * Convert "#rrggbb" to PDF color operands
+ * @param {string} hex - Color
+ * @returns {string} "r g b"
+ */
+function pdfColor(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [value >> 16, (value >> 8) & 0xff, value & 0xff]
+    .map((channel) => +(channel / 255).toFixed(3))
+    .join(" ");
+}
+
+/**
+ * Format a number for a content stream
+ * @param {number} value - Number
+ * @returns {string}
+ */
+function num(value) {
+  return String(+value.toFixed(2));
+}
+
+/**
+ * Encode a string whose characters are all below 256 as bytes
+ * @param {string} text - Latin-1 text
+ * @returns {Uint8Array}
+ */
+function latin1(text) {
+  return Uint8Array.from(text, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Format a date as a PDF date string
+ * @param {Date} date - Date
+ * @returns {string} D:YYYYMMDDHHmmSSZ
+ */
+function pdfDate(date) {
+  return `D:${date.toISOString().replace(/[-:T]/g, "").slice(0, 14)}Z`;
+}
+
+/**
+ * Build the content stream for a page
+ * @param {Array<Object>} items - Drawing operations
+ * @param {Map<Object, string>} imageNames - XObject name for each image
+ * @returns {string}
+ */
+function pageContent(items, imageNames) {
+  return items
+    .map((item) => {
+      switch (item.type) {
+        case "text":
+          return [
+            "BT",
+            `/${item.bold ? "F2" : "F1"} ${num(item.size)} Tf`,
+            `${pdfColor(item.color || "#000000")} rg`,
+            `${num(item.x)} ${num(PAGE_HEIGHT - item.y)} Td`,
+            `${pdfString(toWinAnsi(item.text))} Tj`,
+            "ET",
+          ].join("\n");
+        case "rect":
+          return `${pdfColor(item.fill)} rg\n${num(item.x)} ${num(PAGE_HEIGHT - item.y - item.height)} ${num(item.width)} ${num(item.height)} re f`;
+        case "line":
+          return `${pdfColor(item.color || "#000000")} RG\n${num(item.lineWidth || 1)} w\n${num(item.x1)} ${num(PAGE_HEIGHT - item.y1)} m ${num(item.x2)} ${num(PAGE_HEIGHT - item.y2)} l S`;
+        case "image":
+          return `q\n${num(item.width)} 0 0 ${num(item.height)} ${num(item.x)} ${num(PAGE_HEIGHT - item.y - item.height)} cm\n/${imageNames.get(item.image)} Do\nQ`;
+        default:
+          return "";
+      }
+    })
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Build a PDF document
+ * Drawing operations (y is measured down from the top of the page):
+ * - `{type: "text", x, y, text, size, bold?, color?}` - y is the baseline
+ * - `{type: "rect", x, y, width, height, fill}`
+ * - `{type: "line", x1, y1, x2, y2, color?, lineWidth?}`
+ * - `{type: "image", x, y, width, height, image: {data, width, height}}` -
+ *   data is a baseline RGB JPEG; reuse the same image object to embed it once
+ * Colors are "#rrggbb".
+ * @param {Array<Array<Object>>} pages - Drawing operations for each page
+ * @param {Object} [options]
+ * @param {string} [options.title] - Document title
+ * @param {Date} [options.created] - Creation date
+ * @returns {Uint8Array} PDF bytes
+ */
+export function createPdf(pages, { title = "", created = new Date() } = {}) {
+  const objects = [];
+  const addObject = (parts) => {
+    objects.push(parts);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const fontIds = ["Helvetica", "Helvetica-Bold"].map((font) =>
+    addObject([
+      `<< /Type /Font /Subtype /Type1 /BaseFont /${font} /Encoding /WinAnsiEncoding >>`,
+    ]),
+  );
+  const infoId = addObject([
+    `<< /Title ${pdfString(toWinAnsi(title))} /Producer (Sailor Skills Customer Portal) /CreationDate (${pdfDate(created)}) >>`,
+  ]);
+
+  // Embed each image once
+  const imageNames = new Map();
+  const imageIds = [];
+  pages.flat().forEach((item) => {
+    if (item.type !== "image" || imageNames.has(item.image)) return;
+    const { data, width, height } = item.image;
+    imageIds.push(
+      addObject([
+        `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${data.length} >>\nstream\n`,
+        data,
+        "\nendstream",
+      ]),
+    );
+    imageNames.set(item.image, `Im${imageIds.length}`);
+  });
+
+  const xObjects = imageIds.map((id, i) => `/Im${i + 1} ${id} 0 R`).join(" ");
+  const pageIds = pages.map((items) => {
+    const content = latin1(pageContent(items, imageNames));
+    const contentId = addObject([
+      `<< /Length ${content.length} >>\nstream\n`,
+      content,
+      "\nendstream",
+    ]);
+    return addObject([
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 ${fontIds[0]} 0 R /F2 ${fontIds[1]} 0 R >> /XObject << ${xObjects} >> >> /Contents ${contentId} 0 R >>`,
+    ]);
+  });
+
+  objects[catalogId - 1] = [`<< /Type /Catalog /Pages ${pagesId} 0 R >>`];
+  objects[pagesId - 1] = [
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`,
+  ];
+
+  // Header, with a binary comment so tools treat the file as binary
+  const chunks = [latin1("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n")];
+  let length = chunks[0].length;
+  const offsets = [];
+  const push = (part) => {
+    const bytes = typeof part === "string" ? latin1(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+
+  objects.forEach((parts, i) => {
+    offsets.push(length);
+    push(`${i + 1} 0 obj\n`);
+    parts.forEach(push);
+    push("\nendobj\n");
+  });
+
+  const xrefOffset = length;
+  push(
+    `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+      offsets
+        .map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`)
+        .join("") +
+      `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`,
+  );
+
+  const pdf = new Uint8Array(length);
+  let position = 0;
+  for (const chunk of chunks) {
+    pdf.set(chunk, position);
+    position += chunk.length;
+  }
+  return pdf;
+}
@@ -0,0 +1,162 @@
+/**
+ * Photo Gallery
+ * Groups the photos stored on a boat's service logs by service, and pairs
+ * photos of the same hull area from two services for a before/after
+ * comparison.
+ *
+ * `service_logs.photos` entries are either a URL or an object with a `url`
+ * (or `src`) and optional `thumbnail_url`, `area` (hull area, e.g. "Keel" or
+ * "Port bow") and `caption`.
+ */
+
+/**
+ * Key that matches the same hull area across services ("Port Bow" = "port-bow")
+ * @param {string} area - Area as recorded
+ * @returns {string}
+ */
+export function photoAreaKey(area) {
+  return String(area || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+/**
+ * Parse the photos column (JSON string, array or `{photos: [...]}`)
+ * @param {string|Array|Object|null} value - service_logs.photos
+ * @returns {Array}
+ */
+function parsePhotoList(value) {
+  if (!value) return [];
+
+  let list = value;
+  if (typeof value === "string") {
+    try {
+      list = JSON.parse(value);
+    } catch (e) {
+      // A single bare URL
+      return /^https?:\/\//.test(value) ? [value] : [];
+    }
+  }
+
+  if (!Array.isArray(list)) list = list?.photos || [];
+  return Array.isArray(list) ? list : [];
+}
+
+/**
+ * Normalize one stored photo
+ * @param {string|Object} photo - Entry from service_logs.photos
+ * @returns {{url: string, thumbnailUrl: string, area: string|null, areaKey: string|null, caption: string|null}|null}
+ */
+export function normalizePhoto(photo) {
+  const url = typeof photo === "string" ? photo : photo?.url || photo?.src;
+  if (!url) return null;
+
+  const area =
+    typeof photo === "object"
+      ? photo.area || photo.hull_area || photo.location || null
+      : null;
+
+  return {
+    url,
+    thumbnailUrl:
+      (typeof photo === "object" &&
+        (photo.thumbnail_url || photo.thumbnailUrl)) ||
+      url,
+    area,
+    areaKey: area ? photoAreaKey(area) || null : null,
+    caption:
+      typeof photo === "object"
+        ? photo.caption || photo.description || null
+        : null,
+  };
+}
+
+/**
+ * Photos stored on a service log
+ * @param {Object} log - Service log with photos
+ * @returns {Array<Object>} Results of normalizePhoto()
+ */
+export function getLogPhotos(log) {
+  return parsePhotoList(log.photos).map(normalizePhoto).filter(Boolean);
+}
+
+/**
+ * Build the gallery for a boat
+ * @param {Array<Object>} logs - Service logs with service_date, service_name and photos
+ * @returns {{
+ *   services: Array<{serviceDate: string, serviceName: string|null, photos: Array<Object>}>,
+ *   areas: Array<{key: string, label: string, serviceDates: string[]}>
+ * }}
+ *   Services newest first, without ones that have no photos. Areas are those
+ *   photographed on at least two service dates (the ones worth comparing),
+ *   with their dates newest first.
+ */
+export function buildPhotoGallery(logs) {
+  const services = logs
+    .map((log) => ({
+      serviceDate: log.service_date,
+      serviceName: log.service_name || null,
+      photos: getLogPhotos(log),
+    }))
+    .filter((service) => service.photos.length > 0)
+    .sort((a, b) => b.serviceDate.localeCompare(a.serviceDate));
+
+  const areas = new Map();
+  services.forEach((service) => {
+    service.photos.forEach((photo) => {
+      if (!photo.areaKey) return;
+      const area = areas.get(photo.areaKey) || {
+        key: photo.areaKey,
+        label: photo.area,
+        serviceDates: [],
+      };
+      if (!area.serviceDates.includes(service.serviceDate)) {
+        area.serviceDates.push(service.serviceDate);
+      }
+      areas.set(photo.areaKey, area);
+    });
+  });
+
+  return {
+    services,
+    areas: [...areas.values()]
+      .filter((area) => area.serviceDates.length >= 2)
+      .sort((a, b) => a.label.localeCompare(b.label)),
+  };
+}
+
+/**
+ * Pick the photos of one hull area from two services
+ * @param {Object} gallery - Result of buildPhotoGallery()
+ * @param {string} areaKey - Area to compare
+ * @param {string} [beforeDate] - Earlier service (defaults to the oldest)
+ * @param {string} [afterDate] - Later service (defaults to the newest)
+ * @returns {{area: Object, before: {serviceDate: string, photo: Object}, after: {serviceDate: string, photo: Object}}|null}
+ *   Dates given in the wrong order are swapped; null if the area or either
+ *   service has no photo to compare
+ */
+export function getPhotoComparison(gallery, areaKey, beforeDate, afterDate) {
+  const area = gallery.areas.find((a) => a.key === areaKey);
+  if (!area) return null;
+
+  let before = beforeDate || area.serviceDates[area.serviceDates.length - 1];
+  let after = afterDate || area.serviceDates[0];
+  if (before > after) [before, after] = [after, before];
+  if (before === after) return null;
+
+  const pick = (serviceDate) => {
+    const photo = gallery.services
+      .filter((s) => s.serviceDate === serviceDate)
+      .flatMap((s) => s.photos)
+      .find((p) => p.areaKey === areaKey);
+    return photo ? { serviceDate, photo } : null;
+  };
+
+  const beforePhoto = pick(before);
+  const afterPhoto = pick(after);
+  if (!beforePhoto || !afterPhoto) return null;
+
+  return { area, before: beforePhoto, after: afterPhoto };
+}
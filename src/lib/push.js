@@ -0,0 +1,63 @@
+/**
+ * Web Push Helpers
+ * Pure helpers behind ui/push.js: the subscription record stored in
+ * push_subscriptions (migration 027) and the status shown in Account Settings.
+ */
+
+export const PUSH_STATUS = {
+  UNSUPPORTED: "unsupported", // No service worker or Push API (or a dev build)
+  UNAVAILABLE: "unavailable", // No VAPID key configured
+  BLOCKED: "blocked", // Notification permission denied
+  OFF: "off",
+  ON: "on",
+};
+
+/**
+ * Decode a base64url VAPID key for pushManager.subscribe()
+ * @param {string} base64 - base64url-encoded key
+ * @returns {Uint8Array}
+ */
+export function urlBase64ToUint8Array(base64) {
+  const padded = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Fields stored for a push subscription
+ * @param {PushSubscription|PushSubscriptionJSON} subscription
+ * @returns {{endpoint: string, p256dh: string, auth: string}|null} null when keys are missing
+ */
+export function toPushSubscriptionRecord(subscription) {
+  const json =
+    typeof subscription?.toJSON === "function"
+      ? subscription.toJSON()
+      : subscription;
+  const { endpoint, keys = {} } = json || {};
+
+  if (!endpoint || !keys.p256dh || !keys.auth) return null;
+  return { endpoint, p256dh: keys.p256dh, auth: keys.auth };
+}
+
+/**
+ * Push status for this browser
+ * @param {Object} state
+ * @param {boolean} state.supported - Service worker registered and Push API available
+ * @param {boolean} state.configured - VAPID public key set
+ * @param {NotificationPermission} state.permission - Notification.permission
+ * @param {boolean} state.subscribed - Browser has a push subscription
+ * @returns {string} One of PUSH_STATUS
+ */
+export function getPushStatus({
+  supported,
+  configured,
+  permission,
+  subscribed,
+}) {
+  if (!supported) return PUSH_STATUS.UNSUPPORTED;
+  if (!configured) return PUSH_STATUS.UNAVAILABLE;
+  if (permission === "denied") return PUSH_STATUS.BLOCKED;
+  return subscribed && permission === "granted"
+    ? PUSH_STATUS.ON
+    : PUSH_STATUS.OFF;
+}
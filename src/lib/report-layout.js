@@ -0,0 +1,287 @@
+/**
+ * Report Layout
+ * Branded page layout shared by the portal's PDF reports: header band,
+ * headings, wrapped paragraphs, condition rows, table rows and a footer with
+ * page numbers. Builds drawing operations for createPdf(), starting a new
+ * page whenever the next block doesn't fit.
+ */
+
+import { getConditionSeverity, formatConditionText } from "./conditions.js";
+import { PAGE_WIDTH, PAGE_HEIGHT, measureText, wrapText } from "./pdf.js";
+
+export const MARGIN = 48;
+export const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+export const BRAND_COLOR = "#1e3a5f";
+export const TEXT_COLOR = "#1f2937";
+export const MUTED_COLOR = "#6b7280";
+const RULE_COLOR = "#e5e7eb";
+
+// Marker colors by condition severity, matching the condition badges
+const SEVERITY_COLORS = [
+  { max: 3, color: "#10b981" },
+  { max: 5, color: "#f59e0b" },
+  { max: 6, color: "#f97316" },
+  { max: 8, color: "#ef4444" },
+];
+const UNSCORED_COLOR = "#9ca3af";
+
+const HEADER_HEIGHT = 72;
+const FOOTER_Y = PAGE_HEIGHT - 28;
+const BOTTOM = PAGE_HEIGHT - 56;
+
+// Where the value column of a condition row starts
+const VALUE_OFFSET = 170;
+
+/**
+ * Marker color for a condition
+ * @param {string|null} condition - Raw condition
+ * @returns {string}
+ */
+function conditionColor(condition) {
+  const severity = getConditionSeverity(condition);
+  if (severity === null) return UNSCORED_COLOR;
+  return (
+    SEVERITY_COLORS.find((s) => severity <= s.max)?.color || UNSCORED_COLOR
+  );
+}
+
+/**
+ * Start a report
+ * @param {string} title - Shown on the right of the header band
+ * @returns {Object} Layout; call finish() for the pages
+ */
+export function createReportLayout(title) {
+  const pages = [];
+  let items;
+  let y;
+
+  const draw = (item) => items.push(item);
+
+  const newPage = () => {
+    items = [];
+    pages.push(items);
+    draw({
+      type: "rect",
+      x: 0,
+      y: 0,
+      width: PAGE_WIDTH,
+      height: HEADER_HEIGHT,
+      fill: BRAND_COLOR,
+    });
+    draw({
+      type: "text",
+      x: MARGIN,
+      y: 38,
+      text: "Sailor Skills",
+      size: 20,
+      bold: true,
+      color: "#ffffff",
+    });
+    draw({
+      type: "text",
+      x: MARGIN,
+      y: 56,
+      text: "Customer Portal",
+      size: 10,
+      color: "#cbd5e1",
+    });
+    draw({
+      type: "text",
+      x: PAGE_WIDTH - MARGIN - measureText(title, 14, true),
+      y: 44,
+      text: title,
+      size: 14,
+      bold: true,
+      color: "#ffffff",
+    });
+    y = HEADER_HEIGHT + 36;
+  };
+
+  // Start a new page unless the next block fits
+  const ensureSpace = (height) => {
+    if (y + height > BOTTOM) newPage();
+  };
+
+  const text = (value, x, size, options = {}) => {
+    draw({
+      type: "text",
+      x,
+      y,
+      text: value,
+      size,
+      color: TEXT_COLOR,
+      ...options,
+    });
+  };
+
+  newPage();
+
+  return {
+    draw,
+    ensureSpace,
+    text,
+
+    /** Current position, in points from the top of the page */
+    get y() {
+      return y;
+    },
+
+    moveDown(height) {
+      y += height;
+    },
+
+    /**
+     * Text wrapped to a width, one line after another
+     * @param {string} value - Text
+     * @param {Object} [options] - x, width, size, bold, color
+     */
+    paragraph(value, options = {}) {
+      const {
+        x = MARGIN,
+        width = CONTENT_WIDTH,
+        size = 10,
+        ...style
+      } = options;
+      wrapText(value, width, size, style.bold).forEach((line) => {
+        ensureSpace(size + 4);
+        text(line, x, size, style);
+        y += size + 4;
+      });
+    },
+
+    /**
+     * Section heading with a rule under it
+     * @param {string} value - Heading text
+     */
+    heading(value) {
+      ensureSpace(48);
+      y += 12;
+      text(value, MARGIN, 12, { bold: true, color: BRAND_COLOR });
+      y += 6;
+      draw({
+        type: "line",
+        x1: MARGIN,
+        y1: y,
+        x2: PAGE_WIDTH - MARGIN,
+        y2: y,
+        color: RULE_COLOR,
+      });
+      y += 16;
+    },
+
+    /**
+     * Label on the left, condition with a colored marker on the right
+     * @param {string} label - Row label
+     * @param {string|null} condition - Raw condition
+     * @param {string} [extra] - Appended to the condition text
+     */
+    conditionRow(label, condition, extra = "") {
+      ensureSpace(18);
+      text(label, MARGIN, 10, { color: MUTED_COLOR });
+      const x = MARGIN + VALUE_OFFSET;
+      draw({
+        type: "rect",
+        x,
+        y: y - 8,
+        width: 8,
+        height: 8,
+        fill: conditionColor(condition),
+      });
+      text(
+        `${condition ? formatConditionText(condition) : "N/A"}${extra}`,
+        x + 14,
+        10,
+      );
+      y += 18;
+    },
+
+    /**
+     * Table row; each cell wraps within its column
+     * @param {Array<{text: string, width: number, bold?: boolean, color?: string}>} cells - Columns, left to right
+     * @param {number} [size] - Font size
+     */
+    tableRow(cells, size = 9) {
+      const wrapped = cells.map((cell) =>
+        wrapText(cell.text || "", cell.width - 6, size, cell.bold),
+      );
+      const lineHeight = size + 3;
+      const height =
+        Math.max(...wrapped.map((lines) => lines.length)) * lineHeight;
+      ensureSpace(height + 6);
+
+      let x = MARGIN;
+      cells.forEach((cell, i) => {
+        wrapped[i].forEach((line, n) =>
+          draw({
+            type: "text",
+            x,
+            y: y + n * lineHeight,
+            text: line,
+            size,
+            bold: cell.bold,
+            color: cell.color || TEXT_COLOR,
+          }),
+        );
+        x += cell.width;
+      });
+
+      y += height + 2;
+      draw({
+        type: "line",
+        x1: MARGIN,
+        y1: y - lineHeight + 2,
+        x2: PAGE_WIDTH - MARGIN,
+        y2: y - lineHeight + 2,
+        color: RULE_COLOR,
+        lineWidth: 0.5,
+      });
+      y += 4;
+    },
+
+    /**
+     * Add footers with page numbers and return the pages
+     * @param {Date} [generatedAt] - Shown in the footer
+     * @returns {Array<Array<Object>>} Drawing operations for createPdf()
+     */
+    finish(generatedAt = new Date()) {
+      const generated = `Generated ${generatedAt.toLocaleDateString("en-US", {
+        year: "numeric",
+        month: "long",
+        day: "numeric",
+      })}`;
+
+      pages.forEach((page, i) => {
+        const pageNumber = `Page ${i + 1} of ${pages.length}`;
+        page.push(
+          {
+            type: "line",
+            x1: MARGIN,
+            y1: FOOTER_Y - 12,
+            x2: PAGE_WIDTH - MARGIN,
+            y2: FOOTER_Y - 12,
+            color: RULE_COLOR,
+          },
+          {
+            type: "text",
+            x: MARGIN,
+            y: FOOTER_Y,
+            text: generated,
+            size: 8,
+            color: MUTED_COLOR,
+          },
+          {
+            type: "text",
+            x: PAGE_WIDTH - MARGIN - measureText(pageNumber, 8),
+            y: FOOTER_Y,
+            text: pageNumber,
+            size: 8,
+            color: MUTED_COLOR,
+          },
+        );
+      });
+
+      return pages;
+    },
+  };
+}
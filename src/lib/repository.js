@@ -0,0 +1,503 @@
+/**
+ * Repository Layer
+ * Shared data-access contract for every src/api module
+ *
+ * Every API function runs through execute() and returns { data, error }.
+ * Handlers simply throw on failure; whatever was thrown (PostgREST, auth,
+ * storage, fetch or a createApiError() value) is normalized into an ApiError
+ * so views can handle failures the same way regardless of the module.
+ *
+ * Impersonation is enforced here as well: handlers receive the impersonated
+ * customer's account, and writes are refused in read-only impersonation or
+ * attributed to the acting admin otherwise.
+ */
+
+import {
+  supabase,
+  getEffectiveUser,
+  getImpersonationMode,
+  IMPERSONATION_MODES,
+} from "../auth/auth.js";
+import { getFunctionUrl } from "./config.js";
+
+/**
+ * @typedef {Object} ApiError
+ * @property {string} code - One of ERROR_CODES
+ * @property {string} message - Human-readable message, safe to show in the UI
+ * @property {boolean} retryable - Whether repeating the same call may succeed
+ * @property {string|null} requestId - Trace ID of the call that failed
+ */
+
+/**
+ * @template T
+ * @typedef {Object} ApiResult
+ * @property {T} data - Result data (the fallback value when the call failed)
+ * @property {ApiError|null} error - Normalized error, or null on success
+ */
+
+/**
+ * @typedef {Object} RepositoryContext
+ * @property {string} requestId - Trace ID for this call
+ * @property {Object} [user] - Effective user (impersonated customer when an admin is impersonating)
+ * @property {Object} [actor] - Authenticated user actually making the request
+ * @property {boolean} [isImpersonated] - Whether an admin is impersonating
+ * @property {string|null} [accountId] - customer_accounts ID of the effective user (null if the customer has no portal account)
+ * @property {Object} [attribution] - Columns to spread into inserts so admin writes are attributed (empty unless acting as a customer)
+ * @property {Function} callFunction - Call a Supabase Edge Function with tracing headers
+ */
+
+export const ERROR_CODES = {
+  UNAUTHENTICATED: "unauthenticated",
+  FORBIDDEN: "forbidden",
+  NOT_FOUND: "not_found",
+  CONFLICT: "conflict",
+  VALIDATION: "validation",
+  RATE_LIMITED: "rate_limited",
+  NETWORK: "network",
+  SERVER: "server",
+  UNKNOWN: "unknown",
+};
+
+const RETRYABLE_CODES = new Set([
+  ERROR_CODES.RATE_LIMITED,
+  ERROR_CODES.NETWORK,
+  ERROR_CODES.SERVER,
+]);
+
+// PostgREST and Postgres error codes we map explicitly
+const DATABASE_ERROR_CODES = {
+  PGRST116: ERROR_CODES.NOT_FOUND, // .single() matched no rows
+  PGRST301: ERROR_CODES.UNAUTHENTICATED, // JWT expired or invalid
+  42501: ERROR_CODES.FORBIDDEN, // Insufficient privilege (RLS)
+  23505: ERROR_CODES.CONFLICT, // Unique violation
+  23503: ERROR_CODES.VALIDATION, // Foreign key violation
+  23502: ERROR_CODES.VALIDATION, // Not-null violation
+  23514: ERROR_CODES.VALIDATION, // Check constraint violation
+  "22P02": ERROR_CODES.VALIDATION, // Invalid input syntax (e.g. bad UUID)
+  22023: ERROR_CODES.VALIDATION, // Invalid parameter value (raised by RPCs)
+  P0002: ERROR_CODES.NOT_FOUND, // No data found (raised by RPCs)
+};
+
+/**
+ * Create a normalized API error
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message - Human-readable message
+ * @param {object} options - Optional overrides (retryable, requestId)
+ * @returns {ApiError}
+ */
+export function createApiError(code, message, options = {}) {
+  return {
+    code,
+    message,
+    retryable: options.retryable ?? RETRYABLE_CODES.has(code),
+    requestId: options.requestId ?? null,
+  };
+}
+
+/**
+ * Check whether a value is already a normalized API error
+ * @param {any} value - Value to check
+ * @returns {boolean}
+ */
+export function isApiError(value) {
+  return (
+    !!value &&
+    typeof value === "object" &&
+    Object.values(ERROR_CODES).includes(value.code) &&
+    typeof value.retryable === "boolean"
+  );
+}
+
+/**
+ * Map an HTTP status code to an error code
+ * @param {number} status - HTTP status
+ * @returns {string}
+ */
+function codeForStatus(status) {
+  if (status === 401) return ERROR_CODES.UNAUTHENTICATED;
+  if (status === 403) return ERROR_CODES.FORBIDDEN;
+  if (status === 404) return ERROR_CODES.NOT_FOUND;
+  if (status === 409) return ERROR_CODES.CONFLICT;
+  if (status === 429) return ERROR_CODES.RATE_LIMITED;
+  if (status >= 500) return ERROR_CODES.SERVER;
+  if (status >= 400) return ERROR_CODES.VALIDATION;
+  return ERROR_CODES.UNKNOWN;
+}
+
+/**
+ * Normalize anything thrown by a data-access call into an ApiError
+ * @param {any} error - Supabase error, Error, string or ApiError
+ * @param {string|null} requestId - Trace ID to attach
+ * @returns {ApiError}
+ */
+export function toApiError(error, requestId = null) {
+  if (isApiError(error)) {
+    return { ...error, requestId: error.requestId ?? requestId };
+  }
+
+  if (!error) {
+    return createApiError(ERROR_CODES.UNKNOWN, "Unknown error", { requestId });
+  }
+
+  if (typeof error === "string") {
+    return createApiError(ERROR_CODES.UNKNOWN, error, { requestId });
+  }
+
+  const message = error.message || "Unexpected error";
+
+  if (error.code && DATABASE_ERROR_CODES[error.code]) {
+    return createApiError(DATABASE_ERROR_CODES[error.code], message, {
+      requestId,
+    });
+  }
+
+  const status = error.status ?? error.statusCode;
+  if (status) {
+    return createApiError(codeForStatus(Number(status)), message, {
+      requestId,
+    });
+  }
+
+  // fetch() rejects with a TypeError when the network is unavailable.
+  // supabase-js doesn't throw it: queries return it as an error whose message
+  // starts with "TypeError: ", auth calls as an AuthRetryableFetchError.
+  const fetchFailed =
+    (error.name === "TypeError" || message.startsWith("TypeError: ")) &&
+    /fetch|network|load failed/i.test(message);
+  if (
+    error.name === "AbortError" ||
+    error.name === "AuthRetryableFetchError" ||
+    fetchFailed
+  ) {
+    return createApiError(ERROR_CODES.NETWORK, message, { requestId });
+  }
+
+  return createApiError(ERROR_CODES.UNKNOWN, message, { requestId });
+}
+
+let requestCounter = 0;
+
+/**
+ * Generate a short, unique-per-page trace ID
+ * @returns {string}
+ */
+function createRequestId() {
+  requestCounter += 1;
+  return `${Date.now().toString(36)}-${requestCounter.toString(36)}`;
+}
+
+// Cached user resolution, invalidated on auth changes or impersonation switch
+let cachedResolution = null;
+let cachedImpersonationId = null;
+
+supabase.auth.onAuthStateChange(() => {
+  cachedResolution = null;
+});
+
+/**
+ * Resolve the user an API call acts for
+ * Honors admin impersonation: `user` is the impersonated customer while
+ * `actor` is always the authenticated account making the request.
+ * `accountId` is the customer_accounts row reads and writes are scoped to.
+ * @returns {Promise<{user: Object, actor: Object, isImpersonated: boolean, accountId: string|null}>}
+ * @throws {ApiError} unauthenticated when there is no valid session
+ */
+export async function resolveUser() {
+  const impersonatedId = sessionStorage.getItem("impersonatedCustomerId");
+
+  if (!cachedResolution || cachedImpersonationId !== impersonatedId) {
+    cachedImpersonationId = impersonatedId;
+    cachedResolution = loadUserResolution().catch((error) => {
+      cachedResolution = null;
+      throw error;
+    });
+  }
+
+  return cachedResolution;
+}
+
+/**
+ * Load the signed-in user from the auth server
+ * Called directly rather than through getCurrentUser() so a failed lookup
+ * keeps its cause: offline is a retryable network error (the outbox keeps
+ * its items), not a sign-out.
+ * @returns {Promise<Object>} Authenticated user
+ * @throws {ApiError} network or server when the lookup failed, unauthenticated otherwise
+ */
+async function loadActor() {
+  const {
+    data: { user },
+    error,
+  } = await supabase.auth.getUser();
+
+  if (error) {
+    const apiError = toApiError(error);
+    if (apiError.retryable) throw apiError;
+  }
+
+  if (!user) {
+    throw createApiError(ERROR_CODES.UNAUTHENTICATED, "Not authenticated");
+  }
+
+  return user;
+}
+
+/**
+ * Load the effective and actual users from the auth module
+ * @returns {Promise<{user: Object, actor: Object, isImpersonated: boolean, accountId: string|null}>}
+ */
+async function loadUserResolution() {
+  const actor = await loadActor();
+
+  if (!sessionStorage.getItem("impersonatedCustomerId")) {
+    return { user: actor, actor, isImpersonated: false, accountId: actor.id };
+  }
+
+  const { user, isImpersonated } = await getEffectiveUser();
+
+  if (!user) {
+    throw createApiError(ERROR_CODES.UNAUTHENTICATED, "Not authenticated");
+  }
+
+  if (!isImpersonated) {
+    return { user, actor: user, isImpersonated: false, accountId: user.id };
+  }
+
+  // The impersonated user is a customers row; its portal account (if the
+  // customer has signed up) is linked by email
+  const { data: account, error } = await supabase
+    .from("customer_accounts")
+    .select("id")
+    .eq("email", user.email)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return { user, actor, isImpersonated: true, accountId: account?.id || null };
+}
+
+/**
+ * Apply impersonation rules to a resolved context
+ * @param {RepositoryContext} context - Context with resolved user fields
+ * @param {object} options - mutation, selfOnly and requireAccount flags
+ * @throws {ApiError} forbidden when the write is not allowed, not_found when no account exists
+ */
+function authorize(context, { mutation, selfOnly, requireAccount }) {
+  context.attribution = {};
+
+  if (context.isImpersonated) {
+    if (selfOnly) {
+      throw createApiError(
+        ERROR_CODES.FORBIDDEN,
+        "This action is only available to the account owner, not while viewing as a customer",
+      );
+    }
+
+    if (mutation) {
+      if (getImpersonationMode() !== IMPERSONATION_MODES.ACT_AS) {
+        throw createApiError(
+          ERROR_CODES.FORBIDDEN,
+          'Read-only customer view: switch to "Act as customer" to make changes',
+        );
+      }
+      context.attribution = { acting_admin_id: context.actor.id };
+    }
+  }
+
+  if (requireAccount && !context.accountId) {
+    throw createApiError(
+      ERROR_CODES.NOT_FOUND,
+      "This customer does not have a portal account yet",
+    );
+  }
+}
+
+/**
+ * Call a Supabase Edge Function
+ * @param {string} requestId - Trace ID sent as X-Request-Id
+ * @param {string} name - Function name
+ * @param {object} options - method, query params and JSON body
+ * @returns {Promise<any>} Parsed JSON response
+ */
+async function callFunction(requestId, name, options = {}) {
+  const { method = "GET", query = null, body } = options;
+
+  const url = new URL(getFunctionUrl(name));
+  if (query) {
+    Object.entries(query).forEach(([key, value]) => {
+      if (value !== null && value !== undefined) {
+        url.searchParams.append(key, String(value));
+      }
+    });
+  }
+
+  const response = await fetch(url.toString(), {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${import.meta.env.VITE_SUPABASE_ANON_KEY}`,
+      "X-Request-Id": requestId,
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+
+  const payload = await response.json().catch(() => ({}));
+
+  if (!response.ok || payload.error) {
+    throw createApiError(
+      response.ok ? ERROR_CODES.VALIDATION : codeForStatus(response.status),
+      payload.error || `Edge function ${name} failed`,
+    );
+  }
+
+  return payload;
+}
+
+/**
+ * Insert a row and return it, at most once per client_request_id
+ * Writes that may be sent again (see lib/outbox.js) carry an ID generated
+ * before the first attempt. When an earlier attempt was stored but its
+ * response was lost, the unique index rejects the retry and the stored row
+ * is returned instead of a duplicate.
+ * @param {string} table - Table with a unique client_request_id column
+ * @param {Object} row - Row to insert
+ * @returns {Promise<Object>} Inserted (or previously stored) row
+ */
+export async function insertOnce(table, row) {
+  const { data, error } = await supabase
+    .from(table)
+    .insert(row)
+    .select()
+    .single();
+
+  if (
+    error?.code === "23505" &&
+    row.client_request_id &&
+    error.message?.includes("client_request_id")
+  ) {
+    const { data: stored, error: selectError } = await supabase
+      .from(table)
+      .select()
+      .eq("client_request_id", row.client_request_id)
+      .single();
+
+    if (selectError) throw selectError;
+    return stored;
+  }
+
+  if (error) throw error;
+
+  return data;
+}
+
+const traceListeners = new Set();
+
+/**
+ * Subscribe to request traces
+ * Listeners receive { requestId, operation, durationMs, error, mutation, impersonation }
+ * after every call; impersonation is { adminId, customerId } while an admin
+ * is impersonating and null otherwise
+ * @param {Function} listener - Trace callback
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToTraces(listener) {
+  traceListeners.add(listener);
+  return () => traceListeners.delete(listener);
+}
+
+/**
+ * Log failed calls and notify trace listeners
+ * Successful calls are only logged by the dev server.
+ * @param {object} trace - Trace record
+ */
+function emitTrace(trace) {
+  if (trace.error) {
+    console.error(
+      `[API] ${trace.operation} failed (${trace.requestId}):`,
+      trace.error,
+    );
+  } else if (import.meta.env.DEV) {
+    console.debug(
+      `[API] ${trace.operation} (${trace.requestId}) ${trace.durationMs}ms`,
+    );
+  }
+
+  traceListeners.forEach((listener) => {
+    try {
+      listener(trace);
+    } catch (err) {
+      console.error("Trace listener error:", err);
+    }
+  });
+}
+
+/**
+ * Describe the impersonation a call ran under, for traces
+ * @param {RepositoryContext} context - Repository context
+ * @returns {{adminId: string, customerId: string}|null}
+ */
+function impersonationOf(context) {
+  if (!context.isImpersonated) return null;
+  return { adminId: context.actor.id, customerId: context.user.id };
+}
+
+/**
+ * Run a data-access operation through the repository
+ * @template T
+ * @param {string} operation - Name used in traces, e.g. "invoices.load"
+ * @param {(ctx: RepositoryContext) => Promise<T>} handler - Performs the query, throws on failure
+ * @param {object} options - Execution options
+ * @param {boolean} [options.requireUser] - Resolve the effective user before running
+ * @param {boolean} [options.requireAccount] - Also fail when the effective user has no customer_accounts row
+ * @param {boolean} [options.mutation] - Handler writes customer data (refused in read-only impersonation)
+ * @param {boolean} [options.selfOnly] - Handler changes the signed-in user's own credentials (refused while impersonating)
+ * @param {any} [options.fallback] - Data returned on error
+ * @returns {Promise<ApiResult<T>>}
+ */
+export async function execute(operation, handler, options = {}) {
+  const {
+    requireUser = false,
+    requireAccount = false,
+    mutation = false,
+    selfOnly = false,
+    fallback = null,
+  } = options;
+  const requestId = createRequestId();
+  const startedAt = Date.now();
+
+  const context = {
+    requestId,
+    callFunction: (name, fnOptions) => callFunction(requestId, name, fnOptions),
+  };
+
+  try {
+    if (requireUser || requireAccount || mutation || selfOnly) {
+      Object.assign(context, await resolveUser());
+      authorize(context, { mutation, selfOnly, requireAccount });
+    }
+
+    const data = await handler(context);
+
+    emitTrace({
+      requestId,
+      operation,
+      durationMs: Date.now() - startedAt,
+      error: null,
+      mutation,
+      impersonation: impersonationOf(context),
+    });
+    return { data, error: null };
+  } catch (err) {
+    const error = toApiError(err, requestId);
+
+    emitTrace({
+      requestId,
+      operation,
+      durationMs: Date.now() - startedAt,
+      error,
+      mutation,
+      impersonation: impersonationOf(context),
+    });
+    return { data: fallback, error };
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * Service History Filters
+ * Search text and facet filters for the service timeline, read from and
+ * written to the page URL so a filtered view can be shared with a co-owner.
+ */
+
+import { CONDITIONS } from "./conditions.js";
+
+/**
+ * Paint levels offered in the condition range filter, best first
+ */
+export const PAINT_LEVELS = [
+  "excellent",
+  "excellent-good",
+  "good",
+  "good-fair",
+  "fair",
+  "fair-poor",
+  "poor",
+  "very-poor",
+].map((key) => ({ key, ...CONDITIONS[key] }));
+
+/**
+ * URL parameter for each filter
+ */
+export const FILTER_PARAMS = {
+  search: "q",
+  serviceType: "type",
+  technician: "tech",
+  paintFrom: "paint_from",
+  paintTo: "paint_to",
+  anodesReplaced: "anodes_replaced",
+  hasVideo: "has_video",
+};
+
+/**
+ * Filters with nothing selected
+ */
+export const EMPTY_FILTERS = {
+  search: "",
+  serviceType: "",
+  technician: "",
+  paintFrom: "",
+  paintTo: "",
+  anodesReplaced: false,
+  hasVideo: false,
+};
+
+const BOOLEAN_FILTERS = ["anodesReplaced", "hasVideo"];
+
+/**
+ * Read filters from a URL query string
+ * @param {string} search - location.search
+ * @returns {Object} Filters (see EMPTY_FILTERS); unknown paint levels are ignored
+ */
+export function parseServiceFilters(search) {
+  const params = new URLSearchParams(search);
+  const filters = { ...EMPTY_FILTERS };
+
+  Object.entries(FILTER_PARAMS).forEach(([key, param]) => {
+    const value = params.get(param);
+    if (value === null) return;
+
+    filters[key] = BOOLEAN_FILTERS.includes(key)
+      ? value === "1" || value === "true"
+      : value.trim();
+  });
+
+  ["paintFrom", "paintTo"].forEach((key) => {
+    if (!PAINT_LEVELS.some((level) => level.key === filters[key])) {
+      filters[key] = "";
+    }
+  });
+
+  return filters;
+}
+
+/**
+ * Write filters into a URL query string
+ * Parameters that aren't filters (such as the selected boat) are kept.
+ * @param {string} search - Current location.search
+ * @param {Object} filters - Filters to write
+ * @returns {string} Query string including "?", or "" when empty
+ */
+export function serializeServiceFilters(search, filters) {
+  const params = new URLSearchParams(search);
+
+  Object.entries(FILTER_PARAMS).forEach(([key, param]) => {
+    const value = BOOLEAN_FILTERS.includes(key)
+      ? filters[key] && "1"
+      : (filters[key] || "").trim();
+
+    if (value) {
+      params.set(param, value);
+    } else {
+      params.delete(param);
+    }
+  });
+
+  const query = params.toString();
+  return query ? `?${query}` : "";
+}
+
+/**
+ * Whether any filter is set
+ * @param {Object} filters - Filters
+ * @returns {boolean}
+ */
+export function hasActiveFilters(filters) {
+  return Object.keys(FILTER_PARAMS).some((key) => Boolean(filters[key]));
+}
+
+/**
+ * Convert filters to loadServiceLogs() options
+ * The paint range becomes severities; a reversed range is put in order.
+ * @param {Object} filters - Filters
+ * @returns {Object}
+ */
+export function toServiceLogQuery(filters) {
+  const severity = (key) =>
+    PAINT_LEVELS.find((level) => level.key === key)?.severity ?? null;
+
+  let paintMin = severity(filters.paintFrom);
+  let paintMax = severity(filters.paintTo);
+  if (paintMin !== null && paintMax !== null && paintMin > paintMax) {
+    [paintMin, paintMax] = [paintMax, paintMin];
+  }
+
+  return {
+    search: filters.search.trim() || null,
+    serviceType: filters.serviceType || null,
+    technician: filters.technician || null,
+    paintMin,
+    paintMax,
+    anodesReplaced: filters.anodesReplaced,
+    hasVideo: filters.hasVideo,
+  };
+}
@@ -0,0 +1,272 @@
+/**
+ * Service Report
+ * The contents of one service log - conditions, paint details, anodes,
+ * propellers, notes and photos - as shown on the service history timeline,
+ * and the branded PDF report owners download to prove maintenance to
+ * insurers and buyers.
+ */
+
+import { getAnodeCondition } from "./conditions.js";
+import { parseAnodeList, anodeKey, anodeLabel } from "./anode-wear.js";
+import { getLogPhotos } from "./photo-gallery.js";
+import { createPdf } from "./pdf.js";
+import {
+  createReportLayout,
+  MARGIN,
+  CONTENT_WIDTH,
+  MUTED_COLOR,
+} from "./report-layout.js";
+
+// Photos shown in a report
+export const MAX_REPORT_PHOTOS = 6;
+
+const PHOTO_COLUMNS = 3;
+const PHOTO_GAP = 12;
+const PHOTO_HEIGHT = 120;
+
+/**
+ * Parse a JSON list column (JSON string, array or `{[key]: [...]}`)
+ * @param {string|Array|Object|null} value - Column value
+ * @param {string} key - Property holding the list when wrapped in an object
+ * @returns {Array<Object>}
+ */
+function parseList(value, key) {
+  if (!value) return [];
+
+  let list = value;
+  if (typeof value === "string") {
+    try {
+      list = JSON.parse(value);
+    } catch (e) {
+      console.error(`Error parsing ${key}:`, e);
+      return [];
+    }
+  }
+
+  if (!Array.isArray(list)) {
+    list = list?.[key] || [];
+  }
+
+  return Array.isArray(list) ? list : [];
+}
+
+/**
+ * Label for a propeller: none for one, port/starboard for two, numbered otherwise
+ * @param {number} index - Position in the log's propeller list
+ * @param {number} total - Number of propellers
+ * @returns {string|null}
+ */
+function propellerLabel(index, total) {
+  if (total === 1) return null;
+  if (total === 2) return index === 0 ? "Port" : "Starboard";
+  return `Propeller #${index + 1}`;
+}
+
+/**
+ * Collect what a service log recorded
+ * @param {Object} log - Service log row
+ * @returns {{
+ *   serviceDate: string,
+ *   serviceName: string|null,
+ *   technician: string|null,
+ *   conditions: Array<{label: string, value: string}>,
+ *   paintDetails: Array<{label: string, value: string}>,
+ *   thruHullNotes: string|null,
+ *   anodes: Array<{label: string, condition: string|null, replaced: boolean}>,
+ *   propellers: Array<{label: string|null, condition: string|null, notes: string|null}>,
+ *   propellerNotes: string|null,
+ *   notes: string|null,
+ *   photos: string[]
+ * }}
+ */
+export function getServiceReport(log) {
+  const installed = new Set(parseAnodeList(log.anodes_installed).map(anodeKey));
+  const propellers = parseList(
+    log.propellers || log.propeller_conditions,
+    "propellers",
+  );
+
+  return {
+    serviceDate: log.service_date,
+    serviceName: log.service_name || null,
+    technician: log.technician || null,
+    conditions: [
+      { label: "Paint", value: log.paint_condition_overall },
+      { label: "Growth", value: log.growth_level },
+      { label: "Through-Hulls", value: log.thru_hull_condition },
+    ].filter((c) => c.value),
+    paintDetails: [
+      { label: "Keel", value: log.paint_detail_keel },
+      { label: "Waterline", value: log.paint_detail_waterline },
+      { label: "Boot Stripe", value: log.paint_detail_boot_stripe },
+    ].filter((d) => d.value),
+    thruHullNotes: log.thru_hull_notes || null,
+    anodes: parseAnodeList(log.anode_conditions).map((anode) => ({
+      label: anodeLabel(anode),
+      condition: getAnodeCondition(anode),
+      replaced: installed.has(anodeKey(anode)),
+    })),
+    propellers: propellers.map((prop, i) => ({
+      label: propellerLabel(i, propellers.length),
+      condition: prop.condition || null,
+      notes: prop.notes || null,
+    })),
+    propellerNotes: log.propeller_notes || null,
+    notes: log.notes || null,
+    photos: getLogPhotos(log).map((photo) => photo.thumbnailUrl),
+  };
+}
+
+/**
+ * Lay out a service report as PDF pages
+ * @param {Object} report - Result of getServiceReport()
+ * @param {Object} options
+ * @param {string} options.boatName - Boat name
+ * @param {Array<{data: Uint8Array, width: number, height: number}>} [options.photos] - JPEG thumbnails
+ * @param {Date} [options.generatedAt] - Shown in the footer
+ * @param {function(string): string} options.formatDate - Service date formatter
+ * @returns {Array<Array<Object>>} Drawing operations for createPdf()
+ */
+export function layoutServiceReport(
+  report,
+  { boatName, photos = [], generatedAt = new Date(), formatDate },
+) {
+  const layout = createReportLayout("Service Report");
+
+  // Boat and service
+  layout.text(boatName || "Boat", MARGIN, 18, { bold: true });
+  layout.moveDown(20);
+  layout.text(
+    [formatDate(report.serviceDate), report.serviceName]
+      .filter(Boolean)
+      .join(" - "),
+    MARGIN,
+    12,
+  );
+  layout.moveDown(16);
+  if (report.technician) {
+    layout.text(`Technician: ${report.technician}`, MARGIN, 10, {
+      color: MUTED_COLOR,
+    });
+    layout.moveDown(14);
+  }
+
+  if (report.conditions.length > 0) {
+    layout.heading("Conditions");
+    report.conditions.forEach((c) => layout.conditionRow(c.label, c.value));
+  }
+
+  if (report.paintDetails.length > 0 || report.thruHullNotes) {
+    layout.heading("Paint Details");
+    report.paintDetails.forEach((d) => layout.conditionRow(d.label, d.value));
+    if (report.thruHullNotes) {
+      layout.moveDown(4);
+      layout.paragraph(`Through-hull notes: ${report.thruHullNotes}`);
+    }
+  }
+
+  if (report.anodes.length > 0) {
+    layout.heading("Anodes");
+    report.anodes.forEach((a) =>
+      layout.conditionRow(
+        a.label,
+        a.condition,
+        a.replaced ? " - Replaced" : "",
+      ),
+    );
+  }
+
+  if (report.propellers.length > 0 || report.propellerNotes) {
+    layout.heading("Propellers");
+    report.propellers.forEach((p) => {
+      layout.conditionRow(p.label || "Propeller", p.condition);
+      if (p.notes) {
+        layout.paragraph(p.notes, {
+          x: MARGIN + 184,
+          width: CONTENT_WIDTH - 184,
+          size: 9,
+          color: MUTED_COLOR,
+        });
+      }
+    });
+    if (report.propellerNotes) {
+      layout.moveDown(4);
+      layout.paragraph(report.propellerNotes);
+    }
+  }
+
+  if (report.notes) {
+    layout.heading("Service Notes");
+    layout.paragraph(report.notes);
+  }
+
+  if (photos.length > 0) {
+    layout.heading("Photos");
+    const cellWidth =
+      (CONTENT_WIDTH - PHOTO_GAP * (PHOTO_COLUMNS - 1)) / PHOTO_COLUMNS;
+
+    photos.forEach((photo, i) => {
+      const column = i % PHOTO_COLUMNS;
+      if (column === 0) layout.ensureSpace(PHOTO_HEIGHT);
+
+      // Fit inside the cell, keeping the aspect ratio
+      const scale = Math.min(
+        cellWidth / photo.width,
+        PHOTO_HEIGHT / photo.height,
+      );
+      const width = photo.width * scale;
+      const height = photo.height * scale;
+      layout.draw({
+        type: "image",
+        x: MARGIN + column * (cellWidth + PHOTO_GAP) + (cellWidth - width) / 2,
+        y: layout.y + (PHOTO_HEIGHT - height) / 2,
+        width,
+        height,
+        image: photo,
+      });
+
+      if (column === PHOTO_COLUMNS - 1 || i === photos.length - 1) {
+        layout.moveDown(PHOTO_HEIGHT + PHOTO_GAP);
+      }
+    });
+  }
+
+  return layout.finish(generatedAt);
+}
+
+/**
+ * Build the PDF report for a service log
+ * @param {Object} log - Service log row
+ * @param {Object} options - See layoutServiceReport()
+ * @returns {Uint8Array} PDF bytes
+ */
+export function buildServiceReportPdf(log, options) {
+  const report = getServiceReport(log);
+  return createPdf(layoutServiceReport(report, options), {
+    title: `${options.boatName || "Boat"} service report - ${log.service_date}`,
+    created: options.generatedAt,
+  });
+}
+
+/**
+ * Boat name as a file name prefix
+ * @param {string} boatName - Boat name
+ * @returns {string} e.g. "sea-breeze"
+ */
+export function getBoatFileSlug(boatName) {
+  const slug = (boatName || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+  return slug || "boat";
+}
+
+/**
+ * File name for a downloaded report
+ * @param {string} boatName - Boat name
+ * @param {string} serviceDate - Service date (YYYY-MM-DD)
+ * @returns {string} e.g. "sea-breeze-service-2025-03-01.pdf"
+ */
+export function getServiceReportFileName(boatName, serviceDate) {
+  return `${getBoatFileSlug(boatName)}-service-${serviceDate}.pdf`;
+}
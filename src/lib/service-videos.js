@@ -0,0 +1,99 @@
+/**
+ * Service Videos
+ * Decides which of a boat's YouTube playlist videos belong to each service.
+ *
+ * Operations links videos to a service log in `service_logs.youtube_video_ids`
+ * (migration 026); a log with links shows exactly those. Videos nobody linked
+ * go to the service before their upload date, if they were uploaded within
+ * VIDEO_UPLOAD_WINDOW_DAYS of it and before the next service.
+ */
+
+// Dive videos are uploaded within days of the service; anything later is
+// more likely a one-off than footage of that visit
+export const VIDEO_UPLOAD_WINDOW_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Video IDs linked to a service log
+ * @param {Object} log - Service log with youtube_video_ids
+ * @returns {string[]} Empty when the log has no links (match by upload date)
+ */
+export function getLinkedVideoIds(log) {
+  let ids = log.youtube_video_ids;
+  if (typeof ids === "string") {
+    try {
+      ids = JSON.parse(ids);
+    } catch (e) {
+      ids = ids.split(",");
+    }
+  }
+  return Array.isArray(ids)
+    ? ids.map((id) => String(id).trim()).filter(Boolean)
+    : [];
+}
+
+/**
+ * Match playlist videos to service logs
+ * @param {Array<{id: string, service_date: string, youtube_video_ids?: string[]|null}>} logs - The boat's service logs
+ * @param {Array<{id: string, publishedAt: string}>} videos - Playlist videos
+ * @param {Object} [options]
+ * @param {number} [options.windowDays] - Upload window after a service
+ * @returns {Map<string, Array<Object>>} Videos per service log ID, for logs with any.
+ *   Linked videos keep their link order, matched ones their playlist order.
+ *   A linked video is never matched to another service by date.
+ */
+export function matchServiceVideos(
+  logs,
+  videos,
+  { windowDays = VIDEO_UPLOAD_WINDOW_DAYS } = {},
+) {
+  const videosById = new Map(videos.map((video) => [video.id, video]));
+  const byLog = new Map();
+  const linked = new Set();
+  const linkedLogs = new Set();
+
+  logs.forEach((log) => {
+    const ids = getLinkedVideoIds(log);
+    if (ids.length === 0) return;
+
+    linkedLogs.add(log.id);
+    ids.forEach((id) => linked.add(id));
+    const found = ids.map((id) => videosById.get(id)).filter(Boolean);
+    if (found.length > 0) byLog.set(log.id, found);
+  });
+
+  // Oldest first; a video belongs to the latest service on or before it
+  const sorted = [...logs].sort((a, b) =>
+    a.service_date.localeCompare(b.service_date),
+  );
+
+  videos.forEach((video) => {
+    if (linked.has(video.id)) return;
+
+    const published = new Date(video.publishedAt).getTime();
+    let index = -1;
+    sorted.forEach((log, i) => {
+      if (new Date(log.service_date).getTime() <= published) index = i;
+    });
+    if (index === -1) return;
+
+    const log = sorted[index];
+    if (linkedLogs.has(log.id)) return;
+
+    const start = new Date(log.service_date).getTime();
+    const next = sorted
+      .slice(index + 1)
+      .find((later) => later.service_date !== log.service_date);
+    const end = Math.min(
+      start + windowDays * DAY_MS,
+      next ? new Date(next.service_date).getTime() : Infinity,
+    );
+    if (published >= end) return;
+
+    if (!byLog.has(log.id)) byLog.set(log.id, []);
+    byLog.get(log.id).push(video);
+  });
+
+  return byLog;
+}
@@ -0,0 +1,59 @@
+/**
+ * Trend Fitting
+ * Least-squares line fit shared by the paint and anode forecasts.
+ */
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a date (YYYY-MM-DD) as a UTC timestamp
+ * @param {string} date - Date
+ * @returns {number}
+ */
+export function toTime(date) {
+  return Date.parse(`${date}T00:00:00Z`);
+}
+
+/**
+ * Format a timestamp as YYYY-MM-DD
+ * @param {number} time - Timestamp
+ * @returns {string}
+ */
+export function toDate(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Fit y = intercept + slope * x
+ * @param {Array<{x: number, y: number}>} points - Data points
+ * @returns {{slope: number, intercept: number, r2: number, slopeError: number|null, n: number}|null}
+ *   slopeError (standard error of the slope) needs at least three points;
+ *   null with fewer than two distinct x values
+ */
+export function fitLine(points) {
+  const n = points.length;
+  if (n < 2) return null;
+
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+  const sxx = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+  const sxy = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+  const syy = points.reduce((sum, p) => sum + (p.y - meanY) ** 2, 0);
+
+  if (sxx === 0) return null;
+
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+  const sse = points.reduce(
+    (sum, p) => sum + (p.y - (intercept + slope * p.x)) ** 2,
+    0,
+  );
+
+  return {
+    slope,
+    intercept,
+    r2: syy === 0 ? 1 : 1 - sse / syy,
+    slopeError: n > 2 ? Math.sqrt(sse / (n - 2) / sxx) : null,
+    n,
+  };
+}
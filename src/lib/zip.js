@@ -0,0 +1,128 @@
+/**
+ * Zip Archive
+ * Minimal ZIP writer for client-side downloads. Files are stored without
+ * compression, which keeps this dependency-free and is fine for the small
+ * JSON/CSV exports the portal produces.
+ */
+
+const encoder = new TextEncoder();
+
+// CRC-32 lookup table (IEEE polynomial, as required by the ZIP format)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Compute the CRC-32 checksum of some bytes
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Encode a date as MS-DOS time and date fields
+ * @param {Date} date - Timestamp
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date:
+      ((date.getFullYear() - 1980) << 9) |
+      ((date.getMonth() + 1) << 5) |
+      date.getDate(),
+  };
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Array<{name: string, content: string|Uint8Array}>} files - Entries (strings are UTF-8 encoded)
+ * @param {Date} [modified] - Modification time recorded for every entry
+ * @returns {Uint8Array} Archive bytes
+ */
+export function createZip(files, modified = new Date()) {
+  const { time, date } = toDosDateTime(modified);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data =
+      typeof file.content === "string"
+        ? encoder.encode(file.content)
+        : file.content;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // Local file header signature
+    local.setUint16(4, 20, true); // Version needed (2.0)
+    local.setUint16(6, 0x0800, true); // Flags: UTF-8 file names
+    local.setUint16(8, 0, true); // Method: stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true); // Compressed size
+    local.setUint32(22, data.length, true); // Uncompressed size
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true); // Extra field length
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true); // Central directory signature
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true); // Version needed
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint16(30, 0, true); // Extra field length
+    central.setUint16(32, 0, true); // Comment length
+    central.setUint16(34, 0, true); // Disk number
+    central.setUint16(36, 0, true); // Internal attributes
+    central.setUint32(38, 0, true); // External attributes
+    central.setUint32(42, offset, true); // Local header offset
+
+    localParts.push(new Uint8Array(local.buffer), name, data);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // End of central directory signature
+  end.setUint16(4, 0, true); // Disk number
+  end.setUint16(6, 0, true); // Disk with central directory
+  end.setUint16(8, files.length, true); // Entries on this disk
+  end.setUint16(10, files.length, true); // Total entries
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true); // Central directory offset
+  end.setUint16(20, 0, true); // Comment length
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const archive = new Uint8Array(offset + centralSize + 22);
+  let position = 0;
+  for (const part of parts) {
+    archive.set(part, position);
+    position += part.length;
+  }
+
+  return archive;
+}
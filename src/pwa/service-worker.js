@@ -0,0 +1,238 @@
+/**
+ * Portal Service Worker
+ * Built into dist/sw.js by the "service-worker" plugin in vite.config.js,
+ * which defines PRECACHE_URLS (every built page, asset and shared file) and
+ * CACHE_VERSION (a hash of them) above this file. Not used by `vite dev`.
+ *
+ * - App shell: every page and asset is cached on install and served from
+ *   the cache; pages are fetched fresh when online.
+ * - Data: Supabase reads made by the dashboard, service history, invoices,
+ *   messages and service request pages are stored per user, network first, so the last-loaded data is
+ *   readable offline. The portal clears them on sign out.
+ *
+ * Writes are never cached or replayed here; the page queues those itself
+ * (src/ui/outbox.js) because they need the user's session.
+ *
+ * Push: shows a {title, body, url, tag} payload and opens the linked portal
+ * page when one is clicked. No sender exists yet (see migration 027).
+ */
+
+/* global PRECACHE_URLS, CACHE_VERSION */
+
+const SHELL_CACHE = `portal-shell-${CACHE_VERSION}`;
+const DATA_CACHE = "portal-data"; // Also cleared by logout() in src/auth/auth.js
+const FONT_CACHE = "portal-fonts";
+
+// Pages whose Supabase reads stay readable offline. Messages and service
+// requests are included so their forms can load and queue while offline.
+const OFFLINE_DATA_PAGES = [
+  "/portal.html",
+  "/portal",
+  "/portal-services.html",
+  "/portal-invoices.html",
+  "/portal-messages.html",
+  "/portal-request-service.html",
+];
+
+// Supabase reads worth keeping: table queries, the signed-in user and edge
+// function GETs (playlist videos)
+const DATA_PATH = /\/(rest\/v1\/|auth\/v1\/user$|functions\/v1\/)/;
+
+// Vercel rewrites (vercel.json) for navigations that aren't a file name
+const PAGE_ALIASES = { "/": "/login.html", "/portal": "/portal.html" };
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith("portal-shell-"))
+            .filter((key) => key !== SHELL_CACHE)
+            .map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate" && url.origin === self.location.origin) {
+    event.respondWith(handleNavigation(request, url));
+    return;
+  }
+
+  if (url.origin === self.location.origin) {
+    event.respondWith(
+      caches
+        .match(request, { cacheName: SHELL_CACHE })
+        .then((cached) => cached || fetch(request)),
+    );
+    return;
+  }
+
+  if (/^fonts\.(googleapis|gstatic)\.com$/.test(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(FONT_CACHE, request));
+    return;
+  }
+
+  if (DATA_PATH.test(url.pathname)) {
+    event.respondWith(handleData(event, request));
+  }
+});
+
+self.addEventListener("push", (event) => {
+  let payload = {};
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch {
+    payload = { body: event.data.text() };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(payload.title || "Sailor Skills", {
+      body: payload.body || "",
+      icon: "/icons/icon.svg",
+      badge: "/icons/icon-maskable.svg",
+      tag: payload.tag,
+      data: { url: payload.url || "/portal.html" },
+    }),
+  );
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = new URL(
+    event.notification.data?.url || "/portal.html",
+    self.location.origin,
+  );
+
+  // Only ever open portal pages, whatever the payload says
+  const target =
+    url.origin === self.location.origin ? url.href : self.location.origin;
+
+  event.waitUntil(
+    self.clients
+      .matchAll({ type: "window", includeUncontrolled: true })
+      .then((windows) => {
+        const open = windows.find((client) => client.url === target);
+        return open ? open.focus() : self.clients.openWindow(target);
+      }),
+  );
+});
+
+/**
+ * Pages: network first, falling back to the cached shell
+ * @param {Request} request
+ * @param {URL} url
+ * @returns {Promise<Response>}
+ */
+async function handleNavigation(request, url) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const path = PAGE_ALIASES[url.pathname] || url.pathname;
+    const cached = await caches.match(path, {
+      cacheName: SHELL_CACHE,
+      ignoreSearch: true,
+    });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Supabase reads: network first, keeping the response for the offline pages
+ * @param {FetchEvent} event
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function handleData(event, request) {
+  const key = dataCacheKey(request);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok && key && (await isOfflineDataPage(event.clientId))) {
+      const cache = await caches.open(DATA_CACHE);
+      await cache.put(key, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = key && (await caches.match(key, { cacheName: DATA_CACHE }));
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Whether a request comes from one of the pages kept readable offline
+ * @param {string} clientId - FetchEvent.clientId
+ * @returns {Promise<boolean>}
+ */
+async function isOfflineDataPage(clientId) {
+  const client = clientId && (await self.clients.get(clientId));
+  if (!client) return false;
+  return OFFLINE_DATA_PAGES.includes(new URL(client.url).pathname);
+}
+
+/**
+ * Cache key for a Supabase read, scoped to the signed-in user
+ * The same URL returns different rows for different users (RLS), so a
+ * response is only ever served back to the user it was fetched for.
+ * @param {Request} request
+ * @returns {string|null} null for requests without a user token
+ */
+function dataCacheKey(request) {
+  const token = (request.headers.get("Authorization") || "").replace(
+    /^Bearer\s+/i,
+    "",
+  );
+
+  try {
+    const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    const { sub } = JSON.parse(atob(payload));
+    if (!sub) return null;
+
+    const url = new URL(request.url);
+    url.searchParams.set("__portal_user", sub);
+    return url.toString();
+  } catch {
+    return null; // Anon key or malformed token
+  }
+}
+
+/**
+ * Serve from the cache and refresh it in the background
+ * @param {string} cacheName
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(cacheName, request) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  const refresh = fetch(request).then((response) => {
+    if (response.ok || response.type === "opaque") {
+      cache.put(request, response.clone());
+    }
+    return response;
+  });
+
+  if (!cached) return refresh;
+  refresh.catch(() => {}); // Offline: the cached copy is all there is
+  return cached;
+}
@@ -0,0 +1,106 @@
+/**
+ * Boat Access
+ * Applies the current boat's role to a portal page: hides navigation to
+ * pages the role cannot use and covers restricted pages with a notice.
+ * Page content is hidden rather than removed so views can still attach
+ * their event listeners (e.g. sign out) without null checks.
+ */
+
+import {
+  BOAT_PERMISSIONS,
+  hasBoatPermission,
+  getRoleLabel,
+  getRoleDescription,
+} from "../lib/boat-roles.js";
+
+// Permission each portal page requires (pages not listed are always allowed)
+const PAGE_PERMISSIONS = [
+  ["/portal.html", BOAT_PERMISSIONS.VIEW_SERVICES, "Dashboard"],
+  ["/portal-services.html", BOAT_PERMISSIONS.VIEW_SERVICES, "Service History"],
+  ["/portal-invoices.html", BOAT_PERMISSIONS.VIEW_INVOICES, "Invoices"],
+  [
+    "/portal-payment-setup.html",
+    BOAT_PERMISSIONS.MANAGE_PAYMENT,
+    "Payment Setup",
+  ],
+  ["/portal-messages.html", BOAT_PERMISSIONS.MESSAGES, "Messages"],
+  [
+    "/portal-request-service.html",
+    BOAT_PERMISSIONS.REQUEST_SERVICE,
+    "Request Service",
+  ],
+  [
+    "/portal-request-history.html",
+    BOAT_PERMISSIONS.REQUEST_SERVICE,
+    "Request History",
+  ],
+];
+
+/**
+ * Apply a boat's role to the current page
+ * @param {Object} boat - Boat from getUserBoats() (uses name and role)
+ * @param {string} permission - One of BOAT_PERMISSIONS the page requires
+ * @returns {boolean} Whether the page may show its content
+ */
+export function applyBoatAccess(boat, permission) {
+  hideRestrictedNavLinks(boat.role);
+
+  if (hasBoatPermission(boat.role, permission)) {
+    return true;
+  }
+
+  showAccessRestricted(boat);
+  return false;
+}
+
+/**
+ * Hide navigation links to pages the role cannot use (and show the rest)
+ * @param {string} role - Boat role
+ */
+export function hideRestrictedNavLinks(role) {
+  document.querySelectorAll(".portal-nav a.nav-link").forEach((link) => {
+    const page = PAGE_PERMISSIONS.find(
+      ([path]) => path === new URL(link.href).pathname,
+    );
+    link.style.display =
+      page && !hasBoatPermission(role, page[1]) ? "none" : "";
+  });
+}
+
+/**
+ * Hide the page content behind an explanation of the role's access
+ * @param {Object} boat - Boat from getUserBoats()
+ */
+function showAccessRestricted(boat) {
+  const content = document.querySelector(".portal-content");
+  if (!content) return;
+
+  const allowedPage = PAGE_PERMISSIONS.find(([, permission]) =>
+    hasBoatPermission(boat.role, permission),
+  );
+
+  const notice = document.createElement("div");
+  notice.className = "access-restricted";
+  notice.innerHTML = `
+    <h2>Not available for this boat</h2>
+    <p>
+      You have <strong></strong> access to <strong></strong>.
+      <span></span>.
+    </p>
+    <div class="access-restricted-actions">
+      ${allowedPage ? `<a href="${allowedPage[0]}" class="btn btn-primary">Go to ${allowedPage[2]}</a>` : ""}
+      <a href="/portal-account.html" class="btn btn-secondary">Switch Boat</a>
+    </div>
+  `;
+
+  // Names come from user data; set as text
+  const [roleEl, boatEl] = notice.querySelectorAll("strong");
+  roleEl.textContent = getRoleLabel(boat.role) || "limited";
+  boatEl.textContent = boat.name;
+  notice.querySelector("span").textContent = getRoleDescription(boat.role);
+
+  Array.from(content.children).forEach((child) => {
+    child.style.display = "none";
+  });
+  content.prepend(notice);
+}
@@ -0,0 +1,133 @@
+/**
+ * Impersonation Mode Toggle
+ * Lets an impersonating admin switch between read-only and act-as modes
+ * from the impersonation banner shown on every portal page
+ */
+
+import {
+  IMPERSONATION_MODES,
+  MFA_REQUIREMENTS,
+  getAdminMfaRequirement,
+  getImpersonationMode,
+  isAdminAccount,
+  setImpersonation,
+  setImpersonationMode,
+} from "../auth/auth.js";
+import { recordImpersonationEvent } from "../lib/impersonation-audit.js";
+import { promptMfaChallenge } from "./mfa-challenge.js";
+
+/**
+ * Walk an admin through the two-factor step their session is missing: a
+ * code prompt if they have an authenticator, otherwise an offer to set one
+ * up in Account Settings
+ * @param {string} mfaRequired - One of MFA_REQUIREMENTS
+ * @returns {Promise<boolean>} Whether the session is now verified
+ */
+async function completeAdminTwoFactor(mfaRequired) {
+  if (mfaRequired === MFA_REQUIREMENTS.CHALLENGE) {
+    return promptMfaChallenge({
+      message:
+        "Enter the code from your authenticator app to view customer accounts.",
+    });
+  }
+
+  if (
+    confirm(
+      "Admins must set up two-factor authentication before viewing customer accounts. Set it up now?",
+    )
+  ) {
+    window.location.href = "/portal-account.html#two-factor";
+  }
+  return false;
+}
+
+/**
+ * Start impersonating a customer from an admin selector
+ * @param {string} customerId - Customer UUID to impersonate
+ * @returns {Promise<{success: boolean}>}
+ */
+export async function startImpersonation(customerId) {
+  const result = await setImpersonation(customerId);
+  if (result.success) return result;
+
+  if (result.mfaRequired) {
+    return (await completeAdminTwoFactor(result.mfaRequired))
+      ? setImpersonation(customerId)
+      : { success: false };
+  }
+
+  alert(result.error || "Could not switch customer");
+  return { success: false };
+}
+
+/**
+ * Offer the two-factor step in place of the admin customer selector
+ * The selector needs the customer list, which admin accounts can only read
+ * once their session has passed two-factor (isAdmin() is false until then).
+ * Does nothing for non-admin accounts.
+ * @param {HTMLElement} selectorEl - Hidden selector container
+ */
+export async function mountAdminTwoFactorPrompt(selectorEl) {
+  if (!selectorEl || !(await isAdminAccount())) return;
+
+  const mfaRequired = await getAdminMfaRequirement();
+  if (!mfaRequired) return;
+
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "btn btn-secondary";
+  button.textContent =
+    mfaRequired === MFA_REQUIREMENTS.CHALLENGE
+      ? "Verify two-factor to view customers"
+      : "Set up two-factor to view customers";
+  button.addEventListener("click", async () => {
+    if (await completeAdminTwoFactor(mfaRequired)) window.location.reload();
+  });
+
+  selectorEl.replaceChildren(button);
+  selectorEl.style.display = "flex";
+}
+
+/**
+ * Add the mode selector to the impersonation banner
+ * @param {HTMLElement} bannerEl - Impersonation banner element
+ */
+export function mountImpersonationModeToggle(bannerEl) {
+  const content = bannerEl?.querySelector(".banner-content");
+  if (!content || content.querySelector(".banner-mode-selector")) return;
+
+  const select = document.createElement("select");
+  select.className = "banner-mode-selector";
+  select.title =
+    "Choose whether changes are allowed while viewing as this customer";
+  select.innerHTML = `
+    <option value="${IMPERSONATION_MODES.READ_ONLY}">Read-only</option>
+    <option value="${IMPERSONATION_MODES.ACT_AS}">Act as customer</option>
+  `;
+  select.value = getImpersonationMode();
+  bannerEl.classList.toggle(
+    "impersonation-act-as",
+    select.value === IMPERSONATION_MODES.ACT_AS,
+  );
+
+  select.addEventListener("change", () => {
+    if (
+      select.value === IMPERSONATION_MODES.ACT_AS &&
+      !confirm(
+        "Changes you make will be saved to this customer's account and recorded as made by you. Continue?",
+      )
+    ) {
+      select.value = IMPERSONATION_MODES.READ_ONLY;
+      return;
+    }
+
+    setImpersonationMode(select.value);
+    recordImpersonationEvent("mode_change", { mode: select.value });
+    bannerEl.classList.toggle(
+      "impersonation-act-as",
+      select.value === IMPERSONATION_MODES.ACT_AS,
+    );
+  });
+
+  content.appendChild(select);
+}
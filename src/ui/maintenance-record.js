@@ -0,0 +1,121 @@
+/**
+ * Maintenance Record Export
+ * Loads everything the boat dossier needs (see lib/maintenance-record.js)
+ * and downloads it as a PDF or a zip of CSV files.
+ */
+
+import { loadServiceLogs, formatDate } from "../api/service-logs.js";
+import {
+  getStripeCustomerId,
+  loadInvoices,
+  formatCurrency,
+} from "../api/invoices.js";
+import { hasBoatPermission, BOAT_PERMISSIONS } from "../lib/boat-roles.js";
+import {
+  buildMaintenanceRecord,
+  buildMaintenanceRecordPdf,
+  buildMaintenanceRecordZip,
+  getMaintenanceRecordFileName,
+} from "../lib/maintenance-record.js";
+import { downloadBlob } from "./download.js";
+
+// Service logs fetched per request while collecting the whole range
+const EXPORT_PAGE_SIZE = 100;
+
+/**
+ * Load every service log in a date range, following page cursors
+ * @param {string} boatId - Boat ID
+ * @param {string|null} startDate - First day (YYYY-MM-DD)
+ * @param {string|null} endDate - Last day (YYYY-MM-DD)
+ * @returns {Promise<Array<Object>>}
+ */
+async function loadAllServiceLogs(boatId, startDate, endDate) {
+  const logs = [];
+  let cursor = null;
+
+  do {
+    const { data: page, error } = await loadServiceLogs(boatId, {
+      startDate,
+      endDate,
+      cursor,
+      limit: EXPORT_PAGE_SIZE,
+    });
+    if (error) throw error;
+
+    logs.push(...page.logs);
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  return logs;
+}
+
+/**
+ * Load the boat's invoices, or null when the account can't see billing
+ * @param {Object} boat - Boat with role and customer_id
+ * @param {string|null} startDate - First day (YYYY-MM-DD)
+ * @returns {Promise<Array<Object>|null>}
+ */
+async function loadBoatInvoices(boat, startDate) {
+  if (!hasBoatPermission(boat.role, BOAT_PERMISSIONS.VIEW_INVOICES)) {
+    return null;
+  }
+
+  const { data: stripeCustomerId, error: customerError } =
+    await getStripeCustomerId(boat.customer_id);
+  if (customerError) throw customerError;
+  if (!stripeCustomerId) return [];
+
+  const { data: invoices, error } = await loadInvoices(
+    boat.id,
+    stripeCustomerId,
+    { startDate },
+  );
+  if (error) throw error;
+
+  return invoices;
+}
+
+/**
+ * Build and download the maintenance record for a boat
+ * @param {Object} boat - Boat ({id, name, role, customer_id})
+ * @param {Object} options
+ * @param {string|null} [options.startDate] - First day (YYYY-MM-DD)
+ * @param {string|null} [options.endDate] - Last day (YYYY-MM-DD)
+ * @param {string} options.format - "pdf" or "csv"
+ * @returns {Promise<void>}
+ */
+export async function exportMaintenanceRecord(
+  boat,
+  { startDate = null, endDate = null, format },
+) {
+  const [logs, invoices] = await Promise.all([
+    loadAllServiceLogs(boat.id, startDate, endDate),
+    loadBoatInvoices(boat, startDate),
+  ]);
+
+  const record = buildMaintenanceRecord({
+    logs,
+    invoices,
+    boatId: boat.id,
+    startDate,
+    endDate,
+  });
+
+  if (format === "csv") {
+    downloadBlob(
+      buildMaintenanceRecordZip(record),
+      getMaintenanceRecordFileName(boat.name, "zip"),
+    );
+    return;
+  }
+
+  const pdf = buildMaintenanceRecordPdf(record, {
+    boatName: boat.name,
+    formatDate,
+    formatCurrency,
+  });
+  downloadBlob(
+    new Blob([pdf], { type: "application/pdf" }),
+    getMaintenanceRecordFileName(boat.name, "pdf"),
+  );
+}
@@ -0,0 +1,128 @@
+/**
+ * Two-Factor Challenge
+ * Modal asking for an authenticator code to upgrade the session to AAL2,
+ * with a recovery code fallback for users who lost their device
+ */
+
+import { verifyMfaCode, redeemRecoveryCode } from "../auth/auth.js";
+
+/**
+ * Ask the user for an authenticator code
+ * Resolves true once the session is verified, false if cancelled. A
+ * redeemed recovery code removes the authenticator instead and navigates to
+ * Account Settings to set up a new one (the promise stays pending).
+ * @param {Object} [options]
+ * @param {string} [options.message] - Explanation shown above the code field
+ * @returns {Promise<boolean>}
+ */
+export function promptMfaChallenge({
+  message = "Enter the 6-digit code from your authenticator app.",
+} = {}) {
+  return new Promise((resolve) => {
+    const overlay = document.createElement("div");
+    overlay.className = "modal-overlay mfa-challenge";
+    overlay.innerHTML = `
+      <div class="modal" role="dialog" aria-modal="true" aria-labelledby="mfa-challenge-title">
+        <div class="modal-header">
+          <h2 class="modal-title" id="mfa-challenge-title">Two-Factor Authentication</h2>
+          <button type="button" class="modal-close" aria-label="Cancel">&times;</button>
+        </div>
+        <form class="modal-body">
+          <p class="mfa-challenge-message"></p>
+          <input type="text" class="form-input mfa-challenge-code" inputmode="numeric"
+            autocomplete="one-time-code" maxlength="6" placeholder="123456" required>
+          <div class="mfa-challenge-error alert alert-danger" hidden></div>
+          <button type="button" class="mfa-challenge-toggle">Use a recovery code</button>
+        </form>
+        <div class="modal-footer">
+          <button type="button" class="btn-secondary mfa-challenge-cancel">Cancel</button>
+          <button type="button" class="btn-primary mfa-challenge-submit">Verify</button>
+        </div>
+      </div>
+    `;
+
+    const form = overlay.querySelector("form");
+    const input = overlay.querySelector(".mfa-challenge-code");
+    const messageEl = overlay.querySelector(".mfa-challenge-message");
+    const errorEl = overlay.querySelector(".mfa-challenge-error");
+    const toggleBtn = overlay.querySelector(".mfa-challenge-toggle");
+    const submitBtn = overlay.querySelector(".mfa-challenge-submit");
+    let useRecoveryCode = false;
+
+    messageEl.textContent = message;
+
+    const close = (result) => {
+      overlay.remove();
+      resolve(result);
+    };
+
+    const showError = (text) => {
+      errorEl.textContent = text;
+      errorEl.hidden = false;
+    };
+
+    toggleBtn.addEventListener("click", () => {
+      useRecoveryCode = !useRecoveryCode;
+      errorEl.hidden = true;
+      input.value = "";
+      input.maxLength = useRecoveryCode ? 11 : 6;
+      input.inputMode = useRecoveryCode ? "text" : "numeric";
+      input.placeholder = useRecoveryCode ? "xxxxx-xxxxx" : "123456";
+      messageEl.textContent = useRecoveryCode
+        ? "Enter one of your recovery codes. This removes your current authenticator so you can set up a new one."
+        : message;
+      toggleBtn.textContent = useRecoveryCode
+        ? "Use an authenticator code"
+        : "Use a recovery code";
+      input.focus();
+    });
+
+    const submit = async () => {
+      const code = input.value.trim();
+      if (!code) return;
+
+      submitBtn.disabled = true;
+      submitBtn.textContent = "Verifying...";
+      errorEl.hidden = true;
+
+      if (useRecoveryCode) {
+        const { success, error } = await redeemRecoveryCode(code);
+        if (success) {
+          alert(
+            "Recovery code accepted. Your authenticator has been removed - set up a new one in Account Settings.",
+          );
+          overlay.remove();
+          window.location.href = "/portal-account.html#two-factor";
+          return;
+        }
+        showError(error || "Invalid recovery code");
+      } else {
+        const { success, error } = await verifyMfaCode(code);
+        if (success) {
+          close(true);
+          return;
+        }
+        showError(error || "Invalid code");
+      }
+
+      submitBtn.disabled = false;
+      submitBtn.textContent = "Verify";
+      input.select();
+    };
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      submit();
+    });
+    submitBtn.addEventListener("click", submit);
+    overlay
+      .querySelector(".modal-close")
+      .addEventListener("click", () => close(false));
+    overlay
+      .querySelector(".mfa-challenge-cancel")
+      .addEventListener("click", () => close(false));
+
+    document.body.appendChild(overlay);
+    input.focus();
+  });
+}
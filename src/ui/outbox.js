@@ -0,0 +1,155 @@
+/**
+ * Outbox Wiring
+ * Queues messages and service requests that couldn't be sent because the
+ * device is offline, and sends them once it's back (see startPwa() in
+ * ui/pwa.js). Files are kept in the queue and uploaded when the item is sent;
+ * each finished upload is saved on the item so a retry doesn't repeat it.
+ *
+ * Nothing is queued while an admin is viewing as a customer: a queued write
+ * could otherwise be sent later under a different session.
+ */
+
+import { getCurrentSession } from "../auth/auth.js";
+import { ERROR_CODES } from "../lib/repository.js";
+import { createIdbStore } from "../lib/idb-store.js";
+import { createOutbox } from "../lib/outbox.js";
+import { sendMessage, uploadAttachment } from "../api/messages.js";
+import {
+  submitInquiry,
+  submitBooking,
+  uploadRequestPhoto,
+} from "../api/service-requests.js";
+
+export const OUTBOX_TYPES = {
+  MESSAGE: "message",
+  SERVICE_REQUEST: "service-request",
+};
+
+/**
+ * Upload queued files, then send
+ * @param {File[]} files - Files still to upload
+ * @param {(file: File) => Promise<ApiResult<Object>>} upload - Uploads one file
+ * @param {(uploaded: Array<Object>, remaining: File[]) => Promise<void>} record - Saves progress after each upload
+ * @returns {Promise<{data: Array<Object>|null, error: ApiError|null}>} Uploaded attachments
+ */
+async function uploadAll(files, upload, record) {
+  const uploaded = [];
+  for (const [index, file] of files.entries()) {
+    const { data, error } = await upload(file);
+    if (error) return { data: null, error };
+    uploaded.push(data);
+    await record(uploaded, files.slice(index + 1));
+  }
+  return { data: uploaded, error: null };
+}
+
+const outbox = createOutbox(createIdbStore("outbox"), {
+  [OUTBOX_TYPES.MESSAGE]: async (
+    {
+      boatId,
+      messageText,
+      files = [],
+      attachments = [],
+      serviceLogId,
+      clientRequestId,
+    },
+    save,
+  ) => {
+    const { data: uploaded, error } = await uploadAll(
+      files,
+      (file) => uploadAttachment(file, boatId),
+      (done, remaining) =>
+        save({ files: remaining, attachments: [...attachments, ...done] }),
+    );
+    if (error) return { data: null, error };
+
+    return sendMessage(
+      boatId,
+      messageText,
+      [...attachments, ...uploaded],
+      serviceLogId,
+      clientRequestId,
+    );
+  },
+
+  [OUTBOX_TYPES.SERVICE_REQUEST]: async (
+    { boatId, requestType, request, photo = null },
+    save,
+  ) => {
+    const { data: uploaded, error } = await uploadAll(
+      photo ? [photo] : [],
+      (file) => uploadRequestPhoto(file, boatId),
+      (done) =>
+        save({
+          photo: null,
+          request: {
+            ...request,
+            attachments: [...(request.attachments || []), ...done],
+          },
+        }),
+    );
+    if (error) return { data: null, error };
+
+    const data = {
+      ...request,
+      attachments: [...(request.attachments || []), ...uploaded],
+    };
+    return requestType === "booking"
+      ? submitBooking(boatId, data)
+      : submitInquiry(boatId, data);
+  },
+});
+
+/**
+ * Whether a failed write should be queued rather than reported
+ * @param {ApiError} error - Error from the API call
+ * @returns {boolean}
+ */
+export function isOfflineError(error) {
+  return !navigator.onLine || error?.code === ERROR_CODES.NETWORK;
+}
+
+/**
+ * ID of the signed-in user whose items may be queued and sent
+ * @returns {Promise<string|null>} null when signed out or viewing as a customer
+ */
+async function getOutboxUserId() {
+  if (sessionStorage.getItem("impersonatedCustomerId")) return null;
+  const { session } = await getCurrentSession();
+  return session?.user?.id || null;
+}
+
+/**
+ * Queue an item to send when back online
+ * @param {string} type - One of OUTBOX_TYPES
+ * @param {Object} payload - Sender arguments (see the senders above)
+ * @returns {Promise<boolean>} Whether it was queued
+ */
+export async function queueOutgoing(type, payload) {
+  const userId = await getOutboxUserId();
+  if (!userId) return false;
+
+  try {
+    await outbox.add(type, payload, userId);
+    return true;
+  } catch (error) {
+    console.error("Could not queue for later:", error);
+    return false;
+  }
+}
+
+/**
+ * Send everything the signed-in user queued
+ * @returns {Promise<{sent: Array<Object>, failed: Array<Object>, pending: number}>}
+ */
+export async function flushOutbox() {
+  const userId = await getOutboxUserId();
+  if (!userId) return { sent: [], failed: [], pending: 0 };
+
+  try {
+    return await outbox.flush(userId);
+  } catch (error) {
+    console.error("Could not send queued items:", error);
+    return { sent: [], failed: [], pending: 0 };
+  }
+}
@@ -0,0 +1,203 @@
+/**
+ * Paint Trend Chart
+ * SVG line chart of paint condition severity across a boat's service logs
+ * (overall, keel, waterline and boot stripe), plus the rate at which the
+ * overall condition has been degrading since the last repaint.
+ *
+ * Works on the output of getPaintConditionHistory(); severity follows the
+ * condition vocabulary scale, 1 (excellent) to 8 (very poor).
+ */
+
+import { fitPaintCycle } from "../lib/paint-forecast.js";
+import { toTime } from "../lib/trend.js";
+import { formatConditionText } from "../lib/conditions.js";
+
+// Chart series, in legend order
+export const PAINT_TREND_SERIES = [
+  { key: "overall", label: "Overall" },
+  { key: "keel", label: "Keel" },
+  { key: "waterline", label: "Waterline" },
+  { key: "bootStripe", label: "Boot Stripe" },
+];
+
+// Labelled gridlines on the severity axis
+const SEVERITY_TICKS = [
+  { severity: 1, label: "Excellent" },
+  { severity: 3, label: "Good" },
+  { severity: 5, label: "Fair" },
+  { severity: 7, label: "Poor" },
+];
+
+const MIN_SEVERITY = 1;
+const MAX_SEVERITY = 8;
+
+// Severity steps between adjacent condition levels (good → good-fair → fair)
+const SEVERITY_PER_LEVEL = 2;
+
+const MONTH_DAYS = 30;
+
+const WIDTH = 640;
+const HEIGHT = 240;
+const MARGIN = { top: 16, right: 16, bottom: 32, left: 80 };
+
+/**
+ * How fast a paint area has been degrading since it was last repainted
+ * @param {Array} history - Entries from getPaintConditionHistory()
+ * @param {string} [key] - Paint area
+ * @returns {{perMonth: number, since: string, inspections: number}|null}
+ *   Severity steps per 30 days, or null with fewer than two inspections
+ */
+export function getDegradationRate(history, key = "overall") {
+  const fit = fitPaintCycle(history, key);
+  if (!fit) return null;
+
+  return {
+    perMonth: fit.slope * MONTH_DAYS,
+    since: fit.since,
+    inspections: fit.inspections,
+  };
+}
+
+/**
+ * Plain-language summary of a degradation rate
+ * @param {Object|null} rate - Result of getDegradationRate()
+ * @returns {string}
+ */
+export function describeDegradation(rate) {
+  if (!rate) {
+    return "More inspections are needed to show a trend.";
+  }
+
+  const since = formatMonth(rate.since);
+
+  if (rate.perMonth <= 0.01) {
+    return `Paint condition has held steady since ${since}.`;
+  }
+
+  const months = Math.round(SEVERITY_PER_LEVEL / rate.perMonth);
+  if (months <= 1) {
+    return `Paint is dropping about one condition level per month since ${since}.`;
+  }
+
+  return `Paint is dropping about one condition level every ${months} months since ${since}.`;
+}
+
+/**
+ * Render the trend chart with its legend
+ * @param {Array} history - Entries from getPaintConditionHistory()
+ * @returns {string} HTML markup
+ */
+export function renderPaintTrendChart(history) {
+  const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+  const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+
+  const times = history.map((entry) => toTime(entry.serviceDate));
+  const minTime = Math.min(...times);
+  const maxTime = Math.max(...times);
+
+  const xFor = (time) =>
+    maxTime === minTime
+      ? MARGIN.left + plotWidth / 2
+      : MARGIN.left + ((time - minTime) / (maxTime - minTime)) * plotWidth;
+  const yFor = (severity) =>
+    MARGIN.top +
+    ((severity - MIN_SEVERITY) / (MAX_SEVERITY - MIN_SEVERITY)) * plotHeight;
+
+  const grid = SEVERITY_TICKS.map(
+    ({ severity, label }) => `
+      <line class="paint-trend-grid" x1="${MARGIN.left}" x2="${WIDTH - MARGIN.right}" y1="${yFor(severity)}" y2="${yFor(severity)}" />
+      <text class="paint-trend-axis-label" x="${MARGIN.left - 8}" y="${yFor(severity)}" text-anchor="end" dominant-baseline="middle">${label}</text>`,
+  ).join("");
+
+  const dateLabels = [...new Set([minTime, maxTime])]
+    .map(
+      (time, i, all) => `
+      <text class="paint-trend-axis-label" x="${xFor(time)}" y="${HEIGHT - 8}" text-anchor="${all.length === 1 ? "middle" : i === 0 ? "start" : "end"}">${formatMonth(new Date(time).toISOString().slice(0, 10))}</text>`,
+    )
+    .join("");
+
+  const series = PAINT_TREND_SERIES.map(({ key, label }) => {
+    const points = history.map((entry) => ({
+      x: xFor(toTime(entry.serviceDate)),
+      entry,
+      area: entry[key],
+    }));
+
+    // Break the line where an area wasn't inspected
+    const segments = [];
+    let current = [];
+    points.forEach((point) => {
+      if (point.area?.severity == null) {
+        if (current.length) segments.push(current);
+        current = [];
+      } else {
+        current.push(point);
+      }
+    });
+    if (current.length) segments.push(current);
+
+    const lines = segments
+      .filter((segment) => segment.length > 1)
+      .map(
+        (segment) =>
+          `<polyline points="${segment.map((p) => `${p.x},${yFor(p.area.severity)}`).join(" ")}" />`,
+      )
+      .join("");
+
+    const dots = segments
+      .flat()
+      .map(
+        (p) => `
+        <circle cx="${p.x}" cy="${yFor(p.area.severity)}" r="4">
+          <title>${label}: ${escapeHtml(formatConditionText(p.area.condition))} (${escapeHtml(p.entry.serviceDate)})</title>
+        </circle>`,
+      )
+      .join("");
+
+    return `<g class="paint-trend-series paint-trend-${key}">${lines}${dots}</g>`;
+  }).join("");
+
+  const legend = PAINT_TREND_SERIES.map(
+    ({ key, label }) =>
+      `<span class="paint-trend-legend-item paint-trend-${key}">${label}</span>`,
+  ).join("");
+
+  return `
+    <svg class="paint-trend-svg" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img"
+      aria-label="Paint condition at each service, ${history.length} inspection${history.length !== 1 ? "s" : ""}">
+      ${grid}
+      ${dateLabels}
+      ${series}
+    </svg>
+    <div class="paint-trend-legend">${legend}</div>
+  `;
+}
+
+/**
+ * Format a date as "Mar 2025"
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {string}
+ */
+function formatMonth(date) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString("en-US", {
+    month: "short",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+/**
+ * Escape HTML to prevent XSS
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  const map = {
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#039;",
+  };
+  return String(text).replace(/[&<>"']/g, (m) => map[m]);
+}
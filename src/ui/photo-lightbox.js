@@ -0,0 +1,86 @@
+/**
+ * Photo Lightbox
+ * Full-size photo viewer over the page, with previous/next buttons, arrow
+ * keys and Escape to close
+ */
+
+/**
+ * Open the lightbox
+ * @param {Array<{url: string, caption?: string|null, label?: string}>} photos - Photos to page through
+ * @param {number} [startIndex] - Photo shown first
+ */
+export function openPhotoLightbox(photos, startIndex = 0) {
+  if (photos.length === 0) return;
+
+  let index = Math.min(Math.max(startIndex, 0), photos.length - 1);
+  const returnFocus = document.activeElement;
+
+  const overlay = document.createElement("div");
+  overlay.className = "photo-lightbox";
+  overlay.setAttribute("role", "dialog");
+  overlay.setAttribute("aria-modal", "true");
+  overlay.setAttribute("aria-label", "Photo viewer");
+  overlay.innerHTML = `
+    <button type="button" class="photo-lightbox-close" aria-label="Close">&times;</button>
+    <button type="button" class="photo-lightbox-nav photo-lightbox-prev" aria-label="Previous photo">&#8249;</button>
+    <figure class="photo-lightbox-figure">
+      <img class="photo-lightbox-image" alt="">
+      <figcaption class="photo-lightbox-caption"></figcaption>
+    </figure>
+    <button type="button" class="photo-lightbox-nav photo-lightbox-next" aria-label="Next photo">&#8250;</button>
+  `;
+
+  const image = overlay.querySelector(".photo-lightbox-image");
+  const caption = overlay.querySelector(".photo-lightbox-caption");
+  const prevBtn = overlay.querySelector(".photo-lightbox-prev");
+  const nextBtn = overlay.querySelector(".photo-lightbox-next");
+
+  const show = () => {
+    const photo = photos[index];
+    image.src = photo.url;
+    image.alt = photo.caption || photo.label || "Service photo";
+    // Captions come from service data; set as text
+    caption.textContent = [
+      photo.label,
+      photo.caption,
+      photos.length > 1 ? `${index + 1} of ${photos.length}` : null,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+    prevBtn.hidden = photos.length < 2;
+    nextBtn.hidden = photos.length < 2;
+  };
+
+  const step = (delta) => {
+    index = (index + delta + photos.length) % photos.length;
+    show();
+  };
+
+  const close = () => {
+    document.removeEventListener("keydown", onKeydown);
+    overlay.remove();
+    returnFocus?.focus?.();
+  };
+
+  const onKeydown = (e) => {
+    if (e.key === "Escape") close();
+    if (e.key === "ArrowLeft") step(-1);
+    if (e.key === "ArrowRight") step(1);
+  };
+
+  overlay
+    .querySelector(".photo-lightbox-close")
+    .addEventListener("click", close);
+  prevBtn.addEventListener("click", () => step(-1));
+  nextBtn.addEventListener("click", () => step(1));
+
+  // Clicking the backdrop (not the photo or buttons) closes
+  overlay.addEventListener("click", (e) => {
+    if (e.target === overlay) close();
+  });
+
+  document.addEventListener("keydown", onKeydown);
+  document.body.appendChild(overlay);
+  show();
+  overlay.querySelector(".photo-lightbox-close").focus();
+}
@@ -0,0 +1,135 @@
+/**
+ * Push Subscription
+ * Turns browser push notifications on and off for the signed-in user. The
+ * subscription lives on the service worker registered by startPwa(), so push
+ * is only available in production builds. Nothing sends notifications yet
+ * (see migration 027), so the toggle stays hidden without a VAPID key.
+ */
+
+import { config } from "../lib/config.js";
+import { createApiError, ERROR_CODES } from "../lib/repository.js";
+import {
+  PUSH_STATUS,
+  getPushStatus,
+  urlBase64ToUint8Array,
+  toPushSubscriptionRecord,
+} from "../lib/push.js";
+import {
+  savePushSubscription,
+  deletePushSubscription,
+} from "../api/account.js";
+
+/**
+ * Push manager of the portal's service worker
+ * @returns {Promise<PushManager|null>} null when push isn't available
+ */
+async function getPushManager() {
+  if (!("serviceWorker" in navigator) || !("PushManager" in window)) {
+    return null;
+  }
+  const registration = await navigator.serviceWorker.getRegistration();
+  return registration?.pushManager || null;
+}
+
+/**
+ * Current push status for this browser
+ * A subscribed browser is saved again so the stored subscription follows
+ * key rotation and whoever is signed in now.
+ * @returns {Promise<string>} One of PUSH_STATUS
+ */
+export async function getPushState() {
+  const pushManager = await getPushManager();
+  const subscription = pushManager ? await pushManager.getSubscription() : null;
+
+  const status = getPushStatus({
+    supported: Boolean(pushManager),
+    configured: Boolean(config.vapidPublicKey),
+    permission: window.Notification?.permission || "default",
+    subscribed: Boolean(subscription),
+  });
+
+  if (status === PUSH_STATUS.ON) {
+    const record = toPushSubscriptionRecord(subscription);
+    if (record) await savePushSubscription(record);
+  }
+
+  return status;
+}
+
+/**
+ * Ask for permission and subscribe this browser
+ * Call from a click handler: browsers only show the prompt for user actions.
+ * @returns {Promise<ApiResult<string>>} The new status
+ */
+export async function enablePush() {
+  const pushManager = await getPushManager();
+  if (!pushManager || !config.vapidPublicKey) {
+    return {
+      data: PUSH_STATUS.UNSUPPORTED,
+      error: createApiError(
+        ERROR_CODES.UNKNOWN,
+        "Push notifications aren't available in this browser",
+      ),
+    };
+  }
+
+  const permission = await Notification.requestPermission();
+  if (permission === "denied") {
+    return {
+      data: PUSH_STATUS.BLOCKED,
+      error: createApiError(
+        ERROR_CODES.FORBIDDEN,
+        "Notifications are blocked for this site. Allow them in your browser settings, then try again.",
+      ),
+    };
+  }
+  if (permission !== "granted") {
+    return { data: PUSH_STATUS.OFF, error: null }; // Prompt dismissed
+  }
+
+  let subscription;
+  try {
+    subscription =
+      (await pushManager.getSubscription()) ||
+      (await pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(config.vapidPublicKey),
+      }));
+  } catch (error) {
+    console.error("Push subscribe failed:", error);
+    return {
+      data: PUSH_STATUS.OFF,
+      error: createApiError(
+        ERROR_CODES.UNKNOWN,
+        "Couldn't turn on push notifications for this browser",
+      ),
+    };
+  }
+
+  const { error } = await savePushSubscription(
+    toPushSubscriptionRecord(subscription),
+  );
+  if (error) {
+    // Don't leave the browser subscribed to notifications that never come
+    await subscription.unsubscribe().catch(() => {});
+    return { data: PUSH_STATUS.OFF, error };
+  }
+
+  return { data: PUSH_STATUS.ON, error: null };
+}
+
+/**
+ * Unsubscribe this browser
+ * @returns {Promise<ApiResult<string>>} The new status
+ */
+export async function disablePush() {
+  const pushManager = await getPushManager();
+  const subscription = pushManager ? await pushManager.getSubscription() : null;
+  if (!subscription) return { data: PUSH_STATUS.OFF, error: null };
+
+  const { error } = await deletePushSubscription(subscription.endpoint);
+  if (error) return { data: PUSH_STATUS.ON, error };
+
+  await subscription.unsubscribe();
+  return { data: PUSH_STATUS.OFF, error: null };
+}
@@ -0,0 +1,109 @@
+/**
+ * Progressive Web App
+ * Registers the service worker (built as /sw.js, see src/pwa/service-worker.js),
+ * tells the user when they're offline, and sends queued messages and
+ * service requests (ui/outbox.js) when the connection comes back.
+ */
+
+import { flushOutbox, OUTBOX_TYPES } from "./outbox.js";
+
+let started = false;
+let bannerEl = null;
+
+/**
+ * Start offline support on this page
+ * Dispatches an "outbox-sent" event on window with the flush result when
+ * queued items were sent, so a view can show them. Safe to call more than once.
+ */
+export function startPwa() {
+  if (started) return;
+  started = true;
+
+  // The dev server has no sw.js, and a cached shell would hide code changes
+  if ("serviceWorker" in navigator && import.meta.env.PROD) {
+    navigator.serviceWorker.register("/sw.js").catch((error) => {
+      console.warn("Service worker registration failed:", error);
+    });
+  }
+
+  window.addEventListener("offline", updateConnectionBanner);
+  window.addEventListener("online", () => {
+    updateConnectionBanner();
+    sendQueued();
+  });
+
+  updateConnectionBanner();
+  if (navigator.onLine) sendQueued();
+}
+
+/**
+ * Show or hide the offline notice
+ */
+function updateConnectionBanner() {
+  if (navigator.onLine) {
+    if (bannerEl?.dataset.type === "warning") bannerEl.hidden = true;
+    return;
+  }
+
+  showBanner(
+    "warning",
+    "You're offline. You're seeing what was last loaded; messages and service requests will be sent when you reconnect.",
+  );
+}
+
+/**
+ * Send queued items and report what happened
+ */
+async function sendQueued() {
+  const result = await flushOutbox();
+  if (result.sent.length === 0 && result.failed.length === 0) return;
+
+  const describe = (items) => {
+    const messages = items.filter((i) => i.type === OUTBOX_TYPES.MESSAGE);
+    const requests = items.length - messages.length;
+    return [
+      messages.length &&
+        `${messages.length} message${messages.length !== 1 ? "s" : ""}`,
+      requests && `${requests} service request${requests !== 1 ? "s" : ""}`,
+    ]
+      .filter(Boolean)
+      .join(" and ");
+  };
+
+  if (result.failed.length > 0) {
+    result.failed.forEach(({ item, error }) =>
+      console.error("Queued item was rejected:", item.type, error),
+    );
+    showBanner(
+      "danger",
+      `${describe(result.failed.map((f) => f.item))} written offline couldn't be sent: ${result.failed[0].error.message}`,
+    );
+  } else {
+    showBanner("info", `Sent ${describe(result.sent)} written offline.`);
+    setTimeout(() => {
+      if (bannerEl.dataset.type === "info") bannerEl.hidden = true;
+    }, 8000);
+  }
+
+  if (result.sent.length > 0) {
+    window.dispatchEvent(new CustomEvent("outbox-sent", { detail: result }));
+  }
+}
+
+/**
+ * Show the connection banner (styled like the session banner)
+ * @param {string} type - info, warning or danger
+ * @param {string} message - Banner text
+ */
+function showBanner(type, message) {
+  if (!bannerEl) {
+    bannerEl = document.createElement("div");
+    bannerEl.className = "session-banner";
+    bannerEl.setAttribute("role", "status");
+    document.body.prepend(bannerEl);
+  }
+
+  bannerEl.dataset.type = type;
+  bannerEl.textContent = message;
+  bannerEl.hidden = false;
+}
@@ -0,0 +1,82 @@
+/**
+ * Service Report Download
+ * "Download report" for a service log: loads photo thumbnails, builds the
+ * PDF (see lib/service-report.js) and saves it.
+ */
+
+import {
+  MAX_REPORT_PHOTOS,
+  getServiceReport,
+  buildServiceReportPdf,
+  getServiceReportFileName,
+} from "../lib/service-report.js";
+import { formatDate } from "../api/service-logs.js";
+import { downloadBlob } from "./download.js";
+
+// Longest side of a photo thumbnail, in pixels
+const THUMBNAIL_SIZE = 480;
+
+/**
+ * Load a photo and re-encode it as a JPEG thumbnail
+ * Drawing through a canvas handles PNG/WebP photos and keeps the PDF small.
+ * @param {string} url - Photo URL
+ * @returns {Promise<{data: Uint8Array, width: number, height: number}|null>}
+ *   null if the photo can't be loaded (or its host doesn't allow CORS)
+ */
+async function loadThumbnail(url) {
+  try {
+    const image = new Image();
+    image.crossOrigin = "anonymous";
+    image.src = url;
+    await image.decode();
+
+    const scale = Math.min(
+      1,
+      THUMBNAIL_SIZE / Math.max(image.naturalWidth, image.naturalHeight),
+    );
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+    const context = canvas.getContext("2d");
+    context.fillStyle = "#ffffff"; // JPEG has no transparency
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    const blob = await new Promise((resolve) =>
+      canvas.toBlob(resolve, "image/jpeg", 0.8),
+    );
+    if (!blob) return null;
+
+    return {
+      data: new Uint8Array(await blob.arrayBuffer()),
+      width: canvas.width,
+      height: canvas.height,
+    };
+  } catch (error) {
+    console.warn("Could not include photo in report:", url, error);
+    return null;
+  }
+}
+
+/**
+ * Build and download the PDF report for a service log
+ * @param {Object} log - Service log row
+ * @param {Object} boat - Boat ({name})
+ * @returns {Promise<void>}
+ */
+export async function downloadServiceReport(log, boat) {
+  const urls = getServiceReport(log).photos.slice(0, MAX_REPORT_PHOTOS);
+  const photos = (await Promise.all(urls.map(loadThumbnail))).filter(Boolean);
+
+  const pdf = buildServiceReportPdf(log, {
+    boatName: boat?.name,
+    photos,
+    formatDate,
+  });
+
+  downloadBlob(
+    new Blob([pdf], { type: "application/pdf" }),
+    getServiceReportFileName(boat?.name, log.service_date),
+  );
+}
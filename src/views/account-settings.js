@@ -8,9 +8,25 @@ import {
   getEffectiveUser,
   logout,
   isAdmin,
-  setImpersonation,
+  isAdminAccount,
   clearImpersonation,
+  getMfaStatus,
+  needsMfaChallenge,
 } from "../auth/auth.js";
+import {
+  startSessionManager,
+  restoreFormDraft,
+} from "../auth/session-manager.js";
+import { startPwa } from "../ui/pwa.js";
+import {
+  mountImpersonationModeToggle,
+  startImpersonation,
+  mountAdminTwoFactorPrompt,
+} from "../ui/impersonation-mode.js";
+import { promptMfaChallenge } from "../ui/mfa-challenge.js";
+import { getPushState, enablePush, disablePush } from "../ui/push.js";
+import { PUSH_STATUS } from "../lib/push.js";
+import { startImpersonationAudit } from "../lib/impersonation-audit.js";
 import { getAllCustomers } from "../api/customers.js";
 import {
   getAccountInfo,
@@ -18,15 +34,40 @@ import {
   updateEmail,
   updatePhone,
   changePassword,
+  enrollTotp,
+  confirmTotpEnrollment,
+  disableTotp,
+  generateRecoveryCodes,
+  getRecoveryCodeCount,
   getNotificationPreferences,
   updateNotificationPreferences,
   getAccessibleBoats,
   switchCurrentBoat,
+  getBoatMembers,
+  getPendingInvitations,
+  inviteToBoat,
+  revokeInvitation,
+  revokeBoatAccess,
+  getInvitation,
+  acceptBoatInvitation,
   deleteAccount,
+  cancelAccountDeletion,
+  getAccountDataExport,
   formatPhoneNumber,
   isValidEmail,
   validatePassword,
 } from "../api/account.js";
+import {
+  BOAT_ROLES,
+  BOAT_PERMISSIONS,
+  INVITABLE_ROLES,
+  hasBoatPermission,
+  getRoleLabel,
+  getRoleDescription,
+} from "../lib/boat-roles.js";
+import { hideRestrictedNavLinks } from "../ui/boat-access.js";
+import { buildAccountExportZip } from "../lib/data-export.js";
+import { downloadBlob } from "../ui/download.js";
 
 // Require authentication (redirects to SSO login)
 const isAuth = await requireAuth();
@@ -34,10 +75,18 @@ if (!isAuth) {
   throw new Error("Not authenticated");
 }
 
+// Keep unsaved profile edits across a re-login
+await startSessionManager({ fields: ["email", "phone"] });
+startPwa();
+
 // State
 let currentUser = null;
 let currentPreferences = null;
 let currentBoatId = null;
+let accessibleBoats = [];
+let isImpersonating = false;
+let mfaFactorId = null;
+let pendingFactorId = null;
 
 /**
  * Initialize impersonation banner
@@ -56,6 +105,8 @@ async function initImpersonationBanner() {
 
   if (bannerEl) {
     bannerEl.style.display = "flex";
+    mountImpersonationModeToggle(bannerEl);
+    startImpersonationAudit();
   }
 
   // Hide header selector when impersonating
@@ -63,7 +114,7 @@ async function initImpersonationBanner() {
   if (headerSelector) headerSelector.style.display = "none";
 
   // Load all customers for banner selector
-  const { customers, error } = await getAllCustomers();
+  const { data: customers, error } = await getAllCustomers();
   if (error) {
     console.error("Failed to load customers for banner:", error);
     return;
@@ -94,7 +145,7 @@ async function initImpersonationBanner() {
 
     if (selectedOption) {
       const customerId = selectedOption.dataset.customerId;
-      const { success } = await setImpersonation(customerId);
+      const { success } = await startImpersonation(customerId);
       if (success) window.location.reload();
     }
   });
@@ -112,8 +163,8 @@ async function initImpersonationBanner() {
 
   // Handle exit button
   if (exitBtn) {
-    exitBtn.addEventListener("click", () => {
-      clearImpersonation();
+    exitBtn.addEventListener("click", async () => {
+      await clearImpersonation();
       window.location.reload();
     });
   }
@@ -124,7 +175,13 @@ async function initImpersonationBanner() {
  */
 async function initCustomerSelector() {
   const adminStatus = await isAdmin(currentUser.id);
-  if (!adminStatus) return;
+  if (!adminStatus) {
+    // Admin accounts that haven't passed two-factor get that step instead
+    await mountAdminTwoFactorPrompt(
+      document.getElementById("admin-customer-selector"),
+    );
+    return;
+  }
 
   const selectorEl = document.getElementById("admin-customer-selector");
   const searchInput = document.getElementById("customer-search");
@@ -133,7 +190,7 @@ async function initCustomerSelector() {
   if (!selectorEl || !searchInput || !datalist) return;
   selectorEl.style.display = "flex";
 
-  const { customers, error } = await getAllCustomers();
+  const { data: customers, error } = await getAllCustomers();
   if (error) {
     console.error("Failed to load customers for selector:", error);
     return;
@@ -154,7 +211,7 @@ async function initCustomerSelector() {
 
     if (selectedOption) {
       const customerId = selectedOption.dataset.customerId;
-      const { success } = await setImpersonation(customerId);
+      const { success } = await startImpersonation(customerId);
       if (success) window.location.reload();
     }
   });
@@ -165,7 +222,7 @@ async function initCustomerSelector() {
  */
 async function init() {
   // Get current user
-  const { user, error: userError } = await getEffectiveUser();
+  const { user, error: userError, isImpersonated } = await getEffectiveUser();
   if (userError || !user) {
     console.error("Error loading user:", userError);
     window.location.href = "/login.html";
@@ -173,6 +230,7 @@ async function init() {
   }
 
   currentUser = user;
+  isImpersonating = !!isImpersonated;
   document.getElementById("user-email").textContent = user.email;
 
   // Initialize impersonation UI
@@ -181,9 +239,13 @@ async function init() {
 
   // Load account data
   await loadAccountInfo();
+  await loadTwoFactorStatus();
   await loadCustomerInfo();
+  restoreFormDraft();
   await loadNotificationPreferences();
+  await loadPushStatus();
   await loadBoats();
+  await loadInvitationFromLink();
 
   // Setup event listeners
   setupEventListeners();
@@ -193,7 +255,7 @@ async function init() {
  * Load account information
  */
 async function loadAccountInfo() {
-  const { account, error } = await getAccountInfo();
+  const { data: account, error } = await getAccountInfo();
 
   if (error) {
     console.error("Error loading account:", error);
@@ -203,14 +265,77 @@ async function loadAccountInfo() {
   // Pre-fill email
   if (account) {
     document.getElementById("email").value = account.email || currentUser.email;
+    showDeletionStatus(account.deletion_scheduled_for);
   }
 }
 
+/**
+ * Show whether the account is scheduled for deletion
+ * @param {string|null} scheduledFor - Deletion date, or null if not requested
+ */
+function showDeletionStatus(scheduledFor) {
+  document.getElementById("delete-account-zone").style.display = scheduledFor
+    ? "none"
+    : "block";
+  document.getElementById("deletion-pending-zone").style.display = scheduledFor
+    ? "block"
+    : "none";
+
+  if (scheduledFor) {
+    document.getElementById("deletion-date").textContent = new Date(
+      scheduledFor,
+    ).toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+    });
+  }
+}
+
+/**
+ * Load two-factor status
+ * Hidden while impersonating: authenticators belong to the signed-in admin
+ */
+async function loadTwoFactorStatus() {
+  const section = document.getElementById("two-factor");
+
+  if (isImpersonating) {
+    section.style.display = "none";
+    return;
+  }
+
+  const { enrolled, factorId, error } = await getMfaStatus();
+
+  if (error) {
+    document.getElementById("two-factor-status").textContent =
+      "Two-factor status is unavailable right now.";
+    return;
+  }
+
+  mfaFactorId = factorId;
+  document.getElementById("two-factor-off").style.display = enrolled
+    ? "none"
+    : "block";
+  document.getElementById("two-factor-on").style.display = enrolled
+    ? "block"
+    : "none";
+  document.getElementById("two-factor-enroll").style.display = "none";
+  document.getElementById("two-factor-admin-note").style.display =
+    (await isAdminAccount()) ? "block" : "none";
+
+  let status = "Off - you sign in with your password only.";
+  if (enrolled) {
+    const { data: remaining } = await getRecoveryCodeCount();
+    status = `On - ${remaining} recovery code${remaining === 1 ? "" : "s"} remaining.`;
+  }
+  document.getElementById("two-factor-status").textContent = status;
+}
+
 /**
  * Load customer information
  */
 async function loadCustomerInfo() {
-  const { customer, error } = await getCustomerInfo();
+  const { data: customer, error } = await getCustomerInfo();
 
   if (error) {
     console.error("Error loading customer info:", error);
@@ -227,7 +352,7 @@ async function loadCustomerInfo() {
  * Load notification preferences
  */
 async function loadNotificationPreferences() {
-  const { preferences, error } = await getNotificationPreferences();
+  const { data: preferences, error } = await getNotificationPreferences();
 
   if (error) {
     console.error("Error loading preferences:", error);
@@ -255,17 +380,83 @@ async function loadNotificationPreferences() {
   });
 }
 
+/**
+ * Load push status for this browser
+ * Hidden while impersonating (the browser belongs to the admin) and where
+ * push isn't available, e.g. dev builds without the service worker
+ */
+async function loadPushStatus() {
+  if (isImpersonating) return;
+
+  const status = await getPushState();
+  if (
+    status === PUSH_STATUS.UNSUPPORTED ||
+    status === PUSH_STATUS.UNAVAILABLE
+  ) {
+    return;
+  }
+
+  document.getElementById("push-item").hidden = false;
+  renderPushStatus(status);
+}
+
+/**
+ * Show the push status and toggle button
+ * @param {string} status - One of PUSH_STATUS
+ */
+function renderPushStatus(status) {
+  const text = {
+    [PUSH_STATUS.ON]:
+      "On - service completions, new invoices and new messages, as chosen below",
+    [PUSH_STATUS.OFF]:
+      "Off - turn on to get service completions, new invoices and new messages here",
+    [PUSH_STATUS.BLOCKED]:
+      "Blocked - allow notifications for this site in your browser settings",
+  };
+
+  document.getElementById("push-status-text").textContent =
+    text[status] || text[PUSH_STATUS.OFF];
+  const button = document.getElementById("push-toggle-btn");
+  button.textContent = status === PUSH_STATUS.ON ? "Turn Off" : "Turn On";
+  button.dataset.status = status;
+}
+
+/**
+ * Handle push toggle
+ */
+async function handlePushToggle() {
+  const button = document.getElementById("push-toggle-btn");
+  const turningOff = button.dataset.status === PUSH_STATUS.ON;
+  hideAllAlerts();
+  button.disabled = true;
+
+  const { data: status, error } = turningOff
+    ? await disablePush()
+    : await enablePush();
+
+  button.disabled = false;
+  renderPushStatus(status);
+
+  if (error) {
+    console.error("Error updating push notifications:", error);
+    showError(error.message);
+  } else if (status === PUSH_STATUS.ON) {
+    showSuccess("Push notifications are on for this device");
+  }
+}
+
 /**
  * Load accessible boats
  */
 async function loadBoats() {
-  const { boats, error } = await getAccessibleBoats();
+  const { data: boats, error } = await getAccessibleBoats();
 
   if (error) {
     console.error("Error loading boats:", error);
     return;
   }
 
+  accessibleBoats = boats;
   const container = document.getElementById("boat-selector");
 
   if (boats.length === 0) {
@@ -287,7 +478,7 @@ async function loadBoats() {
         <div class="boat-name">${boat.name}</div>
         <div class="boat-details">
           ${boat.year || ""} ${boat.make || ""} ${boat.model || ""}
-          ${access.is_primary ? " • Primary Contact" : ""}
+          ${access.role ? ` • ${getRoleLabel(access.role)}` : ""}
         </div>
       </div>
     `;
@@ -300,6 +491,153 @@ async function loadBoats() {
       handleBoatSwitch(option.dataset.boatId),
     );
   });
+
+  await loadBoatSettings();
+}
+
+/**
+ * Show the settings the current boat's role allows
+ */
+async function loadBoatSettings() {
+  const section = document.getElementById("sharing-section");
+  const access = accessibleBoats.find((a) => a.boat_id === currentBoatId);
+
+  hideRestrictedNavLinks(access?.role);
+  document.getElementById("payment-section").style.display = hasBoatPermission(
+    access?.role,
+    BOAT_PERMISSIONS.MANAGE_PAYMENT,
+  )
+    ? ""
+    : "none";
+
+  // Sharing is managed by the primary owner only
+  if (
+    !hasBoatPermission(access?.role, BOAT_PERMISSIONS.MANAGE_SHARING) ||
+    !access.customer_account_id
+  ) {
+    section.style.display = "none";
+    return;
+  }
+
+  section.style.display = "block";
+  document.getElementById("sharing-boat-name").textContent = access.boat.name;
+
+  await Promise.all([loadBoatMembers(), loadPendingInvitations()]);
+}
+
+/**
+ * Render everyone with access to the current boat
+ */
+async function loadBoatMembers() {
+  const container = document.getElementById("sharing-members");
+  const { data: members, error } = await getBoatMembers(currentBoatId);
+
+  if (error) {
+    console.error("Error loading boat members:", error);
+    container.innerHTML = `<p class="form-help">Could not load members: ${escapeHtml(error.message)}</p>`;
+    return;
+  }
+
+  container.innerHTML = members
+    .map(
+      (member) => `
+      <div class="sharing-row">
+        <div>
+          <div>${escapeHtml(member.email)}</div>
+          <div class="sharing-meta">${escapeHtml(getRoleLabel(member.role))}</div>
+        </div>
+        ${
+          member.role === BOAT_ROLES.OWNER
+            ? ""
+            : `<button type="button" class="btn-link-danger" data-account-id="${member.customer_account_id}">Remove</button>`
+        }
+      </div>
+    `,
+    )
+    .join("");
+}
+
+/**
+ * Render open invitations for the current boat
+ */
+async function loadPendingInvitations() {
+  const container = document.getElementById("sharing-invitations");
+  const { data: invitations, error } =
+    await getPendingInvitations(currentBoatId);
+
+  if (error) {
+    console.error("Error loading invitations:", error);
+    container.innerHTML = `<p class="form-help">Could not load invitations: ${escapeHtml(error.message)}</p>`;
+    return;
+  }
+
+  if (invitations.length === 0) {
+    container.innerHTML = '<p class="form-help">No pending invitations</p>';
+    return;
+  }
+
+  container.innerHTML = invitations
+    .map(
+      (invitation) => `
+      <div class="sharing-row">
+        <div>
+          <div>${escapeHtml(invitation.email)}</div>
+          <div class="sharing-meta">
+            ${escapeHtml(getRoleLabel(invitation.role))} •
+            Expires ${new Date(invitation.expires_at).toLocaleDateString()}
+          </div>
+        </div>
+        <button type="button" class="btn-link-danger" data-invitation-id="${invitation.id}">Revoke</button>
+      </div>
+    `,
+    )
+    .join("");
+}
+
+/**
+ * Show the invitation from an ?invite= link so the user can accept it
+ */
+async function loadInvitationFromLink() {
+  const token = new URLSearchParams(window.location.search).get("invite");
+  if (!token) return;
+
+  const section = document.getElementById("invitation-section");
+  const details = document.getElementById("invitation-details");
+  section.style.display = "block";
+
+  const { data: invitation, error } = await getInvitation(token);
+
+  if (error) {
+    details.innerHTML = `<p class="description">${escapeHtml(error.message)}</p>`;
+    return;
+  }
+
+  if (invitation.status !== "pending") {
+    details.innerHTML = `<p class="description">This invitation has already been ${escapeHtml(invitation.status)}.</p>`;
+    return;
+  }
+
+  if (new Date(invitation.expires_at) < new Date()) {
+    details.innerHTML =
+      '<p class="description">This invitation has expired. Ask the boat owner to send a new one.</p>';
+    return;
+  }
+
+  details.innerHTML = `
+    <p class="description">
+      ${escapeHtml(invitation.invited_by_email)} invited you to
+      <strong>${escapeHtml(invitation.boat_name)}</strong> as
+      <strong>${escapeHtml(getRoleLabel(invitation.role))}</strong>.
+      ${escapeHtml(getRoleDescription(invitation.role))}.
+    </p>
+    <button type="button" class="btn btn-primary" id="accept-invitation-btn">
+      Accept Invitation
+    </button>
+  `;
+
+  document
+    .getElementById("accept-invitation-btn")
+    .addEventListener("click", () => handleAcceptInvitation(token));
 }
 
 /**
@@ -324,6 +662,36 @@ function setupEventListeners() {
     .getElementById("password-form")
     .addEventListener("submit", handlePasswordSubmit);
 
+  // Two-factor authentication
+  document
+    .getElementById("enable-two-factor-btn")
+    .addEventListener("click", handleEnableTwoFactor);
+
+  document
+    .getElementById("two-factor-verify-form")
+    .addEventListener("submit", handleVerifyTwoFactor);
+
+  document
+    .getElementById("cancel-two-factor-btn")
+    .addEventListener("click", handleCancelTwoFactor);
+
+  document
+    .getElementById("regenerate-codes-btn")
+    .addEventListener("click", handleRegenerateRecoveryCodes);
+
+  document
+    .getElementById("disable-two-factor-btn")
+    .addEventListener("click", handleDisableTwoFactor);
+
+  document
+    .getElementById("copy-recovery-codes-btn")
+    .addEventListener("click", handleCopyRecoveryCodes);
+
+  // Push notifications on this device
+  document
+    .getElementById("push-toggle-btn")
+    .addEventListener("click", handlePushToggle);
+
   // Notification toggles
   document.querySelectorAll(".toggle-switch").forEach((toggle) => {
     toggle.addEventListener("click", () => handleToggle(toggle));
@@ -334,10 +702,43 @@ function setupEventListeners() {
     .getElementById("reminder-days")
     .addEventListener("change", handleReminderDaysChange);
 
+  // Boat sharing
+  const roleSelect = document.getElementById("invite-role");
+  roleSelect.innerHTML = INVITABLE_ROLES.map(
+    (role) => `<option value="${role}">${getRoleLabel(role)}</option>`,
+  ).join("");
+  updateRoleHelp();
+  roleSelect.addEventListener("change", updateRoleHelp);
+
+  document
+    .getElementById("invite-form")
+    .addEventListener("submit", handleInviteSubmit);
+
+  document
+    .getElementById("sharing-members")
+    .addEventListener("click", handleRemoveMember);
+
+  document
+    .getElementById("sharing-invitations")
+    .addEventListener("click", handleRevokeInvitation);
+
+  document
+    .getElementById("copy-invite-link-btn")
+    .addEventListener("click", handleCopyInviteLink);
+
+  // Data export
+  document
+    .getElementById("export-data-btn")
+    .addEventListener("click", handleExportData);
+
   // Delete account button
   document
     .getElementById("delete-account-btn")
     .addEventListener("click", handleDeleteAccount);
+
+  document
+    .getElementById("cancel-deletion-btn")
+    .addEventListener("click", handleCancelDeletion);
 }
 
 /**
@@ -384,7 +785,7 @@ async function handleProfileSubmit(event) {
     if (newEmail !== currentUser.email) {
       const { error } = await updateEmail(newEmail);
       if (error) {
-        throw new Error(`Failed to update email: ${error}`);
+        throw new Error(`Failed to update email: ${error.message}`);
       }
       showInfo(
         "Verification email sent to " +
@@ -397,7 +798,7 @@ async function handleProfileSubmit(event) {
     if (newPhone) {
       const { error } = await updatePhone(newPhone);
       if (error) {
-        throw new Error(`Failed to update phone: ${error}`);
+        throw new Error(`Failed to update phone: ${error.message}`);
       }
     }
 
@@ -447,7 +848,7 @@ async function handlePasswordSubmit(event) {
     const { error } = await changePassword(newPassword);
 
     if (error) {
-      throw new Error(error);
+      throw new Error(error.message);
     }
 
     // Clear form
@@ -463,6 +864,174 @@ async function handlePasswordSubmit(event) {
   }
 }
 
+/**
+ * Ask for an authenticator code if this session hasn't verified one yet
+ * (needed before changing recovery codes or turning two-factor off)
+ * @returns {Promise<boolean>}
+ */
+async function ensureTwoFactorVerified() {
+  if (!(await needsMfaChallenge())) return true;
+  return promptMfaChallenge({
+    message: "Enter the code from your authenticator app to continue.",
+  });
+}
+
+/**
+ * Handle starting authenticator setup
+ */
+async function handleEnableTwoFactor() {
+  hideAllAlerts();
+
+  const button = document.getElementById("enable-two-factor-btn");
+  button.disabled = true;
+
+  const { data, error } = await enrollTotp();
+  button.disabled = false;
+
+  if (error) {
+    showError(`Failed to start two-factor setup: ${error.message}`);
+    return;
+  }
+
+  pendingFactorId = data.factorId;
+  document.getElementById("two-factor-qr").src = data.qrCode;
+  document.getElementById("two-factor-secret").textContent = data.secret;
+  document.getElementById("two-factor-code").value = "";
+  document.getElementById("two-factor-off").style.display = "none";
+  document.getElementById("two-factor-enroll").style.display = "block";
+  document.getElementById("two-factor-code").focus();
+}
+
+/**
+ * Handle verifying the first code from a new authenticator
+ */
+async function handleVerifyTwoFactor(event) {
+  event.preventDefault();
+  hideAllAlerts();
+
+  const button = document.getElementById("verify-two-factor-btn");
+  button.disabled = true;
+  button.textContent = "Verifying...";
+
+  const { error } = await confirmTotpEnrollment(
+    pendingFactorId,
+    document.getElementById("two-factor-code").value,
+  );
+
+  button.disabled = false;
+  button.textContent = "Verify and Enable";
+
+  if (error) {
+    showError(`Failed to verify code: ${error.message}`);
+    return;
+  }
+
+  pendingFactorId = null;
+  await showNewRecoveryCodes();
+  await loadTwoFactorStatus();
+  showSuccess("Two-factor authentication is on");
+}
+
+/**
+ * Handle cancelling authenticator setup
+ * The unverified factor is cleaned up the next time setup starts
+ */
+function handleCancelTwoFactor() {
+  pendingFactorId = null;
+  document.getElementById("two-factor-enroll").style.display = "none";
+  document.getElementById("two-factor-off").style.display = "block";
+}
+
+/**
+ * Handle replacing recovery codes
+ */
+async function handleRegenerateRecoveryCodes() {
+  hideAllAlerts();
+
+  if (
+    !confirm(
+      "Create new recovery codes? Your existing recovery codes will stop working.",
+    )
+  ) {
+    return;
+  }
+
+  if (!(await ensureTwoFactorVerified())) return;
+
+  if (await showNewRecoveryCodes()) {
+    await loadTwoFactorStatus();
+  }
+}
+
+/**
+ * Generate recovery codes and show them once
+ * @returns {Promise<boolean>}
+ */
+async function showNewRecoveryCodes() {
+  const { data: codes, error } = await generateRecoveryCodes();
+
+  if (error) {
+    showError(`Failed to create recovery codes: ${error.message}`);
+    return false;
+  }
+
+  document.getElementById("recovery-code-list").innerHTML = codes
+    .map((code) => `<li>${escapeHtml(code)}</li>`)
+    .join("");
+  document.getElementById("recovery-codes").style.display = "block";
+  return true;
+}
+
+/**
+ * Copy the displayed recovery codes to the clipboard
+ */
+async function handleCopyRecoveryCodes() {
+  const codes = Array.from(
+    document.querySelectorAll("#recovery-code-list li"),
+    (item) => item.textContent,
+  ).join("\n");
+
+  try {
+    await navigator.clipboard.writeText(codes);
+    showSuccess("Recovery codes copied");
+  } catch {
+    showError("Could not copy - please write the codes down instead");
+  }
+}
+
+/**
+ * Handle turning two-factor authentication off
+ */
+async function handleDisableTwoFactor() {
+  hideAllAlerts();
+
+  const adminWarning =
+    document.getElementById("two-factor-admin-note").style.display === "block"
+      ? "\n\nYou will not be able to view customer accounts until you turn it back on."
+      : "";
+
+  if (
+    !confirm(
+      `Turn off two-factor authentication? You will sign in with your password only.${adminWarning}`,
+    )
+  ) {
+    return;
+  }
+
+  if (!(await ensureTwoFactorVerified())) return;
+
+  const { error } = await disableTotp(mfaFactorId);
+
+  if (error) {
+    showError(`Failed to turn off two-factor authentication: ${error.message}`);
+    return;
+  }
+
+  document.getElementById("recovery-codes").style.display = "none";
+  await loadTwoFactorStatus();
+  showSuccess("Two-factor authentication is off");
+}
+
 /**
  * Handle notification toggle
  */
@@ -504,7 +1073,7 @@ async function saveNotificationPreferences() {
 
   if (error) {
     console.error("Error saving preferences:", error);
-    showError("Failed to save notification preferences");
+    showError(`Failed to save notification preferences: ${error.message}`);
   }
 }
 
@@ -516,10 +1085,10 @@ async function handleBoatSwitch(boatId) {
     return;
   }
 
-  const { success, error } = await switchCurrentBoat(boatId);
+  const { error } = await switchCurrentBoat(boatId);
 
   if (error) {
-    showError("Failed to switch boat: " + error);
+    showError("Failed to switch boat: " + error.message);
     return;
   }
 
@@ -529,6 +1098,7 @@ async function handleBoatSwitch(boatId) {
   });
 
   currentBoatId = boatId;
+  await loadBoatSettings();
 
   showSuccess(
     "Switched to selected boat. Refresh the page to see updated data.",
@@ -536,43 +1106,247 @@ async function handleBoatSwitch(boatId) {
 }
 
 /**
- * Handle account deletion
+ * Show what the selected invite role can do
  */
-async function handleDeleteAccount() {
-  const confirmed = confirm(
-    "Are you sure you want to delete your account?\n\n" +
-      "This action cannot be undone. You will lose access to all your data.\n\n" +
-      "Click OK to proceed with deletion, or Cancel to keep your account.",
-  );
+function updateRoleHelp() {
+  const role = document.getElementById("invite-role").value;
+  document.getElementById("invite-role-help").textContent =
+    getRoleDescription(role);
+}
 
-  if (!confirmed) {
+/**
+ * Handle invite form submission
+ */
+async function handleInviteSubmit(event) {
+  event.preventDefault();
+  hideAllAlerts();
+  hideAllErrors();
+
+  const email = document.getElementById("invite-email").value.trim();
+  const role = document.getElementById("invite-role").value;
+
+  if (!isValidEmail(email)) {
+    showFieldError("invite-error", "Please enter a valid email address");
     return;
   }
 
-  // Second confirmation
-  const doubleConfirm = confirm(
-    "This is your final warning.\n\n" +
-      "Deleting your account will permanently remove all your data.\n\n" +
-      "Are you absolutely sure?",
+  const submitBtn = document.getElementById("invite-btn");
+  const originalText = submitBtn.textContent;
+  submitBtn.disabled = true;
+  submitBtn.textContent = "Creating...";
+
+  try {
+    const { data: invitation, error } = await inviteToBoat(
+      currentBoatId,
+      email,
+      role,
+    );
+
+    if (error) {
+      showFieldError("invite-error", error.message);
+      return;
+    }
+
+    showInviteLink(invitation);
+    document.getElementById("invite-email").value = "";
+    await loadPendingInvitations();
+  } finally {
+    submitBtn.disabled = false;
+    submitBtn.textContent = originalText;
+  }
+}
+
+/**
+ * Show the link for a new invitation, ready to copy or email
+ */
+function showInviteLink(invitation) {
+  const boatName =
+    document.getElementById("sharing-boat-name").textContent || "my boat";
+  const subject = `You're invited to ${boatName} on Sailor Skills`;
+  const body =
+    `I've shared ${boatName} with you on the Sailor Skills portal ` +
+    `(${getRoleLabel(invitation.role)} access).\n\n` +
+    `Sign in or create an account with this email address, then open:\n` +
+    invitation.inviteUrl;
+
+  document.getElementById("invite-link-url").value = invitation.inviteUrl;
+  document.getElementById("email-invite-link").href =
+    `mailto:${encodeURIComponent(invitation.email)}` +
+    `?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+  document.getElementById("invite-link").style.display = "flex";
+}
+
+/**
+ * Copy the invite link to the clipboard
+ */
+async function handleCopyInviteLink() {
+  const input = document.getElementById("invite-link-url");
+
+  try {
+    await navigator.clipboard.writeText(input.value);
+    showSuccess("Invite link copied");
+  } catch {
+    input.select();
+  }
+}
+
+/**
+ * Handle removing someone's access to the current boat
+ */
+async function handleRemoveMember(event) {
+  const button = event.target.closest("[data-account-id]");
+  if (!button) return;
+
+  if (!confirm("Remove this person's access to the boat?")) return;
+
+  button.disabled = true;
+  const { error } = await revokeBoatAccess(
+    currentBoatId,
+    button.dataset.accountId,
   );
 
-  if (!doubleConfirm) {
+  if (error) {
+    button.disabled = false;
+    showError(`Failed to remove access: ${error.message}`);
+    return;
+  }
+
+  showSuccess("Access removed");
+  await loadBoatMembers();
+}
+
+/**
+ * Handle revoking a pending invitation
+ */
+async function handleRevokeInvitation(event) {
+  const button = event.target.closest("[data-invitation-id]");
+  if (!button) return;
+
+  button.disabled = true;
+  const { error } = await revokeInvitation(button.dataset.invitationId);
+
+  if (error) {
+    button.disabled = false;
+    showError(`Failed to revoke invitation: ${error.message}`);
+    return;
+  }
+
+  showSuccess("Invitation revoked");
+  await loadPendingInvitations();
+}
+
+/**
+ * Handle accepting an invitation from an invite link
+ */
+async function handleAcceptInvitation(token) {
+  const button = document.getElementById("accept-invitation-btn");
+  button.disabled = true;
+
+  const { data: boatId, error } = await acceptBoatInvitation(token);
+
+  if (error) {
+    button.disabled = false;
+    showError(`Failed to accept invitation: ${error.message}`);
     return;
   }
 
+  // Drop the token from the URL and switch to the shared boat
+  window.history.replaceState({}, "", window.location.pathname);
+  document.getElementById("invitation-section").style.display = "none";
+
+  await loadBoats();
+  await handleBoatSwitch(boatId);
+}
+
+/**
+ * Handle "Download my data"
+ */
+async function handleExportData() {
+  hideAllAlerts();
+
+  const button = document.getElementById("export-data-btn");
+  const originalText = button.textContent;
+  button.disabled = true;
+  button.textContent = "Preparing download...";
+
   try {
-    const { success, error } = await deleteAccount();
+    const { data: exportData, error } = await getAccountDataExport();
 
     if (error) {
-      throw new Error(error);
+      throw new Error(error.message);
     }
 
-    // Redirect to login
-    window.location.href = "/login.html?message=account-deleted";
+    downloadBlob(
+      buildAccountExportZip(exportData),
+      `sailorskills-data-${exportData.exported_at.slice(0, 10)}.zip`,
+    );
   } catch (error) {
+    console.error("Data export error:", error);
+    showError(`Failed to export your data: ${error.message}`);
+  } finally {
+    button.disabled = false;
+    button.textContent = originalText;
+  }
+}
+
+/**
+ * Handle account deletion request
+ */
+async function handleDeleteAccount() {
+  const confirmed = confirm(
+    "Are you sure you want to delete your account?\n\n" +
+      "Your account will be deleted in 30 days. Until then you can sign in and cancel.\n\n" +
+      "After that, your boat access is removed and your messages and attachments are erased. " +
+      "This cannot be undone.\n\n" +
+      "Click OK to schedule deletion, or Cancel to keep your account.",
+  );
+
+  if (!confirmed) {
+    return;
+  }
+
+  hideAllAlerts();
+
+  const { data, error } = await deleteAccount();
+
+  if (error) {
     console.error("Delete account error:", error);
-    showError("Failed to delete account. Please contact support.");
+    showError(`Failed to request account deletion: ${error.message}`);
+    return;
+  }
+
+  showDeletionStatus(data.scheduledFor);
+  showInfo(
+    "Your account is scheduled for deletion. You can cancel any time before then.",
+  );
+}
+
+/**
+ * Handle cancelling a scheduled deletion
+ */
+async function handleCancelDeletion() {
+  hideAllAlerts();
+
+  const { error } = await cancelAccountDeletion();
+
+  if (error) {
+    showError(`Failed to cancel account deletion: ${error.message}`);
+    return;
   }
+
+  showDeletionStatus(null);
+  showSuccess("Your account will not be deleted");
+}
+
+/**
+ * Escape HTML to prevent XSS
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
 }
 
 /**
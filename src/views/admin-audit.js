@@ -0,0 +1,253 @@
+/**
+ * Admin - Impersonation Audit View
+ * Lists admin impersonation sessions and what happened during each one
+ */
+import { requireAuth, getCurrentUser, isAdmin, logout } from "../auth/auth.js";
+import { startSessionManager } from "../auth/session-manager.js";
+import { startPwa } from "../ui/pwa.js";
+import { getAllCustomers } from "../api/customers.js";
+import {
+  loadImpersonationSessions,
+  loadImpersonationEvents,
+  formatSessionDuration,
+} from "../api/impersonation-audit.js";
+
+// Require authentication (redirects to SSO login)
+const isAuth = await requireAuth();
+if (!isAuth) {
+  throw new Error("Not authenticated");
+}
+
+startSessionManager();
+startPwa();
+
+// Admins only - everyone else goes back to the dashboard
+const { user: currentUser } = await getCurrentUser();
+if (!currentUser || !(await isAdmin(currentUser.id))) {
+  window.location.href = "/portal.html";
+  throw new Error("Admin access required");
+}
+
+// State
+let sessions = [];
+let selectedSessionId = null;
+
+const EVENT_LABELS = {
+  page_view: "Viewed page",
+  mutation: "Change",
+  mode_change: "Switched mode",
+};
+
+/**
+ * Initialize page
+ */
+async function init() {
+  document.getElementById("user-email").textContent = currentUser.email;
+  document.getElementById("logout-btn").addEventListener("click", async () => {
+    const { success } = await logout();
+    if (success) {
+      window.location.href = "/login.html";
+    }
+  });
+
+  await initCustomerFilter();
+  await loadSessions();
+}
+
+/**
+ * Populate the customer filter
+ */
+async function initCustomerFilter() {
+  const filterEl = document.getElementById("customer-filter");
+  const { data: customers, error } = await getAllCustomers();
+
+  if (error) {
+    console.error("Failed to load customers for filter:", error);
+    return;
+  }
+
+  customers.forEach((customer) => {
+    const option = document.createElement("option");
+    option.value = customer.id;
+    option.textContent = customer.name || customer.email;
+    filterEl.appendChild(option);
+  });
+
+  filterEl.addEventListener("change", () => {
+    selectedSessionId = null;
+    loadSessions();
+  });
+}
+
+/**
+ * Load and render sessions for the current filter
+ */
+async function loadSessions() {
+  const listEl = document.getElementById("session-list");
+  listEl.innerHTML = '<div class="loader">Loading sessions...</div>';
+  document.getElementById("session-events").innerHTML = "";
+
+  const customerId = document.getElementById("customer-filter").value;
+  const { data, error } = await loadImpersonationSessions({
+    customerId: customerId || null,
+  });
+
+  if (error) {
+    listEl.innerHTML = `<div class="alert alert-danger">Failed to load audit log: ${escapeHtml(error.message)}</div>`;
+    return;
+  }
+
+  sessions = data;
+  renderSessions();
+}
+
+/**
+ * Render the session table
+ */
+function renderSessions() {
+  const listEl = document.getElementById("session-list");
+
+  if (sessions.length === 0) {
+    listEl.innerHTML =
+      '<div class="empty-state">No impersonation sessions recorded.</div>';
+    return;
+  }
+
+  listEl.innerHTML = `
+    <table class="portal-table">
+      <thead>
+        <tr>
+          <th>Started</th>
+          <th>Admin</th>
+          <th>Customer</th>
+          <th>Mode</th>
+          <th>Duration</th>
+          <th>Events</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${sessions
+          .map(
+            (session) => `
+          <tr data-session-id="${session.id}" class="${session.id === selectedSessionId ? "selected" : ""}">
+            <td>${formatTimestamp(session.started_at)}</td>
+            <td>${escapeHtml(session.admin?.email || "Unknown")}</td>
+            <td>${escapeHtml(session.customer?.name || session.customer?.email || "Unknown")}</td>
+            <td><span class="status-badge ${session.mode === "act-as" ? "status-warning" : "status-neutral"}">${session.mode === "act-as" ? "Act as" : "Read-only"}</span></td>
+            <td>${formatSessionDuration(session)}${session.ended_at ? "" : " (not exited)"}</td>
+            <td>${session.eventCount}</td>
+          </tr>
+        `,
+          )
+          .join("")}
+      </tbody>
+    </table>
+  `;
+
+  listEl.querySelectorAll("tr[data-session-id]").forEach((row) => {
+    row.addEventListener("click", () => selectSession(row.dataset.sessionId));
+  });
+}
+
+/**
+ * Show the events of one session
+ * @param {string} sessionId - Session ID
+ */
+async function selectSession(sessionId) {
+  selectedSessionId = sessionId;
+  renderSessions();
+
+  const eventsEl = document.getElementById("session-events");
+  eventsEl.innerHTML = '<div class="loader">Loading events...</div>';
+
+  const { data: events, error } = await loadImpersonationEvents(sessionId);
+
+  if (error) {
+    eventsEl.innerHTML = `<div class="alert alert-danger">Failed to load events: ${escapeHtml(error.message)}</div>`;
+    return;
+  }
+
+  if (events.length === 0) {
+    eventsEl.innerHTML =
+      '<div class="empty-state">No events recorded for this session.</div>';
+    return;
+  }
+
+  eventsEl.innerHTML = `
+    <h3 class="card-title">Session Events</h3>
+    <table class="portal-table">
+      <thead>
+        <tr>
+          <th>Time</th>
+          <th>Event</th>
+          <th>Details</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${events
+          .map(
+            (event) => `
+          <tr>
+            <td>${formatTimestamp(event.created_at)}</td>
+            <td>${EVENT_LABELS[event.event_type] || escapeHtml(event.event_type)}</td>
+            <td>${formatEventDetails(event)}</td>
+          </tr>
+        `,
+          )
+          .join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Describe an event's details for display
+ * @param {object} event - Event row
+ * @returns {string} HTML
+ */
+function formatEventDetails(event) {
+  const details = event.details || {};
+
+  switch (event.event_type) {
+    case "page_view":
+      return escapeHtml(details.path || "");
+    case "mode_change":
+      return details.mode === "act-as" ? "Act as customer" : "Read-only";
+    case "mutation":
+      return `${escapeHtml(details.operation || "")} ${
+        details.succeeded
+          ? '<span class="status-badge status-success">Saved</span>'
+          : `<span class="status-badge status-danger">Not saved</span> ${escapeHtml(details.error || "")}`
+      }`;
+    default:
+      return escapeHtml(JSON.stringify(details));
+  }
+}
+
+/**
+ * Format a timestamp for display
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string}
+ */
+function formatTimestamp(timestamp) {
+  return new Date(timestamp).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+}
+
+/**
+ * Escape HTML to prevent XSS
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+init();
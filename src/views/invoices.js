@@ -9,12 +9,22 @@ import {
   getUserBoats,
   logout,
   isAdmin,
-  setImpersonation,
   clearImpersonation,
-  supabase,
 } from "../auth/auth.js";
+import { startSessionManager } from "../auth/session-manager.js";
+import { startPwa } from "../ui/pwa.js";
+import {
+  mountImpersonationModeToggle,
+  startImpersonation,
+  mountAdminTwoFactorPrompt,
+} from "../ui/impersonation-mode.js";
+import { applyBoatAccess } from "../ui/boat-access.js";
+import { BOAT_PERMISSIONS } from "../lib/boat-roles.js";
+import { startImpersonationAudit } from "../lib/impersonation-audit.js";
+import { getFunctionUrl } from "../lib/config.js";
 import { getAllCustomers } from "../api/customers.js";
 import {
+  getStripeCustomerId,
   loadInvoices,
   getInvoiceStats,
   formatCurrency,
@@ -30,6 +40,9 @@ if (!isAuth) {
   throw new Error("Not authenticated");
 }
 
+startSessionManager();
+startPwa();
+
 // State
 let currentUser = null;
 let currentBoatId = null;
@@ -45,7 +58,11 @@ let isAdminUser = false;
  * Initialize admin selectors (customer and boat)
  */
 async function initAdminSelectors() {
-  if (!isAdminUser) return;
+  if (!isAdminUser) {
+    // Admin accounts that haven't passed two-factor get that step instead
+    await mountAdminTwoFactorPrompt(document.getElementById("admin-selectors"));
+    return;
+  }
 
   const selectorsEl = document.getElementById("admin-selectors");
   selectorsEl.style.display = "flex";
@@ -54,7 +71,7 @@ async function initAdminSelectors() {
   const customerSearch = document.getElementById("customer-search");
   const customerDatalist = document.getElementById("customer-datalist");
 
-  const { customers, error } = await getAllCustomers();
+  const { data: customers, error } = await getAllCustomers();
   if (error) {
     console.error("Failed to load customers:", error);
   } else {
@@ -73,7 +90,7 @@ async function initAdminSelectors() {
 
       if (selectedOption) {
         const customerId = selectedOption.dataset.customerId;
-        const { success } = await setImpersonation(customerId);
+        const { success } = await startImpersonation(customerId);
         if (success) window.location.reload();
       }
     });
@@ -135,6 +152,8 @@ async function initImpersonationBanner() {
 
   if (bannerEl) {
     bannerEl.style.display = "flex";
+    mountImpersonationModeToggle(bannerEl);
+    startImpersonationAudit();
   }
 
   // Hide header selector when impersonating
@@ -142,7 +161,7 @@ async function initImpersonationBanner() {
   if (headerSelector) headerSelector.style.display = "none";
 
   // Load all customers for banner selector
-  const { customers, error } = await getAllCustomers();
+  const { data: customers, error } = await getAllCustomers();
   if (error) {
     console.error("Failed to load customers for banner:", error);
     return;
@@ -173,7 +192,7 @@ async function initImpersonationBanner() {
 
     if (selectedOption) {
       const customerId = selectedOption.dataset.customerId;
-      const { success } = await setImpersonation(customerId);
+      const { success } = await startImpersonation(customerId);
       if (success) window.location.reload();
     }
   });
@@ -191,8 +210,8 @@ async function initImpersonationBanner() {
 
   // Handle exit button
   if (exitBtn) {
-    exitBtn.addEventListener("click", () => {
-      clearImpersonation();
+    exitBtn.addEventListener("click", async () => {
+      await clearImpersonation();
       window.location.reload();
     });
   }
@@ -244,6 +263,12 @@ async function init() {
   selectedBoatId = boat.id;
   currentCustomerId = boat.customer_id;
 
+  // Stop here if this boat's role cannot see invoices
+  if (!applyBoatAccess(boat, BOAT_PERMISSIONS.VIEW_INVOICES)) {
+    setupEventListeners();
+    return;
+  }
+
   // Initialize admin selectors
   await initAdminSelectors();
 
@@ -254,35 +279,17 @@ async function init() {
   setupEventListeners();
 }
 
-/**
- * Get Stripe customer ID for the current customer
- * @returns {Promise<string|null>} Stripe customer ID
- */
-async function getStripeCustomerId() {
-  if (!currentCustomerId) return null;
-
-  try {
-    const { data, error } = await supabase
-      .from("customers")
-      .select("stripe_customer_id")
-      .eq("id", currentCustomerId)
-      .single();
-
-    if (error) throw error;
-
-    return data?.stripe_customer_id || null;
-  } catch (error) {
-    console.error("Error fetching Stripe customer ID:", error);
-    return null;
-  }
-}
-
 /**
  * Load invoice data
  */
 async function loadData() {
   // Get Stripe customer ID for invoice queries
-  currentStripeCustomerId = await getStripeCustomerId();
+  const { data: stripeCustomerId, error: stripeError } =
+    await getStripeCustomerId(currentCustomerId);
+  if (stripeError) {
+    console.error("Error fetching Stripe customer ID:", stripeError);
+  }
+  currentStripeCustomerId = stripeCustomerId;
 
   if (!currentStripeCustomerId) {
     console.warn(
@@ -306,7 +313,7 @@ async function loadData() {
  * Load invoice statistics
  */
 async function loadStats() {
-  const { stats, error } = await getInvoiceStats(
+  const { data: stats, error } = await getInvoiceStats(
     currentBoatId,
     currentStripeCustomerId,
   );
@@ -340,7 +347,7 @@ async function loadStats() {
  * Load invoice list
  */
 async function loadInvoiceList() {
-  const { invoices, error } = await loadInvoices(
+  const { data: invoices, error } = await loadInvoices(
     currentBoatId,
     currentStripeCustomerId,
   );
@@ -533,9 +540,8 @@ function setupEventListeners() {
         btn.disabled = true;
         btn.textContent = "Opening Portal...";
 
-        const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
         const response = await fetch(
-          `${supabaseUrl}/functions/v1/create-customer-portal-session`,
+          getFunctionUrl("create-customer-portal-session"),
           {
             method: "POST",
             headers: {
@@ -9,9 +9,23 @@ import {
   getUserBoats,
   logout,
   isAdmin,
-  setImpersonation,
   clearImpersonation,
 } from "../auth/auth.js";
+import {
+  startSessionManager,
+  getDraftState,
+  restoreFormDraft,
+} from "../auth/session-manager.js";
+import { startPwa } from "../ui/pwa.js";
+import { OUTBOX_TYPES, queueOutgoing, isOfflineError } from "../ui/outbox.js";
+import {
+  mountImpersonationModeToggle,
+  startImpersonation,
+  mountAdminTwoFactorPrompt,
+} from "../ui/impersonation-mode.js";
+import { applyBoatAccess } from "../ui/boat-access.js";
+import { BOAT_PERMISSIONS } from "../lib/boat-roles.js";
+import { startImpersonationAudit } from "../lib/impersonation-audit.js";
 import { getAllCustomers } from "../api/customers.js";
 import {
   loadConversations,
@@ -33,6 +47,13 @@ if (!isAuth) {
   throw new Error("Not authenticated");
 }
 
+// Keep an unsent message (and its conversation) across a re-login
+await startSessionManager({
+  fields: ["message-input"],
+  getState: () => ({ conversationId: selectedConversationId }),
+});
+startPwa();
+
 // State
 let currentUser = null;
 let currentBoatId = null;
@@ -59,6 +80,8 @@ async function initImpersonationBanner() {
 
   if (bannerEl) {
     bannerEl.style.display = "flex";
+    mountImpersonationModeToggle(bannerEl);
+    startImpersonationAudit();
   }
 
   // Hide header selector when impersonating
@@ -66,7 +89,7 @@ async function initImpersonationBanner() {
   if (headerSelector) headerSelector.style.display = "none";
 
   // Load all customers for banner selector
-  const { customers, error } = await getAllCustomers();
+  const { data: customers, error } = await getAllCustomers();
   if (error) {
     console.error("Failed to load customers for banner:", error);
     return;
@@ -97,7 +120,7 @@ async function initImpersonationBanner() {
 
     if (selectedOption) {
       const customerId = selectedOption.dataset.customerId;
-      const { success } = await setImpersonation(customerId);
+      const { success } = await startImpersonation(customerId);
       if (success) window.location.reload();
     }
   });
@@ -115,8 +138,8 @@ async function initImpersonationBanner() {
 
   // Handle exit button
   if (exitBtn) {
-    exitBtn.addEventListener("click", () => {
-      clearImpersonation();
+    exitBtn.addEventListener("click", async () => {
+      await clearImpersonation();
       window.location.reload();
     });
   }
@@ -127,7 +150,13 @@ async function initImpersonationBanner() {
  */
 async function initCustomerSelector() {
   const adminStatus = await isAdmin(currentUser.id);
-  if (!adminStatus) return;
+  if (!adminStatus) {
+    // Admin accounts that haven't passed two-factor get that step instead
+    await mountAdminTwoFactorPrompt(
+      document.getElementById("admin-customer-selector"),
+    );
+    return;
+  }
 
   const selectorEl = document.getElementById("admin-customer-selector");
   const searchInput = document.getElementById("customer-search");
@@ -136,7 +165,7 @@ async function initCustomerSelector() {
   if (!selectorEl || !searchInput || !datalist) return;
   selectorEl.style.display = "flex";
 
-  const { customers, error } = await getAllCustomers();
+  const { data: customers, error } = await getAllCustomers();
   if (error) {
     console.error("Failed to load customers for selector:", error);
     return;
@@ -157,7 +186,7 @@ async function initCustomerSelector() {
 
     if (selectedOption) {
       const customerId = selectedOption.dataset.customerId;
-      const { success } = await setImpersonation(customerId);
+      const { success } = await startImpersonation(customerId);
       if (success) window.location.reload();
     }
   });
@@ -199,6 +228,12 @@ async function init() {
   const boat = boats.find((b) => b.id === savedBoatId) || boats[0];
   currentBoatId = boat.id;
 
+  // Stop here if this boat's role cannot use messages
+  if (!applyBoatAccess(boat, BOAT_PERMISSIONS.MESSAGES)) {
+    setupEventListeners();
+    return;
+  }
+
   // Load data
   await loadData();
 
@@ -216,8 +251,7 @@ async function init() {
  * Load conversation data
  */
 async function loadData() {
-  const { conversations: convos, error } =
-    await loadConversations(currentBoatId);
+  const { data: convos, error } = await loadConversations(currentBoatId);
 
   if (error) {
     console.error("Error loading conversations:", error);
@@ -228,9 +262,13 @@ async function loadData() {
   conversations = convos;
   renderConversations();
 
-  // Auto-select first conversation if available
+  // Auto-select the conversation of a restored draft, else the first one
   if (conversations.length > 0 && !selectedConversationId) {
-    selectConversation(conversations[0].id);
+    const draftConversationId = getDraftState()?.conversationId;
+    const initial =
+      conversations.find((c) => c.id === draftConversationId) ||
+      conversations[0];
+    selectConversation(initial.id);
   }
 }
 
@@ -288,7 +326,10 @@ window.selectConversation = async function (conversationId) {
   const conversation = conversations.find((c) => c.id === conversationId);
   const serviceLogId = conversation?.service_log_id || null;
 
-  const { messages, error } = await loadThread(currentBoatId, serviceLogId);
+  const { data: messages, error } = await loadThread(
+    currentBoatId,
+    serviceLogId,
+  );
 
   if (error) {
     console.error("Error loading thread:", error);
@@ -357,6 +398,7 @@ function renderThread() {
 
   // Setup composer listeners
   setupComposerListeners();
+  restoreFormDraft();
 }
 
 /**
@@ -439,43 +481,71 @@ async function handleSendMessage(e) {
   submitBtn.textContent = "Sending...";
 
   try {
+    const conversation = conversations.find(
+      (c) => c.id === selectedConversationId,
+    );
+    const serviceLogId = conversation?.service_log_id || null;
+    // Sent with every attempt, so a retry can't store the message twice
+    const clientRequestId = crypto.randomUUID();
+
+    // No connection: keep the message and its files to send later
+    if (!navigator.onLine) {
+      if (
+        await queueMessage({
+          messageText,
+          files: selectedFiles,
+          serviceLogId,
+          clientRequestId,
+        })
+      ) {
+        return;
+      }
+    }
+
     // Upload attachments first
     const attachments = [];
     for (const file of selectedFiles) {
-      const { attachment, error } = await uploadAttachment(file, currentBoatId);
+      const { data: attachment, error } = await uploadAttachment(
+        file,
+        currentBoatId,
+      );
       if (error) {
         console.error("Error uploading file:", error);
-        alert(`Failed to upload ${file.name}: ${error}`);
+        alert(`Failed to upload ${file.name}: ${error.message}`);
         continue;
       }
       attachments.push(attachment);
     }
 
     // Send message
-    const conversation = conversations.find(
-      (c) => c.id === selectedConversationId,
-    );
-    const serviceLogId = conversation?.service_log_id || null;
-
-    const { message, error } = await sendMessage(
+    const { data: message, error } = await sendMessage(
       currentBoatId,
       messageText,
-      currentUser.id,
       attachments,
       serviceLogId,
+      clientRequestId,
     );
 
+    if (
+      error &&
+      isOfflineError(error) &&
+      (await queueMessage({
+        messageText,
+        attachments,
+        serviceLogId,
+        clientRequestId,
+      }))
+    ) {
+      return;
+    }
+
     if (error) {
       console.error("Error sending message:", error);
-      alert("Failed to send message. Please try again.");
+      alert(`Failed to send message: ${error.message}`);
       return;
     }
 
-    // Clear form
-    input.value = "";
-    selectedFiles = [];
-    document.getElementById("file-input").value = "";
-    updateSelectedFilesDisplay();
+    clearMessageForm();
 
     // Add message to UI (will also come via realtime, but this is faster)
     currentMessages.push(message);
@@ -489,6 +559,34 @@ async function handleSendMessage(e) {
   }
 }
 
+/**
+ * Keep a message to send when the connection is back
+ * @param {Object} message - messageText, serviceLogId, clientRequestId and
+ *   files (not yet uploaded) or attachments (already uploaded)
+ * @returns {Promise<boolean>} Whether it was queued
+ */
+async function queueMessage(message) {
+  const queued = await queueOutgoing(OUTBOX_TYPES.MESSAGE, {
+    ...message,
+    boatId: currentBoatId,
+  });
+  if (!queued) return false;
+
+  clearMessageForm();
+  alert("You're offline. Your message will be sent when you reconnect.");
+  return true;
+}
+
+/**
+ * Empty the message box and selected files
+ */
+function clearMessageForm() {
+  document.getElementById("message-input").value = "";
+  selectedFiles = [];
+  document.getElementById("file-input").value = "";
+  updateSelectedFilesDisplay();
+}
+
 /**
  * Update selected files display
  */
@@ -554,7 +652,7 @@ function setupRealtime() {
  * Update unread count badge
  */
 async function updateUnreadCount() {
-  const { count, error } = await getUnreadCount(currentBoatId);
+  const { data: count, error } = await getUnreadCount(currentBoatId);
 
   if (error) {
     console.error("Error getting unread count:", error);
@@ -631,6 +729,13 @@ function setupEventListeners() {
       window.location.href = "/login.html";
     }
   });
+
+  // Show messages written offline once they've been sent
+  window.addEventListener("outbox-sent", () => {
+    if (selectedConversationId) {
+      window.selectConversation(selectedConversationId);
+    }
+  });
 }
 
 // Initialize page
@@ -9,8 +9,14 @@ import {
   requireAuth,
   getCurrentUser,
   getEffectiveUser,
+  getUserBoats,
   logout,
 } from "../auth/auth.js";
+import { startSessionManager } from "../auth/session-manager.js";
+import { startPwa } from "../ui/pwa.js";
+import { applyBoatAccess } from "../ui/boat-access.js";
+import { BOAT_PERMISSIONS } from "../lib/boat-roles.js";
+import { getFunctionUrl } from "../lib/config.js";
 
 // Get Stripe publishable key from environment
 const STRIPE_PUBLISHABLE_KEY =
@@ -153,6 +159,19 @@ async function getCustomerData() {
   }
 }
 
+/**
+ * Get the boat currently selected in the portal
+ * @returns {Promise<Object|null>}
+ */
+async function getCurrentBoat() {
+  const { user } = await getEffectiveUser();
+  if (!user) return null;
+
+  const { boats } = await getUserBoats(user.id);
+  const savedBoatId = localStorage.getItem("currentBoatId");
+  return boats.find((b) => b.id === savedBoatId) || boats[0] || null;
+}
+
 /**
  * Handle form submission
  */
@@ -171,19 +190,16 @@ async function handleSubmit(event) {
     const customer = await getCustomerData();
 
     // Call edge function to create SetupIntent
-    const response = await fetch(
-      `${import.meta.env.VITE_SUPABASE_URL}/functions/v1/setup-payment-method`,
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${import.meta.env.VITE_SUPABASE_ANON_KEY}`,
-        },
-        body: JSON.stringify({
-          customerId: customer.id,
-        }),
+    const response = await fetch(getFunctionUrl("setup-payment-method"), {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${import.meta.env.VITE_SUPABASE_ANON_KEY}`,
       },
-    );
+      body: JSON.stringify({
+        customerId: customer.id,
+      }),
+    });
 
     if (!response.ok) {
       const errorData = await response.json();
@@ -231,6 +247,13 @@ async function handleSubmit(event) {
  * Initialize page
  */
 async function init() {
+  // View-only members cannot manage payment for this boat
+  const boat = await getCurrentBoat();
+  if (boat && !applyBoatAccess(boat, BOAT_PERMISSIONS.MANAGE_PAYMENT)) {
+    logoutBtn.addEventListener("click", logout);
+    return;
+  }
+
   // Initialize Stripe
   const stripeInitialized = initializeStripe();
   if (!stripeInitialized) {
@@ -263,6 +286,9 @@ if (!isAuth) {
   throw new Error("Authentication required");
 }
 
+startSessionManager();
+startPwa();
+
 // Get current user and display email
 const currentUser = await getCurrentUser();
 if (userEmailEl && currentUser) {
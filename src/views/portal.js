@@ -10,150 +10,61 @@ import {
   getUserBoats,
   logout,
   isAdmin,
-  setImpersonation,
   clearImpersonation,
-  supabase,
 } from "../auth/auth.js";
+import { startSessionManager } from "../auth/session-manager.js";
+import { startPwa } from "../ui/pwa.js";
+import {
+  mountImpersonationModeToggle,
+  startImpersonation,
+  mountAdminTwoFactorPrompt,
+} from "../ui/impersonation-mode.js";
+import { applyBoatAccess } from "../ui/boat-access.js";
+import { downloadServiceReport } from "../ui/service-report.js";
+import { BOAT_PERMISSIONS, BOAT_ROLES } from "../lib/boat-roles.js";
+import { startImpersonationAudit } from "../lib/impersonation-audit.js";
 import { getAllCustomers } from "../api/customers.js";
 import {
   getPaintCondition,
+  getPaintConditionHistory,
+  recordPaintForecast,
+  getAnodeWear,
+  getCleaningRecommendation,
   getPaintStatus,
   daysSinceService,
   getServiceMedia,
   getBoatPlaylist,
   getLatestServiceLog,
-  getPlaylistVideos,
-  convertAnodePercentToCondition,
+  getServiceVideos,
 } from "../api/boat-data.js";
-import { formatDate, getConditionClass } from "../api/service-logs.js";
+import { formatDate, formatShortDate } from "../api/service-logs.js";
+import {
+  getConditionClass,
+  formatConditionText,
+  getAnodeCondition,
+} from "../lib/conditions.js";
+import { anodeKey } from "../lib/anode-wear.js";
+import {
+  renderPaintTrendChart,
+  getDegradationRate,
+  describeDegradation,
+} from "../ui/paint-trend-chart.js";
+import {
+  forecastRepaint,
+  describeForecast,
+  formatForecastMonth,
+  FORECAST_STATUS,
+} from "../lib/paint-forecast.js";
+import {
+  SEASONS,
+  INTERVAL_STATUS,
+  formatInterval,
+  describeCleaningInterval,
+} from "../lib/cleaning-interval.js";
 
 console.log("[PORTAL DEBUG] Module loaded, starting authentication...");
 
-// IMPORTANT: Give Supabase time to auto-detect sessions from URL
-// Supabase's detectSessionInUrl handles various auth callbacks automatically
-console.log("[PORTAL DEBUG] Waiting for Supabase auto-detection...");
-await new Promise((resolve) => setTimeout(resolve, 500));
-
-// Check current session status
-const {
-  data: { session: initialSession },
-} = await supabase.auth.getSession();
-console.log("[PORTAL DEBUG] Initial session check:", {
-  hasSession: !!initialSession,
-  user: initialSession?.user?.email,
-});
-
-// IMPORTANT: Process session from URL (hash OR query string) BEFORE checking auth
-// This prevents race condition where requireAuth() redirects before session is set
-let authCallbackDetected = false;
-
-// Check for PKCE flow callback (?code=) or hash-based tokens (#access_token=)
-console.log("[PORTAL DEBUG] Checking for auth callbacks...");
-const hasCodeParam = window.location.search.includes("code=");
-const hasHashToken = window.location.hash.includes("access_token");
-
-console.log("[PORTAL DEBUG] Auth callback detection:", {
-  hasCodeParam,
-  hasHashToken,
-  url: window.location.href,
-});
-
-if (hasCodeParam) {
-  console.log("[PORTAL DEBUG] PKCE code parameter detected in query string");
-  authCallbackDetected = true;
-
-  // Supabase will handle this automatically with detectSessionInUrl: true
-  // Just give it a moment to process the callback
-  console.log(
-    "[PORTAL DEBUG] Waiting for Supabase to process PKCE callback...",
-  );
-  await new Promise((resolve) => setTimeout(resolve, 1500));
-
-  // Verify session was established
-  const {
-    data: { session },
-  } = await supabase.auth.getSession();
-  console.log("[PORTAL DEBUG] Session after PKCE:", { hasSession: !!session });
-
-  // Clean up the code param from URL
-  const url = new URL(window.location.href);
-  url.searchParams.delete("code");
-  window.history.replaceState(null, "", url.pathname);
-  console.log("[PORTAL DEBUG] Cleaned up code parameter from URL");
-}
-
-if (hasHashToken) {
-  console.log(
-    "[PORTAL DEBUG] access_token detected in hash, manually setting session...",
-  );
-
-  // Extract the hash parameters
-  const hashParams = new URLSearchParams(window.location.hash.substring(1));
-  const accessToken = hashParams.get("access_token");
-  const refreshToken = hashParams.get("refresh_token");
-
-  console.log("[PORTAL DEBUG] Extracted tokens from hash:", {
-    hasAccessToken: !!accessToken,
-    hasRefreshToken: !!refreshToken,
-  });
-
-  if (accessToken) {
-    try {
-      // Manually set the session using setSession
-      const { data, error } = await supabase.auth.setSession({
-        access_token: accessToken,
-        refresh_token: refreshToken || "",
-      });
-
-      console.log("[PORTAL DEBUG] setSession result:", {
-        hasSession: !!data?.session,
-        hasUser: !!data?.user,
-        error: error?.message,
-      });
-
-      if (error || !data?.session) {
-        console.error(
-          "[PORTAL DEBUG] Failed to set session (invalid/expired tokens):",
-          error || "No session returned",
-        );
-        // Clear hash tokens before redirecting to prevent loop
-        if (window.location.hash) {
-          history.replaceState(
-            null,
-            "",
-            window.location.pathname + window.location.search,
-          );
-        }
-        // Redirect to login without the failed tokens
-        window.location.href = "https://login.sailorskills.com/login.html";
-      } else {
-        // Session established successfully
-        authCallbackDetected = true;
-
-        // Clean up the hash now that session is established
-        console.log("[PORTAL DEBUG] Session established, cleaning URL hash");
-        history.replaceState(
-          null,
-          "",
-          window.location.pathname + window.location.search,
-        );
-      }
-    } catch (err) {
-      console.error("[PORTAL DEBUG] Error processing tokens:", err);
-      // Clear hash tokens and redirect to login
-      if (window.location.hash) {
-        history.replaceState(
-          null,
-          "",
-          window.location.pathname + window.location.search,
-        );
-      }
-      window.location.href = "https://login.sailorskills.com/login.html";
-    }
-  }
-}
-
-// NOW check authentication (after hash processing completes)
+// requireAuth() processes any auth callback in the URL before checking
 console.log("[PORTAL DEBUG] Calling requireAuth()...");
 const isAuth = await requireAuth();
 console.log("[PORTAL DEBUG] requireAuth() returned:", isAuth);
@@ -163,6 +74,9 @@ if (!isAuth) {
   throw new Error("Not authenticated");
 }
 
+startSessionManager();
+startPwa();
+
 console.log("[PORTAL DEBUG] Authentication successful, continuing...");
 
 // Load user data
@@ -175,7 +89,11 @@ let isAdminUser = false;
  * Initialize admin selectors (customer and boat)
  */
 async function initAdminSelectors() {
-  if (!isAdminUser) return;
+  if (!isAdminUser) {
+    // Admin accounts that haven't passed two-factor get that step instead
+    await mountAdminTwoFactorPrompt(document.getElementById("admin-selectors"));
+    return;
+  }
 
   const selectorsEl = document.getElementById("admin-selectors");
   selectorsEl.style.display = "flex";
@@ -184,7 +102,7 @@ async function initAdminSelectors() {
   const customerSearch = document.getElementById("customer-search");
   const customerDatalist = document.getElementById("customer-datalist");
 
-  const { customers, error } = await getAllCustomers();
+  const { data: customers, error } = await getAllCustomers();
   if (error) {
     console.error("Failed to load customers:", error);
   } else {
@@ -203,7 +121,7 @@ async function initAdminSelectors() {
 
       if (selectedOption) {
         const customerId = selectedOption.dataset.customerId;
-        const { success } = await setImpersonation(customerId);
+        const { success } = await startImpersonation(customerId);
         if (success) window.location.reload();
       }
     });
@@ -263,13 +181,15 @@ async function initImpersonationBanner() {
 
   // Show banner
   bannerEl.style.display = "flex";
+  mountImpersonationModeToggle(bannerEl);
+  startImpersonationAudit();
 
   // Hide header selector when impersonating
   const headerSelector = document.getElementById("admin-customer-selector");
   if (headerSelector) headerSelector.style.display = "none";
 
   // Load all customers for banner selector
-  const { customers, error } = await getAllCustomers();
+  const { data: customers, error } = await getAllCustomers();
   if (error) {
     console.error("Failed to load customers for banner:", error);
     return;
@@ -300,7 +220,7 @@ async function initImpersonationBanner() {
 
     if (selectedOption) {
       const customerId = selectedOption.dataset.customerId;
-      const { success } = await setImpersonation(customerId);
+      const { success } = await startImpersonation(customerId);
       if (success) window.location.reload();
     }
   });
@@ -317,8 +237,8 @@ async function initImpersonationBanner() {
   }
 
   // Handle exit button
-  exitBtn.addEventListener("click", () => {
-    clearImpersonation();
+  exitBtn.addEventListener("click", async () => {
+    await clearImpersonation();
     window.location.reload();
   });
 }
@@ -341,7 +261,7 @@ async function initCustomerSelector() {
   selectorEl.style.display = "flex";
 
   // Load all customers
-  const { customers, error } = await getAllCustomers();
+  const { data: customers, error } = await getAllCustomers();
   if (error) {
     console.error("Failed to load customers for selector:", error);
     return;
@@ -366,7 +286,7 @@ async function initCustomerSelector() {
 
     if (selectedOption) {
       const customerId = selectedOption.dataset.customerId;
-      const { success } = await setImpersonation(customerId);
+      const { success } = await startImpersonation(customerId);
 
       if (success) {
         // Reload page to show impersonated view
@@ -514,12 +434,29 @@ async function loadBoatData() {
   const boat = userBoats.find((b) => b.id === selectedBoatId);
   if (!boat) return;
 
+  // Billing-only members get pointed at invoices instead
+  if (!applyBoatAccess(boat, BOAT_PERMISSIONS.VIEW_SERVICES)) return;
+
   // Update welcome message with boat name
   document.getElementById("welcome-heading").textContent =
     `Welcome to ${boat.name}'s Portal`;
 
+  // Load paint history first: its repaint forecast drives the status message
+  const paintHistory = await loadPaintTrend(boat.id);
+  const forecast = forecastRepaint(paintHistory);
+  // Kept for the owners' reminder emails, so only owners record it
+  if (
+    paintHistory.length > 0 &&
+    [BOAT_ROLES.OWNER, BOAT_ROLES.CO_OWNER].includes(boat.role)
+  ) {
+    recordPaintForecast(boat.id, forecast);
+  }
+
   // Load paint condition
-  await loadPaintCondition(boat.id);
+  await loadPaintCondition(boat.id, forecast);
+
+  // Recommended cleaning interval from growth history
+  await loadCleaningInterval(boat.id);
 
   // Load latest service details (includes videos now - unified report)
   await loadLatestServiceDetails(boat.id);
@@ -534,9 +471,10 @@ async function loadBoatData() {
 /**
  * Load and display paint condition
  * @param {string} boatId - Boat UUID
+ * @param {Object} forecast - Repaint forecast from forecastRepaint()
  */
-async function loadPaintCondition(boatId) {
-  const { paintData, error } = await getPaintCondition(boatId);
+async function loadPaintCondition(boatId, forecast) {
+  const { data: paintData, error } = await getPaintCondition(boatId);
 
   if (error) {
     console.error("Error loading paint condition:", error);
@@ -584,7 +522,7 @@ async function loadPaintCondition(boatId) {
 
   // Get paint status
   const days = daysSinceService(paintData.serviceDate);
-  const status = getPaintStatus(paintData.overall, days);
+  const status = getPaintStatus(paintData.overall, days, forecast);
 
   // Update status message
   const messageEl = document.getElementById("paint-status-message");
@@ -606,6 +544,99 @@ async function loadPaintCondition(boatId) {
   if (conditionStat) {
     conditionStat.textContent = formatConditionText(paintData.overall);
   }
+
+  // Repaint forecast
+  const forecastInfo = document.getElementById("paint-forecast-info");
+  if (forecastInfo) {
+    forecastInfo.textContent = describeForecast(forecast);
+  }
+
+  const repaintStat = document.getElementById("repaint-stat");
+  if (repaintStat) {
+    repaintStat.textContent =
+      forecast.status === FORECAST_STATUS.DUE
+        ? "Now"
+        : forecast.status === FORECAST_STATUS.PROJECTED
+          ? formatForecastMonth(forecast.repaintMonth)
+          : "Not projected";
+  }
+}
+
+/**
+ * Load and display the paint condition trend across all service logs
+ * @param {string} boatId - Boat UUID
+ * @returns {Promise<Array>} Paint condition history (empty on error)
+ */
+async function loadPaintTrend(boatId) {
+  const { data: history, error } = await getPaintConditionHistory(boatId);
+
+  if (error) {
+    console.error("Error loading paint condition history:", error);
+  }
+
+  const trendEl = document.getElementById("paint-trend");
+  if (!trendEl) return history;
+
+  // A single inspection is already shown by the slider above
+  if (history.length < 2) {
+    trendEl.style.display = "none";
+    return history;
+  }
+
+  document.getElementById("paint-trend-chart").innerHTML =
+    renderPaintTrendChart(history);
+  document.getElementById("paint-trend-summary").textContent =
+    describeDegradation(getDegradationRate(history));
+  trendEl.style.display = "block";
+
+  return history;
+}
+
+/**
+ * Load and display the recommended cleaning interval
+ * @param {string} boatId - Boat UUID
+ */
+async function loadCleaningInterval(boatId) {
+  const section = document.getElementById("cleaning-interval-section");
+  if (!section) return;
+
+  const { data: recommendation, error } =
+    await getCleaningRecommendation(boatId);
+
+  if (error) {
+    console.error("Error loading cleaning recommendation:", error);
+  }
+
+  // Nothing to say until the boat has been cleaned at least twice
+  if (error || recommendation.cleanings === 0) {
+    section.style.display = "none";
+    return;
+  }
+
+  section.style.display = "block";
+
+  const recommended = recommendation.status === INTERVAL_STATUS.RECOMMENDED;
+
+  document.getElementById("cleaning-interval-value").textContent = recommended
+    ? `Every ${formatInterval(recommendation.recommendedDays)}`
+    : "Not enough data yet";
+  document.getElementById("cleaning-interval-summary").textContent =
+    describeCleaningInterval(recommendation);
+
+  // Season-by-season breakdown
+  document.getElementById("cleaning-interval-seasons").innerHTML = recommended
+    ? SEASONS.map(({ key, label }) => {
+        const season = recommendation.seasons[key];
+        const current = key === recommendation.season ? " current" : "";
+        return `
+          <div class="cleaning-interval-season${current}">
+            ${escapeHtml(label)}
+            <strong>${escapeHtml(formatInterval(season.recommendedDays))}</strong>
+            ${season.cleanings} cleaning${season.cleanings !== 1 ? "s" : ""}
+          </div>
+        `;
+      }).join("")
+    : "";
 }
 
 /**
@@ -614,10 +645,7 @@ async function loadPaintCondition(boatId) {
  * @param {string} boatId - Boat UUID
  */
 async function loadServiceMedia(boatId) {
-  // Get latest service log to filter videos by date
-  const { serviceLog: latestService } = await getLatestServiceLog(boatId);
-
-  const { media, error } = await getServiceMedia(boatId);
+  const { data: media, error } = await getServiceMedia(boatId);
 
   if (error) {
     console.error("Error loading service media:", error);
@@ -628,21 +656,13 @@ async function loadServiceMedia(boatId) {
   const grid = document.getElementById("video-grid");
 
   // Filter media to only show videos (not photos for now)
-  let videos =
+  const videos =
     media?.filter((item) => item.id && item.thumbnail && item.url) || [];
 
-  // Filter videos by latest service date (if we have a service log)
-  if (latestService && latestService.service_date && videos.length > 0) {
-    const serviceDate = new Date(latestService.service_date);
-    videos = videos.filter((video) => {
-      const videoDate = new Date(video.publishedAt);
-      return videoDate >= serviceDate; // Only show videos from latest service forward
-    });
-  }
-
   // If no individual videos, try to show playlist link as fallback
   if (videos.length === 0) {
-    const { playlist, error: playlistError } = await getBoatPlaylist(boatId);
+    const { data: playlist, error: playlistError } =
+      await getBoatPlaylist(boatId);
 
     if (!playlistError && playlist) {
       // Show playlist link card as fallback
@@ -729,7 +749,7 @@ async function loadServiceMedia(boatId) {
  * @param {string} boatId - Boat UUID
  */
 async function loadLatestServiceDetails(boatId) {
-  const { serviceLog, error } = await getLatestServiceLog(boatId);
+  const { data: serviceLog, error } = await getLatestServiceLog(boatId);
 
   const section = document.getElementById("latest-service-section");
   const content = document.getElementById("latest-service-content");
@@ -750,10 +770,10 @@ async function loadLatestServiceDetails(boatId) {
   }
 
   // Load videos for this service
-  const videosHtml = await createServiceVideosSection(
-    boatId,
-    serviceLog.service_date,
-  );
+  const videosHtml = await createServiceVideosSection(boatId, serviceLog);
+
+  // Wear across all services, for replacement predictions on the anode cards
+  const { data: anodeWear } = await getAnodeWear(boatId);
 
   // Build unified service report HTML
   content.innerHTML = `
@@ -765,13 +785,16 @@ async function loadLatestServiceDetails(boatId) {
           </div>
           ${serviceLog.service_name ? `<div style="color: #6b7280; font-size: 14px; margin-top: 4px; font-weight: 400;">${escapeHtml(serviceLog.service_name)}</div>` : ""}
         </div>
-        <a href="/portal-services.html" style="color: var(--ss-primary); text-decoration: none; font-weight: 500; font-size: 14px;">
-          View all history →
-        </a>
+        <div style="display: flex; align-items: center; gap: 12px;">
+          <button type="button" class="btn-secondary btn-small" id="latest-service-report">Download report</button>
+          <a href="/portal-services.html" style="color: var(--ss-primary); text-decoration: none; font-weight: 500; font-size: 14px;">
+            View all history →
+          </a>
+        </div>
       </div>
 
       ${createConditionsSection(serviceLog)}
-      ${createAnodesSection(serviceLog)}
+      ${createAnodesSection(serviceLog, anodeWear)}
       ${createPropellersSection(serviceLog)}
       ${videosHtml}
       ${
@@ -787,29 +810,47 @@ async function loadLatestServiceDetails(boatId) {
     </div>
   `;
 
+  const reportButton = document.getElementById("latest-service-report");
+  reportButton.addEventListener("click", async () => {
+    reportButton.disabled = true;
+    reportButton.textContent = "Preparing...";
+    try {
+      await downloadServiceReport(
+        serviceLog,
+        userBoats.find((b) => b.id === boatId),
+      );
+    } catch (error) {
+      console.error("Service report error:", error);
+      alert("Failed to create the service report. Please try again.");
+    } finally {
+      reportButton.disabled = false;
+      reportButton.textContent = "Download report";
+    }
+  });
+
   section.style.display = "block";
 }
 
 /**
  * Create service videos section (integrated into service report)
  * @param {string} boatId - Boat UUID
- * @param {string} serviceDate - Service date to filter videos
+ * @param {Object} serviceLog - Service log whose videos to show
  * @returns {Promise<string>} HTML for videos section
  */
-async function createServiceVideosSection(boatId, serviceDate) {
-  // Get boat's playlist
-  const { playlist, error: playlistError } = await getBoatPlaylist(boatId);
+async function createServiceVideosSection(boatId, serviceLog) {
+  const { data: serviceVideos, error: videosError } =
+    await getServiceVideos(boatId);
+
+  // If the videos couldn't be loaded, still link to the playlist
+  const playlist = videosError
+    ? (await getBoatPlaylist(boatId)).data
+    : serviceVideos.playlist;
 
-  if (playlistError || !playlist) {
+  if (!playlist) {
     return ""; // No playlist, skip videos section
   }
 
-  // Get playlist videos
-  const { videos, error: videosError } = await getPlaylistVideos(
-    playlist.playlist_id,
-  );
-
-  if (videosError || !videos || videos.length === 0) {
+  if (videosError) {
     // Show playlist fallback link
     return `
       <div style="margin-top: var(--ss-space-lg);">
@@ -830,24 +871,16 @@ async function createServiceVideosSection(boatId, serviceDate) {
     `;
   }
 
-  // Filter videos by service date range
-  // Show videos from service date up to 60 days after service (typical service interval)
-  const serviceDateObj = new Date(serviceDate);
-  const maxDate = new Date(serviceDateObj);
-  maxDate.setDate(maxDate.getDate() + 60); // 60 days after service
-
-  const relevantVideos = videos.filter((video) => {
-    const videoDate = new Date(video.publishedAt);
-    return videoDate >= serviceDateObj && videoDate <= maxDate;
-  });
+  // Videos linked to this service, or uploaded shortly after it
+  const relevantVideos = serviceVideos.byLog.get(serviceLog.id) || [];
 
-  // If no videos in this date range, show playlist fallback
+  // If no videos for this service, show playlist fallback
   if (relevantVideos.length === 0) {
     return `
       <div style="margin-top: var(--ss-space-lg);">
         <h4 style="margin: 0 0 var(--ss-space-sm) 0; font-size: var(--ss-text-md); font-weight: 600; color: var(--ss-text-dark);">📹 Service Videos</h4>
         <div style="padding: var(--ss-space-md); background: var(--ss-bg-light); border: 1px solid var(--ss-border); border-radius: var(--ss-radius-none); text-align: center;">
-          <p style="margin: 0 0 var(--ss-space-sm) 0; color: var(--ss-text-medium); font-size: var(--ss-text-sm);">No videos for this service date range</p>
+          <p style="margin: 0 0 var(--ss-space-sm) 0; color: var(--ss-text-medium); font-size: var(--ss-text-sm);">No videos for this service</p>
           <a href="${escapeHtml(playlist.playlist_url)}"
              target="_blank"
              rel="noopener noreferrer"
@@ -862,11 +895,8 @@ async function createServiceVideosSection(boatId, serviceDate) {
     `;
   }
 
-  // Show up to 6 most recent videos from the date range
-  const filteredVideos = relevantVideos.slice(0, 6);
-
   // Build video thumbnails
-  const videoThumbnails = filteredVideos
+  const videoThumbnails = relevantVideos
     .map(
       (video) => `
     <div class="service-video-thumbnail" onclick="window.open('${escapeHtml(video.url)}', '_blank')" style="position: relative; cursor: pointer; border-radius: var(--ss-radius-none); overflow: hidden; box-shadow: var(--ss-shadow-sm); transition: transform 0.2s;">
@@ -888,56 +918,6 @@ async function createServiceVideosSection(boatId, serviceDate) {
   `;
 }
 
-/**
- * Normalize condition from database (convert comma-separated to hyphenated)
- * Orders from better to worse condition for consistent display
- * @param {string} condition - Raw condition from database
- * @returns {string} Normalized condition
- */
-function normalizeDisplayCondition(condition) {
-  if (!condition) return "";
-
-  const raw = condition.trim();
-
-  // Handle comma-separated ranges: "Fair, Good" → "Good-Fair"
-  if (raw.includes(",")) {
-    const parts = raw.split(",").map((p) => p.trim());
-
-    // Handle special cases
-    if (parts.some((p) => p.toLowerCase() === "missing")) {
-      return "Poor";
-    }
-
-    // Severity ranking (lower number = better condition)
-    const severityMap = {
-      "Not Inspected": 0,
-      Excellent: 1,
-      "Excellent-Good": 2,
-      Good: 3,
-      "Good-Fair": 4,
-      Fair: 5,
-      "Fair-Poor": 6,
-      Poor: 7,
-      Heavy: 7, // growth level
-      Moderate: 4, // growth level
-      Minimal: 2, // growth level
-      "Very Poor": 8,
-    };
-
-    // Sort parts by severity (better condition first)
-    parts.sort((a, b) => {
-      const sevA = severityMap[a] || 99;
-      const sevB = severityMap[b] || 99;
-      return sevA - sevB;
-    });
-
-    // Join with hyphen for range display: "Good-Fair", "Excellent-Good", etc.
-    return parts.join("-");
-  }
-
-  return raw;
-}
-
 /**
  * Create conditions section for service display
  */
@@ -946,33 +926,29 @@ function createConditionsSection(log) {
     log.paint_condition_overall || log.growth_level || log.thru_hull_condition;
   if (!hasConditions) return "";
 
-  // Normalize conditions for display
-  const paintCondition = normalizeDisplayCondition(log.paint_condition_overall);
-  const growthLevel = normalizeDisplayCondition(log.growth_level);
-
   return `
     <div style="margin-top: 24px;">
       <h4 style="margin: 0 0 12px 0; font-size: 16px; font-weight: 600; color: var(--ss-text-dark);">Vessel Condition</h4>
       <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 12px;">
         ${
-          paintCondition
+          log.paint_condition_overall
             ? `
           <div class="condition-item-card">
             <div class="condition-item-label">Paint Condition</div>
-            <span class="condition-badge ${getConditionClass(paintCondition.toLowerCase())}">
-              ${escapeHtml(formatConditionText(paintCondition.toLowerCase()))}
+            <span class="condition-badge ${getConditionClass(log.paint_condition_overall)}">
+              ${escapeHtml(formatConditionText(log.paint_condition_overall))}
             </span>
           </div>
         `
             : ""
         }
         ${
-          growthLevel
+          log.growth_level
             ? `
           <div class="condition-item-card">
             <div class="condition-item-label">Growth Level</div>
-            <span class="condition-badge ${getConditionClass(growthLevel.toLowerCase())}">
-              ${escapeHtml(formatConditionText(growthLevel.toLowerCase()))}
+            <span class="condition-badge ${getConditionClass(log.growth_level)}">
+              ${escapeHtml(formatConditionText(log.growth_level))}
             </span>
           </div>
         `
@@ -983,8 +959,8 @@ function createConditionsSection(log) {
             ? `
           <div class="condition-item-card">
             <div class="condition-item-label">Through-Hulls</div>
-            <span class="condition-badge ${getConditionClass(log.thru_hull_condition.toLowerCase())}">
-              ${escapeHtml(formatConditionText(log.thru_hull_condition.toLowerCase()))}
+            <span class="condition-badge ${getConditionClass(log.thru_hull_condition)}">
+              ${escapeHtml(formatConditionText(log.thru_hull_condition))}
             </span>
           </div>
         `
@@ -997,8 +973,10 @@ function createConditionsSection(log) {
 
 /**
  * Create anodes section for service display
+ * @param {Object} log - Service log
+ * @param {Array} [anodeWear] - Per-anode wear from getAnodeWear()
  */
-function createAnodesSection(log) {
+function createAnodesSection(log, anodeWear = []) {
   if (!log.anode_conditions) {
     return "";
   }
@@ -1055,15 +1033,8 @@ function createAnodesSection(log) {
             const locationText =
               location || position ? `${location}${position}`.trim() : "Anode";
 
-            // Convert percentage to condition label
-            let condition;
-            if (anode.condition_percent !== undefined) {
-              condition = convertAnodePercentToCondition(
-                anode.condition_percent,
-              );
-            } else {
-              condition = anode.condition || anode.overall_condition || "N/A";
-            }
+            // Percentage or recorded status
+            const condition = getAnodeCondition(anode);
 
             // Check if this anode was replaced by matching location and position in anodes_installed
             const isReplaced = anodesInstalled.some(
@@ -1073,17 +1044,30 @@ function createAnodesSection(log) {
             );
 
             // Build badge HTML
-            const badgeHtml = `<span class="condition-badge ${getConditionClass(condition)}">${escapeHtml(condition.charAt(0).toUpperCase() + condition.slice(1))}</span>`;
+            const badgeHtml = `<span class="condition-badge ${getConditionClass(condition)}">${escapeHtml(condition ? formatConditionText(condition) : "N/A")}</span>`;
 
             // Add REPLACED badge if applicable
             const replacedBadge = isReplaced
               ? `<span class="condition-badge" style="background: #d1fae5; color: #065f46; margin-left: 8px;">✓ REPLACED</span>`
               : "";
 
+            // Wear flag or next replacement from this anode's history
+            const wear = anodeWear.find((w) => w.key === anodeKey(anode));
+            let wearNote = "";
+            if (wear?.fastWear) {
+              wearNote = `<div style="margin-top: 8px; font-size: 12px; color: #92400e;">⚠️ ${escapeHtml(wear.fastWearReason)}</div>`;
+            } else if (wear?.predictedReplacement && !isReplaced) {
+              const when = wear.replacementDue
+                ? "due now"
+                : `around ${formatShortDate(wear.predictedReplacement)}`;
+              wearNote = `<div style="margin-top: 8px; font-size: 12px; color: #6b7280;">Next replacement ${when}</div>`;
+            }
+
             return `
             <div class="condition-item-card" style="background: #fafbfc;">
               <div class="condition-item-label">${escapeHtml(locationText)}</div>
               ${badgeHtml}${replacedBadge}
+              ${wearNote}
             </div>
           `;
           })
@@ -1145,7 +1129,7 @@ function createPropellersSection(log) {
           <div class="condition-item-card">
             <div class="condition-item-label">${label}</div>
             <span class="condition-badge ${getConditionClass(prop.condition || "good")}">
-              ${escapeHtml(prop.condition || "N/A")}
+              ${escapeHtml(formatConditionText(prop.condition) || "N/A")}
             </span>
             ${prop.notes ? `<div style="margin-top: 6px; font-size: 11px; color: #6b7280; font-style: italic;">${escapeHtml(prop.notes)}</div>` : ""}
           </div>
@@ -1168,40 +1152,6 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
-/**
- * Format paint condition text for display
- * @param {string} condition - Paint condition value
- * @returns {string} Formatted text
- */
-function formatConditionText(condition) {
-  const textMap = {
-    "not-inspected": "Not Inspected",
-    not_inspected: "Not Inspected",
-    excellent: "Excellent",
-    "excellent-good": "Excellent-Good",
-    good: "Good",
-    "good-fair": "Good-Fair",
-    fair: "Fair",
-    "fair-poor": "Fair-Poor",
-    poor: "Poor",
-    missing: "Poor",
-    "very-poor": "Very Poor",
-    // Growth levels
-    minimal: "Minimal",
-    moderate: "Moderate",
-    heavy: "Heavy",
-    "moderate-heavy": "Moderate-Heavy",
-    "minimal-moderate": "Minimal-Moderate",
-    // Through-hull conditions
-    sound: "Sound",
-    inspected: "Inspected",
-  };
-  // Fallback: capitalize first letter if not in map
-  return (
-    textMap[condition] || condition.charAt(0).toUpperCase() + condition.slice(1)
-  );
-}
-
 /**
  * Update welcome message
  */
@@ -1237,12 +1187,6 @@ async function startPortal() {
     await init();
 
     console.log("[PORTAL DEBUG] startPortal() COMPLETED");
-
-    // Now it's safe to clean up the URL hash (after everything is initialized)
-    if (window.location.hash.includes("access_token")) {
-      console.log("[PORTAL DEBUG] Cleaning up auth hash from URL...");
-      window.history.replaceState(null, "", window.location.pathname);
-    }
   } catch (error) {
     console.error("[PORTAL DEBUG] FATAL ERROR in startPortal():", error);
     console.error("[PORTAL DEBUG] Error stack:", error.stack);
@@ -9,9 +9,18 @@ import {
   getUserBoats,
   logout,
   isAdmin,
-  setImpersonation,
   clearImpersonation,
 } from "../auth/auth.js";
+import { startSessionManager } from "../auth/session-manager.js";
+import { startPwa } from "../ui/pwa.js";
+import {
+  mountImpersonationModeToggle,
+  startImpersonation,
+  mountAdminTwoFactorPrompt,
+} from "../ui/impersonation-mode.js";
+import { applyBoatAccess } from "../ui/boat-access.js";
+import { BOAT_PERMISSIONS } from "../lib/boat-roles.js";
+import { startImpersonationAudit } from "../lib/impersonation-audit.js";
 import { getAllCustomers } from "../api/customers.js";
 import {
   loadServiceRequests,
@@ -31,6 +40,9 @@ if (!isAuth) {
   throw new Error("Not authenticated");
 }
 
+startSessionManager();
+startPwa();
+
 // State
 let currentUser = null;
 let currentBoatId = null;
@@ -54,6 +66,8 @@ async function initImpersonationBanner() {
 
   if (bannerEl) {
     bannerEl.style.display = "flex";
+    mountImpersonationModeToggle(bannerEl);
+    startImpersonationAudit();
   }
 
   // Hide header selector when impersonating
@@ -61,7 +75,7 @@ async function initImpersonationBanner() {
   if (headerSelector) headerSelector.style.display = "none";
 
   // Load all customers for banner selector
-  const { customers, error } = await getAllCustomers();
+  const { data: customers, error } = await getAllCustomers();
   if (error) {
     console.error("Failed to load customers for banner:", error);
     return;
@@ -92,7 +106,7 @@ async function initImpersonationBanner() {
 
     if (selectedOption) {
       const customerId = selectedOption.dataset.customerId;
-      const { success } = await setImpersonation(customerId);
+      const { success } = await startImpersonation(customerId);
       if (success) window.location.reload();
     }
   });
@@ -110,8 +124,8 @@ async function initImpersonationBanner() {
 
   // Handle exit button
   if (exitBtn) {
-    exitBtn.addEventListener("click", () => {
-      clearImpersonation();
+    exitBtn.addEventListener("click", async () => {
+      await clearImpersonation();
       window.location.reload();
     });
   }
@@ -122,7 +136,13 @@ async function initImpersonationBanner() {
  */
 async function initCustomerSelector() {
   const adminStatus = await isAdmin(currentUser.id);
-  if (!adminStatus) return;
+  if (!adminStatus) {
+    // Admin accounts that haven't passed two-factor get that step instead
+    await mountAdminTwoFactorPrompt(
+      document.getElementById("admin-customer-selector"),
+    );
+    return;
+  }
 
   const selectorEl = document.getElementById("admin-customer-selector");
   const searchInput = document.getElementById("customer-search");
@@ -131,7 +151,7 @@ async function initCustomerSelector() {
   if (!selectorEl || !searchInput || !datalist) return;
   selectorEl.style.display = "flex";
 
-  const { customers, error } = await getAllCustomers();
+  const { data: customers, error } = await getAllCustomers();
   if (error) {
     console.error("Failed to load customers for selector:", error);
     return;
@@ -152,7 +172,7 @@ async function initCustomerSelector() {
 
     if (selectedOption) {
       const customerId = selectedOption.dataset.customerId;
-      const { success } = await setImpersonation(customerId);
+      const { success } = await startImpersonation(customerId);
       if (success) window.location.reload();
     }
   });
@@ -194,6 +214,12 @@ async function init() {
   const boat = boats.find((b) => b.id === savedBoatId) || boats[0];
   currentBoatId = boat.id;
 
+  // Stop here if this boat's role cannot request service
+  if (!applyBoatAccess(boat, BOAT_PERMISSIONS.REQUEST_SERVICE)) {
+    setupEventListeners();
+    return;
+  }
+
   // Load data
   await loadData();
 
@@ -216,7 +242,7 @@ async function loadData() {
  * Load request statistics
  */
 async function loadStats() {
-  const { stats, error } = await getRequestStats(currentBoatId);
+  const { data: stats, error } = await getRequestStats(currentBoatId);
 
   if (error) {
     console.error("Error loading stats:", error);
@@ -251,7 +277,7 @@ async function loadStats() {
  * Load request list
  */
 async function loadRequestList() {
-  const { requests, error } = await loadServiceRequests(currentBoatId);
+  const { data: requests, error } = await loadServiceRequests(currentBoatId);
 
   if (error) {
     console.error("Error loading requests:", error);
@@ -9,9 +9,22 @@ import {
   getUserBoats,
   logout,
   isAdmin,
-  setImpersonation,
   clearImpersonation,
 } from "../auth/auth.js";
+import {
+  startSessionManager,
+  restoreFormDraft,
+} from "../auth/session-manager.js";
+import { startPwa } from "../ui/pwa.js";
+import { OUTBOX_TYPES, queueOutgoing, isOfflineError } from "../ui/outbox.js";
+import {
+  mountImpersonationModeToggle,
+  startImpersonation,
+  mountAdminTwoFactorPrompt,
+} from "../ui/impersonation-mode.js";
+import { applyBoatAccess } from "../ui/boat-access.js";
+import { BOAT_PERMISSIONS } from "../lib/boat-roles.js";
+import { startImpersonationAudit } from "../lib/impersonation-audit.js";
 import { getAllCustomers } from "../api/customers.js";
 import {
   submitInquiry,
@@ -25,6 +38,19 @@ if (!isAuth) {
   throw new Error("Not authenticated");
 }
 
+// Keep the request form if the session expires while it is being filled in
+await startSessionManager({
+  fields: [
+    "service-type",
+    "priority",
+    "preferred-date",
+    "preferred-time",
+    "notes",
+  ],
+  getState: () => ({ requestType }),
+});
+startPwa();
+
 // State
 let currentUser = null;
 let currentBoatId = null;
@@ -48,6 +74,8 @@ async function initImpersonationBanner() {
 
   if (bannerEl) {
     bannerEl.style.display = "flex";
+    mountImpersonationModeToggle(bannerEl);
+    startImpersonationAudit();
   }
 
   // Hide header selector when impersonating
@@ -55,7 +83,7 @@ async function initImpersonationBanner() {
   if (headerSelector) headerSelector.style.display = "none";
 
   // Load all customers for banner selector
-  const { customers, error } = await getAllCustomers();
+  const { data: customers, error } = await getAllCustomers();
   if (error) {
     console.error("Failed to load customers for banner:", error);
     return;
@@ -86,7 +114,7 @@ async function initImpersonationBanner() {
 
     if (selectedOption) {
       const customerId = selectedOption.dataset.customerId;
-      const { success } = await setImpersonation(customerId);
+      const { success } = await startImpersonation(customerId);
       if (success) window.location.reload();
     }
   });
@@ -104,8 +132,8 @@ async function initImpersonationBanner() {
 
   // Handle exit button
   if (exitBtn) {
-    exitBtn.addEventListener("click", () => {
-      clearImpersonation();
+    exitBtn.addEventListener("click", async () => {
+      await clearImpersonation();
       window.location.reload();
     });
   }
@@ -116,7 +144,13 @@ async function initImpersonationBanner() {
  */
 async function initCustomerSelector() {
   const adminStatus = await isAdmin(currentUser.id);
-  if (!adminStatus) return;
+  if (!adminStatus) {
+    // Admin accounts that haven't passed two-factor get that step instead
+    await mountAdminTwoFactorPrompt(
+      document.getElementById("admin-customer-selector"),
+    );
+    return;
+  }
 
   const selectorEl = document.getElementById("admin-customer-selector");
   const searchInput = document.getElementById("customer-search");
@@ -125,7 +159,7 @@ async function initCustomerSelector() {
   if (!selectorEl || !searchInput || !datalist) return;
   selectorEl.style.display = "flex";
 
-  const { customers, error } = await getAllCustomers();
+  const { data: customers, error } = await getAllCustomers();
   if (error) {
     console.error("Failed to load customers for selector:", error);
     return;
@@ -146,7 +180,7 @@ async function initCustomerSelector() {
 
     if (selectedOption) {
       const customerId = selectedOption.dataset.customerId;
-      const { success } = await setImpersonation(customerId);
+      const { success } = await startImpersonation(customerId);
       if (success) window.location.reload();
     }
   });
@@ -195,9 +229,22 @@ async function init() {
   // Setup event listeners
   setupEventListeners();
 
+  // View-only and billing-only members cannot submit requests
+  if (!applyBoatAccess(boat, BOAT_PERMISSIONS.REQUEST_SERVICE)) {
+    return;
+  }
+
   // Set minimum date to today
   const today = new Date().toISOString().split("T")[0];
   document.getElementById("preferred-date").setAttribute("min", today);
+
+  // Bring back a request that was in progress when the session expired
+  const draftState = restoreFormDraft();
+  if (draftState?.requestType) {
+    document
+      .querySelector(`.toggle-option[data-type="${draftState.requestType}"]`)
+      ?.click();
+  }
 }
 
 /**
@@ -323,30 +370,14 @@ async function handleSubmit(event) {
   submitBtn.textContent = "Submitting...";
 
   try {
-    // Upload photo if provided
-    let photoAttachment = null;
-    if (uploadedPhoto) {
-      const {
-        url,
-        filename,
-        size,
-        type,
-        error: uploadError,
-      } = await uploadRequestPhoto(uploadedPhoto, currentBoatId);
-
-      if (uploadError) {
-        throw new Error(`Failed to upload photo: ${uploadError}`);
-      }
-
-      photoAttachment = { url, filename, size, type };
-    }
-
-    // Prepare request data
+    // Prepare request data (clientRequestId is sent with every attempt, so
+    // a retry can't store the request twice)
     const requestData = {
+      clientRequestId: crypto.randomUUID(),
       serviceType: document.getElementById("service-type").value,
       priority: document.getElementById("priority").value,
       notes: document.getElementById("notes").value.trim() || null,
-      attachments: photoAttachment ? [photoAttachment] : [],
+      attachments: [],
     };
 
     // Add booking-specific fields if applicable
@@ -357,6 +388,27 @@ async function handleSubmit(event) {
         document.getElementById("preferred-time").value || null;
     }
 
+    // Upload photo if provided
+    if (uploadedPhoto) {
+      const { data: uploaded, error: uploadError } = await uploadRequestPhoto(
+        uploadedPhoto,
+        currentBoatId,
+      );
+
+      if (uploadError) {
+        // No connection: send the request and its photo later
+        if (
+          isOfflineError(uploadError) &&
+          (await queueRequest(requestData, uploadedPhoto))
+        ) {
+          return;
+        }
+        throw new Error(`Failed to upload photo: ${uploadError.message}`);
+      }
+
+      requestData.attachments = [uploaded];
+    }
+
     // Submit request
     let result;
     if (requestType === "inquiry") {
@@ -366,7 +418,13 @@ async function handleSubmit(event) {
     }
 
     if (result.error) {
-      throw new Error(result.error);
+      if (
+        isOfflineError(result.error) &&
+        (await queueRequest(requestData, null))
+      ) {
+        return;
+      }
+      throw new Error(result.error.message);
     }
 
     // Show success message
@@ -388,6 +446,35 @@ async function handleSubmit(event) {
   }
 }
 
+/**
+ * Keep a request to send when the connection is back
+ * @param {Object} requestData - Request fields
+ * @param {File|null} photo - Photo still to upload
+ * @returns {Promise<boolean>} Whether it was queued
+ */
+async function queueRequest(requestData, photo) {
+  const queued = await queueOutgoing(OUTBOX_TYPES.SERVICE_REQUEST, {
+    boatId: currentBoatId,
+    requestType,
+    request: requestData,
+    photo,
+  });
+  if (!queued) return false;
+
+  hideAllAlerts();
+  document.getElementById("queued-alert").classList.add("visible");
+  window.scrollTo({ top: 0, behavior: "smooth" });
+
+  document.getElementById("service-request-form").reset();
+  removePhoto();
+
+  // Same as a sent request: back to the dashboard (readable offline)
+  setTimeout(() => {
+    window.location.href = "/portal.html";
+  }, 2000);
+  return true;
+}
+
 /**
  * Validate form
  * @returns {boolean}
@@ -462,6 +549,7 @@ function showError(message) {
  */
 function hideAllAlerts() {
   document.getElementById("success-alert").classList.remove("visible");
+  document.getElementById("queued-alert").classList.remove("visible");
   document.getElementById("error-alert").classList.remove("visible");
 }
 
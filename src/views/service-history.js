@@ -9,23 +9,52 @@ import {
   getUserBoats,
   logout,
   isAdmin,
-  setImpersonation,
   clearImpersonation,
 } from "../auth/auth.js";
+import { startSessionManager } from "../auth/session-manager.js";
+import { startPwa } from "../ui/pwa.js";
+import {
+  mountImpersonationModeToggle,
+  startImpersonation,
+  mountAdminTwoFactorPrompt,
+} from "../ui/impersonation-mode.js";
+import { applyBoatAccess } from "../ui/boat-access.js";
+import { BOAT_PERMISSIONS } from "../lib/boat-roles.js";
+import { startImpersonationAudit } from "../lib/impersonation-audit.js";
 import { getAllCustomers } from "../api/customers.js";
 import {
   loadServiceLogs,
+  getServiceLogFacets,
   getServiceStats,
   formatDate,
   formatShortDate,
   formatHours,
-  getConditionClass,
 } from "../api/service-logs.js";
 import {
-  getBoatPlaylist,
-  getPlaylistVideos,
-  convertAnodePercentToCondition,
+  getServiceVideos,
+  getAnodeWear,
+  getBoatPhotos,
 } from "../api/boat-data.js";
+import {
+  getConditionClass,
+  formatConditionText,
+  convertAnodePercentToCondition,
+  getConditionSeverity,
+  POOR_SEVERITY,
+} from "../lib/conditions.js";
+import { getServiceReport } from "../lib/service-report.js";
+import { downloadServiceReport } from "../ui/service-report.js";
+import { exportMaintenanceRecord } from "../ui/maintenance-record.js";
+import { openPhotoLightbox } from "../ui/photo-lightbox.js";
+import { getPhotoComparison } from "../lib/photo-gallery.js";
+import {
+  PAINT_LEVELS,
+  EMPTY_FILTERS,
+  parseServiceFilters,
+  serializeServiceFilters,
+  hasActiveFilters,
+  toServiceLogQuery,
+} from "../lib/service-filters.js";
 
 // Require authentication (redirects to SSO login)
 const isAuth = await requireAuth();
@@ -33,6 +62,9 @@ if (!isAuth) {
   throw new Error("Not authenticated");
 }
 
+startSessionManager();
+startPwa();
+
 // Get current user and boats
 const { user, error: userError } = await getEffectiveUser();
 if (userError || !user) {
@@ -56,9 +88,11 @@ if (boatsError || !boats || boats.length === 0) {
   throw new Error("No boats found");
 }
 
-// Get the currently selected boat from localStorage (set by portal.js)
+// Get the currently selected boat from a shared link, or from localStorage (set by portal.js)
 let currentBoat = null;
-let selectedBoatId = localStorage.getItem("currentBoatId");
+let selectedBoatId =
+  new URLSearchParams(window.location.search).get("boat") ||
+  localStorage.getItem("currentBoatId");
 if (selectedBoatId && boats.find((b) => b.id === selectedBoatId)) {
   currentBoat = boats.find((b) => b.id === selectedBoatId);
 } else {
@@ -71,15 +105,35 @@ if (selectedBoatId && boats.find((b) => b.id === selectedBoatId)) {
 // Check if user is admin
 const isAdminUser = await isAdmin(user.id);
 
-// Playlist data (fetched once, used for all service logs)
+// Playlist and its videos matched to service log IDs (fetched once per boat)
 let boatPlaylist = null;
-let playlistVideos = [];
+let serviceVideos = new Map();
+
+// Timeline paging: logs loaded so far (newest first) and where the next page starts
+let loadedLogs = [];
+let nextCursor = null;
+let loadingMore = false;
+let pageObserver = null;
+let timelineRequest = 0; // Ignores responses for filters that have since changed
+
+// Search and filters, kept in the URL
+let filters = parseServiceFilters(window.location.search);
+let playlistBoatId = null;
+
+// Photo gallery: services with photos (newest first) and how many are shown
+const PHOTO_GROUPS_PER_PAGE = 3;
+let photoGallery = { services: [], areas: [] };
+let photoGroupsShown = PHOTO_GROUPS_PER_PAGE;
 
 /**
  * Initialize admin selectors (customer and boat)
  */
 async function initAdminSelectors() {
-  if (!isAdminUser) return;
+  if (!isAdminUser) {
+    // Admin accounts that haven't passed two-factor get that step instead
+    await mountAdminTwoFactorPrompt(document.getElementById("admin-selectors"));
+    return;
+  }
 
   const selectorsEl = document.getElementById("admin-selectors");
   selectorsEl.style.display = "flex";
@@ -88,7 +142,7 @@ async function initAdminSelectors() {
   const customerSearch = document.getElementById("customer-search");
   const customerDatalist = document.getElementById("customer-datalist");
 
-  const { customers, error } = await getAllCustomers();
+  const { data: customers, error } = await getAllCustomers();
   if (error) {
     console.error("Failed to load customers:", error);
   } else {
@@ -107,7 +161,7 @@ async function initAdminSelectors() {
 
       if (selectedOption) {
         const customerId = selectedOption.dataset.customerId;
-        const { success } = await setImpersonation(customerId);
+        const { success } = await startImpersonation(customerId);
         if (success) window.location.reload();
       }
     });
@@ -144,7 +198,10 @@ async function initAdminSelectors() {
         selectedBoatId = selectedOption.dataset.boatId;
         localStorage.setItem("currentBoatId", selectedBoatId);
         currentBoat = boats.find((b) => b.id === selectedBoatId);
+        updateFilterUrl();
         await loadServiceStats();
+        await loadPhotoGallery();
+        await loadServiceFacets();
         await loadServices();
       }
     });
@@ -168,6 +225,8 @@ async function initImpersonationBanner() {
 
   if (bannerEl) {
     bannerEl.style.display = "flex";
+    mountImpersonationModeToggle(bannerEl);
+    startImpersonationAudit();
   }
 
   // Hide header selector when impersonating
@@ -175,7 +234,7 @@ async function initImpersonationBanner() {
   if (headerSelector) headerSelector.style.display = "none";
 
   // Load all customers for banner selector
-  const { customers, error } = await getAllCustomers();
+  const { data: customers, error } = await getAllCustomers();
   if (error) {
     console.error("Failed to load customers for banner:", error);
     return;
@@ -206,7 +265,7 @@ async function initImpersonationBanner() {
 
     if (selectedOption) {
       const customerId = selectedOption.dataset.customerId;
-      const { success } = await setImpersonation(customerId);
+      const { success } = await startImpersonation(customerId);
       if (success) window.location.reload();
     }
   });
@@ -224,8 +283,8 @@ async function initImpersonationBanner() {
 
   // Handle exit button
   if (exitBtn) {
-    exitBtn.addEventListener("click", () => {
-      clearImpersonation();
+    exitBtn.addEventListener("click", async () => {
+      await clearImpersonation();
       window.location.reload();
     });
   }
@@ -240,6 +299,26 @@ function setupEventListeners() {
     await logout();
     window.location.href = "/login.html";
   });
+
+  // Expand/collapse timeline items, including pages loaded later
+  timelineContainer.addEventListener("click", (e) => {
+    if (e.target.closest("#timeline-more")) {
+      loadMoreServices();
+      return;
+    }
+
+    const reportButton = e.target.closest(".timeline-report");
+    if (reportButton) {
+      downloadReport(reportButton);
+      return;
+    }
+
+    // Don't toggle if clicking on a link or button
+    if (e.target.closest("a, button")) return;
+
+    const item = e.target.closest(".timeline-item");
+    if (item) toggleTimelineItem(item);
+  });
 }
 
 // Initialize
@@ -257,7 +336,18 @@ async function init() {
   // Setup event listeners
   setupEventListeners();
 
+  // Billing-only members cannot see service history
+  if (!applyBoatAccess(currentBoat, BOAT_PERMISSIONS.VIEW_SERVICES)) {
+    return;
+  }
+
   await loadServiceStats();
+  await loadAnodeWear();
+  initPhotoGallery();
+  await loadPhotoGallery();
+  initMaintenanceRecordExport();
+  initServiceFilters();
+  await loadServiceFacets();
   await loadServices();
 }
 
@@ -265,7 +355,7 @@ async function init() {
  * Load service statistics
  */
 async function loadServiceStats() {
-  const { stats, error } = await getServiceStats(currentBoat.id);
+  const { data: stats, error } = await getServiceStats(currentBoat.id);
 
   if (error) {
     console.error("Failed to load stats:", error);
@@ -285,15 +375,466 @@ async function loadServiceStats() {
 }
 
 /**
- * Load service logs
+ * Load wear history and replacement predictions for each anode
+ */
+async function loadAnodeWear() {
+  const section = document.getElementById("anode-wear-section");
+  const grid = document.getElementById("anode-wear-grid");
+
+  const { data: anodes, error } = await getAnodeWear(currentBoat.id);
+
+  if (error) {
+    console.error("Failed to load anode wear:", error);
+  }
+
+  // Only anodes with at least one percentage reading can be tracked
+  const tracked = anodes.filter((anode) => anode.currentPercent !== null);
+  if (tracked.length === 0) {
+    section.style.display = "none";
+    return;
+  }
+
+  // Fast-wearing and due anodes first
+  tracked.sort(
+    (a, b) =>
+      b.fastWear - a.fastWear ||
+      b.replacementDue - a.replacementDue ||
+      a.label.localeCompare(b.label),
+  );
+
+  grid.innerHTML = tracked.map(createAnodeWearCard).join("");
+  section.style.display = "block";
+}
+
+/**
+ * Create a card summarizing one anode's wear
+ * @param {Object} anode - Entry from getAnodeWear()
+ * @returns {string} HTML string
+ */
+function createAnodeWearCard(anode) {
+  const condition = convertAnodePercentToCondition(anode.currentPercent);
+  const readings = anode.readings.slice(-5);
+
+  let nextReplacement = "Not enough readings";
+  if (anode.replacementDue) {
+    nextReplacement = "Due now";
+  } else if (anode.predictedReplacement) {
+    nextReplacement = `Around ${formatShortDate(anode.predictedReplacement)}`;
+  }
+
+  return `
+    <div class="anode-wear-card${anode.fastWear ? " fast-wear" : ""}">
+      <div class="anode-wear-header">
+        <span class="anode-wear-label">${escapeHtml(anode.label)}</span>
+        <span class="condition-badge ${getConditionClass(condition)}">${Math.round(anode.currentPercent)}%</span>
+      </div>
+      <div class="anode-wear-readings">
+        ${readings
+          .map(
+            (r) =>
+              `<span title="${escapeHtml(formatShortDate(r.date))}">${Math.round(r.percent)}%</span>`,
+          )
+          .join(" → ")}
+      </div>
+      <dl class="anode-wear-details">
+        <dt>Wear rate</dt>
+        <dd>${anode.wearPerMonth !== null ? `${Math.max(0, anode.wearPerMonth).toFixed(1)}% per month` : "Not enough readings"}</dd>
+        <dt>Last replaced</dt>
+        <dd>${anode.lastReplaced ? formatShortDate(anode.lastReplaced) : "Not recorded"}</dd>
+        <dt>Next replacement</dt>
+        <dd>${nextReplacement}</dd>
+      </dl>
+      ${
+        anode.fastWear
+          ? `
+        <div class="anode-wear-warning">
+          ⚠️ ${escapeHtml(anode.fastWearReason)}. Unusually fast wear can mean stray current in the marina or a bonding fault - send us a message and we'll check it on the next visit.
+        </div>
+      `
+          : ""
+      }
+    </div>
+  `;
+}
+
+/**
+ * Set up the photo gallery: lightbox, paging and the before/after comparison
+ */
+function initPhotoGallery() {
+  const groupsEl = document.getElementById("photo-gallery-groups");
+  const moreBtn = document.getElementById("photo-gallery-more");
+  const areaSelect = document.getElementById("compare-area");
+  const range = document.getElementById("compare-range");
+
+  groupsEl.addEventListener("click", (e) => {
+    const thumb = e.target.closest(".photo-thumb");
+    if (!thumb) return;
+    openPhotoLightbox(getLightboxPhotos(), Number(thumb.dataset.index));
+  });
+
+  moreBtn.addEventListener("click", () => {
+    photoGroupsShown += PHOTO_GROUPS_PER_PAGE;
+    renderPhotoGroups();
+  });
+
+  // A new area starts from its oldest and newest photos
+  areaSelect.addEventListener("change", () => renderPhotoComparison());
+  document
+    .getElementById("compare-before")
+    .addEventListener("change", () => renderPhotoComparison(true));
+  document
+    .getElementById("compare-after")
+    .addEventListener("change", () => renderPhotoComparison(true));
+
+  range.addEventListener("input", () => {
+    document
+      .getElementById("compare-slider")
+      .style.setProperty("--split", `${range.value}%`);
+  });
+}
+
+/**
+ * Load the photos from every service on the current boat
+ */
+async function loadPhotoGallery() {
+  const section = document.getElementById("photo-gallery-section");
+
+  const { data: gallery, error } = await getBoatPhotos(currentBoat.id);
+
+  if (error) {
+    console.error("Failed to load photos:", error);
+  }
+
+  photoGallery = gallery;
+  photoGroupsShown = PHOTO_GROUPS_PER_PAGE;
+
+  if (gallery.services.length === 0) {
+    section.style.display = "none";
+    return;
+  }
+
+  renderPhotoGroups();
+
+  const compareEl = document.getElementById("photo-compare");
+  const areaSelect = document.getElementById("compare-area");
+  areaSelect.innerHTML = gallery.areas
+    .map(
+      (area) =>
+        `<option value="${escapeHtml(area.key)}">${escapeHtml(area.label)}</option>`,
+    )
+    .join("");
+  compareEl.style.display = gallery.areas.length > 0 ? "block" : "none";
+  if (gallery.areas.length > 0) renderPhotoComparison();
+
+  section.style.display = "block";
+}
+
+/**
+ * Every gallery photo in display order, labelled for the lightbox
+ * @returns {Array<{url: string, caption: string|null, label: string}>}
+ */
+function getLightboxPhotos() {
+  return photoGallery.services.slice(0, photoGroupsShown).flatMap((service) =>
+    service.photos.map((photo) => ({
+      url: photo.url,
+      caption: photo.caption,
+      label: [formatShortDate(service.serviceDate), photo.area]
+        .filter(Boolean)
+        .join(" · "),
+    })),
+  );
+}
+
+/**
+ * Render the shown services' photos, grouped by service date
+ */
+function renderPhotoGroups() {
+  const groupsEl = document.getElementById("photo-gallery-groups");
+  const moreBtn = document.getElementById("photo-gallery-more");
+  const services = photoGallery.services.slice(0, photoGroupsShown);
+
+  let index = 0;
+  groupsEl.innerHTML = services
+    .map(
+      (service) => `
+    <div class="photo-group">
+      <h4>${escapeHtml(formatDate(service.serviceDate))}${service.serviceName ? ` · ${escapeHtml(service.serviceName)}` : ""}</h4>
+      <div class="photo-grid">
+        ${service.photos
+          .map(
+            (photo) => `
+          <button type="button" class="photo-thumb" data-index="${index++}" aria-label="View photo${photo.area ? ` of ${escapeHtml(photo.area)}` : ""}">
+            <img src="${escapeHtml(photo.thumbnailUrl)}" alt="${escapeHtml(photo.caption || photo.area || "Service photo")}" loading="lazy">
+            ${photo.area ? `<span class="photo-thumb-area">${escapeHtml(photo.area)}</span>` : ""}
+          </button>
+        `,
+          )
+          .join("")}
+      </div>
+    </div>
+  `,
+    )
+    .join("");
+
+  moreBtn.style.display =
+    photoGallery.services.length > photoGroupsShown ? "inline-block" : "none";
+}
+
+/**
+ * Show the selected area's before and after photos in the slider
+ * @param {boolean} [keepDates] - Keep the chosen dates (false resets them for a new area)
+ */
+function renderPhotoComparison(keepDates = false) {
+  const areaKey = document.getElementById("compare-area").value;
+  const beforeSelect = document.getElementById("compare-before");
+  const afterSelect = document.getElementById("compare-after");
+  const area = photoGallery.areas.find((a) => a.key === areaKey);
+  if (!area) return;
+
+  const comparison = getPhotoComparison(
+    photoGallery,
+    areaKey,
+    keepDates ? beforeSelect.value : null,
+    keepDates ? afterSelect.value : null,
+  );
+
+  if (!comparison) {
+    alert("Choose two different services to compare.");
+    renderPhotoComparison();
+    return;
+  }
+
+  const dateOptions = area.serviceDates
+    .map(
+      (date) =>
+        `<option value="${escapeHtml(date)}">${escapeHtml(formatShortDate(date))}</option>`,
+    )
+    .join("");
+  beforeSelect.innerHTML = dateOptions;
+  afterSelect.innerHTML = dateOptions;
+  beforeSelect.value = comparison.before.serviceDate;
+  afterSelect.value = comparison.after.serviceDate;
+
+  const beforeImage = document.getElementById("compare-before-image");
+  const afterImage = document.getElementById("compare-after-image");
+  beforeImage.src = comparison.before.photo.url;
+  beforeImage.alt = `${area.label} before, ${formatShortDate(comparison.before.serviceDate)}`;
+  afterImage.src = comparison.after.photo.url;
+  afterImage.alt = `${area.label} after, ${formatShortDate(comparison.after.serviceDate)}`;
+  document.getElementById("compare-before-tag").textContent =
+    `Before · ${formatShortDate(comparison.before.serviceDate)}`;
+  document.getElementById("compare-after-tag").textContent =
+    `After · ${formatShortDate(comparison.after.serviceDate)}`;
+}
+
+/**
+ * Set up the maintenance record (dossier) export form
+ */
+function initMaintenanceRecordExport() {
+  const form = document.getElementById("maintenance-record-form");
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const button = e.submitter;
+    const startDate = document.getElementById("record-start").value || null;
+    const endDate = document.getElementById("record-end").value || null;
+
+    if (startDate && endDate && startDate > endDate) {
+      alert("The start date must be before the end date.");
+      return;
+    }
+
+    const buttons = form.querySelectorAll("button");
+    const originalText = button.textContent;
+    buttons.forEach((b) => (b.disabled = true));
+    button.textContent = "Preparing...";
+
+    try {
+      await exportMaintenanceRecord(currentBoat, {
+        startDate,
+        endDate,
+        format: button.dataset.format,
+      });
+    } catch (error) {
+      console.error("Maintenance record export error:", error);
+      alert("Failed to export the maintenance record. Please try again.");
+    } finally {
+      buttons.forEach((b) => (b.disabled = false));
+      button.textContent = originalText;
+    }
+  });
+}
+
+/**
+ * Set up the search box and filter controls from the URL
+ */
+function initServiceFilters() {
+  const form = document.getElementById("service-filters");
+
+  const paintOptions = PAINT_LEVELS.map(
+    (level) =>
+      `<option value="${level.key}">${escapeHtml(level.label)}</option>`,
+  ).join("");
+  document
+    .getElementById("filter-paint-from")
+    .insertAdjacentHTML("beforeend", paintOptions);
+  document
+    .getElementById("filter-paint-to")
+    .insertAdjacentHTML("beforeend", paintOptions);
+
+  setFilterControls(filters);
+
+  let searchTimer = null;
+  form.addEventListener("input", (e) => {
+    if (e.target.id !== "filter-search") return;
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(applyFilters, 300);
+  });
+  form.addEventListener("change", (e) => {
+    if (e.target.id !== "filter-search") applyFilters();
+  });
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    clearTimeout(searchTimer);
+    applyFilters();
+  });
+
+  document.getElementById("filter-clear").addEventListener("click", () => {
+    setFilterControls(EMPTY_FILTERS);
+    applyFilters();
+  });
+}
+
+/**
+ * Show filters in the controls
+ * @param {Object} values - Filters
+ */
+function setFilterControls(values) {
+  document.getElementById("filter-search").value = values.search;
+  document.getElementById("filter-type").value = values.serviceType;
+  document.getElementById("filter-technician").value = values.technician;
+  document.getElementById("filter-paint-from").value = values.paintFrom;
+  document.getElementById("filter-paint-to").value = values.paintTo;
+  document.getElementById("filter-anodes").checked = values.anodesReplaced;
+  document.getElementById("filter-video").checked = values.hasVideo;
+}
+
+/**
+ * Read the controls, update the URL and reload the timeline
+ */
+async function applyFilters() {
+  filters = {
+    search: document.getElementById("filter-search").value,
+    serviceType: document.getElementById("filter-type").value,
+    technician: document.getElementById("filter-technician").value,
+    paintFrom: document.getElementById("filter-paint-from").value,
+    paintTo: document.getElementById("filter-paint-to").value,
+    anodesReplaced: document.getElementById("filter-anodes").checked,
+    hasVideo: document.getElementById("filter-video").checked,
+  };
+
+  updateFilterUrl();
+  await loadServices();
+}
+
+/**
+ * Write the filters and selected boat into the URL
+ */
+function updateFilterUrl() {
+  // A shared link opens the same boat for a co-owner
+  const params = new URLSearchParams(window.location.search);
+  if (hasActiveFilters(filters)) {
+    params.set("boat", currentBoat.id);
+  } else {
+    params.delete("boat");
+  }
+
+  history.replaceState(
+    null,
+    "",
+    window.location.pathname +
+      serializeServiceFilters(params.toString(), filters) +
+      window.location.hash,
+  );
+}
+
+/**
+ * Load service types and technicians for the filter dropdowns
+ */
+async function loadServiceFacets() {
+  const { data: facets, error } = await getServiceLogFacets(currentBoat.id);
+
+  if (error) {
+    console.error("Failed to load service filters:", error);
+  }
+
+  const fillSelect = (id, values, selected, allLabel) => {
+    const select = document.getElementById(id);
+    // Keep a value from a shared link even if this boat has no such services
+    const options =
+      values.some((v) => v.value === selected) || !selected
+        ? values
+        : [...values, { value: selected, count: 0 }];
+
+    select.innerHTML =
+      `<option value="">${allLabel}</option>` +
+      options
+        .map(
+          (v) =>
+            `<option value="${escapeHtml(v.value)}">${escapeHtml(v.value)} (${v.count})</option>`,
+        )
+        .join("");
+    select.value = selected;
+  };
+
+  fillSelect(
+    "filter-type",
+    facets.serviceTypes,
+    filters.serviceType,
+    "All service types",
+  );
+  fillSelect(
+    "filter-technician",
+    facets.technicians,
+    filters.technician,
+    "All technicians",
+  );
+}
+
+/**
+ * Load the first page of service logs matching the filters
  */
 async function loadServices() {
+  const request = ++timelineRequest;
+
   // Show loading
   timelineContainer.innerHTML =
     '<div class="loader">Loading service history...</div>';
 
-  // Load all service logs
-  const { serviceLogs, error } = await loadServiceLogs(currentBoat.id);
+  loadedLogs = [];
+  nextCursor = null;
+
+  // Fetch playlist and videos (once per boat); "has video" needs them too
+  if (playlistBoatId !== currentBoat.id) {
+    await loadPlaylistData();
+    playlistBoatId = currentBoat.id;
+  }
+
+  const { data: page, error } = await loadServiceLogs(
+    currentBoat.id,
+    getTimelineQuery(),
+  );
+
+  if (request !== timelineRequest) return;
+
+  const active = hasActiveFilters(filters);
+  document.getElementById("filter-clear").style.display = active
+    ? "inline-block"
+    : "none";
+  document.getElementById("filter-summary").textContent =
+    active && !error
+      ? `${page.total} service${page.total !== 1 ? "s" : ""} found`
+      : "";
 
   if (error) {
     console.error("Failed to load service logs:", error);
@@ -302,215 +843,225 @@ async function loadServices() {
   }
 
   // Display service logs
-  if (serviceLogs.length === 0) {
-    showEmptyState("No service history found for the selected time period.");
+  if (page.logs.length === 0) {
+    showEmptyState(
+      active
+        ? "No services match these filters."
+        : "No service history found for the selected time period.",
+    );
     return;
   }
 
-  // Fetch playlist and videos (once per load)
-  await loadPlaylistData();
+  timelineContainer.innerHTML = "";
+  appendServiceLogs(page.logs, page.nextCursor);
+}
 
-  displayServiceLogs(serviceLogs);
+/**
+ * loadServiceLogs() options for the current filters
+ * @returns {Object}
+ */
+function getTimelineQuery() {
+  const query = toServiceLogQuery(filters);
+  if (query.hasVideo) {
+    query.videoServiceLogIds = [...serviceVideos.keys()];
+  }
+  return query;
 }
 
 /**
- * Load playlist data for the boat
+ * Load the next page of service logs onto the end of the timeline
  */
-async function loadPlaylistData() {
-  try {
-    // Fetch boat's YouTube playlist
-    const { playlist, error: playlistError } = await getBoatPlaylist(
-      currentBoat.id,
-    );
+async function loadMoreServices() {
+  if (loadingMore || !nextCursor) return;
+  loadingMore = true;
+
+  const request = timelineRequest;
+  const button = document.getElementById("timeline-more");
+  if (button) {
+    button.disabled = true;
+    button.textContent = "Loading...";
+  }
 
-    if (playlistError) {
-      console.warn("Error loading playlist (may not exist):", playlistError);
-      boatPlaylist = null;
-      playlistVideos = [];
-      return;
-    }
+  const { data: page, error } = await loadServiceLogs(currentBoat.id, {
+    ...getTimelineQuery(),
+    cursor: nextCursor,
+  });
 
-    if (!playlist) {
-      console.log("No playlist found for this boat");
-      boatPlaylist = null;
-      playlistVideos = [];
-      return;
+  loadingMore = false;
+  if (request !== timelineRequest) return;
+
+  if (error) {
+    console.error("Failed to load more service logs:", error);
+    if (button) {
+      button.disabled = false;
+      button.textContent = "Couldn't load older services - try again";
     }
+    return;
+  }
 
-    boatPlaylist = playlist;
+  appendServiceLogs(page.logs, page.nextCursor);
+}
 
-    // Fetch all videos from the playlist (up to 50)
-    // Wrap in timeout to prevent blocking the page
-    const timeoutPromise = new Promise((_, reject) =>
-      setTimeout(() => reject(new Error("Video fetch timeout")), 5000),
-    );
+/**
+ * Load the boat's playlist and which of its videos belong to each service
+ */
+async function loadPlaylistData() {
+  // Usually served from the playlist cache; on a cold cache, don't let a slow
+  // YouTube response hold up the timeline
+  const timeoutPromise = new Promise((_, reject) =>
+    setTimeout(() => reject(new Error("Video fetch timeout")), 5000),
+  );
+
+  const { data: videos, error } = await Promise.race([
+    getServiceVideos(currentBoat.id),
+    timeoutPromise,
+  ]).catch((err) => {
+    console.warn("Video fetch timed out or failed:", err.message);
+    return { data: null, error: err };
+  });
 
-    const videoPromise = getPlaylistVideos(
-      playlist.playlist_id,
-      null, // No date filter - fetch all videos
-      50,
+  if (error) {
+    console.warn(
+      "Error loading playlist videos (continuing without videos):",
+      error,
     );
+  }
 
-    const { videos, error: videosError } = await Promise.race([
-      videoPromise,
-      timeoutPromise,
-    ]).catch((err) => {
-      console.warn("Video fetch timed out or failed:", err.message);
-      return { videos: [], error: err };
-    });
+  boatPlaylist = videos?.playlist || null;
+  serviceVideos = videos?.byLog || new Map();
+}
 
-    if (videosError) {
-      console.warn(
-        "Error fetching playlist videos (continuing without videos):",
-        videosError,
-      );
-      playlistVideos = [];
-      return;
-    }
+/**
+ * Add a page of service logs to the timeline
+ * Only the headers are rendered; details are built when an item is first
+ * expanded.
+ * @param {Array} logs - Service logs, newest first
+ * @param {Object|null} cursor - Cursor for the page after these logs
+ */
+function appendServiceLogs(logs, cursor) {
+  const start = loadedLogs.length;
+  loadedLogs.push(...logs);
+  nextCursor = cursor;
+
+  document.getElementById("timeline-more")?.remove();
+
+  timelineContainer.insertAdjacentHTML(
+    "beforeend",
+    logs.map((log, i) => createTimelineItem(log, start + i)).join("") +
+      (nextCursor
+        ? '<button type="button" class="btn-secondary timeline-more" id="timeline-more">Load older services</button>'
+        : ""),
+  );
+
+  observeTimelineEnd();
+}
 
-    playlistVideos = videos || [];
-    console.log(`Loaded ${playlistVideos.length} videos from playlist`);
-  } catch (err) {
-    console.error(
-      "Exception in loadPlaylistData (continuing without videos):",
-      err,
+/**
+ * Load the next page when the "Load older services" button scrolls into view
+ */
+function observeTimelineEnd() {
+  const button = document.getElementById("timeline-more");
+  if (!button || !("IntersectionObserver" in window)) return;
+
+  if (!pageObserver) {
+    pageObserver = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          loadMoreServices();
+        }
+      },
+      { rootMargin: "200px" },
     );
-    boatPlaylist = null;
-    playlistVideos = [];
   }
+
+  pageObserver.disconnect();
+  pageObserver.observe(button);
 }
 
 /**
- * Display service logs
+ * Expand or collapse a timeline item, building its details the first time
+ * @param {HTMLElement} item - .timeline-item element
  */
-function displayServiceLogs(logs) {
-  timelineContainer.innerHTML = logs
-    .map((log, index) => {
-      // Get next service date for video filtering
-      const nextServiceDate = index > 0 ? logs[index - 1].service_date : null;
-      return createTimelineItem(log, index, nextServiceDate);
-    })
-    .join("");
+function toggleTimelineItem(item) {
+  const details = item.querySelector(".timeline-details");
+  const icon = item.querySelector(".expand-icon");
+  if (!details) return;
+
+  if (!details.dataset.rendered) {
+    details.innerHTML = createTimelineDetails(
+      loadedLogs[Number(item.dataset.index)],
+    );
+    details.dataset.rendered = "true";
+  }
 
-  // Add click handlers to expand/collapse
-  document.querySelectorAll(".timeline-item").forEach((item, index) => {
-    item.addEventListener("click", (e) => {
-      // Don't toggle if clicking on a link or button
-      if (e.target.tagName === "A" || e.target.tagName === "BUTTON") {
-        return;
-      }
+  details.classList.toggle("expanded");
+  icon?.classList.toggle("expanded");
+}
 
-      const details = item.querySelector(".timeline-details");
-      const icon = item.querySelector(".expand-icon");
+/**
+ * Download the PDF report for a timeline item
+ * @param {HTMLButtonElement} button - The item's "Download report" button
+ */
+async function downloadReport(button) {
+  const log = loadedLogs[Number(button.dataset.index)];
+  const originalText = button.textContent;
+  button.disabled = true;
+  button.textContent = "Preparing...";
 
-      details.classList.toggle("expanded");
-      icon.classList.toggle("expanded");
-    });
-  });
+  try {
+    await downloadServiceReport(log, currentBoat);
+  } catch (error) {
+    console.error("Service report error:", error);
+    alert("Failed to create the service report. Please try again.");
+  } finally {
+    button.disabled = false;
+    button.textContent = originalText;
+  }
 }
 
 /**
- * Create timeline item HTML
+ * Create timeline item HTML (header and an empty details container)
  * @param {Object} log - Service log
- * @param {number} index - Item index
- * @param {string|null} nextServiceDate - Next service date if available
+ * @param {number} index - Position in loadedLogs
  * @returns {string} HTML string
  */
-function createTimelineItem(log, index, nextServiceDate = null) {
+function createTimelineItem(log, index) {
+  const report = getServiceReport(log);
   const hasDetails =
-    log.paint_condition_overall ||
-    log.growth_level ||
-    log.thru_hull_condition ||
-    (log.anode_conditions && log.anode_conditions.length > 0) ||
-    (log.propeller_conditions && log.propeller_conditions.length > 0) ||
-    log.notes ||
-    (log.service_videos && log.service_videos.length > 0);
+    report.conditions.length > 0 ||
+    report.paintDetails.length > 0 ||
+    report.thruHullNotes ||
+    report.anodes.length > 0 ||
+    report.propellers.length > 0 ||
+    report.notes ||
+    (log.service_videos && log.service_videos.length > 0) ||
+    serviceVideos.has(log.id);
 
   // Build condition badges array
-  const badges = [];
-
-  if (log.paint_condition_overall) {
-    const paintCondition = log.paint_condition_overall.toLowerCase();
-    badges.push({
-      label: `Paint: ${formatConditionText(paintCondition)}`,
-      class: getConditionClass(paintCondition),
-    });
-  }
+  const badges = report.conditions.map((c) => ({
+    label: `${c.label}: ${formatConditionText(c.value)}`,
+    class: getConditionClass(c.value),
+  }));
+
+  if (report.anodes.length > 0) {
+    const needsReplacement = report.anodes.some(
+      (a) => getConditionSeverity(a.condition) >= POOR_SEVERITY,
+    );
 
-  if (log.growth_level) {
-    const growthLevel = log.growth_level.toLowerCase();
     badges.push({
-      label: `Growth: ${formatConditionText(growthLevel)}`,
-      class: getConditionClass(growthLevel),
+      label: `Anodes: ${report.anodes.length} inspected`,
+      class: getConditionClass(needsReplacement ? "needs-replacement" : "good"),
     });
   }
 
-  if (log.thru_hull_condition) {
+  if (report.propellers.length > 0) {
+    const propCondition = report.propellers[0].condition || "inspected";
     badges.push({
-      label: `Through-Hulls: ${log.thru_hull_condition}`,
-      class: getConditionClass(log.thru_hull_condition),
+      label: `Propeller: ${formatConditionText(propCondition)}`,
+      class: getConditionClass(propCondition),
     });
   }
 
-  // Anode conditions - parse JSON if needed
-  if (log.anode_conditions) {
-    let anodeConditions = log.anode_conditions;
-    if (typeof log.anode_conditions === "string") {
-      try {
-        anodeConditions = JSON.parse(log.anode_conditions);
-      } catch (e) {
-        console.error("Error parsing anode_conditions:", e);
-        anodeConditions = null;
-      }
-    }
-
-    // Handle array or object format
-    if (anodeConditions && !Array.isArray(anodeConditions)) {
-      anodeConditions = anodeConditions.anodes || [];
-    }
-
-    if (anodeConditions && anodeConditions.length > 0) {
-      const anodeStatus = anodeConditions.some(
-        (a) =>
-          a.condition?.toLowerCase().includes("replace") ||
-          a.condition?.toLowerCase().includes("poor"),
-      )
-        ? "needs-replacement"
-        : "good";
-
-      badges.push({
-        label: `Anodes: ${anodeConditions.length} inspected`,
-        class: `condition-${anodeStatus}`,
-      });
-    }
-  }
-
-  // Propeller conditions - parse JSON if needed
-  if (log.propeller_conditions) {
-    let propellerConditions = log.propeller_conditions;
-    if (typeof log.propeller_conditions === "string") {
-      try {
-        propellerConditions = JSON.parse(log.propeller_conditions);
-      } catch (e) {
-        console.error("Error parsing propeller_conditions:", e);
-        propellerConditions = null;
-      }
-    }
-
-    // Handle array or object format
-    if (propellerConditions && !Array.isArray(propellerConditions)) {
-      propellerConditions = propellerConditions.propellers || [];
-    }
-
-    if (propellerConditions && propellerConditions.length > 0) {
-      const propCondition = propellerConditions[0]?.condition || "inspected";
-      badges.push({
-        label: `Propeller: ${propCondition}`,
-        class: `condition-${propCondition.toLowerCase().replace(/\s+/g, "-")}`,
-      });
-    }
-  }
-
   return `
     <div class="timeline-item" data-index="${index}">
       <div class="timeline-header">
@@ -519,7 +1070,10 @@ function createTimelineItem(log, index, nextServiceDate = null) {
             <div class="timeline-date">${formatDate(log.service_date)}</div>
             ${log.service_name ? `<div class="service-name">${escapeHtml(log.service_name)}</div>` : ""}
           </div>
-          ${hasDetails ? '<span class="expand-icon">▼</span>' : ""}
+          <div class="timeline-actions">
+            <button type="button" class="btn-secondary btn-small timeline-report" data-index="${index}">Download report</button>
+            ${hasDetails ? '<span class="expand-icon">▼</span>' : ""}
+          </div>
         </div>
         ${
           badges.length > 0
@@ -532,23 +1086,26 @@ function createTimelineItem(log, index, nextServiceDate = null) {
         }
       </div>
 
-      ${
-        hasDetails
-          ? `
-        <div class="timeline-details" id="details-${index}">
-          ${createConditionsSection(log)}
-          ${createAnodesSection(log)}
-          ${createPropellersSection(log)}
-          ${createNotesSection(log)}
-          ${createVideosSection(log, nextServiceDate)}
-        </div>
-      `
-          : ""
-      }
+      ${hasDetails ? `<div class="timeline-details" id="details-${index}"></div>` : ""}
     </div>
   `;
 }
 
+/**
+ * Create the expanded details of a timeline item
+ * @param {Object} log - Service log
+ * @returns {string} HTML string
+ */
+function createTimelineDetails(log) {
+  return `
+    ${createConditionsSection(log)}
+    ${createAnodesSection(log)}
+    ${createPropellersSection(log)}
+    ${createNotesSection(log)}
+    ${createVideosSection(log)}
+  `;
+}
+
 /**
  * Create conditions section - show detailed paint areas only
  * (Overall conditions are shown as badges above)
@@ -617,86 +1174,26 @@ function createConditionsSection(log) {
  * Create anodes section
  */
 function createAnodesSection(log) {
-  if (!log.anode_conditions) return "";
-
-  // Parse JSON string if needed
-  let anodeConditions;
-  if (typeof log.anode_conditions === "string") {
-    try {
-      anodeConditions = JSON.parse(log.anode_conditions);
-    } catch (e) {
-      console.error("Error parsing anode_conditions:", e);
-      return "";
-    }
-  } else {
-    anodeConditions = log.anode_conditions;
-  }
-
-  // Handle array or object format
-  if (!Array.isArray(anodeConditions)) {
-    anodeConditions = anodeConditions.anodes || [];
-  }
-
-  if (anodeConditions.length === 0) return "";
-
-  // Parse anodes_installed to determine which anodes were replaced
-  let anodesInstalled = [];
-  if (log.anodes_installed) {
-    if (typeof log.anodes_installed === "string") {
-      try {
-        anodesInstalled = JSON.parse(log.anodes_installed);
-      } catch (e) {
-        console.error("Error parsing anodes_installed:", e);
-      }
-    } else {
-      anodesInstalled = log.anodes_installed;
-    }
-  }
-
-  // Ensure anodesInstalled is an array
-  if (!Array.isArray(anodesInstalled)) {
-    anodesInstalled = [];
-  }
+  const { anodes } = getServiceReport(log);
+  if (anodes.length === 0) return "";
 
   return `
     <div class="detail-section">
       <h4>⚓ Anode Inspection</h4>
       <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 12px;">
-        ${anodeConditions
+        ${anodes
           .map((anode) => {
-            const location = anode.location || anode.type || "";
-            const position = anode.position ? ` (${anode.position})` : "";
-            const locationText =
-              location || position ? `${location}${position}`.trim() : "Anode";
-
-            // Convert percentage to condition label
-            let condition;
-            if (anode.condition_percent !== undefined) {
-              condition = convertAnodePercentToCondition(
-                anode.condition_percent,
-              );
-            } else {
-              condition = anode.condition || anode.overall_condition || "N/A";
-            }
-
-            // Check if this anode was replaced by matching location and position in anodes_installed
-            const isReplaced = anodesInstalled.some(
-              (installed) =>
-                installed.location === anode.location &&
-                installed.position === anode.position,
-            );
-
             // Build badge HTML
-            const badgeHtml = `<span class="condition-badge ${getConditionClass(condition)}">${escapeHtml(condition.charAt(0).toUpperCase() + condition.slice(1))}</span>`;
+            const badgeHtml = `<span class="condition-badge ${getConditionClass(anode.condition)}">${escapeHtml(anode.condition ? formatConditionText(anode.condition) : "N/A")}</span>`;
 
             // Add REPLACED badge if applicable
-            const replacedBadge = isReplaced
+            const replacedBadge = anode.replaced
               ? `<span class="condition-badge" style="background: #d1fae5; color: #065f46; margin-left: 8px;">✓ REPLACED</span>`
               : "";
 
             return `
             <div class="condition-item-card" style="background: #fafbfc;">
-              <div class="condition-item-label">${escapeHtml(locationText)}</div>
+              <div class="condition-item-label">${escapeHtml(anode.label)}</div>
               ${badgeHtml}${replacedBadge}
             </div>
           `;
@@ -711,63 +1208,32 @@ function createAnodesSection(log) {
  * Create propellers section
  */
 function createPropellersSection(log) {
-  if (!log.propellers) return "";
-
-  // Parse JSON string if needed
-  let propellers;
-  if (typeof log.propellers === "string") {
-    try {
-      propellers = JSON.parse(log.propellers);
-    } catch (e) {
-      console.error("Error parsing propellers:", e);
-      return "";
-    }
-  } else {
-    propellers = log.propellers;
-  }
-
-  // Ensure it's an array
-  if (!Array.isArray(propellers)) {
-    propellers = [];
-  }
-
+  const { propellers, propellerNotes } = getServiceReport(log);
   if (propellers.length === 0) return "";
 
-  // Determine propeller labels
-  const getPropellerLabel = (index, total) => {
-    if (total === 1) {
-      return null; // No label for single propeller
-    } else if (total === 2) {
-      return index === 0 ? "Port" : "Starboard";
-    } else {
-      return `Propeller #${index + 1}`;
-    }
-  };
-
   return `
     <div class="detail-section">
       <h4>Propeller Condition</h4>
       <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 12px;">
         ${propellers
-          .map((prop, index) => {
-            const label = getPropellerLabel(index, propellers.length);
-            return `
+          .map(
+            (prop) => `
           <div class="condition-item-card">
-            <div class="condition-item-label">${label || "Propeller"}</div>
+            <div class="condition-item-label">${prop.label || "Propeller"}</div>
             <span class="condition-badge ${getConditionClass(prop.condition || "good")}">
-              ${escapeHtml(prop.condition || "N/A")}
+              ${escapeHtml(formatConditionText(prop.condition) || "N/A")}
             </span>
             ${prop.notes ? `<div style="margin-top: 6px; font-size: 11px; color: #6b7280; font-style: italic;">${escapeHtml(prop.notes)}</div>` : ""}
           </div>
-        `;
-          })
+        `,
+          )
           .join("")}
       </div>
       ${
-        log.propeller_notes
+        propellerNotes
           ? `
         <div style="margin-top: var(--ss-space-sm); font-size: var(--ss-text-sm); color: var(--ss-text-medium); font-style: italic;">
-          ${escapeHtml(log.propeller_notes)}
+          ${escapeHtml(propellerNotes)}
         </div>
       `
           : ""
@@ -794,25 +1260,19 @@ function createNotesSection(log) {
 
 /**
  * Create videos section for a service log
- * Filters videos published between this service date and the next service date
+ * Shows the playlist videos linked to or matched with this service
  */
-function createVideosSection(log, nextServiceDate = null) {
-  // If no playlist or no videos, return empty
-  if (!boatPlaylist || playlistVideos.length === 0) {
+function createVideosSection(log) {
+  // If no playlist, return empty
+  if (!boatPlaylist) {
     return "";
   }
 
-  // Filter videos by service date range
-  const serviceDate = new Date(log.service_date);
-  const nextDate = nextServiceDate ? new Date(nextServiceDate) : new Date(); // Use today if no next service
+  const relevantVideos = serviceVideos.get(log.id) || [];
 
-  const relevantVideos = playlistVideos.filter((video) => {
-    const videoDate = new Date(video.publishedAt);
-    return videoDate >= serviceDate && videoDate < nextDate;
-  });
-
-  // If no videos in this date range, try to show playlist link as fallback
+  // If no videos for this service, try to show playlist link as fallback
   if (relevantVideos.length === 0) {
+    const serviceDate = new Date(log.service_date);
     // Only show fallback if this is a recent service (within last 90 days)
     const daysSince = Math.floor(
       (new Date() - serviceDate) / (1000 * 60 * 60 * 24),
@@ -888,37 +1348,6 @@ function showError(message) {
   `;
 }
 
-/**
- * Format condition text for display
- * @param {string} condition - Condition value
- * @returns {string} Formatted text
- */
-function formatConditionText(condition) {
-  const textMap = {
-    "not-inspected": "Not Inspected",
-    not_inspected: "Not Inspected",
-    excellent: "Excellent",
-    "excellent-good": "Excellent-Good",
-    good: "Good",
-    "good-fair": "Good-Fair",
-    fair: "Fair",
-    "fair-poor": "Fair-Poor",
-    poor: "Poor",
-    missing: "Poor",
-    "very-poor": "Very Poor",
-    // Growth levels
-    minimal: "Minimal",
-    moderate: "Moderate",
-    heavy: "Heavy",
-    // Through-hull conditions
-    sound: "Sound",
-    inspected: "Inspected",
-  };
-  return (
-    textMap[condition] || condition.charAt(0).toUpperCase() + condition.slice(1)
-  );
-}
-
 /**
  * Escape HTML to prevent XSS
  */
@@ -0,0 +1,187 @@
+import { test, expect } from "@playwright/test";
+import { createClient } from "@supabase/supabase-js";
+import { queryOne, closePool } from "./helpers/db-utils.js";
+
+/**
+ * Server-Side Admin Enforcement Tests
+ *
+ * Proves admin-only data is protected by RLS, the admin_* RPCs and the
+ * attribution trigger (migration 019), not just hidden in the UI. Every test signs in as a
+ * NON-admin and calls the Supabase client directly, bypassing the portal.
+ *
+ * Prerequisites:
+ * - Migration 019 applied
+ * - A non-admin customer account with at least one granted boat
+ * - At least one boat belonging to a different customer
+ *
+ * Environment Variables:
+ * - VITE_SUPABASE_URL / VITE_SUPABASE_ANON_KEY: Supabase project
+ * - TEST_NON_ADMIN_EMAIL / TEST_NON_ADMIN_PASSWORD: Non-admin credentials
+ * - DATABASE_URL: Used to find a boat the non-admin has no access to
+ */
+
+const SUPABASE_URL = process.env.VITE_SUPABASE_URL;
+const SUPABASE_ANON_KEY = process.env.VITE_SUPABASE_ANON_KEY;
+const NON_ADMIN_EMAIL = process.env.TEST_NON_ADMIN_EMAIL;
+const NON_ADMIN_PASSWORD = process.env.TEST_NON_ADMIN_PASSWORD;
+
+test.describe("Server-side admin enforcement", () => {
+  test.skip(
+    !SUPABASE_URL ||
+      !SUPABASE_ANON_KEY ||
+      !NON_ADMIN_EMAIL ||
+      !NON_ADMIN_PASSWORD ||
+      !process.env.DATABASE_URL,
+    "Requires Supabase, DATABASE_URL and non-admin test credentials",
+  );
+
+  let client;
+  let accountId;
+  let otherBoat;
+
+  test.beforeAll(async () => {
+    client = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+      auth: { persistSession: false },
+    });
+
+    const { data, error } = await client.auth.signInWithPassword({
+      email: NON_ADMIN_EMAIL,
+      password: NON_ADMIN_PASSWORD,
+    });
+    if (error) throw error;
+    accountId = data.user.id;
+
+    // A boat owned by someone else that this account was never granted
+    otherBoat = await queryOne(
+      `SELECT b.id, b.customer_id
+       FROM boats b
+       WHERE NOT EXISTS (
+         SELECT 1 FROM customer_boat_access a
+         WHERE a.boat_id = b.id AND a.customer_account_id = $1
+       )
+       LIMIT 1`,
+      [accountId],
+    );
+  });
+
+  test.afterAll(async () => {
+    await client?.auth.signOut();
+    await closePool();
+  });
+
+  test("test account is not an admin", async () => {
+    const { data, error } = await client.rpc("is_admin");
+
+    expect(error).toBeNull();
+    expect(data).toBe(false);
+  });
+
+  test("cannot select another customer's boat by ID", async () => {
+    expect(otherBoat).not.toBeNull();
+
+    const { data, error } = await client
+      .from("boats")
+      .select("*")
+      .eq("id", otherBoat.id);
+
+    expect(error).toBeNull();
+    expect(data).toEqual([]);
+  });
+
+  test("cannot select another customer's boats by customer_id", async () => {
+    const { data, error } = await client
+      .from("boats")
+      .select("*")
+      .eq("customer_id", otherBoat.customer_id);
+
+    expect(error).toBeNull();
+    expect(data).toEqual([]);
+  });
+
+  test("unfiltered boat query only returns granted boats", async () => {
+    const { data: boats, error } = await client.from("boats").select("id");
+    expect(error).toBeNull();
+
+    const { data: access } = await client
+      .from("customer_boat_access")
+      .select("boat_id")
+      .eq("customer_account_id", accountId);
+    const grantedIds = new Set(access.map((row) => row.boat_id));
+
+    expect(boats.length).toBeGreaterThan(0);
+    boats.forEach((boat) => expect(grantedIds.has(boat.id)).toBe(true));
+  });
+
+  test("admin RPCs are refused", async () => {
+    const calls = [
+      client.rpc("admin_list_customers"),
+      client.rpc("admin_list_boats"),
+      client.rpc("admin_get_customer", {
+        p_customer_id: otherBoat.customer_id,
+      }),
+      client.rpc("admin_get_customer_boats", {
+        p_customer_id: otherBoat.customer_id,
+      }),
+    ];
+
+    for (const { data, error } of await Promise.all(calls)) {
+      expect(data).toBeNull();
+      expect(error?.code).toBe("42501");
+    }
+  });
+
+  test("cannot claim another customer's boat by slug", async () => {
+    const boat = await queryOne(
+      `SELECT b.slug
+       FROM boats b
+       JOIN customers c ON c.id = b.customer_id
+       WHERE b.slug IS NOT NULL
+       AND lower(c.email) <> lower($1)
+       LIMIT 1`,
+      [NON_ADMIN_EMAIL],
+    );
+    expect(boat).not.toBeNull();
+
+    const { data, error } = await client.rpc("claim_boat_by_slug", {
+      p_slug: boat.slug,
+    });
+
+    expect(data).toBeNull();
+    expect(error?.code).toBe("42501");
+  });
+
+  test("cannot grant itself admin status", async () => {
+    const { error } = await client
+      .from("customer_accounts")
+      .update({ is_admin: true })
+      .eq("id", accountId);
+
+    expect(error?.code).toBe("42501");
+
+    const { data } = await client.rpc("is_admin");
+    expect(data).toBe(false);
+  });
+
+  test("cannot attribute its own message to an admin", async () => {
+    const ownBoat = await queryOne(
+      `SELECT boat_id FROM customer_boat_access
+       WHERE customer_account_id = $1 AND role IN ('owner', 'co-owner')
+       LIMIT 1`,
+      [accountId],
+    );
+    const admin = await queryOne(
+      "SELECT id FROM customer_accounts WHERE is_admin = true LIMIT 1",
+    );
+    test.skip(!ownBoat || !admin, "Needs a messageable boat and an admin");
+
+    const { error } = await client.from("customer_messages").insert({
+      boat_id: ownBoat.boat_id,
+      sender_type: "customer",
+      sender_account_id: accountId,
+      message_text: "attribution test",
+      acting_admin_id: admin.id,
+    });
+
+    expect(error?.code).toBe("42501");
+  });
+});
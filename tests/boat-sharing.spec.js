@@ -0,0 +1,160 @@
+import { test, expect } from "@playwright/test";
+import { createClient } from "@supabase/supabase-js";
+import { randomUUID } from "node:crypto";
+import { queryOne, closePool } from "./helpers/db-utils.js";
+
+/**
+ * Boat Sharing Tests
+ *
+ * Proves sharing is enforced by the database (migration 020): only a boat's
+ * owner can see its members, invitations, or remove access, a boat that
+ * already has an owner cannot be claimed by slug, and access rows (and so
+ * roles) can't be written from the browser.
+ *
+ * Prerequisites:
+ * - Migration 020 applied
+ * - At least one boat whose owner is not the test account
+ *
+ * Environment Variables:
+ * - VITE_SUPABASE_URL / VITE_SUPABASE_ANON_KEY: Supabase project
+ * - TEST_NON_ADMIN_EMAIL / TEST_NON_ADMIN_PASSWORD: Non-admin credentials
+ * - DATABASE_URL: Used to find a boat owned by another account
+ */
+
+const SUPABASE_URL = process.env.VITE_SUPABASE_URL;
+const SUPABASE_ANON_KEY = process.env.VITE_SUPABASE_ANON_KEY;
+const NON_ADMIN_EMAIL = process.env.TEST_NON_ADMIN_EMAIL;
+const NON_ADMIN_PASSWORD = process.env.TEST_NON_ADMIN_PASSWORD;
+
+test.describe("Boat sharing enforcement", () => {
+  test.skip(
+    !SUPABASE_URL ||
+      !SUPABASE_ANON_KEY ||
+      !NON_ADMIN_EMAIL ||
+      !NON_ADMIN_PASSWORD ||
+      !process.env.DATABASE_URL,
+    "Requires Supabase, DATABASE_URL and non-admin test credentials",
+  );
+
+  let client;
+  let otherBoat;
+
+  test.beforeAll(async () => {
+    client = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+      auth: { persistSession: false },
+    });
+
+    const { data, error } = await client.auth.signInWithPassword({
+      email: NON_ADMIN_EMAIL,
+      password: NON_ADMIN_PASSWORD,
+    });
+    if (error) throw error;
+
+    // A boat with an owner other than the test account
+    otherBoat = await queryOne(
+      `SELECT b.id, b.slug, a.customer_account_id AS owner_id
+       FROM boats b
+       JOIN customer_boat_access a ON a.boat_id = b.id AND a.role = 'owner'
+       WHERE a.customer_account_id <> $1
+       AND b.slug IS NOT NULL
+       LIMIT 1`,
+      [data.user.id],
+    );
+  });
+
+  test.afterAll(async () => {
+    await client?.auth.signOut();
+    await closePool();
+  });
+
+  test("cannot list members of another owner's boat", async () => {
+    expect(otherBoat).not.toBeNull();
+
+    const { data, error } = await client.rpc("list_boat_members", {
+      p_boat_id: otherBoat.id,
+    });
+
+    expect(data).toBeNull();
+    expect(error?.code).toBe("42501");
+  });
+
+  test("cannot see or create invitations for another owner's boat", async () => {
+    const { data: invitations, error: selectError } = await client
+      .from("boat_invitations")
+      .select("id")
+      .eq("boat_id", otherBoat.id);
+
+    expect(selectError).toBeNull();
+    expect(invitations).toEqual([]);
+
+    const { error: insertError } = await client
+      .from("boat_invitations")
+      .insert({
+        boat_id: otherBoat.id,
+        email: NON_ADMIN_EMAIL,
+        role: "co-owner",
+        invited_by: otherBoat.owner_id,
+      });
+
+    expect(insertError?.code).toBe("42501");
+  });
+
+  test("cannot remove access on another owner's boat", async () => {
+    const { error } = await client.rpc("revoke_boat_access", {
+      p_boat_id: otherBoat.id,
+      p_account_id: otherBoat.owner_id,
+    });
+
+    expect(error?.code).toBe("42501");
+  });
+
+  test("cannot claim a boat that already has an owner", async () => {
+    const { error } = await client.rpc("claim_boat_by_slug", {
+      p_slug: otherBoat.slug,
+    });
+
+    expect(error?.code).toBe("42501");
+  });
+
+  test("cannot give itself the owner role by writing access rows", async () => {
+    const { data: me } = await client.auth.getUser();
+
+    const { error: insertError } = await client
+      .from("customer_boat_access")
+      .insert({
+        customer_account_id: me.user.id,
+        boat_id: otherBoat.id,
+        role: "owner",
+      });
+    expect(insertError?.code).toBe("42501");
+
+    const { data: updated } = await client
+      .from("customer_boat_access")
+      .update({ role: "owner" })
+      .eq("customer_account_id", me.user.id)
+      .select("boat_id");
+    expect(updated || []).toEqual([]);
+  });
+
+  test("cannot record the repaint forecast of another owner's boat", async () => {
+    const { error } = await client.rpc("record_paint_forecast", {
+      p_boat_id: otherBoat.id,
+      p_status: "due",
+      p_repaint_month: "2025-01",
+      p_earliest_month: null,
+      p_latest_month: null,
+      p_confidence: null,
+      p_inspections: 1,
+    });
+
+    expect(error?.code).toBe("42501");
+  });
+
+  test("unknown invitation tokens are rejected", async () => {
+    const { error } = await client.rpc("accept_boat_invitation", {
+      p_token: randomUUID(),
+    });
+
+    expect(error?.code).toBe("P0002");
+  });
+});
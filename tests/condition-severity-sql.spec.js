@@ -0,0 +1,84 @@
+import { test, expect } from "@playwright/test";
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import { CONDITIONS, getConditionSeverity } from "../src/lib/conditions.js";
+import { queryOne, closePool } from "./helpers/db-utils.js";
+
+/**
+ * Condition Severity in SQL Tests
+ *
+ * The Service History paint filter scores conditions in the database
+ * (condition_severity(), migration 025) and the timeline scores them in the
+ * browser (getConditionSeverity()). Both must read the same vocabulary and
+ * give the same score.
+ *
+ * Environment Variables:
+ * - DATABASE_URL: Compares the two on a live database (migration 025 applied)
+ */
+
+const MIGRATION = path.join(
+  __dirname,
+  "..",
+  "migrations",
+  "025_service_log_search.sql",
+);
+
+const SAMPLES = [
+  "Excellent",
+  "good",
+  "very poor",
+  "Fair, Poor",
+  "Fair, Good",
+  "fair-good",
+  "excellent, fair",
+  "Good, Missing",
+  "fair, missing",
+  "Moderate, Heavy",
+  "poor - needs attention",
+  "not_inspected",
+  "sandy",
+  "",
+];
+
+/** [term, severity] rows between the GENERATED markers of condition_terms() */
+function readSqlTerms() {
+  const sql = readFileSync(MIGRATION, "utf8");
+  const generated = sql.match(
+    /-- GENERATED:[^\n]*\n([\s\S]*?)-- END GENERATED/,
+  );
+  if (!generated) return null;
+
+  return [...generated[1].matchAll(/\('([^']+)',\s*(\d+)\)/g)].map(
+    ([, term, severity]) => [term, Number(severity)],
+  );
+}
+
+test.describe("Condition severity in SQL", () => {
+  test("condition_terms() lists the portal's vocabulary", () => {
+    const expected = Object.entries(CONDITIONS).map(([term, { severity }]) => [
+      term,
+      severity,
+    ]);
+
+    // Regenerate with `node scripts/generate-condition-terms-sql.mjs`
+    expect(readSqlTerms()).toEqual(expected);
+  });
+
+  test.describe("on the database", () => {
+    test.skip(!process.env.DATABASE_URL, "Requires DATABASE_URL");
+
+    test.afterAll(async () => {
+      await closePool();
+    });
+
+    for (const condition of SAMPLES) {
+      test(`scores "${condition}" like the portal`, async () => {
+        const row = await queryOne(
+          "SELECT public.condition_severity($1) AS severity",
+          [condition],
+        );
+        expect(row.severity).toBe(getConditionSeverity(condition));
+      });
+    }
+  });
+});
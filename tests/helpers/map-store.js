@@ -0,0 +1,29 @@
+/**
+ * In-Memory Key-Value Store
+ *
+ * Stand-in for the IndexedDB stores behind src/lib/cache.js and
+ * src/lib/outbox.js. Entries come back in key order, as from an IndexedDB
+ * cursor.
+ */
+
+/**
+ * Create a store, optionally pre-filled
+ *
+ * @param {Object<string, *>} [entries] - Initial values by key
+ * @returns {{map: Map, get: Function, set: Function, delete: Function, entries: Function}}
+ */
+export function mapStore(entries = {}) {
+  const map = new Map(Object.entries(entries));
+  return {
+    map,
+    get: async (key) => map.get(key),
+    set: async (key, value) => {
+      map.set(key, value);
+    },
+    delete: async (key) => {
+      map.delete(key);
+    },
+    entries: async () =>
+      [...map.entries()].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)),
+  };
+}
@@ -0,0 +1,28 @@
+/**
+ * Paint History Fixtures
+ *
+ * Builds entries shaped like getPaintConditionHistory() output for the
+ * paint trend and repaint forecast specs.
+ */
+
+/**
+ * Build a history entry
+ *
+ * @param {string} serviceDate - YYYY-MM-DD
+ * @param {number|null} overall - Overall severity (null = not inspected)
+ * @param {Object} [areas] - Keel/waterline/boot stripe severities
+ * @returns {Object}
+ */
+export function paintEntry(serviceDate, overall, areas = {}) {
+  const area = (severity) => ({
+    condition: severity == null ? "not-inspected" : "fair",
+    severity,
+  });
+  return {
+    serviceDate,
+    overall: area(overall),
+    keel: area(areas.keel ?? null),
+    waterline: area(areas.waterline ?? null),
+    bootStripe: area(areas.bootStripe ?? null),
+  };
+}
@@ -0,0 +1,141 @@
+import { test, expect } from "@playwright/test";
+import { createClient } from "@supabase/supabase-js";
+
+/**
+ * Two-Factor Authentication Tests
+ *
+ * Proves the two-factor rules from migration 023 are enforced by the
+ * database: recovery codes need an AAL2 session to create and are never
+ * readable directly, and an admin who only entered a password cannot
+ * start an impersonation session or read a customer's data.
+ *
+ * Prerequisites:
+ * - Migration 023 applied
+ * - Test accounts signed in with a password only (AAL1)
+ *
+ * Environment Variables:
+ * - VITE_SUPABASE_URL / VITE_SUPABASE_ANON_KEY: Supabase project
+ * - TEST_NON_ADMIN_EMAIL / TEST_NON_ADMIN_PASSWORD: Non-admin credentials
+ * - TEST_ADMIN_EMAIL / TEST_ADMIN_PASSWORD: Admin credentials (optional)
+ */
+
+const SUPABASE_URL = process.env.VITE_SUPABASE_URL;
+const SUPABASE_ANON_KEY = process.env.VITE_SUPABASE_ANON_KEY;
+const NON_ADMIN_EMAIL = process.env.TEST_NON_ADMIN_EMAIL;
+const NON_ADMIN_PASSWORD = process.env.TEST_NON_ADMIN_PASSWORD;
+const ADMIN_EMAIL = process.env.TEST_ADMIN_EMAIL;
+const ADMIN_PASSWORD = process.env.TEST_ADMIN_PASSWORD;
+
+/**
+ * Sign in with a password, giving an AAL1 session
+ * @param {string} email - Account email
+ * @param {string} password - Account password
+ * @returns {Promise<{client: Object, userId: string}>}
+ */
+async function signIn(email, password) {
+  const client = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+    auth: { persistSession: false },
+  });
+
+  const { data, error } = await client.auth.signInWithPassword({
+    email,
+    password,
+  });
+  if (error) throw error;
+
+  return { client, userId: data.user.id };
+}
+
+test.describe("Recovery codes", () => {
+  test.skip(
+    !SUPABASE_URL ||
+      !SUPABASE_ANON_KEY ||
+      !NON_ADMIN_EMAIL ||
+      !NON_ADMIN_PASSWORD,
+    "Requires Supabase and non-admin test credentials",
+  );
+
+  let client;
+
+  test.beforeAll(async () => {
+    ({ client } = await signIn(NON_ADMIN_EMAIL, NON_ADMIN_PASSWORD));
+  });
+
+  test.afterAll(async () => {
+    await client?.auth.signOut();
+  });
+
+  test("cannot generate codes without a verified second factor", async () => {
+    const { data, error } = await client.rpc("generate_mfa_recovery_codes");
+
+    expect(data).toBeNull();
+    expect(error?.code).toBe("42501");
+  });
+
+  test("code hashes are not readable", async () => {
+    const { data, error } = await client.from("mfa_recovery_codes").select("*");
+
+    expect(error).toBeNull();
+    expect(data).toEqual([]);
+  });
+
+  test("an unknown code is rejected", async () => {
+    const { error } = await client.rpc("redeem_mfa_recovery_code", {
+      p_code: "00000-00000",
+    });
+
+    expect(error?.code).toBe("22023");
+  });
+});
+
+test.describe("Admin impersonation requires two-factor", () => {
+  test.skip(
+    !SUPABASE_URL || !SUPABASE_ANON_KEY || !ADMIN_EMAIL || !ADMIN_PASSWORD,
+    "Requires Supabase and admin test credentials",
+  );
+
+  let client;
+  let adminId;
+  let customerId;
+
+  test.beforeAll(async () => {
+    ({ client, userId: adminId } = await signIn(ADMIN_EMAIL, ADMIN_PASSWORD));
+
+    const { data } = await client.rpc("admin_list_customers");
+    customerId = data?.[0]?.id;
+  });
+
+  test.afterAll(async () => {
+    await client?.auth.signOut();
+  });
+
+  test("password-only session is AAL1", async () => {
+    const { data } = await client.auth.mfa.getAuthenticatorAssuranceLevel();
+
+    expect(data.currentLevel).toBe("aal1");
+  });
+
+  test("cannot open an impersonation session", async () => {
+    expect(customerId).toBeTruthy();
+
+    const { error } = await client.from("impersonation_sessions").insert({
+      admin_account_id: adminId,
+      customer_id: customerId,
+      mode: "read-only",
+    });
+
+    expect(error?.code).toBe("42501");
+  });
+
+  test("cannot read an impersonated customer's data", async () => {
+    const calls = [
+      client.rpc("admin_get_customer", { p_customer_id: customerId }),
+      client.rpc("admin_get_customer_boats", { p_customer_id: customerId }),
+    ];
+
+    for (const { data, error } of await Promise.all(calls)) {
+      expect(data).toBeNull();
+      expect(error?.code).toBe("42501");
+    }
+  });
+});
@@ -0,0 +1,131 @@
+import { test, expect } from "@playwright/test";
+import {
+  anodeKey,
+  buildAnodeHistory,
+  analyzeAnodeWear,
+} from "../../src/lib/anode-wear.js";
+
+/**
+ * Anode Wear Tests
+ *
+ * Anode conditions are logged as percentages per location (shaft, hull,
+ * trim tab...). These cases pin down how a replacement resets the history,
+ * how an unrecorded swap is detected from a jump in percentage, and when
+ * one anode is flagged as wearing faster than the rest of the boat's.
+ */
+
+const NOW = Date.UTC(2024, 2, 15);
+
+/**
+ * Build a service log
+ * @param {string} service_date - YYYY-MM-DD
+ * @param {Array} anode_conditions - Readings
+ * @param {Array} [anodes_installed] - Anodes replaced at this service
+ */
+function log(service_date, anode_conditions, anodes_installed = []) {
+  return { service_date, anode_conditions, anodes_installed };
+}
+
+function analyze(logs) {
+  return analyzeAnodeWear(buildAnodeHistory(logs), { now: NOW });
+}
+
+test.describe("Anode wear", () => {
+  test("tracks anodes by location and position", () => {
+    const history = buildAnodeHistory([
+      log("2024-02-01", [
+        { location: "shaft ", position: "forward", condition_percent: 80 },
+        { location: "Shaft", position: "Aft", condition_percent: 70 },
+      ]),
+      log(
+        "2024-01-01",
+        JSON.stringify([
+          { location: "Shaft", position: "Forward", condition_percent: 90 },
+        ]),
+      ),
+    ]);
+
+    expect(history.map((a) => a.key)).toEqual(["shaft|forward", "shaft|aft"]);
+    expect(history[0].readings).toEqual([
+      { date: "2024-01-01", percent: 90 },
+      { date: "2024-02-01", percent: 80 },
+    ]);
+    expect(anodeKey({ type: "Rudder" })).toBe("rudder|");
+  });
+
+  test("projects the replacement date from the wear rate", () => {
+    // 10% every 30 days from new
+    const [anode] = analyze([
+      log("2024-01-01", [{ location: "Shaft", condition_percent: 100 }]),
+      log("2024-01-31", [{ location: "Shaft", condition_percent: 90 }]),
+      log("2024-03-01", [{ location: "Shaft", condition_percent: 80 }]),
+    ]);
+
+    expect(anode.wearPerMonth).toBeCloseTo(10);
+    expect(anode.currentPercent).toBe(80);
+    // 50% remaining 150 days after 2024-01-01
+    expect(anode.predictedReplacement).toBe("2024-05-30");
+    expect(anode.replacementDue).toBe(false);
+    expect(anode.fastWear).toBe(false);
+  });
+
+  test("a replacement starts a new anode at 100%", () => {
+    const [anode] = analyze([
+      log("2023-10-01", [{ location: "Rudder", condition_percent: 80 }]),
+      log(
+        "2024-01-01",
+        [{ location: "Rudder", condition_percent: 45 }],
+        [{ location: "Rudder" }],
+      ),
+    ]);
+
+    expect(anode.lastReplaced).toBe("2024-01-01");
+    expect(anode.currentPercent).toBe(100);
+    expect(anode.wearPerMonth).toBeNull();
+    expect(anode.replacementDue).toBe(false);
+  });
+
+  test("a large jump counts as an unrecorded replacement", () => {
+    const [anode] = analyze([
+      log("2023-11-01", [{ location: "Hull", condition_percent: 60 }]),
+      log("2023-12-01", [{ location: "Hull", condition_percent: 50 }]),
+      log("2024-01-01", [{ location: "Hull", condition_percent: 95 }]),
+    ]);
+
+    expect(anode.currentPercent).toBe(95);
+    expect(anode.wearPerMonth).toBeNull();
+    expect(anode.lastReplaced).toBeNull();
+  });
+
+  test("flags an anode wearing much faster than the others", () => {
+    const reading = (location, percent) => ({
+      location,
+      condition_percent: percent,
+    });
+
+    const anodes = analyze([
+      log("2024-01-01", [
+        reading("Shaft", 100),
+        reading("Rudder", 100),
+        reading("Trim Tab", 100),
+      ]),
+      log("2024-01-31", [
+        reading("Shaft", 98),
+        reading("Rudder", 98),
+        reading("Trim Tab", 94),
+      ]),
+      log("2024-03-01", [
+        reading("Shaft", 96),
+        reading("Rudder", 96),
+        reading("Trim Tab", 88),
+      ]),
+    ]);
+
+    const trimTab = anodes.find((a) => a.key === "trim tab|");
+    expect(trimTab.fastWear).toBe(true);
+    expect(trimTab.fastWearReason).toBe(
+      "Wearing 3.0x faster than the boat's other anodes",
+    );
+    expect(anodes.filter((a) => a.fastWear)).toHaveLength(1);
+  });
+});
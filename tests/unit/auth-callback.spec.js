@@ -0,0 +1,218 @@
+import { test, expect } from "@playwright/test";
+import {
+  AUTH_CALLBACK_TYPES,
+  parseAuthCallback,
+  stripAuthParams,
+  getSafeRedirect,
+  isTokenExpired,
+  bootstrapAuth,
+} from "../../src/auth/auth-callback.js";
+
+/**
+ * Auth Callback Tests
+ *
+ * Covers the page-load auth bootstrap: PKCE codes, hash tokens from the SSO
+ * login service, expired tokens, URL errors and the redirect parameter.
+ * createAuthClient() below fakes just the parts of supabase.auth that
+ * bootstrapAuth() calls.
+ */
+
+const ORIGIN = "https://portal.sailorskills.com";
+const NOW = Date.UTC(2025, 10, 15, 12, 0, 0);
+const SESSION = { access_token: "restored", user: { id: "u1" } };
+
+/**
+ * Minimal stand-in for supabase.auth
+ * INITIAL_SESSION is emitted asynchronously, as the real client does once
+ * initialization (including any PKCE code exchange) has finished.
+ * @param {Object} options
+ * @param {Object|null} [options.initialSession] - Session reported on INITIAL_SESSION
+ * @param {Function} [options.setSession] - setSession implementation
+ */
+function createAuthClient({ initialSession = null, setSession } = {}) {
+  const calls = { setSession: [], unsubscribed: 0 };
+
+  return {
+    calls,
+    auth: {
+      onAuthStateChange(callback) {
+        setTimeout(() => callback("INITIAL_SESSION", initialSession), 0);
+        return {
+          data: { subscription: { unsubscribe: () => calls.unsubscribed++ } },
+        };
+      },
+      async setSession(tokens) {
+        calls.setSession.push(tokens);
+        return setSession
+          ? setSession(tokens)
+          : { data: { session: null }, error: new Error("Invalid token") };
+      },
+    },
+  };
+}
+
+/**
+ * Run bootstrapAuth against a URL and record history updates
+ * @param {Object} client - Auth client from createAuthClient()
+ * @param {string} path - Path, query and hash of the page
+ */
+async function bootstrap(client, path) {
+  const location = new URL(path, ORIGIN);
+  const replaced = [];
+  const history = {
+    state: null,
+    replaceState: (_state, _title, url) => replaced.push(url),
+  };
+
+  const result = await bootstrapAuth(client, { location, history, now: NOW });
+  return { ...result, replaced };
+}
+
+test.describe("Auth callback parsing", () => {
+  test("detects each callback type", () => {
+    expect(parseAuthCallback(`${ORIGIN}/portal.html`).type).toBe(
+      AUTH_CALLBACK_TYPES.NONE,
+    );
+    expect(parseAuthCallback(`${ORIGIN}/portal.html?code=abc`)).toMatchObject({
+      type: AUTH_CALLBACK_TYPES.CODE,
+      code: "abc",
+    });
+    expect(
+      parseAuthCallback(
+        `${ORIGIN}/portal.html#access_token=a&refresh_token=r&expires_at=100`,
+      ),
+    ).toMatchObject({
+      type: AUTH_CALLBACK_TYPES.TOKENS,
+      accessToken: "a",
+      refreshToken: "r",
+      expiresAt: 100,
+    });
+    expect(
+      parseAuthCallback(
+        `${ORIGIN}/login.html#error=access_denied&error_description=Email+link+is+invalid`,
+      ),
+    ).toMatchObject({
+      type: AUTH_CALLBACK_TYPES.ERROR,
+      error: "Email link is invalid",
+    });
+  });
+
+  test("strips callback parameters but keeps the rest of the URL", () => {
+    expect(
+      stripAuthParams(`${ORIGIN}/portal.html?boat=1&code=abc#access_token=x`),
+    ).toBe("/portal.html?boat=1");
+    expect(stripAuthParams(`${ORIGIN}/portal-account.html#two-factor`)).toBe(
+      "/portal-account.html#two-factor",
+    );
+  });
+
+  test("only allows same-origin redirects", () => {
+    expect(getSafeRedirect("/portal-invoices.html", ORIGIN)).toBe(
+      "/portal-invoices.html",
+    );
+    expect(
+      getSafeRedirect(`${ORIGIN}/portal-messages.html?code=stale`, ORIGIN),
+    ).toBe("/portal-messages.html");
+    expect(getSafeRedirect("https://evil.example.com/", ORIGIN)).toBeNull();
+    expect(getSafeRedirect("//evil.example.com/", ORIGIN)).toBeNull();
+    expect(getSafeRedirect(null, ORIGIN)).toBeNull();
+  });
+
+  test("token expiry", () => {
+    expect(isTokenExpired(NOW / 1000 - 1, NOW)).toBe(true);
+    expect(isTokenExpired(NOW / 1000 + 60, NOW)).toBe(false);
+    expect(isTokenExpired(null, NOW)).toBe(false);
+  });
+});
+
+test.describe("Auth bootstrap", () => {
+  test("restores a stored session without touching the URL", async () => {
+    const client = createAuthClient({ initialSession: SESSION });
+
+    const result = await bootstrap(client, "/portal.html");
+
+    expect(result.session).toBe(SESSION);
+    expect(result.error).toBeNull();
+    expect(result.replaced).toEqual([]);
+    expect(client.calls.unsubscribed).toBe(1);
+  });
+
+  test("PKCE code exchanged during initialization", async () => {
+    const client = createAuthClient({ initialSession: SESSION });
+
+    const result = await bootstrap(client, "/portal.html?code=abc");
+
+    expect(result.session).toBe(SESSION);
+    expect(result.error).toBeNull();
+    expect(result.replaced).toEqual(["/portal.html"]);
+  });
+
+  test("PKCE code that could not be exchanged", async () => {
+    const client = createAuthClient();
+
+    const result = await bootstrap(client, "/portal.html?code=used");
+
+    expect(result.session).toBeNull();
+    expect(result.error).toMatch(/sign in again/);
+    expect(result.replaced).toEqual(["/portal.html"]);
+  });
+
+  test("hash tokens from the SSO login service", async () => {
+    const handedOff = { access_token: "a", user: { id: "u2" } };
+    const client = createAuthClient({
+      setSession: async () => ({ data: { session: handedOff }, error: null }),
+    });
+
+    const result = await bootstrap(
+      client,
+      `/portal.html#access_token=a&refresh_token=r&expires_at=${NOW / 1000 + 3600}`,
+    );
+
+    expect(client.calls.setSession).toEqual([
+      { access_token: "a", refresh_token: "r" },
+    ]);
+    expect(result.session).toBe(handedOff);
+    expect(result.error).toBeNull();
+    expect(result.replaced).toEqual(["/portal.html"]);
+  });
+
+  test("expired hash tokens are cleared, not replayed", async () => {
+    const client = createAuthClient();
+
+    const result = await bootstrap(
+      client,
+      `/portal.html#access_token=a&refresh_token=r&expires_at=${NOW / 1000 - 60}`,
+    );
+
+    expect(result.session).toBeNull();
+    expect(result.error).toMatch(/expired/);
+    expect(result.replaced).toEqual(["/portal.html"]);
+  });
+
+  test("error in the URL", async () => {
+    const client = createAuthClient();
+
+    const result = await bootstrap(
+      client,
+      "/login.html?redirect=%2Fportal-messages.html#error=access_denied&error_description=Email+link+has+expired",
+    );
+
+    expect(result.session).toBeNull();
+    expect(result.error).toBe("Email link has expired");
+    expect(result.redirect).toBe("/portal-messages.html");
+    expect(result.replaced).toEqual([
+      "/login.html?redirect=%2Fportal-messages.html",
+    ]);
+  });
+
+  test("ignores an off-site redirect parameter", async () => {
+    const client = createAuthClient({ initialSession: SESSION });
+
+    const result = await bootstrap(
+      client,
+      "/login.html?redirect=https%3A%2F%2Fevil.example.com",
+    );
+
+    expect(result.redirect).toBeNull();
+  });
+});
@@ -0,0 +1,61 @@
+import { test, expect } from "@playwright/test";
+import {
+  BOAT_ROLES,
+  BOAT_PERMISSIONS,
+  hasBoatPermission,
+} from "../../src/lib/boat-roles.js";
+
+/**
+ * Boat Role Permission Tests
+ *
+ * The portal hides pages based on this matrix and migration 021 enforces
+ * the same matrix in boat_role_permissions(); keep both in sync.
+ */
+
+const {
+  VIEW_SERVICES,
+  VIEW_INVOICES,
+  MANAGE_PAYMENT,
+  MESSAGES,
+  REQUEST_SERVICE,
+  MANAGE_SHARING,
+} = BOAT_PERMISSIONS;
+
+const EXPECTED = {
+  [BOAT_ROLES.OWNER]: [
+    VIEW_SERVICES,
+    VIEW_INVOICES,
+    MANAGE_PAYMENT,
+    MESSAGES,
+    REQUEST_SERVICE,
+    MANAGE_SHARING,
+  ],
+  [BOAT_ROLES.CO_OWNER]: [
+    VIEW_SERVICES,
+    VIEW_INVOICES,
+    MANAGE_PAYMENT,
+    MESSAGES,
+    REQUEST_SERVICE,
+  ],
+  [BOAT_ROLES.VIEW_ONLY]: [VIEW_SERVICES],
+  [BOAT_ROLES.BILLING_ONLY]: [VIEW_INVOICES, MANAGE_PAYMENT],
+};
+
+test.describe("Boat role permissions", () => {
+  for (const [role, allowed] of Object.entries(EXPECTED)) {
+    test(`${role} has exactly its permissions`, () => {
+      for (const permission of Object.values(BOAT_PERMISSIONS)) {
+        expect(hasBoatPermission(role, permission), permission).toBe(
+          allowed.includes(permission),
+        );
+      }
+    });
+  }
+
+  test("unknown or missing roles grant nothing", () => {
+    for (const permission of Object.values(BOAT_PERMISSIONS)) {
+      expect(hasBoatPermission(undefined, permission)).toBe(false);
+      expect(hasBoatPermission("captain", permission)).toBe(false);
+    }
+  });
+});
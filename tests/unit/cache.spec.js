@@ -0,0 +1,67 @@
+import { test, expect } from "@playwright/test";
+import {
+  CACHE_STATE,
+  getCacheState,
+  createCache,
+} from "../../src/lib/cache.js";
+import { mapStore } from "../helpers/map-store.js";
+
+/**
+ * Cache Tests
+ *
+ * Covers the stale-while-revalidate cache behind playlist videos. The
+ * clock is injected so entries can be aged on demand; the store is
+ * mapStore() from tests/helpers.
+ */
+
+const policy = { freshMs: 1000, maxAgeMs: 10000 };
+
+test.describe("Stale-while-revalidate cache", () => {
+  test("ages entries from fresh to stale to expired", () => {
+    expect(getCacheState(undefined, policy, 0)).toBe(CACHE_STATE.MISSING);
+    expect(getCacheState({ cachedAt: 0 }, policy, 999)).toBe(CACHE_STATE.FRESH);
+    expect(getCacheState({ cachedAt: 0 }, policy, 1000)).toBe(
+      CACHE_STATE.STALE,
+    );
+    expect(getCacheState({ cachedAt: 0 }, policy, 10000)).toBe(
+      CACHE_STATE.EXPIRED,
+    );
+  });
+
+  test("serves fresh entries without fetching and refreshes stale ones", async () => {
+    let now = 500;
+    const store = mapStore({ videos: { value: ["old"], cachedAt: 0 } });
+    const cache = createCache(store, { ...policy, clock: () => now });
+    let fetches = 0;
+    const fetcher = async () => {
+      fetches += 1;
+      return ["new"];
+    };
+
+    const fresh = await cache.read("videos", fetcher);
+    expect(fresh.value).toEqual(["old"]);
+    expect(fetches).toBe(0);
+
+    now = 5000;
+    const stale = await cache.read("videos", fetcher);
+    expect(stale.value).toEqual(["old"]);
+    expect(stale.state).toBe(CACHE_STATE.STALE);
+    expect(await stale.refresh).toEqual(["new"]);
+    expect(store.map.get("videos")).toEqual({ value: ["new"], cachedAt: 5000 });
+    expect(fetches).toBe(1);
+  });
+
+  test("falls back to an expired entry when the fetch fails", async () => {
+    const store = mapStore({ videos: { value: ["old"], cachedAt: 0 } });
+    const cache = createCache(store, { ...policy, clock: () => 60000 });
+    const failing = async () => {
+      throw new Error("quotaExceeded");
+    };
+
+    const result = await cache.read("videos", failing);
+    expect(result.value).toEqual(["old"]);
+    expect(result.state).toBe(CACHE_STATE.EXPIRED);
+
+    await expect(cache.read("other", failing)).rejects.toThrow("quotaExceeded");
+  });
+});
@@ -0,0 +1,98 @@
+import { test, expect } from "@playwright/test";
+import {
+  INTERVAL_STATUS,
+  getGrowthScore,
+  buildCleaningIntervals,
+  recommendCleaningInterval,
+  describeCleaningInterval,
+} from "../../src/lib/cleaning-interval.js";
+
+/**
+ * Cleaning Interval Tests
+ *
+ * The recommendation is only as good as the cleanings it pairs up, so
+ * most cases here are about which pairs count: same season, no lapse in
+ * service, and enough of them before anything is recommended.
+ */
+
+/**
+ * Build service logs from [service_date, growth_level] pairs
+ */
+function logs(entries) {
+  return entries.map(([service_date, growth_level]) => ({
+    service_date,
+    growth_level,
+  }));
+}
+
+// Eight-weekly cleanings stay minimal through winter, but summer needs
+// four-weekly cleanings to keep growth at moderate
+const YEAR = logs([
+  ["2024-01-01", "Minimal"],
+  ["2024-02-26", "Minimal"],
+  ["2024-04-22", "Minimal, Moderate"],
+  ["2024-06-03", "Moderate"],
+  ["2024-07-01", "Moderate"],
+  ["2024-07-29", "Moderate"],
+  ["2024-08-26", "Minimal, Moderate"],
+  ["2024-10-21", "Moderate"],
+  ["2024-12-16", "Minimal"],
+  ["2025-02-10", "Minimal"],
+]);
+
+test.describe("Cleaning interval", () => {
+  test("scores growth levels and Notion ranges", () => {
+    expect(getGrowthScore("Minimal")).toBe(1);
+    expect(getGrowthScore("Minimal, Moderate")).toBe(1.5);
+    expect(getGrowthScore("moderate-heavy")).toBe(2.5);
+    expect(getGrowthScore("Not inspected")).toBeNull();
+  });
+
+  test("pairs cleanings by season and skips lapses", () => {
+    const intervals = buildCleaningIntervals(
+      logs([
+        ["2024-01-01", "Minimal"],
+        ["2024-03-01", null],
+        ["2024-03-15", "Moderate"],
+        ["2024-12-01", "Heavy"],
+      ]),
+    );
+
+    // Anode-only visit ignored; the eight-month gap isn't an interval
+    expect(intervals).toEqual([
+      { date: "2024-03-15", days: 74, growth: 2, season: "winter" },
+    ]);
+  });
+
+  test("recommends more frequent cleaning in summer", () => {
+    const summer = recommendCleaningInterval(YEAR, {
+      now: Date.UTC(2025, 6, 1),
+    });
+
+    expect(summer.status).toBe(INTERVAL_STATUS.RECOMMENDED);
+    expect(summer.recommendedDays).toBe(28);
+    expect(summer.currentDays).toBe(56);
+    expect(summer.seasons.winter).toEqual({
+      recommendedDays: 56,
+      cleanings: 2,
+    });
+    expect(describeCleaningInterval(summer)).toBe(
+      "Summer: clean every 4 weeks - more often than your usual 8 weeks, to keep growth below moderate.",
+    );
+
+    const winter = recommendCleaningInterval(YEAR, {
+      now: Date.UTC(2025, 0, 15),
+    });
+    expect(describeCleaningInterval(winter)).toBe(
+      "Winter: clean every 8 weeks.",
+    );
+  });
+
+  test("needs a few cleanings before recommending", () => {
+    const recommendation = recommendCleaningInterval(YEAR.slice(0, 3));
+
+    expect(recommendation.status).toBe(INTERVAL_STATUS.INSUFFICIENT_DATA);
+    expect(recommendation.recommendedDays).toBeNull();
+    expect(describeCleaningInterval(recommendation)).toMatch(/More cleanings/);
+  });
+});
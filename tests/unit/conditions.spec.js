@@ -0,0 +1,131 @@
+import { test, expect } from "@playwright/test";
+import {
+  normalizeCondition,
+  getConditionSeverity,
+  getConditionClass,
+  formatConditionText,
+  getAnodeCondition,
+} from "../../src/lib/conditions.js";
+
+/**
+ * Condition Vocabulary Tests
+ *
+ * Table of the condition values found in service logs (including Notion
+ * import variants) and how each is normalized, scored, labeled and styled.
+ */
+
+// [raw, normalized key, severity, badge class, label]
+const CASES = [
+  // Paint scale
+  ["Excellent", "excellent", 1, "condition-excellent", "Excellent"],
+  ["good", "good", 3, "condition-good", "Good"],
+  ["Fair", "fair", 5, "condition-fair", "Fair"],
+  ["Poor", "poor", 7, "condition-poor", "Poor"],
+  ["very poor", "very-poor", 8, "condition-very-poor", "Very Poor"],
+  ["critical", "critical", 8, "condition-critical", "Critical"],
+
+  // Notion ranges, ordered better condition first
+  ["Fair, Poor", "fair-poor", 6, "condition-fair-poor", "Fair-Poor"],
+  ["Fair, Good", "good-fair", 4, "condition-good-fair", "Good-Fair"],
+  [
+    "Excellent Good",
+    "excellent-good",
+    2,
+    "condition-excellent-good",
+    "Excellent-Good",
+  ],
+  ["fair-good", "good-fair", 4, "condition-good-fair", "Good-Fair"],
+  ["Good, Missing", "poor", 7, "condition-poor", "Poor"],
+  // Not a defined range: scored by its worst end
+  ["Excellent, Fair", "excellent-fair", 5, "condition-fair", "Excellent-Fair"],
+
+  // Not inspected variants
+  [
+    "not_inspected",
+    "not-inspected",
+    null,
+    "condition-not-inspected",
+    "Not Inspected",
+  ],
+  [
+    "Not Inspected",
+    "not-inspected",
+    null,
+    "condition-not-inspected",
+    "Not Inspected",
+  ],
+
+  // Growth levels
+  ["Minimal", "minimal", 1, "condition-excellent", "Minimal"],
+  [
+    "Moderate, Minimal",
+    "minimal-moderate",
+    3,
+    "condition-good",
+    "Minimal-Moderate",
+  ],
+  ["moderate", "moderate", 5, "condition-fair", "Moderate"],
+  [
+    "Moderate, Heavy",
+    "moderate-heavy",
+    6,
+    "condition-fair-poor",
+    "Moderate-Heavy",
+  ],
+  ["Heavy", "heavy", 7, "condition-poor", "Heavy"],
+
+  // Through-hulls
+  ["Sound", "sound", 3, "condition-good", "Sound"],
+  ["inspected", "inspected", 3, "condition-good", "Inspected"],
+
+  // Anode statuses
+  [
+    "Needs Replacement",
+    "needs-replacement",
+    7,
+    "condition-poor",
+    "Needs Replacement",
+  ],
+  ["Missing", "missing", 7, "condition-poor", "Missing"],
+  ["Replaced", "replaced", 3, "condition-good", "Replaced"],
+
+  // Free text: scored by the worst term it mentions, shown as entered
+  [
+    "Poor - needs attention",
+    "poor-needs-attention",
+    7,
+    "condition-poor",
+    "Poor - needs attention",
+  ],
+  ["Unknown", "unknown", null, "condition-default", "Unknown"],
+];
+
+test.describe("Condition vocabulary", () => {
+  for (const [raw, key, severity, className, label] of CASES) {
+    test(`"${raw}"`, () => {
+      expect(normalizeCondition(raw)).toBe(key);
+      expect(getConditionSeverity(raw)).toBe(severity);
+      expect(getConditionClass(raw)).toBe(className);
+      expect(formatConditionText(raw)).toBe(label);
+    });
+  }
+
+  test("empty conditions", () => {
+    expect(normalizeCondition(null)).toBe("not-inspected");
+    expect(getConditionSeverity("")).toBeNull();
+    expect(getConditionClass(null)).toBe("condition-default");
+    expect(formatConditionText(undefined)).toBe("");
+  });
+
+  test("anode conditions from percent or status", () => {
+    expect(getAnodeCondition({ condition_percent: 95 })).toBe("excellent");
+    expect(getAnodeCondition({ condition_percent: "80" })).toBe("good");
+    expect(getAnodeCondition({ condition_percent: 60 })).toBe("fair");
+    expect(getAnodeCondition({ condition_percent: 40 })).toBe("poor");
+    expect(getAnodeCondition({ condition: "Needs Replacement" })).toBe(
+      "needs-replacement",
+    );
+    expect(getAnodeCondition({ overall_condition: "Good" })).toBe("good");
+    expect(getAnodeCondition({ location: "Shaft" })).toBeNull();
+  });
+});
@@ -0,0 +1,89 @@
+import { test, expect } from "@playwright/test";
+import {
+  AUTH_MODES,
+  resolveConfig,
+  buildLoginUrl,
+  buildPortalUrl,
+  buildFunctionUrl,
+} from "../../src/lib/environment.js";
+
+/**
+ * Environment Configuration Tests
+ *
+ * A wrong origin here sends customers to the wrong login service after a
+ * deploy, so every VITE_AUTH_MODE is checked against the URLs it should
+ * produce.
+ */
+
+const SUPABASE_URL = "https://project.supabase.co";
+
+test.describe("Environment configuration", () => {
+  test("defaults to production SSO", () => {
+    const cfg = resolveConfig(
+      { VITE_SUPABASE_URL: SUPABASE_URL },
+      "https://portal.sailorskills.com",
+    );
+
+    expect(cfg).toEqual({
+      authMode: AUTH_MODES.SSO,
+      ssoOrigin: "https://login.sailorskills.com",
+      portalOrigin: "https://portal.sailorskills.com",
+      functionsUrl: `${SUPABASE_URL}/functions/v1`,
+      vapidPublicKey: null,
+    });
+    expect(
+      buildLoginUrl(cfg, "https://portal.sailorskills.com/portal.html"),
+    ).toBe(
+      "https://login.sailorskills.com/login.html?redirect=https%3A%2F%2Fportal.sailorskills.com%2Fportal.html",
+    );
+  });
+
+  test("staging overrides every origin", () => {
+    const cfg = resolveConfig(
+      {
+        VITE_SUPABASE_URL: SUPABASE_URL,
+        VITE_SSO_ORIGIN: "https://login.staging.example.com/",
+        VITE_PORTAL_ORIGIN: "https://portal.staging.example.com",
+        VITE_FUNCTIONS_URL: "https://edge.staging.example.com/v1/",
+      },
+      "https://ignored.example.com",
+    );
+
+    expect(buildLoginUrl(cfg)).toBe(
+      "https://login.staging.example.com/login.html",
+    );
+    expect(buildPortalUrl(cfg, "/portal")).toBe(
+      "https://portal.staging.example.com/portal",
+    );
+    expect(buildFunctionUrl(cfg, "setup-payment-method")).toBe(
+      "https://edge.staging.example.com/v1/setup-payment-method",
+    );
+  });
+
+  test("local mode signs in on the portal's own login page", () => {
+    const cfg = resolveConfig(
+      {
+        VITE_SUPABASE_URL: SUPABASE_URL,
+        VITE_AUTH_MODE: "local",
+        VITE_SSO_ORIGIN: "https://login.sailorskills.com",
+      },
+      "http://localhost:5174",
+    );
+
+    expect(cfg.authMode).toBe(AUTH_MODES.LOCAL);
+    expect(
+      buildLoginUrl(cfg, "http://localhost:5174/portal-invoices.html"),
+    ).toBe(
+      "http://localhost:5174/login.html?redirect=http%3A%2F%2Flocalhost%3A5174%2Fportal-invoices.html",
+    );
+    expect(buildPortalUrl(cfg, "/reset-password")).toBe(
+      "http://localhost:5174/reset-password",
+    );
+  });
+
+  test("unknown auth modes fall back to SSO", () => {
+    expect(resolveConfig({ VITE_AUTH_MODE: "nope" }).authMode).toBe(
+      AUTH_MODES.SSO,
+    );
+  });
+});
@@ -0,0 +1,107 @@
+import { test, expect } from "@playwright/test";
+import { crc32, createZip } from "../../src/lib/zip.js";
+import { toCsv, buildAccountExportZip } from "../../src/lib/data-export.js";
+
+/**
+ * Data Export Tests
+ *
+ * "Download my data" builds its zip in the browser with src/lib/zip.js.
+ * The archives are read back here with a minimal reader (readZip below),
+ * so a corrupt header or wrong checksum fails the spec rather than a
+ * customer's unzip tool.
+ */
+
+const decoder = new TextDecoder();
+
+/**
+ * Read entries back out of a stored (uncompressed) zip
+ * @param {Uint8Array} bytes - Archive bytes
+ * @returns {Array<{name: string, content: string, crc: number}>}
+ */
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+
+  const count = view.getUint16(end + 10, true);
+  const entries = [];
+  let offset = 0;
+
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(offset, true)).toBe(0x04034b50);
+    const crc = view.getUint32(offset + 14, true);
+    const size = view.getUint32(offset + 18, true);
+    const nameLength = view.getUint16(offset + 26, true);
+    const nameStart = offset + 30;
+    const dataStart = nameStart + nameLength;
+
+    entries.push({
+      name: decoder.decode(bytes.slice(nameStart, dataStart)),
+      content: decoder.decode(bytes.slice(dataStart, dataStart + size)),
+      crc,
+    });
+    offset = dataStart + size;
+  }
+
+  return entries;
+}
+
+test.describe("Data export", () => {
+  test("crc32 matches the standard check value", () => {
+    const bytes = new TextEncoder().encode("123456789");
+    expect(crc32(bytes)).toBe(0xcbf43926);
+  });
+
+  test("zip round-trips file names and contents", () => {
+    const files = [
+      { name: "my-data.json", content: '{"ok":true}' },
+      { name: "boats.csv", content: "name\r\nWavelength ⛵\r\n" },
+    ];
+
+    const entries = readZip(createZip(files));
+
+    expect(entries.map((e) => e.name)).toEqual(["my-data.json", "boats.csv"]);
+    expect(entries[1].content).toBe(files[1].content);
+    expect(entries[1].crc).toBe(
+      crc32(new TextEncoder().encode(files[1].content)),
+    );
+  });
+
+  test("csv quotes special characters and serializes objects", () => {
+    const csv = toCsv([
+      { id: 1, note: 'Said "hi", then left' },
+      { id: 2, attachments: [{ filename: "a.png" }] },
+    ]);
+
+    expect(csv).toBe(
+      "id,note,attachments\r\n" +
+        '1,"Said ""hi"", then left",\r\n' +
+        '2,,"[{""filename"":""a.png""}]"\r\n',
+    );
+  });
+
+  test("export archive contains JSON and one CSV per dataset", async () => {
+    const blob = buildAccountExportZip({
+      exported_at: "2025-11-14T00:00:00.000Z",
+      account: { id: "a1", email: "owner@example.com" },
+      boats: [{ id: "b1", name: "Wavelength" }],
+      invoices: [],
+    });
+
+    const entries = readZip(new Uint8Array(await blob.arrayBuffer()));
+
+    expect(blob.type).toBe("application/zip");
+    expect(entries.map((e) => e.name)).toEqual([
+      "my-data.json",
+      "boats.csv",
+      "service_logs.csv",
+      "messages.csv",
+      "service_requests.csv",
+      "invoices.csv",
+    ]);
+    expect(JSON.parse(entries[0].content).account.email).toBe(
+      "owner@example.com",
+    );
+    expect(entries[1].content).toBe("id,name\r\nb1,Wavelength\r\n");
+  });
+});
@@ -0,0 +1,165 @@
+import { test, expect } from "@playwright/test";
+import {
+  DRAFT_TTL_MS,
+  saveFormDraft,
+  takeFormDraft,
+  clearFormDrafts,
+  withRestoreMarker,
+  stripRestoreMarker,
+} from "../../src/lib/form-drafts.js";
+
+/**
+ * Form Draft Tests
+ *
+ * Drafts outlive the session that wrote them, so besides the round trip
+ * these cases check who may read one back: the same account, on the same
+ * page, within the TTL, and nobody after logout.
+ */
+
+const NOW = Date.UTC(2025, 10, 16, 9, 0, 0);
+const PAGE = "/portal-request-service.html";
+const USER = "7b1c2f0e-0000-4000-8000-000000000001";
+const OTHER_USER = "7b1c2f0e-0000-4000-8000-000000000002";
+
+/**
+ * Minimal stand-in for localStorage
+ */
+function createStorage() {
+  const items = new Map();
+  return {
+    items,
+    get length() {
+      return items.size;
+    },
+    key: (index) => [...items.keys()][index] ?? null,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+test.describe("Form drafts", () => {
+  test("round-trips fields and view state once", () => {
+    const storage = createStorage();
+
+    const saved = saveFormDraft(
+      storage,
+      PAGE,
+      {
+        fields: {
+          "service-type": "cleaning",
+          notes: "Prop is fouled",
+          priority: "",
+        },
+        state: { requestType: "booking" },
+        userId: USER,
+      },
+      NOW,
+    );
+
+    expect(saved).toBe(true);
+    expect(takeFormDraft(storage, PAGE, USER, NOW + 60_000)).toEqual({
+      fields: { "service-type": "cleaning", notes: "Prop is fouled" },
+      state: { requestType: "booking" },
+    });
+    expect(takeFormDraft(storage, PAGE, USER, NOW + 60_000)).toBeNull();
+  });
+
+  test("skips empty forms", () => {
+    const storage = createStorage();
+
+    expect(
+      saveFormDraft(
+        storage,
+        PAGE,
+        { fields: { notes: "", phone: null }, userId: USER },
+        NOW,
+      ),
+    ).toBe(false);
+    expect(storage.items.size).toBe(0);
+  });
+
+  test("drafts are kept per page", () => {
+    const storage = createStorage();
+
+    saveFormDraft(
+      storage,
+      PAGE,
+      { fields: { notes: "Haul out" }, userId: USER },
+      NOW,
+    );
+
+    expect(
+      takeFormDraft(storage, "/portal-messages.html", USER, NOW),
+    ).toBeNull();
+    expect(takeFormDraft(storage, PAGE, USER, NOW).fields.notes).toBe(
+      "Haul out",
+    );
+  });
+
+  test("another account signing in gets nothing and the draft is dropped", () => {
+    const storage = createStorage();
+
+    saveFormDraft(
+      storage,
+      PAGE,
+      { fields: { notes: "Gate code 4411" }, userId: USER },
+      NOW,
+    );
+
+    expect(takeFormDraft(storage, PAGE, OTHER_USER, NOW)).toBeNull();
+    expect(storage.items.size).toBe(0);
+  });
+
+  test("nothing is saved without a signed-in user", () => {
+    const storage = createStorage();
+
+    expect(
+      saveFormDraft(storage, PAGE, { fields: { notes: "Haul out" } }, NOW),
+    ).toBe(false);
+    expect(storage.items.size).toBe(0);
+  });
+
+  test("logout clears every page's draft and nothing else", () => {
+    const storage = createStorage();
+    storage.setItem("currentBoatId", "42");
+    saveFormDraft(storage, PAGE, { fields: { notes: "A" }, userId: USER }, NOW);
+    saveFormDraft(
+      storage,
+      "/portal-messages.html",
+      { fields: { "message-input": "B" }, userId: USER },
+      NOW,
+    );
+
+    clearFormDrafts(storage);
+
+    expect([...storage.items.keys()]).toEqual(["currentBoatId"]);
+  });
+
+  test("expired drafts are discarded", () => {
+    const storage = createStorage();
+
+    saveFormDraft(
+      storage,
+      PAGE,
+      { fields: { notes: "Old" }, userId: USER },
+      NOW,
+    );
+
+    expect(
+      takeFormDraft(storage, PAGE, USER, NOW + DRAFT_TTL_MS + 1),
+    ).toBeNull();
+    expect(storage.items.size).toBe(0);
+  });
+
+  test("restore marker survives the login redirect and is removed after", () => {
+    const href = withRestoreMarker(
+      "https://portal.sailorskills.com/portal-messages.html?boat=1#thread",
+    );
+
+    expect(href).toBe(
+      "https://portal.sailorskills.com/portal-messages.html?boat=1&restore_draft=1",
+    );
+    expect(stripRestoreMarker(href)).toBe("/portal-messages.html?boat=1");
+  });
+});
@@ -0,0 +1,132 @@
+import { test, expect } from "@playwright/test";
+import {
+  TREND,
+  buildMaintenanceRecord,
+  buildMaintenanceRecordPdf,
+  toMaintenanceRecordCsvFiles,
+  getMaintenanceRecordFileName,
+} from "../../src/lib/maintenance-record.js";
+
+/**
+ * Maintenance Record Tests
+ *
+ * The dossier is meant for surveyors and buyers, so these cases focus on
+ * totals and dates being right within the chosen range: anode
+ * replacements, invoice totals per year and the condition summary.
+ */
+
+const logs = [
+  {
+    service_date: "2025-06-01",
+    service_name: "Hull Cleaning",
+    paint_condition_overall: "Fair",
+    growth_level: "Moderate",
+    anodes_installed: [{ location: "Shaft", position: "Forward" }],
+  },
+  {
+    service_date: "2024-06-01",
+    service_name: "Hull Cleaning",
+    paint_condition_overall: "Good",
+    growth_level: "Moderate",
+  },
+  { service_date: "2023-01-01", paint_condition_overall: "Excellent" },
+];
+
+const invoices = [
+  {
+    boat_id: "boat-1",
+    issued_at: "2024-06-02T10:00:00Z",
+    amount: "120.50",
+    status: "paid",
+  },
+  {
+    boat_id: "boat-1",
+    issued_at: "2025-06-02T10:00:00Z",
+    amount: "150",
+    status: "pending",
+  },
+  {
+    boat_id: null,
+    issued_at: "2025-01-10T10:00:00Z",
+    amount: "30",
+    status: "paid",
+  },
+  {
+    boat_id: "boat-2",
+    issued_at: "2025-06-02T10:00:00Z",
+    amount: "999",
+    status: "paid",
+  },
+];
+
+test.describe("Maintenance record", () => {
+  test("collects services, replacements and invoice totals in the range", () => {
+    const record = buildMaintenanceRecord({
+      logs,
+      invoices,
+      boatId: "boat-1",
+      startDate: "2024-01-01",
+    });
+
+    expect(record.services.map((s) => s.serviceDate)).toEqual([
+      "2024-06-01",
+      "2025-06-01",
+    ]);
+    expect(record.anodeReplacements).toEqual([
+      { date: "2025-06-01", anode: "Shaft (Forward)" },
+    ]);
+    expect(record.invoiceTotals).toEqual([
+      { year: "2024", invoices: 1, total: 120.5, paid: 120.5 },
+      { year: "2025", invoices: 2, total: 180, paid: 30 },
+    ]);
+  });
+
+  test("summarizes condition trends", () => {
+    const record = buildMaintenanceRecord({
+      logs,
+      invoices: null,
+      boatId: "boat-1",
+    });
+    const paint = record.trends.find((t) => t.label === "Paint");
+    const growth = record.trends.find((t) => t.label === "Growth");
+
+    expect(paint.trend).toBe(TREND.WORSENING);
+    expect(paint.first).toEqual({ date: "2023-01-01", value: "Excellent" });
+    expect(paint.worst.value).toBe("Fair");
+    expect(growth.trend).toBe(TREND.STEADY);
+    expect(record.paintRate.levelsPerYear).toBeGreaterThan(0);
+    expect(record.invoiceTotals).toBeNull();
+  });
+
+  test("writes CSV files and a PDF", () => {
+    const record = buildMaintenanceRecord({ logs, invoices, boatId: "boat-1" });
+    const files = toMaintenanceRecordCsvFiles(record);
+
+    expect(files.map((f) => f.name)).toEqual([
+      "services.csv",
+      "anode_replacements.csv",
+      "condition_trends.csv",
+      "invoice_totals.csv",
+    ]);
+    expect(files[0].content.split("\r\n")[0]).toBe(
+      "date,service,technician,paint,growth,through_hulls,anodes_inspected,anodes_replaced,propellers,notes",
+    );
+
+    const pdf = new TextDecoder("latin1").decode(
+      buildMaintenanceRecordPdf(record, {
+        boatName: "Sea Breeze",
+        formatDate: (date) => date,
+        formatCurrency: (amount) => `$${amount.toFixed(2)}`,
+      }),
+    );
+    expect(pdf).toContain("(Maintenance Record) Tj");
+    expect(pdf).toContain("($180.00) Tj");
+    expect(
+      getMaintenanceRecordFileName(
+        "Sea Breeze",
+        "pdf",
+        new Date("2025-11-18T12:00:00Z"),
+      ),
+    ).toBe("sea-breeze-maintenance-record-2025-11-18.pdf");
+  });
+});
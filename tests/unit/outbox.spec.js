@@ -0,0 +1,164 @@
+import { test, expect } from "@playwright/test";
+import { createOutbox } from "../../src/lib/outbox.js";
+import { mapStore } from "../helpers/map-store.js";
+
+/**
+ * Outbox Tests
+ *
+ * Covers the queue of messages and service requests written offline:
+ * ordering, what a failed send keeps or drops, resuming a half-sent item,
+ * and keeping each user's items and flushes apart. Uses mapStore() from
+ * tests/helpers in place of IndexedDB.
+ */
+
+const offline = { code: "network", message: "Offline", retryable: true };
+
+test.describe("Outbox", () => {
+  test("sends a user's items oldest first and leaves other users' items", async () => {
+    let now = 1000;
+    const store = mapStore();
+    const sentTexts = [];
+    const outbox = createOutbox(
+      store,
+      {
+        message: async ({ text }) => {
+          sentTexts.push(text);
+          return { data: { text }, error: null };
+        },
+      },
+      { clock: () => now },
+    );
+
+    await outbox.add("message", { text: "first" }, "user-a");
+    now = 2000;
+    await outbox.add("message", { text: "other" }, "user-b");
+    now = 3000;
+    await outbox.add("message", { text: "second" }, "user-a");
+
+    const result = await outbox.flush("user-a");
+
+    expect(sentTexts).toEqual(["first", "second"]);
+    expect(result.sent.map((item) => item.result.text)).toEqual([
+      "first",
+      "second",
+    ]);
+    expect(result.pending).toBe(0);
+    expect((await outbox.list("user-b")).map((i) => i.payload.text)).toEqual([
+      "other",
+    ]);
+  });
+
+  test("stops on a retryable error and keeps the rest for later", async () => {
+    const store = mapStore();
+    let online = false;
+    const outbox = createOutbox(store, {
+      message: async ({ text }) =>
+        online
+          ? { data: { text }, error: null }
+          : { data: null, error: offline },
+    });
+
+    await outbox.add("message", { text: "one" }, "user-a");
+    await outbox.add("message", { text: "two" }, "user-a");
+
+    const stillOffline = await outbox.flush("user-a");
+    expect(stillOffline).toEqual({ sent: [], failed: [], pending: 2 });
+    expect(await outbox.list("user-a")).toHaveLength(2);
+
+    online = true;
+    const backOnline = await outbox.flush("user-a");
+    expect(backOnline.sent).toHaveLength(2);
+    expect(await outbox.list("user-a")).toHaveLength(0);
+  });
+
+  test("drops items the server rejects and reports them as failed", async () => {
+    const store = mapStore();
+    const rejected = {
+      code: "validation",
+      message: "Preferred date is in the past",
+      retryable: false,
+    };
+    const outbox = createOutbox(store, {
+      "service-request": async ({ notes }) =>
+        notes === "bad"
+          ? { data: null, error: rejected }
+          : { data: { notes }, error: null },
+    });
+
+    await outbox.add("service-request", { notes: "bad" }, "user-a");
+    await outbox.add("service-request", { notes: "good" }, "user-a");
+
+    const result = await outbox.flush("user-a");
+
+    expect(result.failed).toHaveLength(1);
+    expect(result.failed[0].error).toBe(rejected);
+    expect(result.failed[0].item.payload.notes).toBe("bad");
+    expect(result.sent.map((item) => item.payload.notes)).toEqual(["good"]);
+    expect(store.map.size).toBe(0);
+  });
+
+  test("a retry skips the steps saved before the failure", async () => {
+    const store = mapStore();
+    const uploads = [];
+    let online = true;
+    const outbox = createOutbox(store, {
+      message: async ({ files, attachments }, save) => {
+        for (const [index, file] of files.entries()) {
+          if (!online) return { data: null, error: offline };
+          uploads.push(file);
+          attachments = [...attachments, `${file}-uploaded`];
+          await save({ files: files.slice(index + 1), attachments });
+          online = false; // The connection drops after the first upload
+        }
+        return { data: attachments, error: null };
+      },
+    });
+
+    await outbox.add(
+      "message",
+      { files: ["hull.jpg", "prop.jpg"], attachments: [] },
+      "user-a",
+    );
+
+    expect(await outbox.flush("user-a")).toMatchObject({ pending: 1 });
+    expect((await outbox.list("user-a"))[0].payload).toEqual({
+      files: ["prop.jpg"],
+      attachments: ["hull.jpg-uploaded"],
+    });
+
+    online = true;
+    const result = await outbox.flush("user-a");
+
+    expect(uploads).toEqual(["hull.jpg", "prop.jpg"]);
+    expect(result.sent[0].result).toEqual([
+      "hull.jpg-uploaded",
+      "prop.jpg-uploaded",
+    ]);
+  });
+
+  test("a flush in progress for one user doesn't answer another's", async () => {
+    const store = mapStore();
+    let release;
+    const held = new Promise((resolve) => (release = resolve));
+    const outbox = createOutbox(store, {
+      message: async ({ text }) => {
+        if (text === "slow") await held;
+        return { data: { text }, error: null };
+      },
+    });
+
+    await outbox.add("message", { text: "slow" }, "user-a");
+    await outbox.add("message", { text: "mine" }, "user-b");
+
+    const first = outbox.flush("user-a");
+    const again = outbox.flush("user-a");
+    const other = await outbox.flush("user-b");
+    release();
+
+    expect(again).toBe(first);
+    expect(other.sent.map((item) => item.payload.text)).toEqual(["mine"]);
+    expect((await first).sent.map((item) => item.payload.text)).toEqual([
+      "slow",
+    ]);
+  });
+});
@@ -0,0 +1,62 @@
+import { test, expect } from "@playwright/test";
+import {
+  getPageCursor,
+  cursorFilter,
+  splitPage,
+} from "../../src/lib/pagination.js";
+
+/**
+ * Keyset Pagination Tests
+ *
+ * The cursor strings end up in a PostgREST `or` filter, so they're compared
+ * verbatim - including the undated logs that sort after every dated one.
+ */
+
+const rows = [
+  { id: "c", service_date: "2025-03-01" },
+  { id: "b", service_date: "2025-02-01" },
+  { id: "a", service_date: "2025-02-01" },
+];
+
+test.describe("Keyset pagination", () => {
+  test("splits off the extra row and points past the page", () => {
+    const page = splitPage(rows, 2, "service_date");
+
+    expect(page.items.map((r) => r.id)).toEqual(["c", "b"]);
+    expect(page.nextCursor).toEqual({ date: "2025-02-01", id: "b" });
+  });
+
+  test("last page has no cursor", () => {
+    expect(splitPage(rows, 3, "service_date").nextCursor).toBeNull();
+    expect(splitPage([], 3, "service_date")).toEqual({
+      items: [],
+      nextCursor: null,
+    });
+  });
+
+  test("filter continues within the same date by id", () => {
+    const cursor = getPageCursor(rows[1], "service_date");
+
+    expect(cursorFilter(cursor, "service_date")).toBe(
+      "service_date.lt.2025-02-01,and(service_date.eq.2025-02-01,id.lt.b),service_date.is.null",
+    );
+  });
+
+  test("undated rows follow the dated ones and page by id", () => {
+    const withUndated = [
+      ...rows,
+      { id: "z", service_date: null },
+      { id: "y", service_date: null },
+    ];
+    const page = splitPage(withUndated, 3, "service_date");
+
+    expect(page.nextCursor).toEqual({ date: "2025-02-01", id: "a" });
+
+    const cursor = getPageCursor(withUndated[3], "service_date");
+
+    expect(cursor).toEqual({ date: null, id: "z" });
+    expect(cursorFilter(cursor, "service_date")).toBe(
+      "and(service_date.is.null,id.lt.z)",
+    );
+  });
+});
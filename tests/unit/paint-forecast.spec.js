@@ -0,0 +1,112 @@
+import { test, expect } from "@playwright/test";
+import {
+  FORECAST_STATUS,
+  FORECAST_CONFIDENCE,
+  fitPaintCycle,
+  forecastRepaint,
+  describeForecast,
+} from "../../src/lib/paint-forecast.js";
+import { paintEntry } from "../helpers/paint-history.js";
+
+/**
+ * Paint Forecast Tests
+ *
+ * Histories are built with paintEntry() (tests/helpers/paint-history.js),
+ * overall severity only. Covers when the fitted decline reaches poor, how
+ * noise widens the range, and which histories are too short or flat to
+ * project at all.
+ */
+
+const NOW = Date.UTC(2025, 2, 1);
+
+test.describe("Paint forecast", () => {
+  test("projects when a steady decline reaches poor", () => {
+    // One severity step every 60 days from excellent
+    const history = [
+      paintEntry("2024-07-01", 1),
+      paintEntry("2024-08-30", 2),
+      paintEntry("2024-10-29", 3),
+      paintEntry("2024-12-28", 4),
+      paintEntry("2025-02-26", 5),
+    ];
+
+    const forecast = forecastRepaint(history, { now: NOW });
+
+    // Poor (7) is two more 60-day steps after 2025-02-26
+    expect(forecast.status).toBe(FORECAST_STATUS.PROJECTED);
+    expect(forecast.repaintMonth).toBe("2025-06");
+    expect(forecast.monthsAway).toBe(4);
+    expect(forecast.confidence).toBe(FORECAST_CONFIDENCE.HIGH);
+    expect(forecast.inspections).toBe(5);
+    expect(describeForecast(forecast)).toBe(
+      "Repaint projected for Jun 2025 (high confidence).",
+    );
+  });
+
+  test("only fits inspections since the last repaint", () => {
+    const history = [
+      paintEntry("2023-01-01", 3),
+      paintEntry("2023-06-01", 6),
+      paintEntry("2024-01-01", 1),
+      paintEntry("2024-07-01", 3),
+    ];
+
+    const fit = fitPaintCycle(history);
+
+    expect(fit.since).toBe("2024-01-01");
+    expect(fit.inspections).toBe(2);
+    expect(fit.slopeError).toBeNull();
+    expect(forecastRepaint(history, { now: NOW }).confidence).toBe(
+      FORECAST_CONFIDENCE.LOW,
+    );
+  });
+
+  test("noisy history gives a range and lower confidence", () => {
+    const history = [
+      paintEntry("2024-01-01", 1),
+      paintEntry("2024-03-01", 3),
+      paintEntry("2024-05-01", 2),
+      paintEntry("2024-07-01", 4),
+    ];
+
+    const forecast = forecastRepaint(history, { now: Date.UTC(2024, 7, 1) });
+
+    expect(forecast.status).toBe(FORECAST_STATUS.PROJECTED);
+    // Half-level wobble (3 → 2) is noise, not a repaint
+    expect(forecast.inspections).toBe(4);
+    expect(forecast.confidence).toBe(FORECAST_CONFIDENCE.MEDIUM);
+    expect(forecast.earliestMonth <= forecast.repaintMonth).toBe(true);
+    expect(describeForecast(forecast)).toMatch(/likely|no earlier than/);
+  });
+
+  test("already poor is due now", () => {
+    const forecast = forecastRepaint(
+      [paintEntry("2024-06-01", 5), paintEntry("2024-12-01", 7)],
+      { now: NOW },
+    );
+
+    expect(forecast.status).toBe(FORECAST_STATUS.DUE);
+    expect(forecast.repaintMonth).toBe("2025-03");
+    expect(forecast.monthsAway).toBe(0);
+  });
+
+  test("stable or sparse histories aren't projected", () => {
+    expect(
+      forecastRepaint(
+        [paintEntry("2024-01-01", 3), paintEntry("2024-06-01", 3)],
+        {
+          now: NOW,
+        },
+      ).status,
+    ).toBe(FORECAST_STATUS.STABLE);
+
+    const sparse = forecastRepaint(
+      [paintEntry("2024-01-01", 3), paintEntry("2024-06-01", null)],
+      {
+        now: NOW,
+      },
+    );
+    expect(sparse.status).toBe(FORECAST_STATUS.INSUFFICIENT_DATA);
+    expect(describeForecast(sparse)).toMatch(/More inspections/);
+  });
+});
@@ -0,0 +1,88 @@
+import { test, expect } from "@playwright/test";
+import {
+  getDegradationRate,
+  describeDegradation,
+  renderPaintTrendChart,
+} from "../../src/ui/paint-trend-chart.js";
+import { paintEntry } from "../helpers/paint-history.js";
+
+/**
+ * Paint Trend Tests
+ *
+ * The same paintEntry() histories as the forecast spec, per hull area: the
+ * degradation rate shown under the chart, and the SVG markup itself,
+ * including gaps for areas that weren't inspected and escaped tooltips.
+ */
+
+test.describe("Paint degradation rate", () => {
+  test("fits the inspections since the last repaint", () => {
+    const history = [
+      paintEntry("2024-01-10", 6),
+      paintEntry("2024-03-10", 7),
+      // Repainted: condition improves
+      paintEntry("2024-05-09", 1),
+      paintEntry("2024-07-08", 3),
+      paintEntry("2024-09-06", 5),
+    ];
+
+    const rate = getDegradationRate(history);
+
+    expect(rate.since).toBe("2024-05-09");
+    expect(rate.inspections).toBe(3);
+    expect(rate.perMonth).toBeCloseTo(1, 5);
+    expect(describeDegradation(rate)).toBe(
+      "Paint is dropping about one condition level every 2 months since May 2024.",
+    );
+  });
+
+  test("skips inspections that didn't cover the area", () => {
+    const history = [
+      paintEntry("2024-01-01", 3, { keel: 3 }),
+      paintEntry("2024-02-01", null, { keel: 4 }),
+      paintEntry("2024-03-01", 3),
+    ];
+
+    expect(getDegradationRate(history).inspections).toBe(2);
+    expect(getDegradationRate(history, "keel").inspections).toBe(2);
+  });
+
+  test("steady condition and too little data", () => {
+    const steady = [paintEntry("2024-01-01", 3), paintEntry("2024-06-01", 3)];
+
+    expect(describeDegradation(getDegradationRate(steady))).toBe(
+      "Paint condition has held steady since Jan 2024.",
+    );
+    expect(getDegradationRate([paintEntry("2024-01-01", 3)])).toBeNull();
+    expect(describeDegradation(null)).toMatch(/More inspections/);
+  });
+});
+
+test.describe("Paint trend chart", () => {
+  test("plots each area and breaks lines at gaps", () => {
+    const markup = renderPaintTrendChart([
+      paintEntry("2024-01-01", 3, { keel: 3 }),
+      paintEntry("2024-02-01", 4),
+      paintEntry("2024-03-01", 5, { keel: 5 }),
+    ]);
+
+    const overall = markup.match(
+      /paint-trend-series paint-trend-overall">(.*?)<\/g>/s,
+    )[1];
+    const keel = markup.match(
+      /paint-trend-series paint-trend-keel">(.*?)<\/g>/s,
+    )[1];
+
+    expect(overall.match(/<polyline/g)).toHaveLength(1);
+    expect(overall.match(/<circle/g)).toHaveLength(3);
+    // Keel wasn't inspected in February: two isolated points, no line
+    expect(keel).not.toContain("<polyline");
+    expect(keel.match(/<circle/g)).toHaveLength(2);
+  });
+
+  test("escapes conditions in tooltips", () => {
+    const history = [paintEntry("2024-01-01", 3), paintEntry("2024-02-01", 4)];
+    history[0].overall.condition = "<img src=x>";
+
+    expect(renderPaintTrendChart(history)).not.toContain("<img");
+  });
+});
@@ -0,0 +1,118 @@
+import { test, expect } from "@playwright/test";
+import {
+  normalizePhoto,
+  buildPhotoGallery,
+  getPhotoComparison,
+} from "../../src/lib/photo-gallery.js";
+
+/**
+ * Photo Gallery Tests
+ *
+ * Photos are stored in more than one shape on service logs; the gallery
+ * normalizes them first. Also checks the newest-first grouping and which
+ * two photos the before/after view opens with.
+ */
+
+const logs = [
+  {
+    service_date: "2025-01-10",
+    service_name: "Hull Cleaning",
+    photos: [
+      { url: "https://example.com/keel-jan.jpg", area: "Keel" },
+      { url: "https://example.com/bow-jan.jpg", area: "Port Bow" },
+    ],
+  },
+  {
+    service_date: "2025-03-12",
+    service_name: "Hull Cleaning",
+    photos: JSON.stringify([
+      {
+        url: "https://example.com/keel-mar.jpg",
+        thumbnail_url: "https://example.com/keel-mar-thumb.jpg",
+        area: "keel",
+        caption: "Light slime",
+      },
+    ]),
+  },
+  { service_date: "2025-02-11", service_name: "Inspection", photos: [] },
+  {
+    service_date: "2025-05-14",
+    service_name: "Hull Cleaning",
+    photos: [
+      "https://example.com/untagged.jpg",
+      { url: "https://example.com/keel-may.jpg", area: "Keel" },
+    ],
+  },
+];
+
+test.describe("Photo gallery", () => {
+  test("normalizes stored photos", () => {
+    expect(normalizePhoto("https://example.com/a.jpg")).toEqual({
+      url: "https://example.com/a.jpg",
+      thumbnailUrl: "https://example.com/a.jpg",
+      area: null,
+      areaKey: null,
+      caption: null,
+    });
+    expect(
+      normalizePhoto({
+        src: "https://example.com/b.jpg",
+        hull_area: "Port Bow",
+        description: "Barnacles",
+      }),
+    ).toMatchObject({
+      area: "Port Bow",
+      areaKey: "port-bow",
+      caption: "Barnacles",
+    });
+    expect(normalizePhoto({ area: "Keel" })).toBeNull();
+  });
+
+  test("groups photos by service, newest first, and lists comparable areas", () => {
+    const gallery = buildPhotoGallery(logs);
+
+    expect(gallery.services.map((s) => s.serviceDate)).toEqual([
+      "2025-05-14",
+      "2025-03-12",
+      "2025-01-10",
+    ]);
+    expect(gallery.services[1].photos[0].thumbnailUrl).toBe(
+      "https://example.com/keel-mar-thumb.jpg",
+    );
+
+    // Port Bow was only photographed once, so it can't be compared
+    expect(gallery.areas).toEqual([
+      {
+        key: "keel",
+        label: "Keel",
+        serviceDates: ["2025-05-14", "2025-03-12", "2025-01-10"],
+      },
+    ]);
+  });
+
+  test("compares the oldest and newest photo of an area by default", () => {
+    const gallery = buildPhotoGallery(logs);
+
+    const comparison = getPhotoComparison(gallery, "keel");
+    expect(comparison.before.serviceDate).toBe("2025-01-10");
+    expect(comparison.before.photo.url).toBe(
+      "https://example.com/keel-jan.jpg",
+    );
+    expect(comparison.after.photo.url).toBe("https://example.com/keel-may.jpg");
+
+    // Dates picked in the wrong order are swapped
+    const reversed = getPhotoComparison(
+      gallery,
+      "keel",
+      "2025-03-12",
+      "2025-01-10",
+    );
+    expect(reversed.before.serviceDate).toBe("2025-01-10");
+    expect(reversed.after.serviceDate).toBe("2025-03-12");
+
+    expect(
+      getPhotoComparison(gallery, "keel", "2025-03-12", "2025-03-12"),
+    ).toBeNull();
+    expect(getPhotoComparison(gallery, "port-bow")).toBeNull();
+  });
+});
@@ -0,0 +1,60 @@
+import { test, expect } from "@playwright/test";
+import {
+  PUSH_STATUS,
+  urlBase64ToUint8Array,
+  toPushSubscriptionRecord,
+  getPushStatus,
+} from "../../src/lib/push.js";
+
+/**
+ * Web Push Tests
+ *
+ * Covers the helpers behind the Account Settings push toggle: VAPID key
+ * decoding, the subscription fields saved to push_subscriptions, and the
+ * order in which unavailable reasons are reported.
+ */
+
+test.describe("Web push helpers", () => {
+  test("decodes base64url VAPID keys, with or without padding", () => {
+    expect([...urlBase64ToUint8Array("-_8")]).toEqual([251, 255]);
+    expect([...urlBase64ToUint8Array("AQID")]).toEqual([1, 2, 3]);
+    expect([...urlBase64ToUint8Array("AQIDBA")]).toEqual([1, 2, 3, 4]);
+  });
+
+  test("keeps the endpoint and keys of a subscription", () => {
+    const json = {
+      endpoint: "https://push.example.com/send/abc",
+      expirationTime: null,
+      keys: { p256dh: "BNc", auth: "tBH" },
+    };
+
+    expect(toPushSubscriptionRecord({ toJSON: () => json })).toEqual({
+      endpoint: "https://push.example.com/send/abc",
+      p256dh: "BNc",
+      auth: "tBH",
+    });
+    expect(toPushSubscriptionRecord({ endpoint: json.endpoint })).toBeNull();
+    expect(toPushSubscriptionRecord(null)).toBeNull();
+  });
+
+  test("reports why push is unavailable before whether it is on", () => {
+    const ready = { supported: true, configured: true, subscribed: true };
+
+    expect(getPushStatus({ ...ready, supported: false })).toBe(
+      PUSH_STATUS.UNSUPPORTED,
+    );
+    expect(getPushStatus({ ...ready, configured: false })).toBe(
+      PUSH_STATUS.UNAVAILABLE,
+    );
+    expect(getPushStatus({ ...ready, permission: "denied" })).toBe(
+      PUSH_STATUS.BLOCKED,
+    );
+    expect(getPushStatus({ ...ready, permission: "granted" })).toBe(
+      PUSH_STATUS.ON,
+    );
+    // A subscription without permission (reset in browser settings) is off
+    expect(getPushStatus({ ...ready, permission: "default" })).toBe(
+      PUSH_STATUS.OFF,
+    );
+  });
+});
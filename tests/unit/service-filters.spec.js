@@ -0,0 +1,56 @@
+import { test, expect } from "@playwright/test";
+import {
+  EMPTY_FILTERS,
+  parseServiceFilters,
+  serializeServiceFilters,
+  hasActiveFilters,
+  toServiceLogQuery,
+} from "../../src/lib/service-filters.js";
+
+/**
+ * Service History Filter Tests
+ *
+ * Covers reading and writing search filters in the page URL and turning
+ * them into service log query options.
+ */
+
+test.describe("Service history filters", () => {
+  test("round trips through the URL and keeps other parameters", () => {
+    const filters = {
+      ...EMPTY_FILTERS,
+      search: "prop zinc",
+      technician: "Brian",
+      paintFrom: "good",
+      hasVideo: true,
+    };
+
+    const query = serializeServiceFilters("?boat=123", filters);
+
+    expect(query).toBe(
+      "?boat=123&q=prop+zinc&tech=Brian&paint_from=good&has_video=1",
+    );
+    expect(parseServiceFilters(query)).toEqual(filters);
+    expect(serializeServiceFilters(query, EMPTY_FILTERS)).toBe("?boat=123");
+    expect(hasActiveFilters(parseServiceFilters("?boat=123"))).toBe(false);
+  });
+
+  test("ignores unknown paint levels", () => {
+    const filters = parseServiceFilters("?paint_from=shiny&paint_to=poor");
+
+    expect(filters.paintFrom).toBe("");
+    expect(filters.paintTo).toBe("poor");
+  });
+
+  test("puts a reversed paint range in order", () => {
+    const query = toServiceLogQuery({
+      ...EMPTY_FILTERS,
+      search: "  ",
+      paintFrom: "poor",
+      paintTo: "good",
+    });
+
+    expect(query.search).toBeNull();
+    expect(query.paintMin).toBe(3);
+    expect(query.paintMax).toBe(7);
+  });
+});
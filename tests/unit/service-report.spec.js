@@ -0,0 +1,122 @@
+import { test, expect } from "@playwright/test";
+import { measureText, wrapText, createPdf } from "../../src/lib/pdf.js";
+import {
+  getServiceReport,
+  buildServiceReportPdf,
+  getServiceReportFileName,
+} from "../../src/lib/service-report.js";
+
+/**
+ * Service Report Tests
+ *
+ * Two layers: what goes into a report for one service, and the small PDF
+ * writer underneath (text measurement, wrapping, and a cross-reference
+ * table a PDF reader will accept).
+ */
+
+const log = {
+  service_date: "2025-03-01",
+  service_name: "Hull Cleaning",
+  technician: "Brian",
+  paint_condition_overall: "Fair, Poor",
+  growth_level: "Minimal",
+  paint_detail_keel: "Good",
+  anode_conditions: JSON.stringify({
+    anodes: [
+      { location: "Shaft", position: "Forward", condition_percent: 40 },
+      { location: "Rudder", condition_percent: 90 },
+    ],
+  }),
+  anodes_installed: [{ location: "Shaft", position: "Forward" }],
+  propellers: [{ condition: "Good" }, { condition: "Fair", notes: "Nicked" }],
+  notes: "Cleaned hull (all sides).\nReplaced shaft zinc.",
+  photos: ["https://example.com/a.jpg", { url: "https://example.com/b.jpg" }],
+};
+
+const decoder = new TextDecoder("latin1");
+
+test.describe("Service report", () => {
+  test("collects conditions, anodes, propellers and photos", () => {
+    const report = getServiceReport(log);
+
+    expect(report.conditions).toEqual([
+      { label: "Paint", value: "Fair, Poor" },
+      { label: "Growth", value: "Minimal" },
+    ]);
+    expect(report.anodes).toEqual([
+      { label: "Shaft (Forward)", condition: "poor", replaced: true },
+      { label: "Rudder", condition: "excellent", replaced: false },
+    ]);
+    expect(report.propellers.map((p) => p.label)).toEqual([
+      "Port",
+      "Starboard",
+    ]);
+    expect(report.photos).toEqual([
+      "https://example.com/a.jpg",
+      "https://example.com/b.jpg",
+    ]);
+  });
+
+  test("wraps text to the line width", () => {
+    expect(measureText("Hello", 10)).toBeCloseTo(22.78, 2);
+
+    const lines = wrapText("one two three four\nfive", 60, 10);
+    expect(lines).toEqual(["one two", "three four", "five"]);
+    lines.forEach((line) =>
+      expect(measureText(line, 10)).toBeLessThanOrEqual(60),
+    );
+  });
+
+  test("writes a PDF with a valid cross-reference table", () => {
+    const image = {
+      data: new Uint8Array([0xff, 0xd8, 0xff, 0xd9]),
+      width: 4,
+      height: 3,
+    };
+    const pdf = createPdf(
+      [
+        [
+          { type: "text", x: 48, y: 60, text: "Paint (fair)", size: 12 },
+          { type: "image", x: 48, y: 80, width: 40, height: 30, image },
+        ],
+        [{ type: "image", x: 48, y: 80, width: 40, height: 30, image }],
+      ],
+      { title: "Test", created: new Date("2025-03-01T00:00:00Z") },
+    );
+    const text = decoder.decode(pdf);
+
+    expect(text.startsWith("%PDF-1.4")).toBe(true);
+    expect(text).toContain("/Count 2");
+    expect(text).toContain("(Paint \\(fair\\)) Tj");
+    expect(text.match(/\/Subtype \/Image/g)).toHaveLength(1);
+
+    // Every object starts where the xref table says it does
+    const xref = text.slice(text.lastIndexOf("xref"));
+    const offsets = [...xref.matchAll(/^(\d{10}) 00000 n $/gm)].map((m) =>
+      Number(m[1]),
+    );
+    offsets.forEach((offset, i) =>
+      expect(text.slice(offset)).toMatch(new RegExp(`^${i + 1} 0 obj`)),
+    );
+    expect(Number(text.match(/startxref\n(\d+)/)[1])).toBe(
+      text.lastIndexOf("xref\n0"),
+    );
+  });
+
+  test("builds a report and names the file after the boat", () => {
+    const text = decoder.decode(
+      buildServiceReportPdf(log, {
+        boatName: "Sea Breeze",
+        formatDate: (date) => date,
+        generatedAt: new Date("2025-03-02T12:00:00Z"),
+      }),
+    );
+
+    expect(text).toContain("(Sea Breeze) Tj");
+    expect(text).toContain("(Shaft \\(Forward\\)) Tj");
+    expect(text).toContain("(Poor - Replaced) Tj");
+    expect(getServiceReportFileName("Sea Breeze!", "2025-03-01")).toBe(
+      "sea-breeze-service-2025-03-01.pdf",
+    );
+  });
+});
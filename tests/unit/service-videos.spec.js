@@ -0,0 +1,77 @@
+import { test, expect } from "@playwright/test";
+import {
+  getLinkedVideoIds,
+  matchServiceVideos,
+} from "../../src/lib/service-videos.js";
+
+/**
+ * Service Video Tests
+ *
+ * A service log's linked video IDs always win; upload dates are only a
+ * fallback for logs with no links. Videos are reduced to id and
+ * publishedAt, the only fields the matcher reads.
+ */
+
+const video = (id, publishedAt) => ({ id, publishedAt });
+
+const ids = (byLog, logId) => (byLog.get(logId) || []).map((v) => v.id);
+
+test.describe("Service videos", () => {
+  test("reads linked video IDs in any stored form", () => {
+    expect(getLinkedVideoIds({ youtube_video_ids: ["a", " b "] })).toEqual([
+      "a",
+      "b",
+    ]);
+    expect(getLinkedVideoIds({ youtube_video_ids: '["a"]' })).toEqual(["a"]);
+    expect(getLinkedVideoIds({ youtube_video_ids: "a, b" })).toEqual([
+      "a",
+      "b",
+    ]);
+    expect(getLinkedVideoIds({ youtube_video_ids: null })).toEqual([]);
+  });
+
+  test("matches unlinked videos to the service before their upload", () => {
+    const logs = [
+      { id: "jan", service_date: "2025-01-10" },
+      { id: "feb", service_date: "2025-02-10" },
+      { id: "mar", service_date: "2025-03-10" },
+    ];
+    const videos = [
+      video("v1", "2025-01-12T10:00:00Z"),
+      video("v2", "2025-02-05T10:00:00Z"), // 26 days after January's service
+      video("v3", "2025-03-10T18:00:00Z"),
+      video("v4", "2025-01-01T10:00:00Z"), // Before any service
+    ];
+
+    const byLog = matchServiceVideos(logs, videos);
+
+    expect(ids(byLog, "jan")).toEqual(["v1"]);
+    expect(byLog.has("feb")).toBe(false);
+    expect(ids(byLog, "mar")).toEqual(["v3"]);
+
+    // A wider window, still cut off by the next service
+    const wide = matchServiceVideos(logs, videos, { windowDays: 60 });
+    expect(ids(wide, "jan")).toEqual(["v1", "v2"]);
+  });
+
+  test("shows exactly the linked videos for a linked service", () => {
+    const logs = [
+      { id: "jan", service_date: "2025-01-10", youtube_video_ids: ["v3"] },
+      { id: "feb", service_date: "2025-02-10" },
+      { id: "mar", service_date: "2025-03-10", youtube_video_ids: ["gone"] },
+    ];
+    const videos = [
+      video("v1", "2025-01-12T10:00:00Z"),
+      video("v2", "2025-02-11T10:00:00Z"),
+      video("v3", "2025-02-12T10:00:00Z"), // Uploaded late, linked to January
+      video("v4", "2025-03-11T10:00:00Z"),
+    ];
+
+    const byLog = matchServiceVideos(logs, videos);
+
+    expect(ids(byLog, "jan")).toEqual(["v3"]);
+    expect(ids(byLog, "feb")).toEqual(["v2"]);
+    // Linked to a video no longer in the playlist: nothing is guessed instead
+    expect(byLog.has("mar")).toBe(false);
+  });
+});
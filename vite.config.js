@@ -1,6 +1,26 @@
 import { defineConfig } from "vite";
-import { resolve } from "path";
-import { cpSync } from "fs";
+import { resolve, relative, sep } from "path";
+import { createHash } from "crypto";
+import {
+  cpSync,
+  existsSync,
+  readdirSync,
+  readFileSync,
+  statSync,
+  writeFileSync,
+} from "fs";
+
+/**
+ * Files under a directory, recursively
+ * @param {string} dir - Directory
+ * @returns {string[]} Absolute paths
+ */
+function listFiles(dir) {
+  return readdirSync(dir).flatMap((name) => {
+    const path = resolve(dir, name);
+    return statSync(path).isDirectory() ? listFiles(path) : [path];
+  });
+}
 
 export default defineConfig({
   server: {
@@ -25,6 +45,7 @@ export default defineConfig({
         portalRequestService: resolve(__dirname, "portal-request-service.html"),
         portalRequestHistory: resolve(__dirname, "portal-request-history.html"),
         portalPaymentSetup: resolve(__dirname, "portal-payment-setup.html"),
+        portalAdminAudit: resolve(__dirname, "portal-admin-audit.html"),
         billing: resolve(__dirname, "billing.html"),
       },
     },
@@ -46,5 +67,38 @@ export default defineConfig({
         }
       },
     },
+    {
+      // Runs after copy-shared-to-dist so the shared files are precached too
+      name: "service-worker",
+      apply: "build",
+      closeBundle(error) {
+        const distDir = resolve(__dirname, "dist");
+        // A failed build leaves nothing (or a partial dist) to precache
+        if (error || !existsSync(distDir)) return;
+
+        const files = listFiles(distDir).filter(
+          (path) => !path.endsWith(".map") && !path.endsWith(`${sep}sw.js`),
+        );
+
+        // Any change to a built file installs a new version
+        const hash = createHash("sha256");
+        files.forEach((path) => hash.update(readFileSync(path)));
+
+        const urls = files.map(
+          (path) => "/" + relative(distDir, path).split(sep).join("/"),
+        );
+
+        writeFileSync(
+          resolve(distDir, "sw.js"),
+          `const PRECACHE_URLS = ${JSON.stringify(urls)};\n` +
+            `const CACHE_VERSION = "${hash.digest("hex").slice(0, 12)}";\n\n` +
+            readFileSync(
+              resolve(__dirname, "src/pwa/service-worker.js"),
+              "utf8",
+            ),
+        );
+        console.log(`✅ Wrote dist/sw.js (${urls.length} precached files)`);
+      },
+    },
   ],
 });